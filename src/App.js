@@ -1,8 +1,36 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { initializeApp, getApps } from 'firebase/app';
-import { getAuth, onAuthStateChanged, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut } from 'firebase/auth';
-import { getFirestore, collection, addDoc, onSnapshot, query, doc, deleteDoc, updateDoc, Timestamp, orderBy, limit, getDocs, writeBatch, startAfter } from 'firebase/firestore';
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend, BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import { getAuth, onAuthStateChanged, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, connectAuthEmulator } from 'firebase/auth';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { connectFirestoreEmulator, collection, addDoc, onSnapshot, query, doc, getDoc, deleteDoc, updateDoc, setDoc, Timestamp, orderBy, limit, getDocs, writeBatch, where } from 'firebase/firestore';
+import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { IMPORT_FIELDS, DATE_FORMATS, AMOUNT_SIGN_MODES, parseCsv, guessColumnMapping, buildImportRows } from './csvImport';
+import { STATEMENT_PARSERS, detectStatementFormat, parseStatement } from './statementParsers';
+import { subscribeImportPresets, saveImportPreset, deleteImportPreset } from './importPresets';
+import { ATTACHMENT_ACCEPT, isImageAttachment, transactionAttachments, validateAttachmentFile, uploadAttachments, attachmentUrl, deleteAttachmentFiles } from './attachments';
+import { DUPLICATE_WINDOW_DAYS, duplicateSearchRange, matchDuplicates, fetchDuplicateGroups, mergeDuplicates, unmergeDuplicates } from './duplicates';
+import { RULE_FIELDS, RULE_OPERATORS, subscribeRules, createRule, updateRule, setRuleEnabled, deleteRule, moveRule, evaluateRules, applyRules, fetchRuleChanges, applyRuleChanges, describeCondition } from './rules';
+import { RATES_BASE_CURRENCY, createExchangeRateApiProvider, createFixtureProvider, getRatesForDate, getStoredRatesForDates, backfillRates, rebaseRates, rateFor, convertFromBase, readCachedLatestRates, writeCachedLatestRates } from './exchangeRates';
+import { formatMoney, roundMoney, amountStep, currencyList } from './currencies';
+import { familyBaseCurrency, setFamilyBaseCurrency, rebaseTransactions, finishRebase } from './baseCurrency';
+import { subscribeToUpdates } from './serviceWorkerRegistration';
+import { createTransactionPager, fetchTransactionsInRange as queryTransactionsInRange, withinReach, docToTransaction } from './transactionQueries';
+import { parseSearchQuery, isEmptyQuery, subscribeSearchIndex } from './search';
+import { PAGE_PATHS, parseRoute, transactionPath, reportFiltersToSearch, reportFiltersFromSearch } from './routes';
+import { createFirestore, isOnline, subscribeConnectivity, subscribePendingWrites, queueWrite } from './offline';
+import { computeBudgetStatus, budgetThresholdCrossed, budgetHistoryStart } from './budgets';
+import { FREQUENCIES, normalizeSchedule, dueOccurrences, nextOccurrence, describeSchedule } from './recurrence';
+import { effectiveCategories, activeCategoryNames, orderedCategories, findCategory, categoryColor, categoryLabel, withSubcategories, subscribeCategories, createCategory, updateCategory, renameCategory, mergeCategories } from './categories';
+import { MIN_SPLIT_LINES, isSplit, transactionLines, hasCategory, validateSplits, splitFields, renameSplitCategory } from './splits';
+import { addTags, formatTags, tagCounts, suggestTags, hasAnyTag, expenseByTag, transactionTags } from './tags';
+import { TRANSFER_TYPE, isTransfer, subscribeAccounts, createAccount, updateAccount, balanceHistory, currentBalance, accountName } from './accounts';
+import { PROJECTION_MONTHS, isGoalContribution, subscribeGoals, subscribeContributions, subscribeGoalTransactions, createGoal, updateGoal, addContribution, removeContribution, goalProgress } from './goals';
+import { summaryDelta, updateMonthlySummaries, rebuildMonthlySummaries, subscribeSummariesMeta, subscribeMonthlySummaries, monthRateDate, buildSummaryReport } from './monthlySummaries';
+import { BACKUP_COLLECTIONS, BACKUP_SCHEMA_VERSION, createBackup, parseBackup, fetchExistingIds, planRestore, restoreWriteCount, applyRestore } from './backup';
+import { EXPORT_FORMATS, EXPORT_MIME_TYPES, buildTransactionsCsv, buildJsonExport, buildReportWorkbook, downloadFile } from './exportData';
+import { TRASH_RETENTION_DAYS, TRASH_COLLECTIONS, isDeleted, purgeDueAt, isPastRetention, softDelete, restore, softDeleteAll, restoreDeleteBatch, listTrash, purge } from './trash';
+import { ROLES, memberRole, can, canDeleteTransaction, subscribeUserProfile, subscribeFamily, createFamily, createInvite, revokeInvite, listFamilyInvites, listInvitesForEmail, acceptInvite, updateMemberRole, removeMember, memberLabel } from './families';
 
 // --- Firebase Configuration ---
 let firebaseConfig;
@@ -22,23 +50,73 @@ try {
 const appId = process.env.REACT_APP_APP_ID || (process.env.NODE_ENV === 'development'
     ? 'family-finance-tracker-dev'
     : 'family-finance-tracker-v1');
-const familyId = process.env.REACT_APP_FAMILY_ID || 'shared-family-data'; // Namespace for family data
+// Each user's family now comes from their profile (artifacts/{appId}/users/{uid}). This is the
+// namespace all data lived in before families existed; the setup screen lets the first user adopt it.
+const LEGACY_FAMILY_ID = process.env.REACT_APP_FAMILY_ID || 'shared-family-data';
 const TRANSACTIONS_PER_PAGE = 25;
+// The installed app's "Add transaction" shortcut (manifest.json) opens ?quickAdd=1
+let quickAddRequested = new URLSearchParams(window.location.search).has('quickAdd');
+
+// With REACT_APP_USE_EMULATORS=true the app talks to the local emulator suite configured in
+// firebase.json (`firebase emulators:start`) instead of the real project.
+const USE_EMULATORS = process.env.REACT_APP_USE_EMULATORS === 'true';
+let firestoreInstance = null;
+const getDb = () => {
+    if (!getApps().length) {
+        initializeApp(firebaseConfig);
+    }
+    if (!firestoreInstance) {
+        firestoreInstance = createFirestore(getApp());
+        if (USE_EMULATORS) connectFirestoreEmulator(firestoreInstance, 'localhost', 8080);
+    }
+    return firestoreInstance;
+};
+
+// Attachments live in the default bucket of the same project
+let storageInstance = null;
+const getStorageInstance = () => {
+    if (!storageInstance) {
+        storageInstance = getStorage(getApps().length ? getApp() : initializeApp(firebaseConfig));
+        if (USE_EMULATORS) connectStorageEmulator(storageInstance, 'localhost', 9199);
+    }
+    return storageInstance;
+};
 
 // --- Exchange Rate API Key ---
 const EXCHANGE_RATE_API_KEY = "3a46be8bcdb0d1403ff6da95";
-
-// --- Category Lists ---
-const INCOME_CATEGORIES = ["Salary", "Extra income"];
-const EXPENSE_CATEGORIES = ["Accommodation", "Beauty", "Bills", "Business", "Car", "Charity", "Clothing", "Education", "Entertainment", "Food and drinks", "Gifts", "Groceries", "Healthcare", "Hobbies", "Home", "Kids", "Other", "Savings", "Shopping", "Sport and Hobbies", "Transport", "Travel", "Utilities", "Work"];
-const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#da70d6', '#ffc0cb', '#3cb371', '#ffa500', '#6a5acd', '#FF5733', '#C70039', '#900C3F', '#581845'];
-const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', HUF: 'Ft' };
+// Historical rates come from the API unless REACT_APP_RATE_PROVIDER=fixture, which serves
+// src/fixtures/exchangeRates.json instead (useful for development and backfill dry runs).
+const rateProvider = process.env.REACT_APP_RATE_PROVIDER === 'fixture'
+    ? createFixtureProvider(() => import('./fixtures/exchangeRates.json'))
+    : createExchangeRateApiProvider(EXCHANGE_RATE_API_KEY);
 
 // --- Helper Components & Icons ---
-const Toast = ({ message, type, onClose }) => (<div className={`fixed top-5 right-5 p-4 rounded-lg shadow-lg text-white z-50 ${type === 'success' ? 'bg-green-500' : 'bg-red-500'}`}><span>{message}</span><button onClick={onClose} className="ml-4 font-bold">X</button></div>);
+const TOAST_COLORS = { success: 'bg-green-500', warning: 'bg-yellow-500', error: 'bg-red-500' };
+const Toast = ({ message, type, action, onClose }) => (<div className={`fixed top-5 right-5 p-4 rounded-lg shadow-lg text-white z-50 ${TOAST_COLORS[type] || TOAST_COLORS.error}`}><span>{message}</span>{action && <button onClick={() => { action.onClick(); onClose(); }} className="ml-4 font-bold underline">{action.label}</button>}<button onClick={onClose} className="ml-4 font-bold">X</button></div>);
+// Shown while offline or while changes still wait for the server
+const SyncStatusBar = ({ online, pendingCount }) => {
+    if (online && pendingCount === 0) return null;
+    const changes = `${pendingCount} change${pendingCount === 1 ? '' : 's'}`;
+    return (
+        <div className={`text-sm text-center py-1 ${online ? 'bg-blue-50 text-blue-800' : 'bg-yellow-100 text-yellow-900'}`}>
+            {online
+                ? `Syncing ${changes}…`
+                : `You're offline. ${pendingCount > 0 ? `${changes} will sync when the connection is back.` : 'New entries are saved on this device and sync later.'}`}
+        </div>
+    );
+};
+const UpdateBanner = ({ onReload }) => (
+    <div className="text-sm text-center py-1 bg-green-50 text-green-800">
+        A new version of the app is available. <button onClick={onReload} className="ml-2 font-semibold underline">Reload</button>
+    </div>
+);
 const ConfirmationModal = ({ message, onConfirm, onCancel }) => (<div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50"><div className="bg-white rounded-lg p-8 shadow-2xl w-11/12 md:w-1/3"><h3 className="text-lg font-bold mb-4">Confirm Action</h3><p className="mb-6">{message}</p><div className="flex justify-end space-x-4"><button onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition">Cancel</button><button onClick={onConfirm} className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded transition">Delete</button></div></div></div>);
 const TrashIcon = () => (<svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>);
 const PencilIcon = () => (<svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L15.232 5.232z" /></svg>);
+// Options for a currency <select>: the family's currency list, plus `current` when it isn't on it
+// (an old transaction, or rates that haven't loaded)
+const CurrencyOptions = ({ currencies, current }) => (current && !currencies.includes(current) ? [current, ...currencies] : currencies)
+    .map(code => <option key={code} value={code}>{code}</option>);
 const SortIcon = ({ direction }) => direction ? (direction === 'asc' ? ' ▲' : ' ▼') : null;
 const ChevronDown = () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7"></path></svg>;
 const ChevronUp = () => <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7"></path></svg>;
@@ -123,6 +201,7 @@ export default function App() {
         try {
             const app = initializeApp(firebaseConfig);
             const authInstance = getAuth(app);
+            if (USE_EMULATORS) connectAuthEmulator(authInstance, 'http://localhost:9099', { disableWarnings: true });
             setAuth(authInstance);
             // Add a debug log so we can see whether the auth listener fires.
             const fallbackRef = { id: null };
@@ -154,7 +233,7 @@ export default function App() {
     return (
         <>
             {user ? (
-                <FinanceTracker user={user} onSignOut={handleSignOut} />
+                <FamilyGate user={user} onSignOut={handleSignOut} />
             ) : (
                 <AuthScreen auth={auth} />
             )}
@@ -211,31 +290,188 @@ function AuthScreen({ auth }) {
 }
 
 
+// --- Family Gate ---
+// Reads the signed-in user's profile and only mounts FinanceTracker once it names a family.
+function FamilyGate({ user, onSignOut }) {
+    const [db, setDb] = useState(null);
+    const [profile, setProfile] = useState(undefined);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        try {
+            setDb(getDb());
+        } catch (e) {
+            console.warn('Failed to initialize Firestore in FamilyGate', e);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!db) return;
+        return subscribeUserProfile(db, appId, user.uid, setProfile, (e) => setError(e.message));
+    }, [db, user.uid]);
+
+    // The rules deny reads to non-members, so a removed member's listener errors out here
+    const profileFamilyId = profile && profile.familyId;
+    const [membership, setMembership] = useState('pending');
+    useEffect(() => {
+        if (!db || !profileFamilyId) return;
+        setMembership('pending');
+        return subscribeFamily(db, appId, profileFamilyId,
+            (fam) => setMembership(fam && fam.members && fam.members[user.uid] ? 'member' : 'none'),
+            () => setMembership('none'));
+    }, [db, profileFamilyId, user.uid]);
+
+    if (error) return <div className="text-red-500 text-center p-8">{error}</div>;
+    if (profile === undefined) return null;
+    if (!profileFamilyId) return <FamilySetup db={db} user={user} onSignOut={onSignOut} />;
+    if (membership === 'pending') return null;
+    if (membership === 'none') return <FamilySetup db={db} user={user} onSignOut={onSignOut} notice="You are no longer a member of your previous family." />;
+    return <FinanceTracker key={profile.familyId} user={user} familyId={profile.familyId} onSignOut={onSignOut} />;
+}
+
+function FamilySetup({ db, user, onSignOut, notice }) {
+    const [familyName, setFamilyName] = useState('');
+    const [code, setCode] = useState('');
+    const [invites, setInvites] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        listInvitesForEmail(db, appId, user.email).then(setInvites).catch(e => console.warn('[Families] invite lookup failed', e));
+    }, [db, user.email]);
+
+    // The profile listener in FamilyGate switches to FinanceTracker as soon as these succeed
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try { await action(); } catch (e) { setError(e.message); } finally { setBusy(false); }
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm";
+    return (
+        <div className="min-h-screen bg-gray-100 flex flex-col justify-center items-center p-4">
+            <div className="w-full max-w-md bg-white p-8 rounded-lg shadow-md space-y-8">
+                <div>
+                    <h1 className="text-3xl font-bold text-blue-600 mb-2 text-center">Set Up Your Family</h1>
+                    <p className="text-sm text-gray-500 text-center">Signed in as {user.email}</p>
+                    {notice && <p className="text-sm text-yellow-700 bg-yellow-50 rounded-md p-2 mt-4 text-center">{notice}</p>}
+                </div>
+                {invites.length > 0 && (
+                    <div>
+                        <h2 className="text-lg font-bold mb-2">Invitations</h2>
+                        <div className="space-y-2">
+                            {invites.map(inv => (
+                                <div key={inv.code} className="flex justify-between items-center p-3 border rounded-lg">
+                                    <span className="font-medium">{inv.familyName}</span>
+                                    <button onClick={() => run(() => acceptInvite(db, appId, user, inv.code))} disabled={busy} className="bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-3 rounded-md transition disabled:opacity-50">Join</button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+                <form onSubmit={e => { e.preventDefault(); run(() => acceptInvite(db, appId, user, code)); }}>
+                    <label className="block text-sm font-medium text-gray-700">Have an invite code?</label>
+                    <div className="flex space-x-2">
+                        <input type="text" value={code} onChange={e => setCode(e.target.value)} placeholder="ABCD2345" className={`${inputClass} uppercase font-mono`} />
+                        <button type="submit" disabled={busy || !code} className="mt-1 bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">Join</button>
+                    </div>
+                </form>
+                <form onSubmit={e => { e.preventDefault(); run(() => createFamily(db, appId, user, familyName)); }} className="border-t pt-6">
+                    <label className="block text-sm font-medium text-gray-700">Or start a new family</label>
+                    <div className="flex space-x-2">
+                        <input type="text" value={familyName} onChange={e => setFamilyName(e.target.value)} placeholder="The Smiths" className={inputClass} />
+                        <button type="submit" disabled={busy} className="mt-1 bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">Create</button>
+                    </div>
+                </form>
+                <div className="border-t pt-6 text-sm text-gray-600">
+                    <p className="mb-2">Upgrading from the single shared workspace? The first person to claim it becomes its owner and can invite everyone else.</p>
+                    <button onClick={() => run(() => createFamily(db, appId, user, familyName || 'Family', LEGACY_FAMILY_ID))} disabled={busy} className="font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50">Claim existing shared data</button>
+                </div>
+                {error && <p className="text-red-500 text-sm text-center">{error}</p>}
+                <button onClick={onSignOut} className="w-full text-sm text-red-600 hover:text-red-700">Sign Out</button>
+            </div>
+        </div>
+    );
+}
+
 // --- Main Application Logic Component ---
-function FinanceTracker({ user, onSignOut }) {
+function FinanceTracker({ user, familyId, onSignOut }) {
     const [db, setDb] = useState(null);
-    const [page, setPage] = useState('dashboard');
+    const [storage, setStorage] = useState(null);
+    const location = useLocation();
+    const navigate = useNavigate();
+    const route = useMemo(() => parseRoute(location.pathname), [location.pathname]);
+    // A transaction's edit dialog stays over the page that opened it
+    const page = route.transactionId ? ((location.state && location.state.from) || 'reports') : (route.page || 'dashboard');
     const [allTransactions, setAllTransactions] = useState([]);
-    const [lastTxnDoc, setLastTxnDoc] = useState(null);
-    const [hasMoreTxns, setHasMoreTxns] = useState(false);
     const [loadingTxns, setLoadingTxns] = useState(false);
+    // How far the Reports pager has read (see withinReach); rows past the boundary aren't shown yet
+    const [txnReach, setTxnReach] = useState({ boundary: null, done: false, direction: 'desc' });
+    const pagerRef = useRef(null);
     const [recurringItems, setRecurringItems] = useState([]);
-    const [displayCurrency, setDisplayCurrency] = useState(localStorage.getItem('lastReportCurrency') || 'USD');
+    const [budgets, setBudgets] = useState([]);
+    const [family, setFamily] = useState(null);
+    const [selectedMembers, setSelectedMembers] = useState([]);
+    // Until the family doc arrives the role is unknown (null), so nothing role-gated is offered
+    const role = family ? memberRole(family, user.uid) : null;
+    const baseCurrency = familyBaseCurrency(family);
+    // Reports show the base currency until another is picked
+    const [chosenDisplayCurrency, setDisplayCurrency] = useState(localStorage.getItem('lastReportCurrency'));
+    const displayCurrency = chosenDisplayCurrency || baseCurrency;
     const [selectedMonths, setSelectedMonths] = useState([]);
     const [selectedCategories, setSelectedCategories] = useState([]);
+    const [selectedType, setSelectedType] = useState('');
+    const [selectedTags, setSelectedTags] = useState([]);
     const [descriptionFilter, setDescriptionFilter] = useState("");
-    const [latestRates, setLatestRates] = useState(null);
+    // A non-empty search looks through the whole history (search.js) instead of the pager's pages
+    const searchQuery = useMemo(() => parseSearchQuery(descriptionFilter), [descriptionFilter]);
+    const searchActive = !isEmptyQuery(searchQuery);
+    const [searchWanted, setSearchWanted] = useState(false);
+    // { index }, replaced on every update so memos see the change; null until the first snapshot
+    const [searchIndex, setSearchIndex] = useState(null);
+    const indexingSearch = searchActive && !searchIndex;
+    // Today's USD-based table as fetched and stored; latestRates is the same relative to the base currency
+    const [latestUsdRates, setLatestUsdRates] = useState(null);
+    const latestRates = useMemo(() => rebaseRates(latestUsdRates, baseCurrency), [latestUsdRates, baseCurrency]);
+    // What currency pickers offer: everything in the rate table
+    const currencies = useMemo(() => currencyList(latestUsdRates, [baseCurrency]), [latestUsdRates, baseCurrency]);
+    // 'transactionDate' converts each transaction with the rates of its own day; 'today' uses latestRates
+    const [rateMode, setRateMode] = useState(localStorage.getItem('lastReportRateMode') || 'transactionDate');
+    // USD-based tables by date, null where none is stored
+    const [historicalRates, setHistoricalRates] = useState({});
+    const [summariesMeta, setSummariesMeta] = useState(null);
+    const [storedCategories, setStoredCategories] = useState([]);
+    const categories = useMemo(() => effectiveCategories(storedCategories), [storedCategories]);
+    const [monthlySummaries, setMonthlySummaries] = useState([]);
+    const [accounts, setAccounts] = useState([]);
+    const [online, setOnline] = useState(isOnline());
+    // Transactions with writes the server hasn't confirmed: tracked ones from this session plus
+    // any the live listener reports (e.g. still queued from before a reload)
+    const [queuedIds, setQueuedIds] = useState([]);
+    const [liveUnsyncedIds, setLiveUnsyncedIds] = useState([]);
+    const [applyUpdate, setApplyUpdate] = useState(null);
+    const [quickAddOpen, setQuickAddOpen] = useState(false);
+    const pendingIds = useMemo(() => new Set([...queuedIds, ...liveUnsyncedIds]), [queuedIds, liveUnsyncedIds]);
+    const [goals, setGoals] = useState([]);
+    const [rules, setRules] = useState([]);
+    const hasMoreTxns = !searchActive && !txnReach.done;
     // Remove page-level blocking spinner; keep only setter for async ops
     const [, setIsLoading] = useState(false);
     const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
     const [showConfirmModal, setShowConfirmModal] = useState({ show: false, id: null, type: '' });
     const [editingTransaction, setEditingTransaction] = useState(null);
+    // { attachments, index } while the attachment viewer is open
+    const [viewingAttachments, setViewingAttachments] = useState(null);
     const [currentPage, setCurrentPage] = useState(1);
     const [initialMonthSet, setInitialMonthSet] = useState(false);
     const [isMenuOpen, setIsMenuOpen] = useState(false);
     const [sortConfig, setSortConfig] = useState({ key: 'transactionDate', direction: 'desc' });
-    // Used to prevent pushState when the page state was just set from a popstate event
-    const suppressPushRef = useRef(false);
+    const reportSearch = useMemo(
+        () => reportFiltersToSearch({ selectedMonths, selectedCategories, selectedType, descriptionFilter, sortConfig, displayCurrency }),
+        [selectedMonths, selectedCategories, selectedType, descriptionFilter, sortConfig, displayCurrency]
+    );
+    // Query string the Reports filters were last synced with, to tell URL changes from filter changes
+    const syncedSearchRef = useRef(null);
     // Persisted category usage (separate for Expense / Income so dashboard frequency works w/out Reports loaded)
     const [categoryUsage, setCategoryUsage] = useState(() => {
         try {
@@ -261,83 +497,72 @@ function FinanceTracker({ user, onSignOut }) {
     const rebuildCategoryUsageFromTransactions = useCallback((txns) => {
         const usage = { Expense: {}, Income: {} };
         txns.forEach(t => {
-            if (!t || !t.type || !t.category) return;
+            if (!t || !t.type || !t.category || isDeleted(t)) return;
             usage[t.type][t.category] = (usage[t.type][t.category] || 0) + 1;
         });
         setCategoryUsage(usage);
     }, []);
 
-    // Helpers for month math
-    const prevYearMonth = (ym) => {
-        const d = new Date(ym + '-01T00:00:00');
-        d.setMonth(d.getMonth() - 1);
-        const y = d.getFullYear();
-        const m = String(d.getMonth() + 1).padStart(2, '0');
-        return `${y}-${m}`;
-    };
-    const currentAndPreviousYM = () => {
-        const now = new Date();
-        const cur = dateToLocalISO(now).slice(0, 7);
-        return { cur, prev: prevYearMonth(cur) };
-    };
-
     useEffect(() => {
         try {
-            if (!getApps().length) {
-                initializeApp(firebaseConfig);
-            }
-            setDb(getFirestore());
+            setDb(getDb());
+            setStorage(getStorageInstance());
         } catch (e) {
             console.warn('Failed to initialize Firestore in FinanceTracker', e);
         }
     }, []);
 
-    // Sync page state with browser URL (simple history integration)
+    // Reports keep their filters in the URL when navigated to from elsewhere
+    const setPage = (target) => navigate(target === 'reports'
+        ? { pathname: PAGE_PATHS.reports, search: reportSearch }
+        : PAGE_PATHS[target]);
+
     useEffect(() => {
-        const syncFromLocation = () => {
-            const p = window.location.pathname || '/';
-            // Indicate that the next page change was triggered by popstate so the push effect should skip pushing.
-            suppressPushRef.current = true;
-            if (p === '/reports') {
-                setPage('reports');
-                // Reset any previous transaction pagination state when navigating directly
-                setAllTransactions([]);
-                setLastTxnDoc(null);
-                setHasMoreTxns(false);
-                setLoadingTxns(false);
-            } else {
-                setPage('dashboard');
-            }
-        };
-        window.addEventListener('popstate', syncFromLocation);
-        // Initial sync from location should not create an extra history entry (we set suppressPushRef to skip the first push)
-        syncFromLocation();
-        return () => window.removeEventListener('popstate', syncFromLocation);
-    }, []);
+        if (!route.page && !route.transactionId) navigate(PAGE_PATHS.dashboard, { replace: true });
+    }, [route, navigate]);
 
-    // Push URL when page changes
+    // Reports filters <-> query string. A URL change (load, back/forward, a shared link) sets the
+    // filters; a filter change replaces the query string so it can be bookmarked.
     useEffect(() => {
-        // If the page change originated from popstate or the initial sync, skip pushing a new history entry.
-        if (suppressPushRef.current) {
-            suppressPushRef.current = false;
+        if (route.page !== 'reports') return;
+        if (location.search !== syncedSearchRef.current) {
+            syncedSearchRef.current = location.search;
+            if (location.search && location.search !== reportSearch) {
+                const filters = reportFiltersFromSearch(location.search);
+                setSelectedMonths(filters.selectedMonths);
+                setSelectedCategories(filters.selectedCategories);
+                setSelectedType(filters.selectedType);
+                setDescriptionFilter(filters.descriptionFilter);
+                if (filters.sortConfig) setSortConfig(filters.sortConfig);
+                if (filters.displayCurrency) setDisplayCurrency(filters.displayCurrency);
+                // The link decides the months, even when it selects none (all months)
+                setInitialMonthSet(true);
+                setCurrentPage(1);
+            }
             return;
         }
-        try {
-            if (page === 'reports') window.history.pushState({}, '', '/reports');
-            else window.history.pushState({}, '', '/');
-        } catch (e) {
-            // ignore
+        if (reportSearch !== location.search) {
+            syncedSearchRef.current = reportSearch;
+            navigate({ search: reportSearch }, { replace: true });
         }
-    }, [page]);
-    
+    }, [route.page, location.search, reportSearch, navigate]);
+
     useEffect(() => {
-        localStorage.setItem('lastReportCurrency', displayCurrency);
-    }, [displayCurrency]);
+        if (chosenDisplayCurrency) localStorage.setItem('lastReportCurrency', chosenDisplayCurrency);
+    }, [chosenDisplayCurrency]);
 
-    const showToast = (message, type = 'success') => {
-        setToast({ show: true, message, type });
-        setTimeout(() => setToast({ show: false, message: '', type }), 4000);
-    };
+    useEffect(() => {
+        localStorage.setItem('lastReportRateMode', rateMode);
+    }, [rateMode]);
+
+    // `action` ({ label, onClick }) adds a button such as Undo; those toasts stay up a little longer
+    const toastTimerRef = useRef(null);
+    // Stable, so the pages it is passed to can list it as a dependency
+    const showToast = useCallback((message, type = 'success', action = null) => {
+        setToast({ show: true, message, type, action });
+        clearTimeout(toastTimerRef.current);
+        toastTimerRef.current = setTimeout(() => setToast({ show: false, message: '', type, action: null }), action ? 8000 : 4000);
+    }, []);
 
     // Recurring items — only when Reports page is active
     useEffect(() => {
@@ -347,15 +572,18 @@ function FinanceTracker({ user, onSignOut }) {
         let unsubscribeRecurring = null;
         let unsubscribeLiveMonths = null;
 
-        // Recurring items are small; only load when on reports page to be safe
-        if (page === 'reports') {
+        // Recurring items are small; only load on the pages that use them
+        if (page === 'reports' || page === 'recurring') {
             console.warn('[Firestore] Attaching recurring listener');
             const recurringQuery = query(collection(db, `artifacts/${appId}/families/${familyId}/recurring`), orderBy('createdAt', 'desc'));
             unsubscribeRecurring = onSnapshot(recurringQuery, (snapshot) => {
                 console.warn('[Firestore] recurring snapshot size=', snapshot.size);
-                const data = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+                const data = snapshot.docs.map(d => ({ id: d.id, ...d.data() })).filter(item => !isDeleted(item));
                 setRecurringItems(data);
             });
+        }
+
+        if (page === 'reports') {
 
             // Live updates for current + previous months
             const { prev } = (function() {
@@ -371,7 +599,9 @@ function FinanceTracker({ user, onSignOut }) {
             const txRef = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
             // Listen to latest N docs; then filter to current+previous months in-memory to avoid Firestore type issues
             const liveQuery = query(txRef, orderBy('transactionDate', 'desc'), limit(500));
-            unsubscribeLiveMonths = onSnapshot(liveQuery, (snapshot) => {
+            // Metadata changes too, so a queued write's pending marker clears once the server has it
+            unsubscribeLiveMonths = onSnapshot(liveQuery, { includeMetadataChanges: true }, (snapshot) => {
+                setLiveUnsyncedIds(snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id));
                 const live = snapshot.docs.map(d => {
                     const docData = d.data();
                     docData.transactionDate = coerceTransactionDate(docData.transactionDate);
@@ -390,177 +620,183 @@ function FinanceTracker({ user, onSignOut }) {
             if (unsubscribeRecurring) unsubscribeRecurring();
             if (unsubscribeLiveMonths) unsubscribeLiveMonths();
         };
-    }, [db, page]);
+    }, [db, familyId, page]);
 
-    // Reports transactions: load only when page === 'reports' using explicit pagination (no real-time listener)
-    // Reports transactions: initial load includes current month + previous month
-    const fetchInitialTransactions = useCallback(async () => {
+    useEffect(() => {
         if (!db) return;
-        setLoadingTxns(true);
-        try {
-            const ref = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
-            const { prev } = currentAndPreviousYM();
-            let lastDoc = null;
-            let accum = [];
-            let crossedBoundary = false;
-            while (true) {
-                const q = lastDoc
-                    ? query(ref, orderBy('transactionDate', 'desc'), startAfter(lastDoc), limit(TRANSACTIONS_PER_PAGE))
-                    : query(ref, orderBy('transactionDate', 'desc'), limit(TRANSACTIONS_PER_PAGE));
-                const snap = await getDocs(q);
-                if (snap.empty) { setHasMoreTxns(false); break; }
-                console.warn('[Firestore] initial batch size=', snap.size);
-                const mapped = snap.docs.map(d => {
-                    const docData = d.data();
-                    docData.transactionDate = coerceTransactionDate(docData.transactionDate);
-                    const { id: _ignored, ...rest } = docData;
-                    return { __doc: d, ...rest, id: d.id };
-                });
-                // Keep current and previous months only
-                const kept = mapped.filter(x => getYearMonthLocal(x.transactionDate) >= prev);
-                accum = accum.concat(kept.map(({ __doc, ...rest }) => rest));
-                lastDoc = snap.docs[snap.docs.length - 1];
-                const lastMapped = mapped[mapped.length - 1];
-                if (lastMapped && getYearMonthLocal(lastMapped.transactionDate) < prev) {
-                    crossedBoundary = true;
-                }
-                if (crossedBoundary) { setHasMoreTxns(true); break; }
-                if (snap.size < TRANSACTIONS_PER_PAGE) { setHasMoreTxns(false); break; }
-            }
-            setAllTransactions(accum);
-            setLastTxnDoc(lastDoc);
-        // Rebuild usage from the two months we have so far if we have more info than current cache
-        rebuildCategoryUsageFromTransactions(accum);
-        } finally {
-            setLoadingTxns(false);
-        }
-    }, [db, rebuildCategoryUsageFromTransactions]);
+        return subscribeFamily(db, appId, familyId, setFamily, (e) => console.warn('[Families] family listener failed', e));
+    }, [db, familyId]);
 
-    // Load one older month
-    const fetchMoreTransactions = useCallback(async () => {
-        if (!db || !lastTxnDoc || !hasMoreTxns) return;
-        setLoadingTxns(true);
+    useEffect(() => {
+        if (!db) return;
+        return subscribeCategories(db, appId, familyId, setStoredCategories, (e) => console.warn('[Categories] listener failed', e));
+    }, [db, familyId]);
+
+    useEffect(() => {
+        if (!db) return;
+        return subscribeAccounts(db, appId, familyId, setAccounts, (e) => console.warn('[Accounts] listener failed', e));
+    }, [db, familyId]);
+
+    useEffect(() => {
+        if (searchActive) setSearchWanted(true);
+    }, [searchActive]);
+
+    // The search index reads every transaction once, so it starts on the first search and then
+    // stays live for the session; after that only changed documents are read
+    useEffect(() => {
+        if (!db || !searchWanted) return;
+        const unsubscribe = subscribeSearchIndex(db, appId, familyId, index => setSearchIndex({ index }), (e) => console.warn('[Search] listener failed', e));
+        return () => {
+            unsubscribe();
+            setSearchIndex(null);
+        };
+    }, [db, familyId, searchWanted]);
+
+    const searchIndexInstance = searchIndex && searchIndex.index;
+    const accountNames = useMemo(() => Object.fromEntries(accounts.map(a => [a.id, a.name])), [accounts]);
+    useEffect(() => {
+        if (!searchIndexInstance) return;
+        searchIndexInstance.setAccountNames(accountNames);
+        setSearchIndex(prev => prev && { ...prev });
+    }, [searchIndexInstance, accountNames]);
+
+    useEffect(() => {
+        if (!db) return;
+        return subscribeGoals(db, appId, familyId, setGoals, (e) => console.warn('[Goals] listener failed', e));
+    }, [db, familyId]);
+
+    useEffect(() => {
+        if (!db) return;
+        return subscribeRules(db, appId, familyId, setRules, (e) => console.warn('[Rules] listener failed', e));
+    }, [db, familyId]);
+
+    // Whether monthlySummaries has been built decides if writes maintain it and Reports read it
+    useEffect(() => {
+        if (!db) return;
+        return subscribeSummariesMeta(db, appId, familyId, setSummariesMeta, (e) => console.warn('[Summaries] meta listener failed', e));
+    }, [db, familyId]);
+
+    useEffect(() => {
+        if (!db || (page !== 'reports' && page !== 'accounts') || !summariesMeta) return;
+        return subscribeMonthlySummaries(db, appId, familyId, setMonthlySummaries, (e) => console.warn('[Summaries] listener failed', e));
+    }, [db, familyId, page, summariesMeta]);
+
+    // Summary upkeep never fails the write it belongs to; a rebuild repairs any drift
+    const syncSummaries = useCallback((added = [], removed = []) => {
+        if (!summariesMeta) return Promise.resolve();
+        return updateMonthlySummaries(db, appId, familyId, added, removed)
+            .catch(e => console.warn('[Summaries] update failed', e));
+    }, [db, familyId, summariesMeta]);
+
+    const rebuildSummaries = useCallback(async (force = false) => {
+        if (!summariesMeta && !force) return;
         try {
-            // Find oldest loaded month, then target its previous month
-            const oldestLoadedMonth = (allTransactions.length > 0)
-                ? allTransactions.reduce((min, t) => {
-                    const m = getYearMonthLocal(t.transactionDate);
-                    return min === null || m < min ? m : min;
-                }, null)
-                : null;
-            if (!oldestLoadedMonth) { setLoadingTxns(false); return; }
-            const targetMonth = prevYearMonth(oldestLoadedMonth);
-
-            const ref = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
-            let localLast = lastTxnDoc;
-            let append = [];
-            let done = false;
-            while (!done) {
-                const q = localLast
-                    ? query(ref, orderBy('transactionDate', 'desc'), startAfter(localLast), limit(TRANSACTIONS_PER_PAGE))
-                    : query(ref, orderBy('transactionDate', 'desc'), limit(TRANSACTIONS_PER_PAGE));
-                const snap = await getDocs(q);
-                if (snap.empty) { setHasMoreTxns(false); break; }
-                const mapped = snap.docs.map(d => {
-                    const docData = d.data();
-                    docData.transactionDate = coerceTransactionDate(docData.transactionDate);
-                    const { id: _ignored, ...rest } = docData;
-                    return { __doc: d, ...rest, id: d.id };
-                });
-                const kept = mapped.filter(x => getYearMonthLocal(x.transactionDate) === targetMonth);
-                append = append.concat(kept.map(({ __doc, ...rest }) => rest));
-                localLast = snap.docs[snap.docs.length - 1];
-                const lastMapped = mapped[mapped.length - 1];
-                const lastMonth = lastMapped ? getYearMonthLocal(lastMapped.transactionDate) : null;
-                if (!lastMonth || lastMonth < targetMonth || snap.size < TRANSACTIONS_PER_PAGE) {
-                    done = true;
-                    setHasMoreTxns(!!lastMonth && lastMonth <= targetMonth && snap.size === TRANSACTIONS_PER_PAGE);
-                }
-            }
-            setAllTransactions(prev => [...prev, ...append]);
-            setLastTxnDoc(localLast || lastTxnDoc);
-        // Extend usage with the newly appended month
-        rebuildCategoryUsageFromTransactions([...allTransactions, ...append]);
-        } finally {
-            setLoadingTxns(false);
+            const months = await rebuildMonthlySummaries(db, appId, familyId);
+            if (force) showToast(`Monthly summaries built for ${months} month(s).`);
+        } catch (e) {
+            showToast(`Failed to build monthly summaries: ${e.message}`, 'error');
         }
-    }, [db, lastTxnDoc, hasMoreTxns, allTransactions, rebuildCategoryUsageFromTransactions]);
+    }, [db, familyId, summariesMeta, showToast]);
 
-    // Load all remaining
-    const fetchAllTransactions = useCallback(async () => {
+    // Budgets are a handful of docs and are needed on every page for overspend alerts
+    useEffect(() => {
         if (!db) return;
+        const budgetsRef = collection(db, `artifacts/${appId}/families/${familyId}/budgets`);
+        return onSnapshot(budgetsRef, (snapshot) => {
+            setBudgets(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        });
+    }, [db, familyId]);
+
+    // Reports read only what the filters select (see transactionQueries.js), one list page at a
+    // time. Loaded rows join allTransactions, which the filters below then narrow down again.
+    const loadTransactionPages = useCallback(async (pager = pagerRef.current, all = false) => {
+        if (!pager) return;
         setLoadingTxns(true);
         try {
-            const ref = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
-            let localLast = lastTxnDoc;
-            let accum = [];
-            while (true) {
-                const q = localLast
-                    ? query(ref, orderBy('transactionDate', 'desc'), startAfter(localLast), limit(TRANSACTIONS_PER_PAGE))
-                    : query(ref, orderBy('transactionDate', 'desc'), limit(TRANSACTIONS_PER_PAGE));
-                const snap = await getDocs(q);
-                if (snap.empty) { setHasMoreTxns(false); break; }
-                const mapped = snap.docs.map(d => {
-                    const docData = d.data();
-                    docData.transactionDate = coerceTransactionDate(docData.transactionDate);
-                    const { id: _ignored, ...rest } = docData;
-                    return { ...rest, id: d.id };
-                });
-                accum = accum.concat(mapped);
-                localLast = snap.docs[snap.docs.length - 1];
-                if (snap.size < TRANSACTIONS_PER_PAGE) { setHasMoreTxns(false); break; }
-            }
-            setAllTransactions(prev => [...prev, ...accum]);
-            setLastTxnDoc(localLast || lastTxnDoc);
-        // Full rebuild for entire dataset loaded
-        rebuildCategoryUsageFromTransactions([...allTransactions, ...accum]);
+            let result;
+            do {
+                result = await pager.loadPage(t => matchesLocalFiltersRef.current(t));
+                // Filters changed while this page was loading
+                if (pagerRef.current !== pager) return;
+                const loaded = result.transactions;
+                const ids = new Set(loaded.map(t => t.id));
+                setAllTransactions(prev => [...prev.filter(t => !ids.has(t.id)), ...loaded]);
+                setTxnReach({ boundary: result.boundary, done: result.done, direction: pager.filters.direction });
+            } while (all && !result.done);
+            // Category usage follows what the family actually uses, so only unfiltered reads count
+            if (pager.filters.categories.length === 0 && !pager.filters.type) rebuildCategoryUsageFromTransactions(pager.loaded);
+        } catch (e) {
+            showToast(`Failed to load transactions: ${e.message}`, 'error');
         } finally {
-            setLoadingTxns(false);
+            if (pagerRef.current === pager) setLoadingTxns(false);
         }
-    }, [db, lastTxnDoc, allTransactions, rebuildCategoryUsageFromTransactions]);
+    }, [rebuildCategoryUsageFromTransactions, showToast]);
+
+    useEffect(() => subscribeConnectivity(setOnline), []);
+    // Functions go into state through an updater so React doesn't call them
+    useEffect(() => subscribeToUpdates(apply => setApplyUpdate(() => apply)), []);
 
-    // Trigger initial fetch when entering Reports
     useEffect(() => {
-        if (!db) return;
-        if (page === 'reports' && allTransactions.length === 0 && !loadingTxns) {
-            fetchInitialTransactions();
-        }
-    }, [db, page, fetchInitialTransactions, loadingTxns, allTransactions.length]);
+        if (!quickAddRequested) return;
+        quickAddRequested = false;
+        setQuickAddOpen(true);
+        navigate({ search: '' }, { replace: true });
+    }, [navigate]);
+    useEffect(() => subscribePendingWrites(setQueuedIds), []);
 
     useEffect(() => {
         const manageRateCache = async () => {
-            const cacheKey = 'exchangeRatesCache';
-            const cachedData = localStorage.getItem(cacheKey);
+            const cached = readCachedLatestRates();
             const today = new Date().toISOString().split('T')[0];
-            if (cachedData) {
-                const { date, rates } = JSON.parse(cachedData);
-                if (date === today) { setLatestRates(rates); return; }
-            }
+            if (cached && (cached.date === today || !isOnline())) { setLatestUsdRates(cached.rates); return; }
             try {
-                const url = `https://v6.exchangerate-api.com/v6/${EXCHANGE_RATE_API_KEY}/latest/USD`;
+                const url = `https://v6.exchangerate-api.com/v6/${EXCHANGE_RATE_API_KEY}/latest/${RATES_BASE_CURRENCY}`;
                 const response = await fetch(url);
                 const data = await response.json();
                 if (data.result === 'success') {
-                    const newCache = { date: today, rates: data.conversion_rates };
-                    localStorage.setItem(cacheKey, JSON.stringify(newCache));
-                    setLatestRates(data.conversion_rates);
+                    writeCachedLatestRates(today, data.conversion_rates);
+                    setLatestUsdRates(data.conversion_rates);
                 } else { throw new Error(data['error-type'] || "API Error"); }
             } catch (e) {
-                showToast(`Could not update daily rates: ${e.message}`, 'error');
-                if (cachedData) setLatestRates(JSON.parse(cachedData).rates);
+                // Losing the connection isn't worth an error; yesterday's rates will do until it's back
+                if (isOnline()) showToast(`Could not update daily rates: ${e.message}`, 'error');
+                if (cached) setLatestUsdRates(cached.rates);
             }
         };
         manageRateCache();
-    }, []);
+    }, [showToast]);
+
+    // USD-based rate table for a transaction date; falls back to today's rates when the history
+    // has nothing. Offline it goes straight to the last cached daily table rather than waiting on the network.
+    const resolveUsdRates = useCallback(async (date) => {
+        const cached = !isOnline() && readCachedLatestRates();
+        if (cached) return cached;
+        try {
+            return await getRatesForDate(db, appId, date, rateProvider);
+        } catch (e) {
+            if (!latestUsdRates) throw e;
+            console.warn(`[Rates] using today's rates for ${date}:`, e.message);
+            return { date: dateToLocalISO(new Date()), rates: latestUsdRates };
+        }
+    }, [db, latestUsdRates]);
+
+    // What write paths convert with: { date, rates, baseCurrency }, rates relative to baseCurrency
+    const resolveRates = useCallback(async (date) => {
+        const resolved = await resolveUsdRates(date);
+        const rates = rebaseRates(resolved.rates, baseCurrency);
+        if (!rates) throw new Error(`The exchange rates for ${resolved.date} have no ${baseCurrency}.`);
+        return { date: resolved.date, rates, baseCurrency };
+    }, [resolveUsdRates, baseCurrency]);
 
     // Always get year and month in Hungary timezone
     // For date string YYYY-MM-DD, just return YYYY-MM
     const getYearMonthLocal = (dateStr) => dateStr.slice(0, 7);
 
     const availableMonths = useMemo(() => {
-        const months = new Set(allTransactions.map(t => getYearMonthLocal(t.transactionDate)));
+        const months = new Set(allTransactions.filter(t => !isDeleted(t)).map(t => getYearMonthLocal(t.transactionDate)));
+        monthlySummaries.forEach(s => { if (s.count > 0) months.add(s.month); });
         return Array.from(months).sort().reverse();
-    }, [allTransactions]);
+    }, [allTransactions, monthlySummaries]);
 
     useEffect(() => {
         if (availableMonths.length > 0 && !initialMonthSet) {
@@ -569,20 +805,63 @@ function FinanceTracker({ user, onSignOut }) {
         }
     }, [availableMonths, initialMonthSet]);
 
+    // Amount of a transaction in any currency, honouring the selected rate mode
+    const convertTransaction = useCallback((t, currency) => {
+        if (t.originalCurrency === currency) return t.originalAmount;
+        const rates = (rateMode === 'transactionDate' && rebaseRates(historicalRates[t.transactionDate], baseCurrency)) || latestRates;
+        return convertFromBase(t.amountInBaseCurrency, currency, rates);
+    }, [rateMode, historicalRates, latestRates, baseCurrency]);
+
+    const getDisplayAmount = useCallback((t) => convertTransaction(t, displayCurrency), [convertTransaction, displayCurrency]);
+
+    // Filters Firestore can't apply; the pager counts only rows passing them towards a page
+    const matchesLocalFilters = useCallback((t) => (
+        (selectedTags.length === 0 || hasAnyTag(t, selectedTags))
+        && (selectedMembers.length === 0 || selectedMembers.includes(t.createdBy))
+    ), [selectedTags, selectedMembers]);
+    const matchesLocalFiltersRef = useRef(matchesLocalFilters);
+    matchesLocalFiltersRef.current = matchesLocalFilters;
+
+    // What the Reports queries are built from. Selecting every category is no category filter.
+    const allCategoriesSelected = categories.every(c => selectedCategories.includes(c.name));
+    const queryDirection = sortConfig.key === 'transactionDate' ? sortConfig.direction : 'desc';
+    const queryFilters = useMemo(() => ({
+        months: selectedMonths,
+        categories: allCategoriesSelected ? [] : selectedCategories,
+        type: selectedType,
+        direction: queryDirection,
+    }), [selectedMonths, selectedCategories, allCategoriesSelected, selectedType, queryDirection]);
+
+    // A new pager whenever the query filters change; coming back to Reports keeps the current one
+    useEffect(() => {
+        if (!db || page !== 'reports') return;
+        if (pagerRef.current && pagerRef.current.filters === queryFilters) return;
+        const pager = createTransactionPager(db, appId, familyId, queryFilters, TRANSACTIONS_PER_PAGE);
+        pagerRef.current = pager;
+        setTxnReach({ boundary: null, done: false, direction: queryFilters.direction });
+        loadTransactionPages(pager);
+    }, [db, familyId, page, queryFilters, loadTransactionPages]);
+
     const filteredTransactions = useMemo(() => {
-        let transactions = [...allTransactions]; // Create a mutable copy
+        // Trashed items never show up in reports, nor rows the pager hasn't reached yet. A search
+        // draws from the index instead, which holds every live transaction.
+        let transactions = searchActive
+            ? (searchIndex ? searchIndex.index.search(searchQuery) : [])
+            : allTransactions.filter(t => !isDeleted(t) && withinReach(t, txnReach));
 
         if (selectedMonths.length > 0) {
             transactions = transactions.filter(t => selectedMonths.includes(getYearMonthLocal(t.transactionDate)));
         }
 
         if (selectedCategories.length > 0) {
-            transactions = transactions.filter(t => selectedCategories.includes(t.category));
+            transactions = transactions.filter(t => hasCategory(t, selectedCategories));
         }
-        
-        if (descriptionFilter) {
-            transactions = transactions.filter(t => t.description.toLowerCase().includes(descriptionFilter.toLowerCase()));
+
+        if (selectedType) {
+            transactions = transactions.filter(t => t.type === selectedType);
         }
+
+        transactions = transactions.filter(matchesLocalFilters);
         
         // Sorting logic
         transactions.sort((a, b) => {
@@ -590,11 +869,8 @@ function FinanceTracker({ user, onSignOut }) {
             let bValue = b[sortConfig.key];
 
             if(sortConfig.key === 'amountInBaseCurrency') {
-                 if (a.originalCurrency === displayCurrency) aValue = a.originalAmount;
-                 else aValue = a.amountInBaseCurrency * (latestRates ? latestRates[displayCurrency] || 1 : 1);
-                 
-                 if (b.originalCurrency === displayCurrency) bValue = b.originalAmount;
-                 else bValue = b.amountInBaseCurrency * (latestRates ? latestRates[displayCurrency] || 1 : 1);
+                 aValue = getDisplayAmount(a);
+                 bValue = getDisplayAmount(b);
             }
 
             if (aValue < bValue) {
@@ -607,8 +883,34 @@ function FinanceTracker({ user, onSignOut }) {
         });
 
         return transactions;
-    }, [allTransactions, selectedMonths, selectedCategories, descriptionFilter, sortConfig, displayCurrency, latestRates]);
+    }, [allTransactions, txnReach, searchActive, searchIndex, searchQuery, selectedMonths, selectedCategories, selectedType, matchesLocalFilters, sortConfig, getDisplayAmount]);
+
+    // Tags used on loaded transactions, most used first; feeds autocomplete and the tag filter
+    const knownTags = useMemo(() => tagCounts(allTransactions.filter(t => !isDeleted(t))).map(e => e.tag), [allTransactions]);
     
+    // Load stored rate tables for the dates being reported on. Unresolvable dates are kept as null
+    // so they are not requested again; getDisplayAmount falls back to today's rates for them.
+    useEffect(() => {
+        if (!db || rateMode !== 'transactionDate') return;
+        const today = dateToLocalISO(new Date());
+        const dates = [
+            ...filteredTransactions.map(t => t.transactionDate),
+            ...monthlySummaries.map(s => monthRateDate(s.month, today)),
+        ];
+        const missing = Array.from(new Set(dates)).filter(d => !(d in historicalRates));
+        if (missing.length === 0) return;
+        let cancelled = false;
+        getStoredRatesForDates(db, appId, missing).then(found => {
+            if (cancelled) return;
+            setHistoricalRates(prev => {
+                const next = { ...prev };
+                missing.forEach(d => { next[d] = found[d] || null; });
+                return next;
+            });
+        });
+        return () => { cancelled = true; };
+    }, [db, rateMode, filteredTransactions, monthlySummaries, historicalRates]);
+
     const paginatedTransactions = useMemo(() => {
         const startIndex = (currentPage - 1) * TRANSACTIONS_PER_PAGE;
         const endIndex = startIndex + TRANSACTIONS_PER_PAGE;
@@ -617,56 +919,295 @@ function FinanceTracker({ user, onSignOut }) {
 
     useEffect(() => {
         setCurrentPage(1);
-    }, [selectedMonths, selectedCategories, descriptionFilter]);
+    }, [selectedMonths, selectedCategories, selectedType, selectedTags, descriptionFilter, selectedMembers]);
+
+    // One page beyond what's loaded while the pager has more; moving onto it loads it
+    const totalPages = Math.ceil(filteredTransactions.length / TRANSACTIONS_PER_PAGE) + (hasMoreTxns ? 1 : 0);
+
+    const goToNextPage = async () => {
+        if ((currentPage + 1) * TRANSACTIONS_PER_PAGE > filteredTransactions.length && hasMoreTxns) await loadTransactionPages();
+        setCurrentPage(p => p + 1);
+    };
 
-    const totalPages = Math.ceil(filteredTransactions.length / TRANSACTIONS_PER_PAGE);
+    // The last page can turn out empty once the pager finds nothing more
+    useEffect(() => {
+        if (currentPage > Math.max(totalPages, 1)) setCurrentPage(Math.max(totalPages, 1));
+    }, [currentPage, totalPages]);
+
+    const fetchTransactionsInRange = useCallback(
+        (fromDate, toDate) => queryTransactionsInRange(db, appId, familyId, fromDate, toDate),
+        [db, familyId]
+    );
+
+    // Warn when a newly saved expense pushes one of its categories past 80% / 100% of the month's budget
+    const checkBudgetAlert = useCallback(async (txn) => {
+        if (txn.type !== 'Expense' || isGoalContribution(txn)) return;
+        const month = txn.transactionDate.slice(0, 7);
+        for (const line of transactionLines(txn)) {
+            const budget = budgets.find(b => b.category === line.category);
+            if (!budget || (budget.startMonth && budget.startMonth > month)) continue;
+            const fromMonth = budget.rollover && budget.startMonth ? budget.startMonth : month;
+            const monthTxns = await fetchTransactionsInRange(`${fromMonth}-01`, `${month}-31`);
+            const [status] = computeBudgetStatus([budget], monthTxns, month, convertTransaction);
+            if (!status) continue;
+            const before = status.spent - convertTransaction(txn, budget.currency) * line.share;
+            const crossed = budgetThresholdCrossed(before, status.spent, status.available);
+            if (crossed === 'over') {
+                showToast(`${line.category} is over budget: ${Math.round(status.percent)}% of this month's limit spent.`, 'error');
+                return;
+            } else if (crossed === 'warning') {
+                showToast(`${line.category} has used ${Math.round(status.percent)}% of this month's budget.`, 'warning');
+                return;
+            }
+        }
+    }, [budgets, fetchTransactionsInRange, convertTransaction, showToast]);
+
+    // Transaction writes go through the offline queue so they don't hang without a connection;
+    // resolves to true when the write is only queued locally so far
+    const writeTransaction = useCallback(async (id, write) => {
+        const { queued } = await queueWrite(write, id, (e) => showToast(`A change made offline could not be saved: ${e.message}`, 'error'));
+        return queued;
+    }, [showToast]);
+
+    // Unlike Firestore writes, uploads can't be queued offline
+    const uploadFiles = useCallback(async (transactionId, files) => {
+        if (files.length === 0) return [];
+        if (!storage) throw new Error('Attachments are not available yet, please try again.');
+        if (!isOnline()) throw new Error("Attachments can't be uploaded while offline. Save without them and attach them later.");
+        return uploadAttachments(storage, appId, familyId, transactionId, files, user.uid);
+    }, [storage, familyId, user.uid]);
 
-    const addTransaction = useCallback(async (data) => {
-        if (!db || !latestRates) { showToast("Data not ready, please try again.", "error"); return; }
+    // keepCategory: the category was picked by hand, so rules only fill in tags and description
+    const addTransaction = useCallback(async (entered, { keepCategory = false, files = [] } = {}) => {
+        if (!db) { showToast("Data not ready, please try again.", "error"); return; }
         setIsLoading(true);
         try {
+            const { changes, ruleNames } = evaluateRules(rules, entered, { keepCategory, categories });
+            const data = { ...entered, ...changes };
             const { originalAmount, originalCurrency } = data;
-            const rate = latestRates[originalCurrency] || 1;
-            const amountInBase = originalAmount / rate;
-            const collectionPath = `artifacts/${appId}/families/${familyId}/transactions`;
             // Store transactionDate as string YYYY-MM-DD
             const txDate = normalizeDateInput(data.transactionDate);
-            await addDoc(collection(db, collectionPath), { ...data, originalAmount: parseFloat(originalAmount), transactionDate: txDate, baseCurrency: 'USD', exchangeRateToBase: rate, amountInBaseCurrency: parseFloat(amountInBase), createdAt: Date.now() });
+            const { date: rateDate, rates, baseCurrency: base } = await resolveRates(txDate);
+            const rate = rateFor(rates, originalCurrency, rateDate);
+            const amountInBase = originalAmount / rate;
+            const collectionPath = `artifacts/${appId}/families/${familyId}/transactions`;
+            const newTransaction = { ...data, originalAmount: parseFloat(originalAmount), transactionDate: txDate, baseCurrency: base, exchangeRateToBase: rate, exchangeRateDate: rateDate, amountInBaseCurrency: parseFloat(amountInBase), createdAt: Date.now(), createdBy: user.uid, updatedBy: user.uid };
+            const ref = doc(collection(db, collectionPath));
+            const attachments = await uploadFiles(ref.id, files);
+            if (attachments.length > 0) newTransaction.attachments = attachments;
+            const queued = await writeTransaction(ref.id, setDoc(ref, newTransaction));
+            syncSummaries([newTransaction]);
         incrementCategoryUsage(data.type, data.category);
-            showToast(`${data.type} added successfully!`);
+            const byRules = ruleNames.length > 0 ? ` Rules applied: ${ruleNames.join(', ')}.` : '';
+            showToast(queued ? `${data.type} saved on this device; it will sync when you're back online.${byRules}` : `${data.type} added successfully!${byRules}`);
+            checkBudgetAlert(newTransaction).catch(e => console.warn('[Budgets] alert check failed', e));
         } catch (e) { showToast(`Failed to add transaction: ${e.message}`, 'error'); } finally { setIsLoading(false); }
-    }, [db, latestRates, incrementCategoryUsage]);
+    }, [db, familyId, rules, categories, resolveRates, uploadFiles, writeTransaction, incrementCategoryUsage, checkBudgetAlert, syncSummaries, user.uid, showToast]);
+
+    // Transfers move money between two accounts and are neither income nor expense. The amount
+    // is in the source account's currency; toAmount, when given, is what arrived on the other side.
+    const addTransfer = useCallback(async ({ accountId, toAccountId, originalAmount, toAmount, transactionDate, description }) => {
+        const from = accounts.find(a => a.id === accountId);
+        const to = accounts.find(a => a.id === toAccountId);
+        if (!db || !from || !to) { showToast("Data not ready, please try again.", "error"); return; }
+        setIsLoading(true);
+        try {
+            const txDate = normalizeDateInput(transactionDate);
+            const { date: rateDate, rates, baseCurrency: base } = await resolveRates(txDate);
+            const rate = rateFor(rates, from.currency, rateDate);
+            const toRate = rateFor(rates, to.currency, rateDate);
+            const received = from.currency === to.currency
+                ? originalAmount
+                : (toAmount || roundMoney(originalAmount / rate * toRate, to.currency));
+            const transfer = {
+                type: TRANSFER_TYPE, category: null, description, tags: [],
+                accountId, toAccountId, transactionDate: txDate,
+                originalAmount, originalCurrency: from.currency, baseCurrency: base, exchangeRateToBase: rate, exchangeRateDate: rateDate, amountInBaseCurrency: originalAmount / rate,
+                toAmount: received, toCurrency: to.currency, toAmountInBaseCurrency: received / toRate,
+                createdAt: Date.now(), createdBy: user.uid, updatedBy: user.uid,
+            };
+            const ref = doc(collection(db, `artifacts/${appId}/families/${familyId}/transactions`));
+            const queued = await writeTransaction(ref.id, setDoc(ref, transfer));
+            syncSummaries([transfer]);
+            showToast(queued ? `Transfer saved on this device; it will sync when you're back online.` : `Transferred from ${from.name} to ${to.name}.`);
+        } catch (e) { showToast(`Transfer failed: ${e.message}`, 'error'); } finally { setIsLoading(false); }
+    }, [db, familyId, accounts, resolveRates, writeTransaction, syncSummaries, user.uid, showToast]);
+
+    // Opening a transaction goes through its URL so the dialog can be linked to and reloaded
+    const openTransaction = useCallback((t) => {
+        navigate(transactionPath(t.id), { state: { from: page } });
+    }, [navigate, page]);
 
-    const updateTransaction = useCallback(async (updatedData) => {
-        if (!db || !editingTransaction || !latestRates) { showToast("Data not ready, please try again.", "error"); return; }
+    // Back to the page underneath, or to Reports when the dialog was opened from a link
+    const closeTransaction = useCallback(() => {
+        if (location.state && location.state.from) navigate(-1);
+        else navigate(PAGE_PATHS.reports, { replace: true });
+    }, [navigate, location.state]);
+
+    // Read through a ref: the dialog opens again only for a different transaction, not every time
+    // the loaded list changes
+    const allTransactionsRef = useRef(allTransactions);
+    allTransactionsRef.current = allTransactions;
+
+    useEffect(() => {
+        if (!route.transactionId) { setEditingTransaction(null); return; }
+        // Wait for the role before deciding whether the link may open the dialog
+        if (!db || !role) return;
+        // The dialog only edits; a viewer following a link stays on the page underneath
+        if (!can(role, 'writeTransactions')) {
+            showToast("Viewers can't edit transactions.", 'error');
+            closeTransaction();
+            return;
+        }
+        const loaded = allTransactionsRef.current.find(t => t.id === route.transactionId);
+        if (loaded) { setEditingTransaction(loaded); return; }
+        let cancelled = false;
+        getDoc(doc(db, `artifacts/${appId}/families/${familyId}/transactions`, route.transactionId))
+            .then(snap => {
+                if (cancelled) return;
+                const data = snap.exists() ? snap.data() : null;
+                if (!data || isDeleted(data) || isTransfer(data)) {
+                    showToast("That transaction doesn't exist or can't be edited.", 'error');
+                    closeTransaction();
+                    return;
+                }
+                setEditingTransaction({ ...data, id: snap.id, transactionDate: coerceTransactionDate(data.transactionDate) });
+            })
+            .catch(e => { if (!cancelled) showToast(`Could not open the transaction: ${e.message}`, 'error'); });
+        return () => { cancelled = true; };
+    }, [db, familyId, role, route.transactionId, closeTransaction, showToast]);
+
+    // files are new uploads; removedAttachments were listed before and are deleted once saved
+    const updateTransaction = useCallback(async (updatedData, { files = [], removedAttachments = [] } = {}) => {
+        if (!db || !editingTransaction) { showToast("Data not ready, please try again.", "error"); return; }
         setIsLoading(true);
         try {
             const docRef = doc(db, `artifacts/${appId}/families/${familyId}/transactions`, editingTransaction.id);
             const { originalAmount, originalCurrency } = updatedData;
-            const rate = latestRates[originalCurrency] || 1;
-            const amountInBase = originalAmount / rate;
             // Store transactionDate as string YYYY-MM-DD
             const txDate = normalizeDateInput(updatedData.transactionDate);
-            const payload = { ...updatedData, originalAmount: parseFloat(originalAmount), transactionDate: txDate, baseCurrency: 'USD', exchangeRateToBase: rate, amountInBaseCurrency: parseFloat(amountInBase) };
-            await updateDoc(docRef, payload);
+            const { date: rateDate, rates, baseCurrency: base } = await resolveRates(txDate);
+            const rate = rateFor(rates, originalCurrency, rateDate);
+            const amountInBase = originalAmount / rate;
+            const uploaded = await uploadFiles(editingTransaction.id, files);
+            const attachments = [...transactionAttachments(updatedData), ...uploaded];
+            const payload = { ...updatedData, attachments, originalAmount: parseFloat(originalAmount), transactionDate: txDate, baseCurrency: base, exchangeRateToBase: rate, exchangeRateDate: rateDate, amountInBaseCurrency: parseFloat(amountInBase), updatedBy: user.uid, updatedAt: Date.now() };
+            const queued = await writeTransaction(editingTransaction.id, updateDoc(docRef, payload));
+            if (removedAttachments.length > 0) await deleteAttachmentFiles(storage, removedAttachments);
+            syncSummaries([{ ...editingTransaction, ...payload }], [editingTransaction]);
         incrementCategoryUsage(updatedData.type, updatedData.category);
-            showToast("Transaction updated!");
-            setEditingTransaction(null);
+            showToast(queued ? "Change saved on this device; it will sync when you're back online." : "Transaction updated!");
+            closeTransaction();
         } catch (e) { showToast(`Update failed: ${e.message}`, 'error'); } finally { setIsLoading(false); }
-    }, [db, editingTransaction, latestRates, incrementCategoryUsage]);
+    }, [db, storage, familyId, editingTransaction, resolveRates, uploadFiles, writeTransaction, incrementCategoryUsage, syncSummaries, closeTransaction, user.uid, showToast]);
+
+    // Renames and merges rewrite stored transactions; mirror that into what's loaded and filtered
+    const handleCategoryRenamed = useCallback(async (from, to) => {
+        setAllTransactions(prev => prev.map(t => {
+            if (isSplit(t)) return hasCategory(t, [from]) ? { ...t, ...renameSplitCategory(t, from, to) } : t;
+            return t.category === from ? { ...t, category: to } : t;
+        }));
+        setSelectedCategories(prev => Array.from(new Set(prev.map(c => (c === from ? to : c)))));
+        await rebuildSummaries();
+    }, [rebuildSummaries]);
+
+    // Rules run over existing transactions: mirror the edits like a rename does
+    const handleRulesApplied = useCallback(async (entries) => {
+        const changesById = new Map(entries.map(e => [e.transaction.id, e.changes]));
+        setAllTransactions(prev => prev.map(t => (changesById.has(t.id) ? { ...t, ...changesById.get(t.id) } : t)));
+        await rebuildSummaries();
+    }, [rebuildSummaries]);
+
+    // Re-based amounts only reach the loaded Reports pages by reading them again
+    const handleRebased = useCallback(async () => {
+        pagerRef.current = null;
+        setAllTransactions([]);
+        await rebuildSummaries();
+    }, [rebuildSummaries]);
 
     const requestDelete = (id, type) => setShowConfirmModal({ show: true, id, type });
     
+    // Older report months aren't live-updated, so mirror trash/restore into local state as well
+    const markLocallyDeleted = useCallback((id, deletedAt) => {
+        setAllTransactions(prev => prev.map(t => (t.id === id ? { ...t, deletedAt } : t)));
+    }, []);
+
+    // The saved transaction `t` looks like a copy of ({ transaction, match }), or null. A failed
+    // check never blocks saving.
+    const findDuplicateTransaction = useCallback(async (t) => {
+        try {
+            const { from, to } = duplicateSearchRange([t.transactionDate]);
+            const [found] = matchDuplicates([t], await fetchTransactionsInRange(from, to));
+            return found;
+        } catch (e) {
+            console.warn('[Duplicates] check failed', e);
+            return null;
+        }
+    }, [fetchTransactionsInRange]);
+
+    // `original` is the kept transaction as it was before the merge, for Undo
+    const handleDuplicatesMerged = useCallback(({ original, kept, removed }) => {
+        setAllTransactions(prev => prev.map(t => (t.id === kept.id ? kept : t)));
+        removed.forEach(t => markLocallyDeleted(t.id, Date.now()));
+        syncSummaries([], removed);
+        showToast(`Merged ${removed.length + 1} transactions into one.`, 'success', {
+            label: 'Undo',
+            onClick: async () => {
+                try {
+                    await unmergeDuplicates(db, appId, familyId, original, removed, user.uid);
+                    setAllTransactions(prev => prev.map(t => (t.id === original.id ? original : t)));
+                    removed.forEach(t => markLocallyDeleted(t.id, null));
+                    syncSummaries(removed);
+                    showToast('Merge undone.');
+                } catch (e) { showToast(`Failed to restore: ${e.message}`, 'error'); }
+            },
+        });
+    }, [db, familyId, markLocallyDeleted, syncSummaries, user.uid, showToast]);
+
+    // Wiping trashes every transaction at once; mirrored locally and undone like a single delete
+    const handleTransactionsWiped = useCallback(({ removed, deleteBatchId }) => {
+        const ids = new Set(removed.map(t => t.id));
+        const markAll = (deletedAt) => setAllTransactions(prev => prev.map(t => (ids.has(t.id) ? { ...t, deletedAt } : t)));
+        markAll(Date.now());
+        syncSummaries([], removed);
+        showToast(`${removed.length} transactions moved to trash.`, 'success', {
+            label: 'Undo',
+            onClick: async () => {
+                try {
+                    const restored = await restoreDeleteBatch(db, appId, familyId, 'transactions', deleteBatchId);
+                    markAll(null);
+                    syncSummaries(removed);
+                    showToast(`Restored ${restored} transactions.`);
+                } catch (e) { showToast(`Failed to restore: ${e.message}`, 'error'); }
+            },
+        });
+    }, [db, familyId, syncSummaries, showToast]);
+
     const handleConfirmDelete = async () => {
         const { id: idToDelete, type } = showConfirmModal;
         if (!db || !idToDelete) return;
         
         const collectionName = type === 'transaction' ? 'transactions' : 'recurring';
+        const label = type.charAt(0).toUpperCase() + type.slice(1);
+        
+        const transaction = collectionName === 'transactions' ? allTransactions.find(t => t.id === idToDelete) : null;
         
         setIsLoading(true);
         try {
-            await deleteDoc(doc(db, `artifacts/${appId}/families/${familyId}/${collectionName}`, idToDelete));
-            showToast(`${type.charAt(0).toUpperCase() + type.slice(1)} deleted.`);
+            await writeTransaction(idToDelete, softDelete(db, appId, familyId, collectionName, idToDelete, user.uid));
+            if (collectionName === 'transactions') markLocallyDeleted(idToDelete, Date.now());
+            if (transaction) syncSummaries([], [transaction]);
+            showToast(`${label} moved to trash.`, 'success', {
+                label: 'Undo',
+                onClick: async () => {
+                    try {
+                        await writeTransaction(idToDelete, restore(db, appId, familyId, collectionName, idToDelete));
+                        if (collectionName === 'transactions') markLocallyDeleted(idToDelete, null);
+                        if (transaction) syncSummaries([transaction]);
+                        showToast(`${label} restored.`);
+                    } catch (e) { showToast(`Failed to restore: ${e.message}`, 'error'); }
+                },
+            });
         } catch (e) { showToast(`Failed to delete: ${e.message}`, 'error'); } 
         finally { 
             setIsLoading(false); 
@@ -674,109 +1215,249 @@ function FinanceTracker({ user, onSignOut }) {
         }
     };
 
+    // Budgets are keyed by category so each category has at most one limit
+    const saveBudget = useCallback(async (category, data) => {
+        if (!db) { showToast("Database not ready", "error"); return; }
+        try {
+            const existing = budgets.find(b => b.category === category);
+            const startMonth = (existing && existing.startMonth) || dateToLocalISO(new Date()).slice(0, 7);
+            await setDoc(doc(db, `artifacts/${appId}/families/${familyId}/budgets`, category), {
+                category,
+                monthlyLimit: parseFloat(data.monthlyLimit),
+                currency: data.currency,
+                rollover: !!data.rollover,
+                startMonth,
+                updatedAt: Date.now(),
+            });
+            showToast(`Budget for ${category} saved.`);
+        } catch (e) { showToast(`Failed to save budget: ${e.message}`, 'error'); }
+    }, [db, familyId, budgets, showToast]);
+
+    const removeBudget = useCallback(async (category) => {
+        if (!db) { showToast("Database not ready", "error"); return; }
+        try {
+            await deleteDoc(doc(db, `artifacts/${appId}/families/${familyId}/budgets`, category));
+            showToast(`Budget for ${category} removed.`);
+        } catch (e) { showToast(`Failed to remove budget: ${e.message}`, 'error'); }
+    }, [db, familyId, showToast]);
+
     const addRecurringItem = useCallback(async (data) => {
         if (!db) { showToast("Database not ready", "error"); return; }
         setIsLoading(true);
         try {
             const collectionPath = `artifacts/${appId}/families/${familyId}/recurring`;
-            await addDoc(collection(db, collectionPath), { ...data, originalAmount: parseFloat(data.originalAmount), createdAt: Timestamp.now() });
+            await addDoc(collection(db, collectionPath), {
+                ...data,
+                originalAmount: parseFloat(data.originalAmount),
+                interval: parseInt(data.interval, 10) || 1,
+                dayOfMonth: data.frequency === 'weekly' ? null : (parseInt(data.dayOfMonth, 10) || null),
+                endDate: data.endDate || null,
+                lastPostedDate: null,
+                createdAt: Timestamp.now(),
+                createdBy: user.uid
+            });
             showToast('Recurring item added!');
         } catch(e) { showToast(`Failed to add: ${e.message}`, 'error'); }
         finally { setIsLoading(false); }
-    }, [db]);
+    }, [db, familyId, user.uid, showToast]);
     
+    // Catch-up run: post every scheduled occurrence since each item's lastPostedDate, dated on
+    // the occurrence itself. Transactions carry recurringId/occurrenceDate so re-runs never duplicate.
     const handlePostRecurring = useCallback(async () => {
-        if (!db || !latestRates) { showToast("Data not ready", "error"); return; }
-        
-        const currentMonthStr = new Date().toISOString().slice(0, 7);
-        const currentMonthTransactions = allTransactions.filter(t => getYearMonthLocal(t.transactionDate) === currentMonthStr);
-        
-        const toAdd = recurringItems.filter(recurring => 
-            !currentMonthTransactions.some(t => t.description === recurring.description)
-        );
+        if (!db) { showToast("Data not ready", "error"); return; }
 
-        if (toAdd.length === 0) {
-            showToast("All recurring items for this month are already added.", "success");
-            return;
-        }
+        const today = normalizeDateInput(new Date());
+        const collectionPath = `artifacts/${appId}/families/${familyId}/transactions`;
+        const recurringPath = `artifacts/${appId}/families/${familyId}/recurring`;
 
         setIsLoading(true);
         try {
-            const batch = writeBatch(db);
-            const collectionPath = `artifacts/${appId}/families/${familyId}/transactions`;
-            
-    toAdd.forEach(item => {
-        // Avoid leaking recurring item's client-side id into transactions
-        const { id: _recurringId, createdAt: _recCreatedAt, ...clean } = item;
-        const { originalAmount, originalCurrency } = clean;
-                const rate = latestRates[originalCurrency] || 1;
+            const plan = [];
+            const scheduleUpdates = [];
+            for (const item of recurringItems) {
+                const due = dueOccurrences(item, today);
+                if (due.length === 0) continue;
+
+                const postedSnap = await getDocs(query(collection(db, collectionPath), where('recurringId', '==', item.id)));
+                const posted = new Set(postedSnap.docs.map(d => d.data().occurrenceDate));
+                let toPost = due.filter(d => !posted.has(d));
+
+                // Items from before schedules were posted without recurringId; fall back to the old
+                // description match for the current month so they aren't doubled once.
+                if (!item.frequency && toPost.length > 0) {
+                    const monthTxns = await fetchTransactionsInRange(`${today.slice(0, 7)}-01`, today);
+                    if (monthTxns.some(t => !t.recurringId && t.description === item.description)) toPost = [];
+                }
+
+                toPost.forEach(occurrenceDate => plan.push({ item, occurrenceDate }));
+                // Legacy items get their implied schedule persisted along with the new lastPostedDate
+                const scheduled = normalizeSchedule(item, today);
+                scheduleUpdates.push({ id: item.id, update: { frequency: scheduled.frequency, interval: scheduled.interval || 1, dayOfMonth: scheduled.dayOfMonth || null, startDate: scheduled.startDate, lastPostedDate: due[due.length - 1] } });
+            }
+
+            if (plan.length === 0) {
+                if (scheduleUpdates.length > 0) {
+                    const batch = writeBatch(db);
+                    scheduleUpdates.forEach(({ id, update }) => batch.update(doc(db, recurringPath, id), update));
+                    await batch.commit();
+                }
+                showToast("All recurring items are up to date.", "success");
+                return;
+            }
+
+            const ratesByDate = {};
+            for (const date of new Set(plan.map(p => p.occurrenceDate))) {
+                ratesByDate[date] = await resolveRates(date);
+            }
+            // Every occurrence needs a rate before anything is posted
+            plan.forEach(({ item, occurrenceDate }) => rateFor(ratesByDate[occurrenceDate].rates, item.originalCurrency, ratesByDate[occurrenceDate].date));
+
+            // Firestore batches are capped at 500 writes
+            let batch = writeBatch(db);
+            let writes = 0;
+            const postedTransactions = [];
+            const commitIfFull = async () => {
+                if (++writes % 500 === 0) { await batch.commit(); batch = writeBatch(db); }
+            };
+            for (const { item, occurrenceDate } of plan) {
+                // Keep schedule bookkeeping and the item's client-side id out of the transaction itself
+                const { id: recurringId, createdAt: _recCreatedAt, frequency: _f, interval: _i, dayOfMonth: _d, startDate: _s, endDate: _e, lastPostedDate: _l, ...clean } = item;
+                const { originalAmount, originalCurrency } = clean;
+                const { date: rateDate, rates, baseCurrency: base } = ratesByDate[occurrenceDate];
+                const rate = rateFor(rates, originalCurrency, rateDate);
                 const amountInBase = originalAmount / rate;
                 const newTransaction = {
-            ...clean,
+                    ...clean,
                     originalAmount: parseFloat(originalAmount),
-            // Store as local YYYY-MM-DD string for consistency
-            transactionDate: normalizeDateInput(new Date()),
-                    baseCurrency: 'USD',
+                    // Store as local YYYY-MM-DD string for consistency
+                    transactionDate: occurrenceDate,
+                    recurringId,
+                    occurrenceDate,
+                    baseCurrency: base,
                     exchangeRateToBase: rate,
+                    exchangeRateDate: rateDate,
                     amountInBaseCurrency: parseFloat(amountInBase),
-            createdAt: Timestamp.now(),
+                    createdAt: Timestamp.now(),
+                    createdBy: user.uid,
+                    updatedBy: user.uid,
                 };
-                const docRef = doc(collection(db, collectionPath));
-                batch.set(docRef, newTransaction);
-            });
+                batch.set(doc(collection(db, collectionPath)), newTransaction);
+                postedTransactions.push(newTransaction);
+                await commitIfFull();
+            }
+            for (const { id, update } of scheduleUpdates) {
+                batch.update(doc(db, recurringPath, id), update);
+                await commitIfFull();
+            }
+            if (writes % 500 !== 0) await batch.commit();
+            await syncSummaries(postedTransactions);
 
-            await batch.commit();
-            showToast(`Added ${toAdd.length} recurring item(s).`);
+            showToast(`Added ${plan.length} recurring transaction(s).`);
         } catch (e) {
             showToast(`Failed to add recurring items: ${e.message}`, 'error');
         } finally {
             setIsLoading(false);
         }
-    }, [db, latestRates, allTransactions, recurringItems]);
+    }, [db, familyId, resolveRates, recurringItems, fetchTransactionsInRange, syncSummaries, user.uid, showToast]);
 
     const reportData = useMemo(() => {
         if (!latestRates) return { totalExpense: 0, totalIncome: 0, netBalance: 0, expenseChartData: [], trendChartData: [] };
         
-        const conversionRate = latestRates[displayCurrency] || 1;
-        const expenses = filteredTransactions.filter(t => t.type === 'Expense');
-        const income = filteredTransactions.filter(t => t.type === 'Income');
-        const totalExpense = expenses.reduce((acc, t) => acc + t.amountInBaseCurrency, 0) * conversionRate;
-        const totalIncome = income.reduce((acc, t) => acc + t.amountInBaseCurrency, 0) * conversionRate;
-        const expenseByCategory = expenses.reduce((acc, t) => { acc[t.category] = (acc[t.category] || 0) + (t.amountInBaseCurrency * conversionRate); return acc; }, {});
-        const expenseChartData = Object.entries(expenseByCategory).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
-        
+        // Split transactions count line by line, each in its own category. With a category
+        // filter only the selected lines count, the same as the monthly summaries.
+        const countedLines = (t) => transactionLines(t).filter(line => selectedCategories.length === 0 || selectedCategories.includes(line.category));
+
+        let totalExpense = 0;
+        let totalIncome = 0;
+        const expenseByCategory = {};
         const monthlyData = filteredTransactions.reduce((acc, t) => {
+            // Transfers and goal contributions move money around rather than spend it
+            if (isTransfer(t) || isGoalContribution(t)) return acc;
             const month = getYearMonthLocal(t.transactionDate); // YYYY-MM
             if (!acc[month]) {
                 acc[month] = { month, expense: 0, income: 0 };
             }
             
-            let amount;
-            if (t.originalCurrency === displayCurrency) {
-                amount = t.originalAmount;
-            } else {
-                amount = t.amountInBaseCurrency * conversionRate;
-            }
+            const amount = getDisplayAmount(t);
 
-            if (t.type === 'Expense') {
-                acc[month].expense += amount;
-            } else {
-                acc[month].income += amount;
-            }
+            countedLines(t).forEach(line => {
+                const value = amount * line.share;
+                if (t.type === 'Expense') {
+                    acc[month].expense += value;
+                    totalExpense += value;
+                    expenseByCategory[line.category] = (expenseByCategory[line.category] || 0) + value;
+                } else {
+                    acc[month].income += value;
+                    totalIncome += value;
+                }
+            });
             return acc;
         }, {});
 
+        const expenseChartData = Object.entries(expenseByCategory).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
         const trendChartData = Object.values(monthlyData).sort((a, b) => a.month.localeCompare(b.month));
 
         return { totalExpense, totalIncome, netBalance: totalIncome - totalExpense, expenseChartData, trendChartData };
-    }, [filteredTransactions, displayCurrency, latestRates]);
+    }, [filteredTransactions, selectedCategories, latestRates, getDisplayAmount]);
+
+    // Totals and charts come from monthlySummaries once built, so they cover every month and not
+    // just the loaded ones. Description, tag and member filters need the transactions themselves.
+    const useSummaries = !!summariesMeta && !searchActive && selectedTags.length === 0 && selectedMembers.length === 0;
+    const activeReport = useMemo(() => {
+        if (!useSummaries || !latestRates) return reportData;
+        const today = dateToLocalISO(new Date());
+        return buildSummaryReport(monthlySummaries, {
+            months: selectedMonths,
+            categories: selectedCategories,
+            currency: displayCurrency,
+            ratesForMonth: (month) => (rateMode === 'transactionDate' && rebaseRates(historicalRates[monthRateDate(month, today)], baseCurrency)) || latestRates,
+        });
+    }, [useSummaries, reportData, monthlySummaries, selectedMonths, selectedCategories, displayCurrency, rateMode, historicalRates, latestRates, baseCurrency]);
+
+    // Tags aren't summarised, so their chart always comes from the loaded transactions
+    const tagChartData = useMemo(() => expenseByTag(filteredTransactions, getDisplayAmount), [filteredTransactions, getDisplayAmount]);
+
+    // Per-account monthly flows for balances: the stored summaries once built, otherwise the
+    // same aggregation over whatever transactions are loaded
+    const accountSummaries = useMemo(() => (summariesMeta
+        ? monthlySummaries
+        : Object.entries(summaryDelta(allTransactions)).map(([month, s]) => ({ month, ...s }))
+    ), [summariesMeta, monthlySummaries, allTransactions]);
+
+    // Budgets on the Reports page follow the month filter: a single selected month, otherwise the current one
+    const budgetMonth = selectedMonths.length === 1 ? selectedMonths[0] : dateToLocalISO(new Date()).slice(0, 7);
+    const budgetFromMonth = useMemo(() => budgetHistoryStart(budgets, budgetMonth), [budgets, budgetMonth]);
+    // allTransactions only holds the loaded pages, so the budget months are fetched on their own;
+    // they are fetched again whenever the loaded transactions change, so edits show up
+    const [budgetTransactions, setBudgetTransactions] = useState([]);
+    useEffect(() => {
+        if (!db || !familyId || budgets.length === 0) { setBudgetTransactions([]); return undefined; }
+        let cancelled = false;
+        fetchTransactionsInRange(`${budgetFromMonth}-01`, `${budgetMonth}-31`)
+            .then(txns => { if (!cancelled) setBudgetTransactions(txns); })
+            .catch(e => console.warn('[Budgets] failed to load transactions', e));
+        return () => { cancelled = true; };
+    }, [db, familyId, budgets.length, fetchTransactionsInRange, budgetFromMonth, budgetMonth, allTransactions]);
+    const reportBudgetStatus = useMemo(
+        () => computeBudgetStatus(budgets, budgetTransactions, budgetMonth, convertTransaction),
+        [budgets, budgetTransactions, budgetMonth, convertTransaction]
+    );
 
     return (
         <div className="bg-gray-100 min-h-screen font-sans text-gray-800">
             {/* Removed page-level loading overlay */}
-            {toast.show && <Toast message={toast.message} type={toast.type} onClose={() => setToast(t => ({ ...t, show: false }))} />}
-            {showConfirmModal.show && <ConfirmationModal message={`Are you sure you want to permanently delete this ${showConfirmModal.type}?`} onConfirm={handleConfirmDelete} onCancel={() => setShowConfirmModal({ show: false, id: null, type: '' })} />}
-            {editingTransaction && <EditModal transaction={editingTransaction} allTransactions={allTransactions} categoryUsage={categoryUsage} onSave={updateTransaction} onCancel={() => setEditingTransaction(null)} />}
+            {toast.show && <Toast message={toast.message} type={toast.type} action={toast.action} onClose={() => setToast(t => ({ ...t, show: false }))} />}
+            {showConfirmModal.show && <ConfirmationModal message={`Move this ${showConfirmModal.type} to the trash? You can restore it from the Trash page for ${TRASH_RETENTION_DAYS} days.`} onConfirm={handleConfirmDelete} onCancel={() => setShowConfirmModal({ show: false, id: null, type: '' })} />}
+            {quickAddOpen && can(role, 'writeTransactions') && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-start md:items-center z-50 overflow-y-auto p-4">
+                    <div className="relative w-full md:w-1/2 lg:w-1/3">
+                        <button onClick={() => setQuickAddOpen(false)} className="absolute top-4 right-4 text-gray-500 hover:text-gray-800 font-bold" aria-label="Close">X</button>
+                        <TransactionForm onSubmit={async (data, options) => { await addTransaction(data, options); setQuickAddOpen(false); }} allTransactions={allTransactions} categories={categories} categoryUsage={categoryUsage} knownTags={knownTags} currencies={currencies} baseCurrency={baseCurrency} accounts={accounts} goals={goals} rules={rules} findDuplicate={findDuplicateTransaction} />
+                    </div>
+                </div>
+            )}
+            {editingTransaction && can(role, 'writeTransactions') && <EditModal transaction={editingTransaction} allTransactions={allTransactions} categories={categories} categoryUsage={categoryUsage} knownTags={knownTags} currencies={currencies} accounts={accounts} goals={goals} storage={storage} onViewAttachments={(attachments, index) => setViewingAttachments({ attachments, index })} onSave={updateTransaction} onCancel={closeTransaction} />}
+            {viewingAttachments && storage && <AttachmentViewer storage={storage} attachments={viewingAttachments.attachments} index={viewingAttachments.index} onIndexChange={index => setViewingAttachments(prev => ({ ...prev, index }))} onClose={() => setViewingAttachments(null)} />}
             
             <header className="bg-white shadow-md">
                 <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
@@ -785,8 +1466,15 @@ function FinanceTracker({ user, onSignOut }) {
                                  <nav className="hidden md:flex space-x-2 rounded-lg bg-gray-200 p-1">
                                      <button onClick={() => setPage('dashboard')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'dashboard' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Dashboard</button>
                                      <button onClick={() => setPage('reports')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'reports' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Reports</button>
+                                     <button onClick={() => setPage('budgets')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'budgets' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Budgets</button>
                                      <button onClick={() => setPage('recurring')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'recurring' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Recurring</button>
+                                     <button onClick={() => setPage('accounts')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'accounts' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Accounts</button>
+                                     <button onClick={() => setPage('goals')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'goals' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Goals</button>
                                      <button onClick={() => setPage('import')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'import' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Import</button>
+                                     <button onClick={() => setPage('trash')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'trash' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Trash</button>
+                                     <button onClick={() => setPage('categories')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'categories' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Categories</button>
+                                     <button onClick={() => setPage('rules')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'rules' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Rules</button>
+                                     <button onClick={() => setPage('family')} className={`px-3 py-1 rounded-md text-sm font-semibold ${page === 'family' ? 'bg-white text-blue-600 shadow' : 'text-gray-600'}`}>Family</button>
                                  </nav>
                     </div>
                     <div className="hidden md:block">
@@ -803,19 +1491,30 @@ function FinanceTracker({ user, onSignOut }) {
                         <nav className="flex flex-col p-4 space-y-2">
                             <button onClick={() => { setPage('dashboard'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Dashboard</button>
                             <button onClick={() => { setPage('reports'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Reports</button>
+                            <button onClick={() => { setPage('budgets'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Budgets</button>
                             <button onClick={() => { setPage('recurring'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Recurring</button>
+                            <button onClick={() => { setPage('accounts'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Accounts</button>
+                            <button onClick={() => { setPage('goals'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Goals</button>
                             <button onClick={() => { setPage('import'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Import</button>
+                            <button onClick={() => { setPage('trash'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Trash</button>
+                            <button onClick={() => { setPage('categories'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Categories</button>
+                            <button onClick={() => { setPage('rules'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Rules</button>
+                            <button onClick={() => { setPage('family'); setIsMenuOpen(false); }} className="text-left p-2 rounded-md hover:bg-gray-100">Family</button>
                             <button onClick={onSignOut} className="text-left p-2 rounded-md text-red-600 hover:bg-red-50">Sign Out</button>
                         </nav>
                     </div>
                 )}
             </header>
+            <SyncStatusBar online={online} pendingCount={pendingIds.size} />
+            {applyUpdate && <UpdateBanner onReload={applyUpdate} />}
 
             <main className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
                 {page === 'dashboard' && (
                     <div className="grid grid-cols-1 gap-8">
                         <div className="space-y-8">
-                            <TransactionForm onSubmit={addTransaction} allTransactions={allTransactions} categoryUsage={categoryUsage} />
+                            {role && (can(role, 'writeTransactions')
+                                ? <TransactionForm onSubmit={addTransaction} allTransactions={allTransactions} categories={categories} categoryUsage={categoryUsage} knownTags={knownTags} currencies={currencies} baseCurrency={baseCurrency} accounts={accounts} goals={goals} rules={rules} findDuplicate={findDuplicateTransaction} />
+                                : <div className="bg-white p-6 rounded-lg shadow-md text-gray-600">You have view-only access to this family. Ask the owner for editor access to add transactions.</div>)}
                         </div>
                     </div>
                 )}
@@ -824,26 +1523,63 @@ function FinanceTracker({ user, onSignOut }) {
                     <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                         <div className="lg:col-span-1 space-y-8">
                             <CollapsibleCard title="Summary" defaultOpen={true}>
-                                <SummaryReport summary={reportData} currency={displayCurrency} onCurrencyChange={setDisplayCurrency} />
+                                <SummaryReport summary={activeReport} currency={displayCurrency} currencies={currencies} onCurrencyChange={setDisplayCurrency} rateMode={rateMode} onRateModeChange={setRateMode} fromSummaries={useSummaries} />
+                            </CollapsibleCard>
+                            {budgets.length > 0 && (
+                                <CollapsibleCard title="Budgets" defaultOpen={true}>
+                                    <BudgetProgressList statuses={reportBudgetStatus} month={budgetMonth} />
+                                </CollapsibleCard>
+                            )}
+                            <CollapsibleCard title="Export">
+                                <ExportPanel
+                                    transactions={filteredTransactions}
+                                    report={reportData}
+                                    currency={displayCurrency}
+                                    getDisplayAmount={getDisplayAmount}
+                                    family={family}
+                                    familyId={familyId}
+                                    recurringItems={recurringItems}
+                                    budgets={budgets}
+                                    filters={{ months: selectedMonths, categories: selectedCategories, tags: selectedTags, description: descriptionFilter, members: selectedMembers, currency: displayCurrency, rateMode }}
+                                    isPartial={hasMoreTxns || indexingSearch}
+                                    showToast={showToast}
+                                />
                             </CollapsibleCard>
                         </div>
                         <div className="lg:col-span-2 space-y-8">
                             <CollapsibleCard title="Filters" defaultOpen={true}>
                                 <MonthFilter availableMonths={availableMonths} selectedMonths={selectedMonths} onSelectionChange={setSelectedMonths} />
-                                <CategoryFilter selectedCategories={selectedCategories} onSelectionChange={setSelectedCategories} />
+                                <CategoryFilter categories={categories} selectedCategories={selectedCategories} onSelectionChange={setSelectedCategories} />
+                                <TypeFilter selectedType={selectedType} onChange={setSelectedType} />
+                                <TagFilter tags={knownTags} selectedTags={selectedTags} onSelectionChange={setSelectedTags} />
+                                <MemberFilter family={family} selectedMembers={selectedMembers} onSelectionChange={setSelectedMembers} />
                             </CollapsibleCard>
                              <CollapsibleCard title="Charts" defaultOpen={true}>
-                                <CategoryChart data={reportData.expenseChartData} currency={displayCurrency} />
-                                <TrendChartComponent data={reportData.trendChartData} currency={displayCurrency} />
+                                {!summariesMeta && can(role, 'writeTransactions') && (
+                                    <div className="mb-4 p-3 rounded-md bg-yellow-50 text-sm text-yellow-800 flex justify-between items-center gap-4">
+                                        <span>Totals and charts only cover the loaded months. Build the monthly summaries once to report on the full history.</span>
+                                        <button onClick={() => rebuildSummaries(true)} className="px-3 py-1 bg-yellow-200 rounded-md font-semibold whitespace-nowrap">Build summaries</button>
+                                    </div>
+                                )}
+                                <CategoryChart data={activeReport.expenseChartData} categories={categories} currency={displayCurrency} />
+                                {knownTags.length > 0 && <TagChart data={tagChartData} currency={displayCurrency} isPartial={hasMoreTxns || indexingSearch} />}
+                                <TrendChartComponent data={activeReport.trendChartData} currency={displayCurrency} />
                             </CollapsibleCard>
                             <div className="bg-white p-6 rounded-lg shadow-md">
                                 <TransactionList
                                     transactions={paginatedTransactions}
                                     onDelete={(id) => requestDelete(id, 'transaction')}
-                                    onEdit={setEditingTransaction}
+                                    onEdit={can(role, 'writeTransactions') ? openTransaction : null}
+                                    accounts={accounts}
+                                    goals={goals}
+                                    storage={storage}
+                                    onViewAttachments={(t, index) => setViewingAttachments({ attachments: transactionAttachments(t), index })}
+                                    pendingIds={pendingIds}
+                                    canDelete={(t) => canDeleteTransaction(role, user.uid, t)}
                                     displayCurrency={displayCurrency}
-                                    latestRates={latestRates}
-                                    onNextPage={() => setCurrentPage(p => Math.min(p + 1, totalPages))}
+                                    getDisplayAmount={getDisplayAmount}
+                                    family={family}
+                                    onNextPage={goToNextPage}
                                     onPrevPage={() => setCurrentPage(p => Math.max(p - 1, 1))}
                                     currentPage={currentPage}
                                     totalPages={totalPages}
@@ -853,15 +1589,18 @@ function FinanceTracker({ user, onSignOut }) {
                                     setDescriptionFilter={setDescriptionFilter}
                                 />
                                 <div className="mt-4 flex items-center justify-between gap-2 flex-wrap">
-                                    <div className="text-sm text-gray-500">{loadingTxns ? 'Loading…' : hasMoreTxns ? '' : 'No more transactions'}</div>
+                                    <div className="text-sm text-gray-500">
+                                        {indexingSearch ? 'Indexing all transactions…' : searchActive ? `${filteredTransactions.length} matching in all history` : loadingTxns ? 'Loading…' : hasMoreTxns ? '' : 'No more transactions'}
+                                        {hasMoreTxns && sortConfig.key !== 'transactionDate' && <span className="block">Sorting covers the loaded rows; load all to sort everything that matches.</span>}
+                                    </div>
                                     <div className="flex gap-2 ml-auto">
                                         {hasMoreTxns && (
-                                            <button onClick={fetchMoreTransactions} disabled={loadingTxns} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">
-                                                {loadingTxns ? 'Loading…' : 'Load more (1 month)'}
+                                            <button onClick={() => loadTransactionPages()} disabled={loadingTxns} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">
+                                                {loadingTxns ? 'Loading…' : 'Load more'}
                                             </button>
                                         )}
-                                        <button onClick={fetchAllTransactions} disabled={loadingTxns || !hasMoreTxns} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">
-                                            {loadingTxns ? 'Loading…' : 'Load all transactions'}
+                                        <button onClick={() => loadTransactionPages(pagerRef.current, true)} disabled={loadingTxns || !hasMoreTxns} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">
+                                            {loadingTxns ? 'Loading…' : 'Load all matching'}
                                         </button>
                                     </div>
                                 </div>
@@ -869,11 +1608,46 @@ function FinanceTracker({ user, onSignOut }) {
                         </div>
                     </div>
                 )}
+                {page === 'budgets' && (
+                    <BudgetsPage budgets={budgets} categories={categories} currencies={currencies} baseCurrency={baseCurrency} canManage={can(role, 'manageBudgets')} onSave={saveBudget} onRemove={removeBudget} fetchTransactionsInRange={fetchTransactionsInRange} convertTransaction={convertTransaction} showToast={showToast} />
+                )}
                 {page === 'recurring' && (
-                    <RecurringPage expenses={recurringItems} onAdd={addRecurringItem} onDelete={(id) => requestDelete(id, 'recurring')} onPostRecurring={handlePostRecurring} allTransactions={allTransactions} />
+                    <RecurringPage expenses={recurringItems} canManage={can(role, 'manageRecurring')} onAdd={addRecurringItem} onDelete={(id) => requestDelete(id, 'recurring')} onPostRecurring={handlePostRecurring} allTransactions={allTransactions} categories={categories} currencies={currencies} baseCurrency={baseCurrency} />
+                )}
+                {page === 'accounts' && (
+                    <AccountsPage
+                        db={db}
+                        familyId={familyId}
+                        accounts={accounts}
+                        summaries={accountSummaries}
+                        isPartial={!summariesMeta}
+                        latestRates={latestRates}
+                        currencies={currencies}
+                        baseCurrency={baseCurrency}
+                        canManage={can(role, 'manageAccounts')}
+                        canTransfer={can(role, 'writeTransactions')}
+                        onTransfer={addTransfer}
+                        onBuildSummaries={() => rebuildSummaries(true)}
+                        showToast={showToast}
+                    />
+                )}
+                {page === 'goals' && (
+                    <GoalsPage db={db} user={user} familyId={familyId} goals={goals} currencies={currencies} baseCurrency={baseCurrency} canManage={can(role, 'manageGoals')} convertTransaction={convertTransaction} showToast={showToast} />
                 )}
                 {page === 'import' && (
-                    <ImportPage db={db} showToast={showToast} />
+                    <ImportPage db={db} user={user} familyId={familyId} role={role} categories={categories} accounts={accounts} rules={rules} currencies={currencies} baseCurrency={baseCurrency} showToast={showToast} latestRates={latestRates} resolveRates={resolveRates} syncSummaries={syncSummaries} rebuildSummaries={rebuildSummaries} fetchTransactionsInRange={fetchTransactionsInRange} onDuplicatesMerged={handleDuplicatesMerged} onWiped={handleTransactionsWiped} />
+                )}
+                {page === 'trash' && (
+                    <TrashPage db={db} storage={storage} user={user} familyId={familyId} role={role} showToast={showToast} onRestored={(item) => { markLocallyDeleted(item.id, null); syncSummaries([{ ...item, deletedAt: null }]); }} />
+                )}
+                {page === 'categories' && (
+                    <CategoriesPage db={db} user={user} familyId={familyId} categories={categories} canManage={can(role, 'manageCategories')} showToast={showToast} onRenamed={handleCategoryRenamed} />
+                )}
+                {page === 'rules' && (
+                    <RulesPage db={db} user={user} familyId={familyId} rules={rules} categories={categories} accounts={accounts} currencies={currencies} canManage={can(role, 'manageRules')} showToast={showToast} onApplied={handleRulesApplied} />
+                )}
+                {page === 'family' && (
+                    <FamilyPage db={db} user={user} family={family} role={role} currencies={currencies} resolveUsdRates={resolveUsdRates} onRebased={handleRebased} showToast={showToast} />
                 )}
             </main>
         </div>
@@ -915,8 +1689,22 @@ function MonthFilter({ availableMonths, selectedMonths, onSelectionChange }) {
 }
 
 
-function CategoryFilter({ selectedCategories, onSelectionChange }) {
-    const allCategories = useMemo(() => [...EXPENSE_CATEGORIES, ...INCOME_CATEGORIES], []);
+function TypeFilter({ selectedType, onChange }) {
+    return (
+        <div className="mt-6">
+            <h3 className="text-lg font-bold mb-2">Filter by Type</h3>
+            <select value={selectedType} onChange={e => onChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
+                <option value="">All types</option>
+                <option value="Expense">Expenses</option>
+                <option value="Income">Income</option>
+                <option value={TRANSFER_TYPE}>Transfers</option>
+            </select>
+        </div>
+    );
+}
+
+function CategoryFilter({ categories, selectedCategories, onSelectionChange }) {
+    const allCategories = useMemo(() => categories.map(c => c.name), [categories]);
 
     const handleCategoryClick = (category) => {
         if (category === 'All') {
@@ -925,14 +1713,34 @@ function CategoryFilter({ selectedCategories, onSelectionChange }) {
             onSelectionChange(allSelected ? [] : allCategories);
             return;
         }
+        // A parent category toggles together with its subcategories
+        const group = withSubcategories(categories, category);
         const newSelection = selectedCategories.includes(category)
-            ? selectedCategories.filter(c => c !== category)
-            : [...selectedCategories, category];
+            ? selectedCategories.filter(c => !group.includes(c))
+            : Array.from(new Set([...selectedCategories, ...group]));
         onSelectionChange(newSelection);
     };
 
     const isAllSelected = selectedCategories.length === 0 || allCategories.every(c => selectedCategories.includes(c));
 
+    const renderGroup = (type, title, activeClass) => (
+        <div className={type === 'Income' ? 'mt-4' : ''}>
+            <h4 className="text-sm font-semibold text-gray-500 mb-2">{title}</h4>
+            <div className="flex flex-wrap gap-2">
+                {orderedCategories(categories.filter(c => c.type === type)).map(c => (
+                    <button
+                        key={c.id}
+                        onClick={() => handleCategoryClick(c.name)}
+                        className={`px-3 py-1 text-sm rounded-full transition flex items-center ${selectedCategories.includes(c.name) ? `${activeClass} text-white` : 'bg-gray-200 text-gray-700 hover:bg-gray-300'} ${c.archived ? 'opacity-60' : ''}`}
+                    >
+                        <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: c.color }}></span>
+                        {categoryLabel(categories, c.name)}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+
     return (
         <div className="mt-4">
                 <div className="flex justify-between items-center mb-3">
@@ -944,212 +1752,2044 @@ function CategoryFilter({ selectedCategories, onSelectionChange }) {
                     All
                 </button>
             </div>
-            <div>
-                <h4 className="text-sm font-semibold text-gray-500 mb-2">Expenses</h4>
-                <div className="flex flex-wrap gap-2">
-                    {EXPENSE_CATEGORIES.map(category => (
-                        <button
-                            key={category}
-                            onClick={() => handleCategoryClick(category)}
-                            className={`px-3 py-1 text-sm rounded-full transition ${selectedCategories.includes(category) ? 'bg-red-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
-                        >
-                            {category}
-                        </button>
+            {renderGroup('Expense', 'Expenses', 'bg-red-500')}
+            {renderGroup('Income', 'Income', 'bg-green-500')}
+        </div>
+    );
+}
+
+// Tags are free-form, so only the ones on loaded transactions are offered
+function TagFilter({ tags, selectedTags, onSelectionChange }) {
+    if (tags.length === 0) return null;
+
+    const toggle = (tag) => onSelectionChange(selectedTags.includes(tag)
+        ? selectedTags.filter(t => t !== tag)
+        : [...selectedTags, tag]);
+
+    return (
+        <div className="mt-4">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-bold">Filter by Tag</h3>
+                <button
+                    onClick={() => onSelectionChange([])}
+                    className={`px-3 py-1 text-sm rounded-full transition ${selectedTags.length === 0 ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                >
+                    All
+                </button>
+            </div>
+            <p className="text-sm text-gray-500 mb-3">Shows transactions with any of the selected tags.</p>
+            <div className="flex flex-wrap gap-2">
+                {Array.from(new Set([...tags, ...selectedTags])).map(tag => (
+                    <button
+                        key={tag}
+                        onClick={() => toggle(tag)}
+                        className={`px-3 py-1 text-sm rounded-full transition ${selectedTags.includes(tag) ? 'bg-indigo-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                    >
+                        #{tag}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Downloads of the current report. Only loaded transactions can be exported, so with no month
+// selected and older months still unloaded the export is flagged as partial.
+function ExportPanel({ transactions, report, currency, getDisplayAmount, family, familyId, recurringItems, budgets, filters, isPartial, showToast }) {
+    const [format, setFormat] = useState('csv');
+
+    const handleExport = () => {
+        const stamp = dateToLocalISO(new Date());
+        const options = { currency, convert: getDisplayAmount, memberName: (uid) => memberLabel(family, uid) };
+        try {
+            if (format === 'csv') {
+                downloadFile(`transactions-${stamp}.csv`, buildTransactionsCsv(transactions, options), EXPORT_MIME_TYPES.csv);
+            } else if (format === 'json') {
+                downloadFile(`family-finance-${stamp}.json`, buildJsonExport({ familyId, filters, transactions, recurringItems, budgets }), EXPORT_MIME_TYPES.json);
+            } else {
+                downloadFile(`report-${stamp}.xlsx`, buildReportWorkbook(transactions, report, options), EXPORT_MIME_TYPES.xlsx);
+            }
+            showToast(`Exported ${transactions.length} transactions.`);
+        } catch (e) {
+            showToast(`Export failed: ${e.message}`, 'error');
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-600">Exports the transactions matching the current filters, with amounts in {currency}.</p>
+            {isPartial && <p className="text-sm text-yellow-700">Not every month is loaded yet. Use "Load all matching" first for a complete export.</p>}
+            <select value={format} onChange={e => setFormat(e.target.value)} className="w-full p-2 border rounded-md">
+                {Object.entries(EXPORT_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <button onClick={handleExport} disabled={transactions.length === 0} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">Download</button>
+        </div>
+    );
+}
+
+// Only shown once a second person has joined; filters on transactions' createdBy
+function MemberFilter({ family, selectedMembers, onSelectionChange }) {
+    const memberIds = family && family.members ? Object.keys(family.members) : [];
+    if (memberIds.length < 2) return null;
+
+    const toggle = (uid) => onSelectionChange(selectedMembers.includes(uid)
+        ? selectedMembers.filter(m => m !== uid)
+        : [...selectedMembers, uid]);
+
+    return (
+        <div className="mt-4">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-bold">Filter by Member</h3>
+                <button
+                    onClick={() => onSelectionChange([])}
+                    className={`px-3 py-1 text-sm rounded-full transition ${selectedMembers.length === 0 ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                >
+                    All
+                </button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+                {memberIds.map(uid => (
+                    <button
+                        key={uid}
+                        onClick={() => toggle(uid)}
+                        className={`px-3 py-1 text-sm rounded-full transition ${selectedMembers.includes(uid) ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                    >
+                        {memberLabel(family, uid)}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+function FamilyPage({ db, user, family, role, currencies, resolveUsdRates, onRebased, showToast }) {
+    const [inviteEmail, setInviteEmail] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [invites, setInvites] = useState([]);
+    const [lastCode, setLastCode] = useState('');
+
+    const familyDocId = family && family.id;
+    const loadInvites = useCallback(() => {
+        if (!db || !familyDocId) return;
+        listFamilyInvites(db, appId, familyDocId).then(setInvites).catch(e => console.warn('[Families] invite list failed', e));
+    }, [db, familyDocId]);
+
+    useEffect(() => { loadInvites(); }, [loadInvites]);
+
+    if (!family) return <p className="text-center text-gray-500 py-8">Loading family…</p>;
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        try {
+            const invite = await createInvite(db, appId, family, user, inviteEmail, inviteRole);
+            setLastCode(invite.code);
+            setInviteEmail('');
+            showToast(invite.email ? `Invite created for ${invite.email}.` : 'Invite code created.');
+            loadInvites();
+        } catch (err) { showToast(`Failed to create invite: ${err.message}`, 'error'); }
+    };
+
+    const handleRevoke = async (code) => {
+        try {
+            await revokeInvite(db, appId, code);
+            if (code === lastCode) setLastCode('');
+            loadInvites();
+        } catch (err) { showToast(`Failed to revoke invite: ${err.message}`, 'error'); }
+    };
+
+    const handleRoleChange = async (uid, newRole) => {
+        try { await updateMemberRole(db, appId, family.id, uid, newRole); }
+        catch (err) { showToast(`Failed to change role: ${err.message}`, 'error'); }
+    };
+
+    const handleRemove = async (uid, email) => {
+        if (!window.confirm(`Remove ${email} from ${family.name}? They will lose access to all family data.`)) return;
+        try {
+            await removeMember(db, appId, family.id, uid);
+            showToast(`${email} removed.`);
+        } catch (err) { showToast(`Failed to remove member: ${err.message}`, 'error'); }
+    };
+
+    const isOwner = can(role, 'manageMembers');
+    const members = Object.entries(family.members || {}).sort(([, a], [, b]) => (a.joinedAt || 0) - (b.joinedAt || 0));
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-4">{family.name}</h2>
+                <div className="space-y-3">
+                    {members.map(([uid, m]) => (
+                        <div key={uid} className="flex justify-between items-center p-3 rounded-lg border">
+                            <div>
+                                <p className="font-semibold">{m.email}{uid === user.uid && <span className="text-gray-400 font-normal"> (you)</span>}</p>
+                                <p className="text-sm text-gray-500">Joined {m.joinedAt ? dateToLocalISO(new Date(m.joinedAt)) : '-'}</p>
+                            </div>
+                            {uid === family.ownerUid ? (
+                                <span className="text-xs font-semibold text-blue-600">Owner</span>
+                            ) : isOwner ? (
+                                <div className="flex items-center space-x-3">
+                                    <select value={m.role || 'editor'} onChange={e => handleRoleChange(uid, e.target.value)} className="px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm">
+                                        <option value="editor">{ROLES.editor}</option>
+                                        <option value="viewer">{ROLES.viewer}</option>
+                                    </select>
+                                    <button onClick={() => handleRemove(uid, m.email)} className="text-gray-400 hover:text-red-600"><TrashIcon /></button>
+                                </div>
+                            ) : (
+                                <span className="text-xs font-semibold text-gray-500">{ROLES[m.role || 'editor']}</span>
+                            )}
+                        </div>
                     ))}
                 </div>
             </div>
-            <div className="mt-4">
-                <h4 className="text-sm font-semibold text-gray-500 mb-2">Income</h4>
-                <div className="flex flex-wrap gap-2">
-                    {INCOME_CATEGORIES.map(category => (
-                        <button
-                            key={category}
-                            onClick={() => handleCategoryClick(category)}
-                            className={`px-3 py-1 text-sm rounded-full transition ${selectedCategories.includes(category) ? 'bg-green-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
-                        >
-                            {category}
-                        </button>
+            {isOwner && <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-4">Invite Members</h2>
+                <form onSubmit={handleInvite} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Email (optional)</label>
+                        <input type="email" value={inviteEmail} onChange={e => setInviteEmail(e.target.value)} placeholder="Leave empty for a code anyone can use once" className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Role</label>
+                        <select value={inviteRole} onChange={e => setInviteRole(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                            <option value="editor">{ROLES.editor} — add, edit and import</option>
+                            <option value="viewer">{ROLES.viewer} — read-only</option>
+                        </select>
+                    </div>
+                    <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition">Create Invite</button>
+                </form>
+                {lastCode && (
+                    <p className="mt-4 p-3 bg-blue-50 rounded-md text-center">Share this code: <span className="font-mono font-bold text-lg">{lastCode}</span></p>
+                )}
+                <h3 className="text-lg font-bold mt-6 mb-2">Pending Invites</h3>
+                {invites.length === 0 && <p className="text-sm text-gray-500">No pending invites.</p>}
+                <div className="space-y-2">
+                    {invites.map(inv => (
+                        <div key={inv.code} className="flex justify-between items-center p-2 border rounded-md text-sm">
+                            <span><span className="font-mono">{inv.code}</span> {inv.email && <span className="text-gray-500">· {inv.email}</span>}</span>
+                            <span className="flex items-center space-x-3">
+                                <span className={inv.expiresAt < Date.now() ? 'text-red-500' : 'text-gray-400'}>{inv.expiresAt < Date.now() ? 'Expired' : `Expires ${dateToLocalISO(new Date(inv.expiresAt))}`}</span>
+                                <button onClick={() => handleRevoke(inv.code)} className="text-gray-400 hover:text-red-600"><TrashIcon /></button>
+                            </span>
+                        </div>
                     ))}
                 </div>
-            </div>
+            </div>}
+            <BaseCurrencyPanel db={db} family={family} currencies={currencies} canManage={can(role, 'manageSettings')} resolveUsdRates={resolveUsdRates} onRebased={onRebased} showToast={showToast} />
         </div>
     );
 }
 
-function ImportPage({ db, showToast }) {
-    const [file, setFile] = useState(null);
-    const [isImporting, setIsImporting] = useState(false);
-    const [progress, setProgress] = useState(0);
-    const [isWiping, setIsWiping] = useState(false);
+// The family's base currency: what amounts are stored and summed in before converting for display.
+// Changing it re-bases every stored transaction (baseCurrency.js); a change that was cut short
+// stays pending here until it is run again.
+function BaseCurrencyPanel({ db, family, currencies, canManage, resolveUsdRates, onRebased, showToast }) {
+    const current = familyBaseCurrency(family);
+    const [choice, setChoice] = useState(current);
+    const [progress, setProgress] = useState(null);
 
-    const handleFileChange = (e) => {
-        setFile(e.target.files[0]);
+    useEffect(() => { setChoice(current); }, [current]);
+
+    const run = async (target) => {
+        if (!isOnline()) { showToast('Changing the base currency needs a connection.', 'error'); return; }
+        setProgress('Starting…');
+        try {
+            if (target !== current) await setFamilyBaseCurrency(db, appId, family.id, target);
+            const changed = await rebaseTransactions(db, appId, family.id, target,
+                async (date) => (await resolveUsdRates(date)).rates,
+                (scanned, rebased) => setProgress(`Checked ${scanned} transactions, re-based ${rebased}…`));
+            setProgress('Rebuilding monthly summaries…');
+            await onRebased();
+            await finishRebase(db, appId, family.id);
+            showToast(`Base currency is now ${target}; ${changed} transaction(s) re-based.`);
+        } catch (e) {
+            showToast(`Re-basing failed: ${e.message}. Run it again to finish.`, 'error');
+        } finally {
+            setProgress(null);
+        }
     };
 
-    const handleWipeData = async () => {
-        if (!db) {
-            showToast("Database not ready.", "error");
-            return;
+    const handleChange = () => {
+        if (choice === current) return;
+        if (!window.confirm(`Change the base currency from ${current} to ${choice}? Every transaction is converted again with the rates of its own day, which can take a while.`)) return;
+        run(choice);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-2xl font-bold mb-2">Base Currency</h2>
+            <p className="text-sm text-gray-500 mb-4">Totals are kept in {current} and converted to the currency you pick in Reports.</p>
+            {family.rebasePending && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-300 rounded-md text-sm text-yellow-800">
+                    The change to {current} hasn't finished; some transactions are still in the old base currency.
+                    {canManage && <button onClick={() => run(current)} disabled={!!progress} className="ml-2 font-semibold underline disabled:opacity-50">Finish now</button>}
+                </div>
+            )}
+            {canManage && (
+                <div className="flex items-center gap-3">
+                    <select value={choice} onChange={e => setChoice(e.target.value)} disabled={!!progress} className="px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                        <CurrencyOptions currencies={currencies} current={choice} />
+                    </select>
+                    <button onClick={handleChange} disabled={!!progress || choice === current} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">Change</button>
+                </div>
+            )}
+            {progress && <p className="mt-3 text-sm text-gray-500">{progress}</p>}
+        </div>
+    );
+}
+
+// Create, rename, archive and merge categories. Renames and merges rewrite every transaction and
+// recurring item that uses the old name, so they can take a while on large families.
+function CategoriesPage({ db, user, familyId, categories, canManage, showToast, onRenamed }) {
+    const [newCategory, setNewCategory] = useState({ name: '', type: 'Expense', parentId: '', icon: '', color: '' });
+    const [renaming, setRenaming] = useState({ id: null, name: '' });
+    const [busy, setBusy] = useState(null);
+
+    const rootsOfType = (type, excludeId) => orderedCategories(categories)
+        .filter(c => c.type === type && !c.parentId && c.id !== excludeId);
+    const hasChildren = (c) => categories.some(child => child.parentId === c.id);
+
+    const run = async (label, action) => {
+        setBusy(label);
+        try {
+            await action();
+        } catch (e) {
+            showToast(e.message, 'error');
+        } finally {
+            setBusy(null);
         }
-        if (!window.confirm("ARE YOU SURE? This will permanently delete all transactions and cannot be undone.")) {
-            return;
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run('Adding category…', async () => {
+            await createCategory(db, appId, familyId, categories, newCategory);
+            setNewCategory(prev => ({ ...prev, name: '', icon: '', color: '' }));
+            showToast('Category added.');
+        });
+    };
+
+    const handleUpdate = (c, changes) => run('Saving…', () => updateCategory(db, appId, familyId, c.id, changes));
+
+    const handleRename = (c) => run(`Renaming ${c.name}…`, async () => {
+        const newName = renaming.name.trim();
+        const rewritten = await renameCategory(db, appId, familyId, categories, c, newName, user.uid,
+            (n) => setBusy(`Renaming ${c.name}… ${n} updated`));
+        setRenaming({ id: null, name: '' });
+        if (newName !== c.name) await onRenamed(c.name, newName);
+        showToast(`Renamed to ${newName}. ${rewritten} item(s) updated.`);
+    });
+
+    const handleMerge = (source, targetId) => {
+        const target = categories.find(c => c.id === targetId);
+        if (!target) return;
+        if (!window.confirm(`Merge "${source.name}" into "${target.name}"? Every transaction in ${source.name} moves to ${target.name} and ${source.name} is removed.`)) return;
+        run(`Merging ${source.name}…`, async () => {
+            const rewritten = await mergeCategories(db, appId, familyId, categories, source, target, user.uid,
+                (n) => setBusy(`Merging ${source.name}… ${n} updated`));
+            await onRenamed(source.name, target.name);
+            showToast(`Merged into ${target.name}. ${rewritten} item(s) updated.`);
+        });
+    };
+
+    const inputClass = "px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm";
+
+    return (
+        <div className="space-y-8">
+            {busy && <div className="bg-blue-50 text-blue-800 p-3 rounded-md text-sm">{busy}</div>}
+            {canManage && (
+                <form onSubmit={handleCreate} className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold mb-4">Add Category</h2>
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+                        <input type="text" placeholder="Name" value={newCategory.name} onChange={e => setNewCategory(prev => ({ ...prev, name: e.target.value }))} required className={`${inputClass} col-span-2`} />
+                        <select value={newCategory.type} onChange={e => setNewCategory(prev => ({ ...prev, type: e.target.value, parentId: '' }))} className={inputClass}>
+                            <option>Expense</option> <option>Income</option>
+                        </select>
+                        <select value={newCategory.parentId} onChange={e => setNewCategory(prev => ({ ...prev, parentId: e.target.value }))} className={inputClass}>
+                            <option value="">No parent</option>
+                            {rootsOfType(newCategory.type).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                        <input type="text" placeholder="Icon" maxLength={4} value={newCategory.icon} onChange={e => setNewCategory(prev => ({ ...prev, icon: e.target.value }))} className={inputClass} />
+                        <button type="submit" disabled={!!busy} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-4 rounded-md transition disabled:opacity-50">Add</button>
+                    </div>
+                </form>
+            )}
+            {['Expense', 'Income'].map(type => (
+                <div key={type} className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold mb-4">{type} Categories</h2>
+                    <div className="space-y-2">
+                        {orderedCategories(categories.filter(c => c.type === type)).map(c => (
+                            <div key={c.id} className={`grid grid-cols-12 gap-2 items-center ${c.archived ? 'opacity-60' : ''}`}>
+                                <div className={`col-span-4 flex items-center ${c.parentId ? 'pl-6' : ''}`}>
+                                    {canManage
+                                        ? <input type="color" value={c.color} onChange={e => handleUpdate(c, { color: e.target.value })} className="w-6 h-6 mr-2 border-0 p-0" title="Color" />
+                                        : <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: c.color }}></span>}
+                                    {renaming.id === c.id ? (
+                                        <input type="text" autoFocus value={renaming.name} onChange={e => setRenaming({ id: c.id, name: e.target.value })}
+                                            onKeyDown={e => { if (e.key === 'Enter') handleRename(c); if (e.key === 'Escape') setRenaming({ id: null, name: '' }); }}
+                                            className={`${inputClass} flex-1`} />
+                                    ) : (
+                                        <span className="font-medium">{c.icon ? `${c.icon} ` : ''}{c.name}{c.archived && <span className="text-xs text-gray-500"> (archived)</span>}</span>
+                                    )}
+                                </div>
+                                {canManage && <>
+                                    <input type="text" placeholder="Icon" maxLength={4} defaultValue={c.icon} onBlur={e => e.target.value !== c.icon && handleUpdate(c, { icon: e.target.value })} className={`${inputClass} col-span-1`} />
+                                    <select value={c.parentId || ''} disabled={hasChildren(c)} onChange={e => handleUpdate(c, { parentId: e.target.value || null })} className={`${inputClass} col-span-2`} title={hasChildren(c) ? 'Has subcategories' : 'Parent'}>
+                                        <option value="">No parent</option>
+                                        {rootsOfType(type, c.id).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                    </select>
+                                    <select value="" onChange={e => handleMerge(c, e.target.value)} disabled={!!busy} className={`${inputClass} col-span-2`}>
+                                        <option value="">Merge into…</option>
+                                        {orderedCategories(categories.filter(t => t.type === type && t.id !== c.id)).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                                    </select>
+                                    <div className="col-span-3 flex justify-end space-x-3 text-sm">
+                                        {renaming.id === c.id
+                                            ? <button onClick={() => handleRename(c)} disabled={!!busy} className="text-blue-600 hover:text-blue-800">Save</button>
+                                            : <button onClick={() => setRenaming({ id: c.id, name: c.name })} disabled={!!busy} className="text-blue-600 hover:text-blue-800">Rename</button>}
+                                        <button onClick={() => handleUpdate(c, { archived: !c.archived })} disabled={!!busy} className="text-gray-600 hover:text-gray-800">{c.archived ? 'Unarchive' : 'Archive'}</button>
+                                    </div>
+                                </>}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+const EMPTY_CONDITION = { field: 'description', op: 'contains', value: '', value2: '' };
+const emptyRuleDraft = () => ({ id: null, name: '', conditions: [{ ...EMPTY_CONDITION }], actions: { category: '', tags: '', description: '' } });
+
+// Rules in priority order with an editor, plus a check of what they would change on the
+// existing history; nothing there is written until the reviewed changes are applied.
+function RulesPage({ db, user, familyId, rules, categories, accounts, currencies, canManage, showToast, onApplied }) {
+    const [draft, setDraft] = useState(emptyRuleDraft);
+    const [busy, setBusy] = useState(null);
+    // [{ transaction, changes, ruleNames }] once fetched; unticked rows are left alone
+    const [preview, setPreview] = useState(null);
+    const [excluded, setExcluded] = useState(() => new Set());
+
+    const run = async (label, action) => {
+        setBusy(label);
+        try {
+            await action();
+        } catch (e) {
+            showToast(e.message, 'error');
+        } finally {
+            setBusy(null);
         }
+    };
 
-        setIsWiping(true);
+    const setCondition = (i, changes) => setDraft(prev => ({ ...prev, conditions: prev.conditions.map((c, j) => (j === i ? { ...c, ...changes } : c)) }));
+    const setAction = (key, value) => setDraft(prev => ({ ...prev, actions: { ...prev.actions, [key]: value } }));
+    // A new field starts on the first comparison it supports
+    const changeField = (i, field) => setCondition(i, { field, op: RULE_FIELDS[field].ops[0], value: field === 'type' ? 'Expense' : '', value2: '' });
+
+    const editRule = (rule) => setDraft({
+        id: rule.id,
+        name: rule.name,
+        conditions: rule.conditions.map(c => ({ ...EMPTY_CONDITION, ...c, value: String(c.value), value2: c.value2 === undefined ? '' : String(c.value2) })),
+        actions: { ...rule.actions, tags: formatTags(rule.actions.tags) },
+    });
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        run('Saving rule…', async () => {
+            const data = { name: draft.name, conditions: draft.conditions, actions: draft.actions };
+            if (draft.id) await updateRule(db, appId, familyId, categories, rules.find(r => r.id === draft.id), data);
+            else await createRule(db, appId, familyId, rules, categories, data);
+            showToast(draft.id ? 'Rule updated.' : 'Rule added.');
+            setDraft(emptyRuleDraft());
+            setPreview(null);
+        });
+    };
+
+    const handleDelete = (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"? Transactions it already changed keep their values.`)) return;
+        run('Deleting rule…', async () => {
+            await deleteRule(db, appId, familyId, rule);
+            if (draft.id === rule.id) setDraft(emptyRuleDraft());
+            setPreview(null);
+        });
+    };
+
+    const handleMove = (rule, step) => run('Reordering…', async () => {
+        await moveRule(db, appId, familyId, rules, rule, step);
+        setPreview(null);
+    });
+
+    const handleToggle = (rule) => run('Saving…', async () => {
+        await setRuleEnabled(db, appId, familyId, rule, !rule.enabled);
+        setPreview(null);
+    });
+
+    const handlePreview = () => run('Checking existing transactions…', async () => {
+        setPreview(await fetchRuleChanges(db, appId, familyId, rules, { categories }));
+        setExcluded(new Set());
+    });
+
+    const toggleExcluded = (id) => setExcluded(prev => {
+        const next = new Set(prev);
+        if (next.has(id)) next.delete(id); else next.add(id);
+        return next;
+    });
+
+    const handleApply = () => {
+        const selected = preview.filter(entry => !excluded.has(entry.transaction.id));
+        if (selected.length === 0) return;
+        run('Applying rules…', async () => {
+            const written = await applyRuleChanges(db, appId, familyId, selected, user.uid,
+                (n) => setBusy(`Applying rules… ${n} of ${selected.length}`));
+            setPreview(null);
+            await onApplied(selected);
+            showToast(`Rules applied to ${written} transaction(s).`);
+        });
+    };
+
+    const describeActions = ({ category, tags, description }) => [
+        category && `category ${category}`,
+        tags && tags.length > 0 && tags.map(tag => `#${tag}`).join(' '),
+        description && `description "${description}"`,
+    ].filter(Boolean).join(', ');
+
+    const inputClass = "px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm";
+
+    const valueInput = (condition, i) => {
+        if (condition.field === 'type') {
+            return (
+                <select value={condition.value} onChange={e => setCondition(i, { value: e.target.value })} className={inputClass}>
+                    <option>Expense</option> <option>Income</option>
+                </select>
+            );
+        }
+        if (condition.field === 'currency') {
+            return (
+                <select value={condition.value} onChange={e => setCondition(i, { value: e.target.value })} className={inputClass}>
+                    <option value="">Currency…</option>
+                    <CurrencyOptions currencies={currencies} current={condition.value} />
+                </select>
+            );
+        }
+        if (condition.field === 'account') {
+            return (
+                <select value={condition.value} onChange={e => setCondition(i, { value: e.target.value })} className={inputClass}>
+                    <option value="">Account…</option>
+                    {accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                </select>
+            );
+        }
+        if (condition.field === 'amount') {
+            return (
+                <span className="flex items-center gap-1">
+                    <input type="number" step="0.01" value={condition.value} onChange={e => setCondition(i, { value: e.target.value })} className={`${inputClass} w-28`} />
+                    {condition.op === 'between' && <>
+                        <span className="text-sm text-gray-500">and</span>
+                        <input type="number" step="0.01" value={condition.value2} onChange={e => setCondition(i, { value2: e.target.value })} className={`${inputClass} w-28`} />
+                    </>}
+                </span>
+            );
+        }
+        return <input type="text" value={condition.value} onChange={e => setCondition(i, { value: e.target.value })} placeholder={condition.op === 'matches' ? 'e.g. ^MOL|SHELL' : 'e.g. MOL'} className={inputClass} />;
+    };
+
+    return (
+        <div className="space-y-8">
+            {busy && <div className="bg-blue-50 text-blue-800 p-3 rounded-md text-sm">{busy}</div>}
+            {canManage && (
+                <form onSubmit={handleSave} className="bg-white p-6 rounded-lg shadow-md space-y-4">
+                    <h2 className="text-2xl font-bold">{draft.id ? 'Edit Rule' : 'Add Rule'}</h2>
+                    <input type="text" placeholder="Rule name, e.g. Fuel" value={draft.name} onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))} className={`${inputClass} w-full`} />
+                    <div className="space-y-2">
+                        <h3 className="font-semibold">When all of these match</h3>
+                        {draft.conditions.map((condition, i) => (
+                            <div key={i} className="flex flex-wrap items-center gap-2">
+                                <select value={condition.field} onChange={e => changeField(i, e.target.value)} className={inputClass}>
+                                    {Object.entries(RULE_FIELDS).map(([key, spec]) => <option key={key} value={key}>{spec.label}</option>)}
+                                </select>
+                                <select value={condition.op} onChange={e => setCondition(i, { op: e.target.value })} className={inputClass}>
+                                    {RULE_FIELDS[condition.field].ops.map(op => <option key={op} value={op}>{RULE_OPERATORS[op]}</option>)}
+                                </select>
+                                {valueInput(condition, i)}
+                                {draft.conditions.length > 1 && (
+                                    <button type="button" onClick={() => setDraft(prev => ({ ...prev, conditions: prev.conditions.filter((_, j) => j !== i) }))} className="text-sm text-red-600 hover:underline">Remove</button>
+                                )}
+                            </div>
+                        ))}
+                        <button type="button" onClick={() => setDraft(prev => ({ ...prev, conditions: [...prev.conditions, { ...EMPTY_CONDITION }] }))} className="text-sm text-blue-600 hover:underline">+ Add condition</button>
+                    </div>
+                    <div className="space-y-2">
+                        <h3 className="font-semibold">Then set</h3>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                            <select value={draft.actions.category} onChange={e => setAction('category', e.target.value)} className={inputClass}>
+                                <option value="">Keep the category</option>
+                                {orderedCategories(categories.filter(c => !c.archived)).map(c => <option key={c.id} value={c.name}>{c.parentId ? '↳ ' : ''}{c.name} ({c.type})</option>)}
+                            </select>
+                            <input type="text" placeholder="Add tags, comma separated" value={draft.actions.tags} onChange={e => setAction('tags', e.target.value)} className={inputClass} />
+                            <input type="text" placeholder="Replace description with…" value={draft.actions.description} onChange={e => setAction('description', e.target.value)} className={inputClass} />
+                        </div>
+                    </div>
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={!!busy} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-4 rounded-md transition disabled:opacity-50">{draft.id ? 'Save rule' : 'Add rule'}</button>
+                        {draft.id && <button type="button" onClick={() => setDraft(emptyRuleDraft())} className="px-4 py-1 bg-gray-200 text-gray-800 rounded-md">Cancel</button>}
+                    </div>
+                </form>
+            )}
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-2">Rules</h2>
+                <p className="text-sm text-gray-600 mb-4">Rules fill in new and imported transactions, top to bottom: the first matching rule that sets a category or description decides it, and every matching rule adds its tags. A category picked by hand is kept.</p>
+                {rules.length === 0 && <p className="text-gray-500">No rules yet.</p>}
+                <div className="space-y-2">
+                    {rules.map((rule, i) => (
+                        <div key={rule.id} className={`flex flex-wrap items-center gap-3 border-b pb-2 ${rule.enabled ? '' : 'opacity-60'}`}>
+                            <span className="w-6 text-right text-gray-500">{i + 1}.</span>
+                            <div className="flex-1 min-w-0">
+                                <div className="font-medium">{rule.name}{!rule.enabled && <span className="text-xs text-gray-500"> (disabled)</span>}</div>
+                                <div className="text-sm text-gray-600">When {rule.conditions.map(c => describeCondition(c, accounts)).join(' and ')} → {describeActions(rule.actions)}</div>
+                            </div>
+                            {canManage && (
+                                <div className="flex space-x-3 text-sm">
+                                    <button onClick={() => handleMove(rule, -1)} disabled={!!busy || i === 0} className="text-gray-600 hover:text-gray-800 disabled:opacity-30" title="Run earlier">↑</button>
+                                    <button onClick={() => handleMove(rule, 1)} disabled={!!busy || i === rules.length - 1} className="text-gray-600 hover:text-gray-800 disabled:opacity-30" title="Run later">↓</button>
+                                    <button onClick={() => handleToggle(rule)} disabled={!!busy} className="text-gray-600 hover:text-gray-800">{rule.enabled ? 'Disable' : 'Enable'}</button>
+                                    <button onClick={() => editRule(rule)} disabled={!!busy} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                    <button onClick={() => handleDelete(rule)} disabled={!!busy} className="text-red-600 hover:text-red-800">Delete</button>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+            {canManage && rules.some(r => r.enabled) && (
+                <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+                    <h2 className="text-2xl font-bold">Apply to Existing Transactions</h2>
+                    <p className="text-sm text-gray-600">Runs the enabled rules over the whole history and lists what would change. Untick anything that should stay as it is.</p>
+                    <button onClick={handlePreview} disabled={!!busy} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">Preview changes</button>
+                    {preview && preview.length === 0 && <p className="text-gray-500">The rules wouldn't change any existing transaction.</p>}
+                    {preview && preview.length > 0 && <>
+                        <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-md">
+                            <table className="w-full text-sm text-left text-gray-500">
+                                <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th scope="col" className="px-3 py-2"></th>
+                                        <th scope="col" className="px-3 py-2">Date</th>
+                                        <th scope="col" className="px-3 py-2">Description</th>
+                                        <th scope="col" className="px-3 py-2 text-right">Amount</th>
+                                        <th scope="col" className="px-3 py-2">Change</th>
+                                        <th scope="col" className="px-3 py-2">Rules</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.map(({ transaction: t, changes, ruleNames }) => (
+                                        <tr key={t.id} className="border-b">
+                                            <td className="px-3 py-2"><input type="checkbox" checked={!excluded.has(t.id)} onChange={() => toggleExcluded(t.id)} /></td>
+                                            <td className="px-3 py-2">{t.transactionDate}</td>
+                                            <td className="px-3 py-2 text-gray-900">{t.description || '-'}</td>
+                                            <td className="px-3 py-2 text-right font-mono">{formatMoney(Number(t.originalAmount) || 0, t.originalCurrency)}</td>
+                                            <td className="px-3 py-2">
+                                                {changes.category && <div>{t.category || '-'} → <span className="font-semibold">{changes.category}</span></div>}
+                                                {changes.description && <div>“{changes.description}”</div>}
+                                                {changes.tags && <div>{changes.tags.filter(tag => !transactionTags(t).includes(tag)).map(tag => `+#${tag}`).join(' ')}</div>}
+                                            </td>
+                                            <td className="px-3 py-2">{ruleNames.join(', ')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <button onClick={handleApply} disabled={!!busy || excluded.size === preview.length} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">
+                            Apply to {preview.length - excluded.size} transaction(s)
+                        </button>
+                    </>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Accounts with their balances, the selected account's month-end balance history and transfers
+// between accounts. Balances come from the monthly summaries; until those are built only the
+// transactions loaded on the Reports page count.
+function AccountsPage({ db, familyId, accounts, summaries, isPartial, latestRates, currencies, baseCurrency, canManage, canTransfer, onTransfer, onBuildSummaries, showToast }) {
+    const [newAccount, setNewAccount] = useState({ name: '', currency: baseCurrency, openingBalance: '' });
+    const [editing, setEditing] = useState({ id: null, name: '', openingBalance: '' });
+    const [showArchived, setShowArchived] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const visible = accounts.filter(a => showArchived || !a.archived);
+    const selected = visible.find(a => a.id === selectedId) || visible[0] || null;
+    const history = useMemo(() => (selected ? balanceHistory(selected, summaries, latestRates) : []), [selected, summaries, latestRates]);
+
+    const run = async (action) => {
+        setBusy(true);
         try {
-            const collectionPath = `artifacts/${appId}/families/${familyId}/transactions`;
-            const collectionRef = collection(db, collectionPath);
-            let deletedCount = 0;
+            await action();
+        } catch (e) {
+            showToast(e.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await createAccount(db, appId, familyId, accounts, newAccount);
+            setNewAccount(prev => ({ ...prev, name: '', openingBalance: '' }));
+            showToast('Account added.');
+        });
+    };
+
+    const handleSave = (account) => run(async () => {
+        await updateAccount(db, appId, familyId, accounts, account, { name: editing.name, openingBalance: editing.openingBalance });
+        setEditing({ id: null, name: '', openingBalance: '' });
+    });
+
+    const handleArchive = (account) => run(() => updateAccount(db, appId, familyId, accounts, account, { archived: !account.archived }));
+
+    const inputClass = "px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm";
+    const activeAccounts = accounts.filter(a => !a.archived);
+
+    return (
+        <div className="space-y-8">
+            {isPartial && (
+                <div className="p-3 rounded-md bg-yellow-50 text-sm text-yellow-800 flex justify-between items-center gap-4">
+                    <span>Balances only include the transactions loaded on the Reports page. Build the monthly summaries once to cover the full history.</span>
+                    {canTransfer && <button onClick={onBuildSummaries} className="px-3 py-1 bg-yellow-200 rounded-md font-semibold whitespace-nowrap">Build summaries</button>}
+                </div>
+            )}
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold">Accounts</h2>
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                        <input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} />
+                        <span>Show archived</span>
+                    </label>
+                </div>
+                {visible.length === 0 && <p className="text-gray-500">No accounts yet.{canManage && ' Add your bank accounts, cards and cash below.'}</p>}
+                <div className="space-y-2">
+                    {visible.map(a => (
+                        <div key={a.id} onClick={() => setSelectedId(a.id)} className={`grid grid-cols-12 gap-2 items-center p-2 rounded-md cursor-pointer ${selected && selected.id === a.id ? 'bg-blue-50' : 'hover:bg-gray-50'} ${a.archived ? 'opacity-60' : ''}`}>
+                            {editing.id === a.id ? (
+                                <>
+                                    <input type="text" value={editing.name} onChange={e => setEditing(prev => ({ ...prev, name: e.target.value }))} className={`${inputClass} col-span-5`} />
+                                    <input type="number" step="0.01" value={editing.openingBalance} onChange={e => setEditing(prev => ({ ...prev, openingBalance: e.target.value }))} title="Opening balance" className={`${inputClass} col-span-4`} />
+                                </>
+                            ) : (
+                                <>
+                                    <div className="col-span-5">
+                                        <p className="font-medium">{a.name}{a.archived && <span className="text-xs text-gray-500"> (archived)</span>}</p>
+                                        <p className="text-xs text-gray-500">{a.currency} · opened with {formatMoney(Number(a.openingBalance) || 0, a.currency)}</p>
+                                    </div>
+                                    <p className="col-span-4 text-right font-semibold font-mono">{formatMoney(currentBalance(a, summaries, latestRates), a.currency)}</p>
+                                </>
+                            )}
+                            {canManage && (
+                                <div className="col-span-3 flex justify-end space-x-3 text-sm">
+                                    {editing.id === a.id
+                                        ? <button onClick={() => handleSave(a)} disabled={busy} className="text-blue-600 hover:text-blue-800">Save</button>
+                                        : <button onClick={() => setEditing({ id: a.id, name: a.name, openingBalance: String(a.openingBalance ?? '') })} disabled={busy} className="text-blue-600 hover:text-blue-800">Edit</button>}
+                                    <button onClick={() => handleArchive(a)} disabled={busy} className="text-gray-600 hover:text-gray-800">{a.archived ? 'Unarchive' : 'Archive'}</button>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+            {selected && (
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold mb-4">{selected.name} Balance</h2>
+                    <div style={{ width: '100%', height: 300 }}>
+                        {history.length > 0 ? (
+                            <ResponsiveContainer>
+                                <LineChart data={history}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="month" tickFormatter={formatMonthLabel} />
+                                    <YAxis tickFormatter={value => formatMoney(value, selected.currency)} width={100} />
+                                    <Tooltip formatter={value => formatMoney(value, selected.currency)} labelFormatter={formatMonthLabel} />
+                                    <Line type="stepAfter" dataKey="balance" name="Month-end balance" stroke="#2563eb" dot={false} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        ) : <p className="text-center text-gray-500 pt-16">No transactions on this account yet.</p>}
+                    </div>
+                </div>
+            )}
+            {canTransfer && activeAccounts.length >= 2 && <TransferForm accounts={activeAccounts} latestRates={latestRates} onSubmit={onTransfer} />}
+            {canManage && (
+                <form onSubmit={handleCreate} className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold mb-4">Add Account</h2>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+                        <input type="text" placeholder="Name, e.g. Joint account" value={newAccount.name} onChange={e => setNewAccount(prev => ({ ...prev, name: e.target.value }))} required className={`${inputClass} col-span-2`} />
+                        <select value={newAccount.currency} onChange={e => setNewAccount(prev => ({ ...prev, currency: e.target.value }))} className={inputClass}>
+                            <CurrencyOptions currencies={currencies} current={newAccount.currency} />
+                        </select>
+                        <input type="number" step="0.01" placeholder="Opening balance" value={newAccount.openingBalance} onChange={e => setNewAccount(prev => ({ ...prev, openingBalance: e.target.value }))} className={inputClass} />
+                        <button type="submit" disabled={busy} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-4 rounded-md transition disabled:opacity-50">Add</button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+function TransferForm({ accounts, latestRates, onSubmit }) {
+    const [fromId, setFromId] = useState(accounts[0].id);
+    const [toId, setToId] = useState(accounts[1].id);
+    const [amount, setAmount] = useState('');
+    const [toAmount, setToAmount] = useState('');
+    const [date, setDate] = useState(dateToLocalISO(new Date()));
+    const [description, setDescription] = useState('');
+    const [formError, setFormError] = useState('');
+
+    const from = accounts.find(a => a.id === fromId) || accounts[0];
+    const to = accounts.find(a => a.id === toId) || accounts[1];
+    const crossCurrency = from.currency !== to.currency;
+    // Today's rate as a hint; the bank's actual figure goes in the field
+    const estimate = crossCurrency && amount && latestRates
+        ? convertFromBase(parseFloat(amount) / (latestRates[from.currency] || 1), to.currency, latestRates)
+        : null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (from.id === to.id) { setFormError('Pick two different accounts.'); return; }
+        if (!(parseFloat(amount) > 0)) { setFormError('Enter an amount above zero.'); return; }
+        if (crossCurrency && toAmount && !(parseFloat(toAmount) > 0)) { setFormError('The received amount must be above zero.'); return; }
+        setFormError('');
+        onSubmit({
+            accountId: from.id,
+            toAccountId: to.id,
+            originalAmount: parseFloat(amount),
+            toAmount: crossCurrency && toAmount ? parseFloat(toAmount) : null,
+            transactionDate: date,
+            description,
+        });
+        setAmount('');
+        setToAmount('');
+        setDescription('');
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm";
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow-md space-y-4">
+            <h2 className="text-2xl font-bold">Transfer Between Accounts</h2>
+            <p className="text-sm text-gray-500">Transfers change account balances but don't count as income or expense.</p>
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">From</label>
+                    <select value={from.id} onChange={e => setFromId(e.target.value)} className={inputClass}>
+                        {accounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">To</label>
+                    <select value={to.id} onChange={e => setToId(e.target.value)} className={inputClass}>
+                        {accounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>)}
+                    </select>
+                </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">Amount ({from.currency})</label>
+                    <input type="number" step={amountStep(from.currency)} value={amount} onChange={e => setAmount(e.target.value)} required className={inputClass} />
+                </div>
+                {crossCurrency ? (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Received ({to.currency})</label>
+                        <input type="number" step={amountStep(to.currency)} value={toAmount} onChange={e => setToAmount(e.target.value)} placeholder={estimate !== null ? `≈ ${roundMoney(estimate, to.currency)}` : ''} className={inputClass} />
+                    </div>
+                ) : (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Date</label>
+                        <input type="date" value={date} onChange={e => setDate(e.target.value)} required className={inputClass} />
+                    </div>
+                )}
+            </div>
+            <div className={`grid ${crossCurrency ? 'grid-cols-2' : 'grid-cols-1'} gap-4`}>
+                {crossCurrency && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Date</label>
+                        <input type="date" value={date} onChange={e => setDate(e.target.value)} required className={inputClass} />
+                    </div>
+                )}
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">Comments</label>
+                    <input type="text" value={description} onChange={e => setDescription(e.target.value)} className={inputClass} />
+                </div>
+            </div>
+            {formError && <p className="text-red-500 text-sm">{formError}</p>}
+            <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition duration-300">Record Transfer</button>
+        </form>
+    );
+}
+
+function TrashPage({ db, storage, user, familyId, role, showToast, onRestored }) {
+    const [items, setItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+
+    // Restoring and purging follow the same rule as deleting did
+    const canPurge = useCallback((item) => (item.collectionName === 'transactions'
+        ? canDeleteTransaction(role, user.uid, item)
+        : can(role, 'manageRecurring')), [role, user.uid]);
+
+    // Attachment files go first: storage.rules checks the transaction's author to allow it
+    const purgeItems = useCallback(async (targets) => {
+        const attachments = targets.flatMap(transactionAttachments);
+        if (attachments.length > 0 && storage) await deleteAttachmentFiles(storage, attachments);
+        await purge(db, appId, familyId, targets);
+    }, [db, storage, familyId]);
+
+    // Load the trash and purge whatever has outlived the retention window (as far as we're allowed to)
+    const load = useCallback(async () => {
+        if (!db) return;
+        setLoading(true);
+        try {
+            const lists = await Promise.all(TRASH_COLLECTIONS.map(name => listTrash(db, appId, familyId, name)));
+            const all = lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+            const expired = all.filter(item => isPastRetention(item) && canPurge(item));
+            if (expired.length > 0) await purgeItems(expired);
+            setItems(all.filter(item => !expired.includes(item)));
+        } catch (e) {
+            showToast(`Failed to load trash: ${e.message}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [db, familyId, canPurge, purgeItems, showToast]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleRestore = async (item) => {
+        try {
+            await restore(db, appId, familyId, item.collectionName, item.id);
+            if (item.collectionName === 'transactions') onRestored(item);
+            setItems(prev => prev.filter(i => i !== item));
+            showToast('Restored.');
+        } catch (e) { showToast(`Failed to restore: ${e.message}`, 'error'); }
+    };
+
+    const handlePurge = async (targets) => {
+        if (targets.length === 0) return;
+        if (!window.confirm(`Permanently delete ${targets.length} item(s)? This cannot be undone.`)) return;
+        setBusy(true);
+        try {
+            await purgeItems(targets);
+            setItems(prev => prev.filter(i => !targets.includes(i)));
+            showToast(`${targets.length} item(s) permanently deleted.`);
+        } catch (e) { showToast(`Failed to delete: ${e.message}`, 'error'); }
+        finally { setBusy(false); }
+    };
+
+    const purgeable = items.filter(canPurge);
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <div className="flex justify-between items-center mb-2">
+                <h2 className="text-2xl font-bold">Trash</h2>
+                {purgeable.length > 0 && (
+                    <button onClick={() => handlePurge(purgeable)} disabled={busy} className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">Empty Trash</button>
+                )}
+            </div>
+            <p className="text-sm text-gray-500 mb-4">Deleted items are kept for {TRASH_RETENTION_DAYS} days before they are removed for good.</p>
+            {loading && <p className="text-center text-gray-500 py-8">Loading…</p>}
+            {!loading && items.length === 0 && <p className="text-center text-gray-500 py-8">The trash is empty.</p>}
+            <div className="space-y-3">
+                {items.map(item => {
+                    const daysLeft = Math.max(0, Math.ceil((purgeDueAt(item) - Date.now()) / (24 * 60 * 60 * 1000)));
+                    return (
+                        <div key={`${item.collectionName}-${item.id}`} className="flex justify-between items-center p-3 rounded-lg border">
+                            <div>
+                                <p className="font-semibold">{item.description || item.category || '-'}</p>
+                                <p className="text-sm text-gray-500">
+                                    {item.collectionName === 'recurring' ? 'Recurring item' : item.transactionDate} · {isTransfer(item) ? 'Transfer' : item.category} · {formatMoney(item.originalAmount, item.originalCurrency)}
+                                </p>
+                                <p className="text-xs text-gray-400">Deleted {dateToLocalISO(new Date(item.deletedAt))} · removed in {daysLeft} day(s)</p>
+                            </div>
+                            <div className="flex items-center space-x-4">
+                                {canPurge(item) && <button onClick={() => handleRestore(item)} className="text-sm text-blue-600 hover:text-blue-800">Restore</button>}
+                                {canPurge(item) && <button onClick={() => handlePurge([item])} disabled={busy} className="text-gray-400 hover:text-red-600"><TrashIcon /></button>}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+function ImportPage({ db, user, familyId, role, categories, accounts, rules, currencies, baseCurrency, showToast, latestRates, resolveRates, syncSummaries, rebuildSummaries, fetchTransactionsInRange, onDuplicatesMerged, onWiped }) {
+    const [file, setFile] = useState(null);
+    const [rawText, setRawText] = useState('');
+    // 'csv' or a STATEMENT_PARSERS key; detected from each file, and can be overridden
+    const [format, setFormat] = useState('csv');
+    const [presets, setPresets] = useState([]);
+    const [presetId, setPresetId] = useState('');
+    const [presetName, setPresetName] = useState('');
+    // Read when a new file's columns arrive, so a CSV preset's mapping wins over the guess
+    const activePresetRef = useRef(null);
+    const [delimiterChoice, setDelimiterChoice] = useState('auto');
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState({});
+    const [dateFormat, setDateFormat] = useState('YMD');
+    const [amountSign, setAmountSign] = useState('absolute');
+    const [defaultCurrency, setDefaultCurrency] = useState('HUF');
+    const [accountId, setAccountId] = useState('');
+    const [isImporting, setIsImporting] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [isWiping, setIsWiping] = useState(false);
+    // Existing transactions around the file's dates (null while loading) and the flagged
+    // duplicates to import regardless, by row number
+    const [existingNearby, setExistingNearby] = useState(null);
+    const [importAnyway, setImportAnyway] = useState(() => new Set());
+    const [duplicateCheck, setDuplicateCheck] = useState(0);
+
+    useEffect(() => {
+        if (!db) return;
+        return subscribeImportPresets(db, appId, familyId, setPresets, (e) => console.warn('[Import] presets listener failed', e));
+    }, [db, familyId]);
+
+    const applyPreset = (id) => {
+        const preset = presets.find(p => p.id === id) || null;
+        setPresetId(id);
+        activePresetRef.current = preset;
+        if (!preset) return;
+        setPresetName(preset.name);
+        setFormat(preset.format);
+        setDefaultCurrency(preset.defaultCurrency);
+        setDateFormat(preset.dateFormat);
+        setAccountId(accounts.some(a => a.id === preset.accountId && !a.archived) ? preset.accountId : '');
+        if (preset.csv) {
+            setDelimiterChoice(preset.csv.delimiter);
+            setHasHeader(preset.csv.hasHeader);
+            setAmountSign(preset.csv.amountSign);
+            setMapping(preset.csv.mapping);
+        }
+    };
+
+    const handleSavePreset = async () => {
+        try {
+            const id = await saveImportPreset(db, appId, familyId, presets, {
+                name: presetName,
+                format,
+                accountId,
+                defaultCurrency,
+                dateFormat,
+                csv: { delimiter: delimiterChoice, hasHeader, amountSign, mapping },
+            });
+            setPresetId(id);
+            showToast(`Saved preset "${presetName.trim()}".`, 'success');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const handleDeletePreset = async () => {
+        const preset = presets.find(p => p.id === presetId);
+        if (!preset || !window.confirm(`Delete the "${preset.name}" preset?`)) return;
+        try {
+            await deleteImportPreset(db, appId, familyId, preset.id);
+            setPresetId('');
+            activePresetRef.current = null;
+        } catch (e) {
+            showToast(`Failed to delete preset: ${e.message}`, 'error');
+        }
+    };
+
+    const handleFileChange = (e) => {
+        const selected = e.target.files[0];
+        setFile(selected || null);
+        setRawText('');
+        if (!selected) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const text = event.target.result || '';
+            const preset = activePresetRef.current;
+            setFormat(detectStatementFormat(text, selected.name) || (preset ? preset.format : 'csv'));
+            setRawText(text);
+        };
+        reader.readAsText(selected);
+    };
+
+    const isCsv = format === 'csv';
+
+    const parsed = useMemo(() => {
+        if (!rawText || !isCsv) return { rows: [], delimiter: ',' };
+        return parseCsv(rawText, delimiterChoice === 'auto' ? null : delimiterChoice);
+    }, [rawText, isCsv, delimiterChoice]);
+
+    const columnCount = useMemo(() => parsed.rows.reduce((max, r) => Math.max(max, r.length), 0), [parsed]);
+    const columnLabels = useMemo(() => {
+        const header = parsed.rows[0] || [];
+        return Array.from({ length: columnCount }, (_, i) => (hasHeader && header[i] ? header[i] : `Column ${i + 1}`));
+    }, [parsed, columnCount, hasHeader]);
+
+    // Re-guess the mapping whenever a new file (or header setting) changes the columns
+    useEffect(() => {
+        if (!parsed.rows.length) { setMapping({}); return; }
+        const preset = activePresetRef.current;
+        if (preset && preset.csv && preset.csv.hasHeader === hasHeader) setMapping(preset.csv.mapping);
+        else if (hasHeader) setMapping(guessColumnMapping(parsed.rows[0]));
+        else setMapping({ transactionDate: 0, originalAmount: 1, category: 2, description: 3, type: '', originalCurrency: '' });
+    }, [parsed, hasHeader]);
+
+    // Statement files that fail to parse leave an error instead of rows
+    const { previewRows: parsedRows, statementError } = useMemo(() => {
+        const knownCurrencies = latestRates ? Object.keys(latestRates) : null;
+        if (!isCsv) {
+            if (!rawText) return { previewRows: [], statementError: null };
+            try {
+                return { previewRows: parseStatement(format, rawText, { dateFormat, defaultCurrency, knownCurrencies }), statementError: null };
+            } catch (e) {
+                return { previewRows: [], statementError: e.message };
+            }
+        }
+        if (!parsed.rows.length || mapping.transactionDate === undefined) return { previewRows: [], statementError: null };
+        return {
+            previewRows: buildImportRows(parsed.rows, mapping, {
+                hasHeader,
+                dateFormat,
+                amountSign,
+                defaultCurrency,
+                knownCurrencies,
+                incomeCategories: categories.filter(c => c.type === 'Income').map(c => c.name),
+            }),
+            statementError: null,
+        };
+    }, [isCsv, format, rawText, parsed, mapping, hasHeader, dateFormat, amountSign, defaultCurrency, latestRates, categories]);
+
+    // Rules run here rather than in handleImport so the preview shows what will be written
+    const candidateRows = useMemo(() => parsedRows.map(r => (r.transaction
+        ? { ...r, transaction: applyRules(rules, { ...r.transaction, ...(accountId ? { accountId } : {}) }, { categories }) }
+        : r)), [parsedRows, rules, accountId, categories]);
+
+    const importDatesKey = useMemo(
+        () => Array.from(new Set(candidateRows.filter(r => r.transaction).map(r => r.transaction.transactionDate))).sort().join(','),
+        [candidateRows]
+    );
+
+    // Re-checked after every import, so importing the same file twice flags everything
+    useEffect(() => {
+        setExistingNearby(null);
+        setImportAnyway(new Set());
+        if (!importDatesKey) return;
+        let cancelled = false;
+        const { from, to } = duplicateSearchRange(importDatesKey.split(','));
+        fetchTransactionsInRange(from, to)
+            .then(found => { if (!cancelled) setExistingNearby(found); })
+            .catch(e => {
+                console.warn('[Import] duplicate check failed', e);
+                if (!cancelled) setExistingNearby([]);
+            });
+        return () => { cancelled = true; };
+    }, [importDatesKey, fetchTransactionsInRange, duplicateCheck]);
+
+    const checkingDuplicates = !!importDatesKey && existingNearby === null;
+
+    const previewRows = useMemo(() => {
+        if (!existingNearby) return candidateRows;
+        const duplicates = matchDuplicates(candidateRows.map(r => r.transaction), existingNearby);
+        return candidateRows.map((r, i) => (duplicates[i] ? { ...r, duplicateOf: duplicates[i] } : r));
+    }, [candidateRows, existingNearby]);
+
+    const toggleImportAnyway = (rowNumber) => setImportAnyway(prev => {
+        const next = new Set(prev);
+        if (next.has(rowNumber)) next.delete(rowNumber); else next.add(rowNumber);
+        return next;
+    });
+
+    // Likely duplicates are skipped unless ticked
+    const validRows = previewRows.filter(r => r.transaction && (!r.duplicateOf || importAnyway.has(r.rowNumber)));
+    const invalidCount = previewRows.filter(r => !r.transaction).length;
+    const duplicateCount = previewRows.filter(r => r.transaction && r.duplicateOf && !importAnyway.has(r.rowNumber)).length;
+    const missingRequired = isCsv ? IMPORT_FIELDS.filter(f => f.required && (mapping[f.key] === '' || mapping[f.key] === undefined)) : [];
+
+    const handleMappingChange = (key, value) => {
+        setMapping(prev => ({ ...prev, [key]: value === '' ? '' : parseInt(value, 10) }));
+    };
+
+    const handleWipeData = async () => {
+        if (!db) {
+            showToast("Database not ready.", "error");
+            return;
+        }
+        if (!window.confirm(`ARE YOU SURE? This will move all transactions to the trash. They are permanently deleted after ${TRASH_RETENTION_DAYS} days.`)) {
+            return;
+        }
+
+        setIsWiping(true);
+        try {
+            const { deleteBatchId, docs } = await softDeleteAll(db, appId, familyId, 'transactions', user.uid,
+                (deletedCount) => showToast(`Moved ${deletedCount} transactions to trash...`, "success"));
+            onWiped({ removed: docs.map(docToTransaction), deleteBatchId });
+        } catch (e) {
+            console.error("Error wiping data:", e);
+            showToast(`Error wiping data: ${e.message}`, "error");
+        } finally {
+            setIsWiping(false);
+        }
+    };
+
+    const handleImport = async () => {
+        if (!file || validRows.length === 0) {
+            showToast(isCsv ? "Nothing to import. Check the column mapping and preview." : "Nothing to import. Check the preview.", "error");
+            return;
+        }
+        if (!db) {
+            showToast("Database not ready.", "error");
+            return;
+        }
+
+        setIsImporting(true);
+        setProgress(0);
+        try {
+            // Resolve each distinct date's rate table once before building the batches
+            const ratesByDate = {};
+            for (const date of new Set(validRows.map(r => r.transaction.transactionDate))) {
+                ratesByDate[date] = await resolveRates(date);
+            }
+            // Every row needs a rate before the first batch is written
+            validRows.forEach(({ transaction: row }) => rateFor(ratesByDate[row.transactionDate].rates, row.originalCurrency, ratesByDate[row.transactionDate].date));
+
+            // Use Firestore batch writes for efficiency
+            let batch = writeBatch(db);
+            const collectionRef = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+            let importedCount = 0;
+            let pending = [];
+
+            for (let i = 0; i < validRows.length; i++) {
+                const row = validRows[i].transaction;
+                const { date: rateDate, rates, baseCurrency } = ratesByDate[row.transactionDate];
+                const rate = rateFor(rates, row.originalCurrency, rateDate);
+                const newTransaction = {
+                    ...row,
+                    ...(accountId ? { accountId } : {}),
+                    baseCurrency,
+                    exchangeRateToBase: rate,
+                    exchangeRateDate: rateDate,
+                    amountInBaseCurrency: row.originalAmount / rate,
+                    createdAt: Date.now(),
+                    createdBy: user.uid,
+                    updatedBy: user.uid
+                };
+
+                const docRef = doc(collectionRef); // Create a new doc with a random ID
+                batch.set(docRef, newTransaction);
+                pending.push(newTransaction);
+
+                importedCount++;
+                setProgress(Math.round((i + 1) / validRows.length * 100));
+
+                // Commit the batch every 500 writes
+                if (importedCount % 500 === 0) {
+                    await batch.commit();
+                    await syncSummaries(pending);
+                    batch = writeBatch(db); // start a new batch
+                    pending = [];
+                }
+            }
+
+            if (importedCount % 500 !== 0) {
+                await batch.commit(); // Commit the final batch
+                await syncSummaries(pending);
+            }
+
+            const skipped = invalidCount > 0 ? ` ${invalidCount} invalid row(s) skipped.` : '';
+            const duplicates = duplicateCount > 0 ? ` ${duplicateCount} duplicate(s) skipped.` : '';
+            showToast(`Successfully imported ${importedCount} records.${skipped}${duplicates}`, "success");
+            setDuplicateCheck(n => n + 1);
+        } catch (e) {
+            console.error("Error importing data:", e);
+            showToast(`Import failed: ${e.message}`, "error");
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const selectClass = "mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm";
+
+    if (!role) return null;
+    if (!can(role, 'import')) {
+        return <div className="bg-white p-8 rounded-lg shadow-md max-w-2xl mx-auto text-gray-600">Importing data requires editor access to this family.</div>;
+    }
+
+    return (
+        <div className="bg-white p-8 rounded-lg shadow-md max-w-5xl mx-auto space-y-8">
+            <div>
+                <h2 className="text-2xl font-bold mb-4">Import Historical Data</h2>
+                <p className="text-gray-600 mb-6">Upload a CSV file or a bank statement (OFX, QFX, QIF or camt.053 XML) and check the preview. CSV columns are mapped by hand; statements carry each entry's sign and currency, so debits become expenses and credits income. Nothing is written until you start the import.</p>
+
+                <div className="mb-4 flex flex-wrap items-end gap-2">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Bank preset</label>
+                        <select value={presetId} onChange={e => applyPreset(e.target.value)} className={selectClass}>
+                            <option value="">No preset</option>
+                            {presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                    </div>
+                    <input type="text" value={presetName} onChange={e => setPresetName(e.target.value)} placeholder="Preset name, e.g. the bank" className="p-2 border border-gray-300 rounded-md" />
+                    <button onClick={handleSavePreset} disabled={!presetName.trim()} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">Save settings as preset</button>
+                    {presetId && <button onClick={handleDeletePreset} className="px-4 py-2 text-red-600 hover:underline">Delete preset</button>}
+                </div>
+
+                <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">File</label>
+                    <input type="file" accept=".csv,.txt,.ofx,.qfx,.qif,.xml" onChange={handleFileChange} className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"/>
+                </div>
+
+                {rawText && (
+                    <div className="space-y-6">
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">Format</label>
+                                <select value={format} onChange={e => setFormat(e.target.value)} className={selectClass}>
+                                    <option value="csv">CSV</option>
+                                    {Object.entries(STATEMENT_PARSERS).map(([key, parser]) => <option key={key} value={key}>{parser.label}</option>)}
+                                </select>
+                            </div>
+                            {isCsv && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">Delimiter</label>
+                                    <select value={delimiterChoice} onChange={e => setDelimiterChoice(e.target.value)} className={selectClass}>
+                                        <option value="auto">Auto ({parsed.delimiter === '\t' ? 'tab' : parsed.delimiter})</option>
+                                        <option value=",">Comma (,)</option>
+                                        <option value=";">Semicolon (;)</option>
+                                        <option value={'\t'}>Tab</option>
+                                    </select>
+                                </div>
+                            )}
+                            {/* OFX and camt.053 dates have a fixed layout */}
+                            {(isCsv || format === 'qif') && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">Date format</label>
+                                    <select value={dateFormat} onChange={e => setDateFormat(e.target.value)} className={selectClass}>
+                                        {Object.entries(DATE_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </div>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">Default currency</label>
+                                <select value={defaultCurrency} onChange={e => setDefaultCurrency(e.target.value)} className={selectClass}>
+                                    <CurrencyOptions currencies={currencies} current={defaultCurrency} />
+                                </select>
+                            </div>
+                            {accounts.some(a => !a.archived) && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">Account</label>
+                                    {/* A statement belongs to one account; its currency becomes the default */}
+                                    <select value={accountId} onChange={e => {
+                                        const account = accounts.find(a => a.id === e.target.value);
+                                        setAccountId(e.target.value);
+                                        if (account) setDefaultCurrency(account.currency);
+                                    }} className={selectClass}>
+                                        <option value="">No account</option>
+                                        {accounts.filter(a => !a.archived).map(a => <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>)}
+                                    </select>
+                                </div>
+                            )}
+                            {isCsv && (
+                                <div className="flex items-end">
+                                    <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 pb-2">
+                                        <input type="checkbox" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} />
+                                        <span>First row is a header</span>
+                                    </label>
+                                </div>
+                            )}
+                        </div>
+
+                        {isCsv && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">Amount sign</label>
+                                <select value={amountSign} onChange={e => setAmountSign(e.target.value)} className={selectClass}>
+                                    {Object.entries(AMOUNT_SIGN_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                        )}
+
+                        {isCsv && <div>
+                            <h3 className="text-lg font-bold mb-2">Column Mapping</h3>
+                            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                                {IMPORT_FIELDS.map(field => (
+                                    <div key={field.key}>
+                                        <label className="block text-sm font-medium text-gray-700">{field.label}{field.required && <span className="text-red-500"> *</span>}</label>
+                                        <select value={mapping[field.key] ?? ''} onChange={e => handleMappingChange(field.key, e.target.value)} className={selectClass}>
+                                            <option value="">{field.required ? '— select column —' : '— not in file —'}</option>
+                                            {columnLabels.map((label, i) => <option key={i} value={i}>{label}</option>)}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>}
+
+                        {statementError && <p className="text-sm text-red-600">Couldn't read the statement: {statementError}</p>}
+
+                        <ImportPreviewTable rows={previewRows} importAnyway={importAnyway} onToggleImportAnyway={toggleImportAnyway} />
+
+                        <p className="text-sm text-gray-600">
+                            {!isCsv && previewRows.length === 0
+                                ? `No transactions found. Is this a ${STATEMENT_PARSERS[format].label} file?`
+                                : missingRequired.length > 0
+                                ? `Map the required columns: ${missingRequired.map(f => f.label).join(', ')}.`
+                                : checkingDuplicates
+                                ? 'Checking for transactions imported before…'
+                                : `${validRows.length} row(s) ready to import, ${invalidCount} with errors will be skipped.${duplicateCount > 0 ? ` ${duplicateCount} likely duplicate(s) of existing transactions will be skipped too.` : ''}`}
+                        </p>
+                    </div>
+                )}
+
+                <button onClick={handleImport} disabled={isImporting || checkingDuplicates || !file || validRows.length === 0 || missingRequired.length > 0} className="w-full mt-6 bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isImporting ? `Importing... ${progress}%` : `Import ${validRows.length} Transaction(s)`}
+                </button>
+
+                {isImporting && (
+                    <div className="w-full bg-gray-200 rounded-full h-2.5 mt-4">
+                        <div className="bg-blue-600 h-2.5 rounded-full" style={{ width: `${progress}%` }}></div>
+                    </div>
+                )}
+            </div>
+            <DuplicatesPanel db={db} user={user} familyId={familyId} role={role} showToast={showToast} onMerged={onDuplicatesMerged} />
+            <BackupPanel db={db} familyId={familyId} baseCurrency={baseCurrency} canRestore={can(role, 'restore')} showToast={showToast} onRestored={rebuildSummaries} />
+            <RateHistoryPanel db={db} showToast={showToast} />
+            {can(role, 'wipe') && <div className="border-t pt-8">
+                 <h2 className="text-2xl font-bold mb-4 text-red-600">Danger Zone</h2>
+                 <p className="text-gray-600 mb-6">This moves every transaction to the trash. They can be restored from the Trash page for {TRASH_RETENTION_DAYS} days, then they are deleted for good.</p>
+                 <button onClick={handleWipeData} disabled={isWiping} className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isWiping ? 'Wiping Data...' : 'Wipe All Transactions'}
+                 </button>
+            </div>}
+        </div>
+    );
+}
+
+// Finds transactions saved more than once and merges each set into the one to keep. The extra
+// copies go to the trash together, so a merge can be undone.
+function DuplicatesPanel({ db, user, familyId, role, showToast, onMerged }) {
+    const [groups, setGroups] = useState(null);
+    // Chosen transaction per group, by groupKey; the oldest one otherwise
+    const [keepIds, setKeepIds] = useState({});
+    const [busy, setBusy] = useState(null);
+
+    const groupKey = (group) => group.transactions.map(t => t.id).join(',');
+
+    const handleFind = async () => {
+        setBusy('Looking for duplicates…');
+        try {
+            setGroups(await fetchDuplicateGroups(db, appId, familyId));
+            setKeepIds({});
+        } catch (e) {
+            showToast(`Failed to look for duplicates: ${e.message}`, 'error');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const dismiss = (key) => setGroups(prev => prev.filter(g => groupKey(g) !== key));
+
+    const handleMerge = async (group) => {
+        const key = groupKey(group);
+        const keepId = keepIds[key] || group.transactions[0].id;
+        const keep = group.transactions.find(t => t.id === keepId);
+        const others = group.transactions.filter(t => t.id !== keepId);
+        setBusy('Merging…');
+        try {
+            const { kept } = await mergeDuplicates(db, appId, familyId, keep, others, user.uid);
+            dismiss(key);
+            onMerged({ original: keep, kept, removed: others });
+        } catch (e) {
+            showToast(`Merge failed: ${e.message}`, 'error');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    if (!can(role, 'writeTransactions')) return null;
+
+    return (
+        <div className="border-t pt-8 space-y-4">
+            <h2 className="text-2xl font-bold">Find Duplicates</h2>
+            <p className="text-gray-600">Lists transactions that look like the same one saved more than once: same amount and currency, dates at most {DUPLICATE_WINDOW_DAYS} days apart and similar descriptions. Merging keeps the one you pick, adds the others' tags to it and moves them to the trash.</p>
+            <button onClick={handleFind} disabled={!!busy} className="px-4 py-2 bg-gray-200 text-gray-800 rounded disabled:opacity-50">{busy || 'Find duplicates'}</button>
+            {groups && groups.length === 0 && <p className="text-gray-500">No duplicates found.</p>}
+            {groups && groups.map(group => {
+                const key = groupKey(group);
+                const keepId = keepIds[key] || group.transactions[0].id;
+                // Editors can only trash their own transactions
+                const canMerge = group.transactions.every(t => t.id === keepId || canDeleteTransaction(role, user.uid, t));
+                return (
+                    <div key={key} className="border rounded-md p-3 space-y-2">
+                        <div className="flex justify-between items-center">
+                            <span className="font-semibold">{group.match === 'exact' ? 'Identical' : 'Similar'}: {formatMoney(Number(group.transactions[0].originalAmount) || 0, group.transactions[0].originalCurrency)}</span>
+                            <div className="flex space-x-3 text-sm">
+                                <button onClick={() => handleMerge(group)} disabled={!!busy || !canMerge} title={canMerge ? '' : 'Only the owner can remove transactions other members added'} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">Merge</button>
+                                <button onClick={() => dismiss(key)} className="text-gray-600 hover:text-gray-800">Not duplicates</button>
+                            </div>
+                        </div>
+                        {group.transactions.map(t => (
+                            <label key={t.id} className="flex items-center space-x-3 text-sm">
+                                <input type="radio" name={`keep-${key}`} checked={t.id === keepId} onChange={() => setKeepIds(prev => ({ ...prev, [key]: t.id }))} />
+                                <span className="w-24">{t.transactionDate}</span>
+                                <span className="flex-1 text-gray-900">{t.description || '-'}</span>
+                                <span>{t.category || t.type}</span>
+                                <span className="text-gray-500">{transactionTags(t).map(tag => `#${tag}`).join(' ')}</span>
+                            </label>
+                        ))}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// One collection's plan as a single list: [{ id, action, reason }]
+const restoreListed = (entry) => [
+    ...entry.add.map(item => ({ id: item.id, action: 'add' })),
+    ...entry.overwrite.map(item => ({ id: item.id, action: 'overwrite' })),
+    ...entry.skip.map(({ id, reason }) => ({ id, action: 'skip', reason })),
+];
+
+// Download a full backup, or restore one after reviewing what it would add, overwrite or skip.
+function BackupPanel({ db, familyId, baseCurrency, canRestore, showToast, onRestored }) {
+    const [isBackingUp, setIsBackingUp] = useState(false);
+    const [backup, setBackup] = useState(null);
+    const [existingIds, setExistingIds] = useState(null);
+    const [overwriteExisting, setOverwriteExisting] = useState(false);
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [progress, setProgress] = useState(0);
+
+    const handleBackup = async () => {
+        setIsBackingUp(true);
+        try {
+            downloadFile(`family-finance-backup-${dateToLocalISO(new Date())}.json`, await createBackup(db, appId, familyId, baseCurrency), EXPORT_MIME_TYPES.json);
+        } catch (e) {
+            showToast(`Backup failed: ${e.message}`, 'error');
+        } finally {
+            setIsBackingUp(false);
+        }
+    };
+
+    const handleFileChange = (e) => {
+        const selected = e.target.files[0];
+        setBackup(null);
+        setExistingIds(null);
+        if (!selected) return;
+        const reader = new FileReader();
+        reader.onload = async (event) => {
+            try {
+                const parsed = parseBackup(event.target.result || '', baseCurrency);
+                setExistingIds(await fetchExistingIds(db, appId, familyId));
+                setBackup(parsed);
+            } catch (err) {
+                showToast(`Can't restore this file: ${err.message}`, 'error');
+            }
+        };
+        reader.readAsText(selected);
+    };
+
+    const plan = useMemo(
+        () => (backup && existingIds ? planRestore(backup, existingIds, { overwriteExisting }) : null),
+        [backup, existingIds, overwriteExisting]
+    );
+    const writeCount = plan ? restoreWriteCount(plan) : 0;
+
+    const handleRestore = async () => {
+        const overwrites = BACKUP_COLLECTIONS.reduce((sum, name) => sum + plan[name].overwrite.length, 0);
+        if (overwrites > 0 && !window.confirm(`This replaces ${overwrites} existing document(s) with their backed-up version. Continue?`)) return;
+        setIsRestoring(true);
+        setProgress(0);
+        try {
+            const written = await applyRestore(db, appId, familyId, plan, (done, total) => setProgress(Math.round(done / total * 100)));
+            await onRestored();
+            showToast(`Restored ${written} document(s).`);
+            setBackup(null);
+            setExistingIds(null);
+        } catch (e) {
+            showToast(`Restore failed: ${e.message}`, 'error');
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    return (
+        <div className="border-t pt-8">
+            <h2 className="text-2xl font-bold mb-4">Backup &amp; Restore</h2>
+            <p className="text-gray-600 mb-4">A backup holds this family's transactions, recurring items, budgets, accounts, goals, categories, rules and import presets, including items in the trash.</p>
+            <button onClick={handleBackup} disabled={isBackingUp} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50">
+                {isBackingUp ? 'Preparing backup...' : 'Download Backup'}
+            </button>
+
+            {canRestore && (
+                <div className="mt-6 space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Restore from a backup file</label>
+                        <input type="file" accept=".json,application/json" onChange={handleFileChange} className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"/>
+                    </div>
+                    {plan && (
+                        <>
+                            {backup.upgradedFrom < BACKUP_SCHEMA_VERSION && (
+                                <p className="text-sm text-gray-500">This file uses an older format (version {backup.upgradedFrom}) and was upgraded for restoring.</p>
+                            )}
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" checked={overwriteExisting} onChange={e => setOverwriteExisting(e.target.checked)} />
+                                <span>Overwrite documents that already exist</span>
+                            </label>
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 border-b">
+                                        <th className="py-1">Collection</th><th>Add</th><th>Overwrite</th><th>Skip</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {BACKUP_COLLECTIONS.map(name => (
+                                        <tr key={name} className="border-b">
+                                            <td className="py-1 capitalize">{name}</td>
+                                            <td>{plan[name].add.length}</td>
+                                            <td>{plan[name].overwrite.length}</td>
+                                            <td>{plan[name].skip.length}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {/* Document ids per collection, so a partial restore can be checked before it runs */}
+                            {BACKUP_COLLECTIONS.filter(name => restoreListed(plan[name]).length > 0).map(name => (
+                                <details key={name} className="text-sm text-gray-600">
+                                    <summary className="cursor-pointer capitalize">{name} ({restoreListed(plan[name]).length})</summary>
+                                    <ul className="mt-2 max-h-48 overflow-y-auto">
+                                        {restoreListed(plan[name]).map(({ id, action, reason }, i) => (
+                                            <li key={`${action}-${id}-${i}`}>
+                                                <span className="font-mono">{id}</span>: {action}{reason ? ` (${reason})` : ''}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            ))}
+                            <button onClick={handleRestore} disabled={isRestoring || writeCount === 0} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50 disabled:cursor-not-allowed">
+                                {isRestoring ? `Restoring... ${progress}%` : `Restore ${writeCount} Document(s)`}
+                            </button>
+                            {isRestoring && (
+                                <div className="w-full bg-gray-200 rounded-full h-2.5">
+                                    <div className="bg-blue-600 h-2.5 rounded-full" style={{ width: `${progress}%` }}></div>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Fill gaps in the stored rate history so older transactions can be converted at their own date.
+function RateHistoryPanel({ db, showToast }) {
+    const [fromDate, setFromDate] = useState(() => `${new Date().getFullYear()}-01-01`);
+    const [toDate, setToDate] = useState(() => dateToLocalISO(new Date()));
+    const [isRunning, setIsRunning] = useState(false);
+    const [progress, setProgress] = useState(0);
+
+    const handleBackfill = async () => {
+        if (!db) { showToast("Database not ready.", "error"); return; }
+        if (!fromDate || !toDate || fromDate > toDate) { showToast("Choose a valid date range.", "error"); return; }
+        setIsRunning(true);
+        setProgress(0);
+        try {
+            const { fetched, skipped, failed } = await backfillRates(db, appId, rateProvider, fromDate, toDate, setProgress);
+            const failedNote = failed.length ? ` ${failed.length} day(s) failed.` : '';
+            showToast(`Rate history: ${fetched} day(s) fetched, ${skipped} already stored.${failedNote}`, failed.length ? 'error' : 'success');
+        } catch (e) {
+            showToast(`Backfill failed: ${e.message}`, 'error');
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    return (
+        <div className="border-t pt-8">
+            <h2 className="text-2xl font-bold mb-4">Exchange Rate History</h2>
+            <p className="text-gray-600 mb-6">Transactions are converted with the rates of their own date. Backfill the days you are missing using the <span className="font-mono">{rateProvider.name}</span> provider.</p>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">From</label>
+                    <input type="date" value={fromDate} onChange={e => setFromDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">To</label>
+                    <input type="date" value={toDate} onChange={e => setToDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                </div>
+            </div>
+            <button onClick={handleBackfill} disabled={isRunning} className="w-full bg-gray-700 hover:bg-gray-800 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50 disabled:cursor-not-allowed">
+                {isRunning ? `Backfilling... ${progress}%` : 'Backfill Rates'}
+            </button>
+        </div>
+    );
+}
+
+const IMPORT_PREVIEW_LIMIT = 100;
+
+// Dry-run view of what the import would write; invalid rows are shown with their errors.
+function ImportPreviewTable({ rows, importAnyway = new Set(), onToggleImportAnyway }) {
+    const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+    const visible = (showErrorsOnly ? rows.filter(r => r.errors.length) : rows).slice(0, IMPORT_PREVIEW_LIMIT);
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="text-lg font-bold">Preview</h3>
+                <label className="flex items-center space-x-2 text-sm text-gray-600">
+                    <input type="checkbox" checked={showErrorsOnly} onChange={e => setShowErrorsOnly(e.target.checked)} />
+                    <span>Only rows with errors</span>
+                </label>
+            </div>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-md">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 sticky top-0">
+                        <tr>
+                            <th scope="col" className="px-3 py-2">Row</th>
+                            <th scope="col" className="px-3 py-2">Date</th>
+                            <th scope="col" className="px-3 py-2">Type</th>
+                            <th scope="col" className="px-3 py-2 text-right">Amount</th>
+                            <th scope="col" className="px-3 py-2">Category</th>
+                            <th scope="col" className="px-3 py-2">Description</th>
+                            <th scope="col" className="px-3 py-2">Tags</th>
+                            <th scope="col" className="px-3 py-2">Duplicate of</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visible.map(r => r.transaction ? (
+                            <tr key={r.rowNumber} className={`border-b ${r.duplicateOf && !importAnyway.has(r.rowNumber) ? 'bg-yellow-50' : ''}`}>
+                                <td className="px-3 py-2">{r.rowNumber}</td>
+                                <td className="px-3 py-2">{r.transaction.transactionDate}</td>
+                                <td className={`px-3 py-2 ${r.transaction.type === 'Expense' ? 'text-red-500' : 'text-green-500'}`}>{r.transaction.type}</td>
+                                <td className="px-3 py-2 text-right font-mono">{formatMoney(r.transaction.originalAmount, r.transaction.originalCurrency)}</td>
+                                <td className="px-3 py-2">{r.transaction.category}</td>
+                                <td className="px-3 py-2 text-gray-900">{r.transaction.description || '-'}</td>
+                                <td className="px-3 py-2">{r.transaction.tags.map(tag => `#${tag}`).join(' ') || '-'}</td>
+                                <td className="px-3 py-2">
+                                    {r.duplicateOf ? (
+                                        <label className="flex items-start space-x-2" title={`${r.duplicateOf.match === 'exact' ? 'Same' : 'Similar'} transaction already saved`}>
+                                            <input type="checkbox" checked={importAnyway.has(r.rowNumber)} onChange={() => onToggleImportAnyway(r.rowNumber)} className="mt-1" />
+                                            <span>{r.duplicateOf.transaction.transactionDate} {r.duplicateOf.transaction.description || r.duplicateOf.transaction.category}{r.duplicateOf.match === 'likely' ? ' (likely)' : ''}. Import anyway</span>
+                                        </label>
+                                    ) : '-'}
+                                </td>
+                            </tr>
+                        ) : (
+                            <tr key={r.rowNumber} className="border-b bg-red-50">
+                                <td className="px-3 py-2">{r.rowNumber}</td>
+                                <td colSpan={7} className="px-3 py-2 text-red-600">{r.errors.join('; ')}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {visible.length === 0 && <p className="text-center text-gray-500 py-4">No rows to show.</p>}
+            </div>
+            {rows.length > IMPORT_PREVIEW_LIMIT && <p className="text-xs text-gray-500 mt-1">Showing the first {IMPORT_PREVIEW_LIMIT} rows.</p>}
+        </div>
+    );
+}
+
+const formatMonthLabel = (ym) => new Date(ym + '-02T00:00:00Z').toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const BUDGET_BAR_COLORS = { ok: 'bg-green-500', warning: 'bg-yellow-500', over: 'bg-red-500' };
+
+function BudgetProgressList({ statuses, month }) {
+    if (statuses.length === 0) return <p className="text-center text-gray-500 py-4">No budgets apply to {formatMonthLabel(month)}.</p>;
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-500">{formatMonthLabel(month)}</p>
+            {statuses.map(s => {
+                const fmt = (v) => formatMoney(v, s.currency, { decimals: 0 });
+                return (
+                    <div key={s.category}>
+                        <div className="flex justify-between text-sm mb-1">
+                            <span className="font-medium">{s.category}</span>
+                            <span className={s.level === 'over' ? 'text-red-600 font-semibold' : 'text-gray-600'}>
+                                {fmt(s.spent)} / {fmt(s.available)}
+                                {s.carried > 0 && <span className="text-xs text-gray-400"> (incl. {fmt(s.carried)} rollover)</span>}
+                            </span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-2.5">
+                            <div className={`${BUDGET_BAR_COLORS[s.level]} h-2.5 rounded-full`} style={{ width: `${Math.min(100, s.percent)}%` }}></div>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
 
-            while (true) {
-                const q = query(collectionRef, limit(500));
-                const querySnapshot = await getDocs(q);
+function BudgetsPage({ budgets, categories, currencies, baseCurrency, canManage, onSave, onRemove, fetchTransactionsInRange, convertTransaction, showToast }) {
+    const [month, setMonth] = useState(() => dateToLocalISO(new Date()).slice(0, 7));
+    const [monthTransactions, setMonthTransactions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [drafts, setDrafts] = useState({});
 
-                if (querySnapshot.size === 0) {
-                    break; 
-                }
+    const fromMonth = useMemo(() => budgetHistoryStart(budgets, month), [budgets, month]);
 
-                const batch = writeBatch(db);
-                querySnapshot.docs.forEach(doc => {
-                    batch.delete(doc.ref);
-                });
-                await batch.commit();
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        fetchTransactionsInRange(`${fromMonth}-01`, `${month}-31`)
+            .then(txns => { if (!cancelled) setMonthTransactions(txns); })
+            .catch(e => showToast(`Failed to load transactions: ${e.message}`, 'error'))
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [fetchTransactionsInRange, fromMonth, month, showToast]);
 
-                deletedCount += querySnapshot.size;
-                showToast(`Deleted ${deletedCount} transactions...`, "success");
-            }
-            showToast("All transactions have been wiped.", "success");
-        } catch (e) {
-            console.error("Error wiping data:", e);
-            showToast(`Error wiping data: ${e.message}`, "error");
-        } finally {
-            setIsWiping(false);
-        }
+    const statuses = useMemo(
+        () => computeBudgetStatus(budgets, monthTransactions, month, convertTransaction),
+        [budgets, monthTransactions, month, convertTransaction]
+    );
+
+    const rowFor = (category) => {
+        if (drafts[category]) return drafts[category];
+        const b = budgets.find(x => x.category === category);
+        return b
+            ? { monthlyLimit: String(b.monthlyLimit), currency: b.currency, rollover: !!b.rollover }
+            : { monthlyLimit: '', currency: localStorage.getItem('lastUsedCurrency') || baseCurrency, rollover: false };
     };
+    // Archived categories only stay listed while they still have a budget to remove
+    const budgetCategories = useMemo(() => Array.from(new Set([
+        ...activeCategoryNames(categories, 'Expense'),
+        ...budgets.map(b => b.category),
+    ])), [categories, budgets]);
 
-    const handleImport = async () => {
-        if (!file) {
-            showToast("Please select a CSV file first.", "error");
-            return;
-        }
-        if (!db) {
-            showToast("Database not ready.", "error");
-            return;
-        }
+    const updateDraft = (category, patch) => setDrafts(prev => ({ ...prev, [category]: { ...rowFor(category), ...patch } }));
 
-        setIsImporting(true);
-        setProgress(0);
+    const handleSave = async (category) => {
+        const row = rowFor(category);
+        const limitValue = parseFloat(row.monthlyLimit);
+        if (isNaN(limitValue) || limitValue <= 0) { showToast('Enter a monthly limit greater than zero.', 'error'); return; }
+        await onSave(category, row);
+        setDrafts(prev => { const next = { ...prev }; delete next[category]; return next; });
+    };
 
-        const reader = new FileReader();
-        reader.onload = async (event) => {
-            const csvData = event.target.result;
-            // Basic CSV parsing
-            const rows = csvData.split('\n').slice(1); // Skip header row
-            const totalRecords = rows.length;
-            let importedCount = 0;
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold">Budget Progress</h2>
+                    <input type="month" value={month} onChange={e => e.target.value && setMonth(e.target.value)} className="px-3 py-1 border-gray-300 rounded-md shadow-sm" />
+                </div>
+                {loading ? <p className="text-center text-gray-500 py-4">Loading…</p> : <BudgetProgressList statuses={statuses} month={month} />}
+            </div>
+            {canManage && <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-4">Monthly Limits</h2>
+                <div className="space-y-2">
+                    {budgetCategories.map(category => {
+                        const row = rowFor(category);
+                        const hasBudget = budgets.some(b => b.category === category);
+                        return (
+                            <div key={category} className="grid grid-cols-12 gap-2 items-center">
+                                <span className="col-span-4 text-sm font-medium">{category}</span>
+                                <input type="number" min="0" step="0.01" placeholder="No limit" value={row.monthlyLimit} onChange={e => updateDraft(category, { monthlyLimit: e.target.value })} className="col-span-3 px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm" />
+                                <select value={row.currency} onChange={e => updateDraft(category, { currency: e.target.value })} className="col-span-2 px-1 py-1 border-gray-300 rounded-md shadow-sm text-sm">
+                                    <CurrencyOptions currencies={currencies} current={row.currency} />
+                                </select>
+                                <label className="col-span-1 flex justify-center" title="Roll over unspent amounts">
+                                    <input type="checkbox" checked={row.rollover} onChange={e => updateDraft(category, { rollover: e.target.checked })} />
+                                </label>
+                                <div className="col-span-2 flex justify-end space-x-2">
+                                    <button onClick={() => handleSave(category)} disabled={!drafts[category]} className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-40">Save</button>
+                                    {hasBudget && <button onClick={() => onRemove(category)} className="text-gray-400 hover:text-red-600"><TrashIcon /></button>}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+                <p className="text-xs text-gray-500 mt-4">Tick the box to roll unspent amounts over into the next month.</p>
+            </div>}
+        </div>
+    );
+}
 
-            const approxRateHufToUsd = 0.0027; // Using an approximate rate
+const GOAL_BAR_COLORS = { reached: 'bg-green-500', onTrack: 'bg-blue-500', behind: 'bg-yellow-500', noDeadline: 'bg-blue-500', noData: 'bg-blue-500' };
 
-            // Use Firestore batch writes for efficiency
-            let batch = writeBatch(db);
-            const collectionRef = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+// Goals with their progress and projection. Contributions and linked transactions are only
+// needed here, so the page listens to them itself.
+function GoalsPage({ db, user, familyId, goals, currencies, baseCurrency, canManage, convertTransaction, showToast }) {
+    const [contributions, setContributions] = useState([]);
+    const [linkedTransactions, setLinkedTransactions] = useState([]);
+    const [newGoal, setNewGoal] = useState({ name: '', targetAmount: '', currency: baseCurrency, deadline: '' });
+    const [showArchived, setShowArchived] = useState(false);
+    const [busy, setBusy] = useState(false);
 
-            for (let i = 0; i < totalRecords; i++) {
-                const row = rows[i].split(',');
-                const [transactionDate, originalAmount, category, description] = row;
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribeContributions = subscribeContributions(db, appId, familyId, setContributions, (e) => console.warn('[Goals] contributions listener failed', e));
+        const unsubscribeLinked = subscribeGoalTransactions(db, appId, familyId, setLinkedTransactions, (e) => console.warn('[Goals] transactions listener failed', e));
+        return () => { unsubscribeContributions(); unsubscribeLinked(); };
+    }, [db, familyId]);
 
-                if (!transactionDate || !originalAmount) continue;
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+        } catch (e) {
+            showToast(e.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
 
-                const date = new Date(transactionDate);
-                const amount = parseFloat(originalAmount);
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await createGoal(db, appId, familyId, newGoal);
+            setNewGoal(prev => ({ ...prev, name: '', targetAmount: '', deadline: '' }));
+            showToast('Goal added.');
+        });
+    };
 
-                if (isNaN(date.getTime()) || isNaN(amount)) {
-                    console.warn('Skipping invalid row:', row);
-                    continue;
-                }
-                
-                const trimmedCategory = category ? category.trim() : 'Other';
-                const isIncome = INCOME_CATEGORIES.includes(trimmedCategory);
+    const today = dateToLocalISO(new Date());
+    const visible = goals.filter(g => showArchived || !g.archived);
+    const inputClass = "px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm";
 
-                const newTransaction = {
-                    type: isIncome ? 'Income' : 'Expense',
-                    originalAmount: amount,
-                    originalCurrency: 'HUF',
-                    category: trimmedCategory,
-                    transactionDate: Timestamp.fromDate(date),
-                    description: description || '',
-                    baseCurrency: 'USD',
-                    exchangeRateToBase: 1 / approxRateHufToUsd,
-                    amountInBaseCurrency: amount * approxRateHufToUsd,
-                    createdAt: Timestamp.now()
-                };
-                
-                const docRef = doc(collectionRef); // Create a new doc with a random ID
-                batch.set(docRef, newTransaction);
-                
-                importedCount++;
-                setProgress(Math.round((i + 1) / totalRecords * 100));
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-bold">Savings Goals</h2>
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                        <input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} />
+                        <span>Show archived</span>
+                    </label>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">Link an expense to a goal when adding or editing it, or record savings here. Either way it counts as saved rather than spent.</p>
+                {visible.length === 0 && <p className="text-gray-500">No goals yet.</p>}
+                <div className="space-y-6">
+                    {visible.map(goal => (
+                        <GoalCard
+                            key={goal.id}
+                            goal={goal}
+                            progress={goalProgress(goal, contributions, linkedTransactions, convertTransaction, today)}
+                            contributions={contributions.filter(c => c.goalId === goal.id)}
+                            linkedTransactions={linkedTransactions.filter(t => t.goalId === goal.id)}
+                            canManage={canManage}
+                            busy={busy}
+                            onArchive={() => run(() => updateGoal(db, appId, familyId, goal, { archived: !goal.archived }))}
+                            onAddContribution={(data) => run(async () => {
+                                await addContribution(db, appId, familyId, user.uid, { ...data, goalId: goal.id });
+                                showToast('Contribution added.');
+                            })}
+                            onRemoveContribution={(id) => run(() => removeContribution(db, appId, familyId, id))}
+                        />
+                    ))}
+                </div>
+            </div>
+            {canManage && (
+                <form onSubmit={handleCreate} className="bg-white p-6 rounded-lg shadow-md">
+                    <h2 className="text-2xl font-bold mb-4">Add Goal</h2>
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+                        <input type="text" placeholder="Name, e.g. Summer holiday" value={newGoal.name} onChange={e => setNewGoal(prev => ({ ...prev, name: e.target.value }))} required className={`${inputClass} col-span-2`} />
+                        <input type="number" step="0.01" placeholder="Target" value={newGoal.targetAmount} onChange={e => setNewGoal(prev => ({ ...prev, targetAmount: e.target.value }))} required className={inputClass} />
+                        <select value={newGoal.currency} onChange={e => setNewGoal(prev => ({ ...prev, currency: e.target.value }))} className={inputClass}>
+                            <CurrencyOptions currencies={currencies} current={newGoal.currency} />
+                        </select>
+                        <input type="date" value={newGoal.deadline} onChange={e => setNewGoal(prev => ({ ...prev, deadline: e.target.value }))} title="Deadline (optional)" className={inputClass} />
+                        <button type="submit" disabled={busy} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-4 rounded-md transition disabled:opacity-50">Add</button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
 
-                // Commit the batch every 500 writes
-                if ((i + 1) % 500 === 0) {
-                    await batch.commit();
-                    batch = writeBatch(db); // start a new batch
-                }
-            }
+function GoalCard({ goal, progress, contributions, linkedTransactions, canManage, busy, onArchive, onAddContribution, onRemoveContribution }) {
+    const [showDetails, setShowDetails] = useState(false);
+    const [contribution, setContribution] = useState({ amount: '', date: dateToLocalISO(new Date()), note: '' });
+    const fmt = (value) => formatMoney(value, goal.currency);
+    const averagedMonths = Math.min(PROJECTION_MONTHS, progress.trend.length);
 
-            if (importedCount > 0 && importedCount % 500 !== 0) {
-                await batch.commit(); // Commit the final batch
-            }
-            
-            showToast(`Successfully imported ${importedCount} of ${totalRecords} records.`, "success");
-            setIsImporting(false);
-        };
-        reader.readAsText(file);
+    const handleAdd = (e) => {
+        e.preventDefault();
+        onAddContribution(contribution);
+        setContribution(prev => ({ ...prev, amount: '', note: '' }));
     };
 
-    return (
-        <div className="bg-white p-8 rounded-lg shadow-md max-w-2xl mx-auto space-y-8">
-            <div>
-                <h2 className="text-2xl font-bold mb-4">Import Historical Data</h2>
-                <p className="text-gray-600 mb-6">Upload your CSV file with columns: `transactionDate`, `originalAmount`, `category`, `description`. All amounts will be imported as HUF expenses.</p>
-                
-                <div className="mb-4">
-                    <label className="block text-sm font-medium text-gray-700 mb-2">CSV File</label>
-                    <input type="file" accept=".csv" onChange={handleFileChange} className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"/>
-                </div>
-
-                <button onClick={handleImport} disabled={isImporting || !file} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50 disabled:cursor-not-allowed">
-                    {isImporting ? `Importing... ${progress}%` : 'Start Import'}
-                </button>
+    // Manual contributions and linked expenses, newest first
+    const entries = [
+        ...contributions.map(c => ({ id: c.id, date: c.date, label: c.note || 'Manual contribution', amount: fmt(c.amount), manual: true })),
+        ...linkedTransactions.map(t => ({ id: t.id, date: t.transactionDate, label: t.description || t.category, amount: formatMoney(Number(t.originalAmount) || 0, t.originalCurrency) })),
+    ].sort((a, b) => b.date.localeCompare(a.date));
 
-                {isImporting && (
-                    <div className="w-full bg-gray-200 rounded-full h-2.5 mt-4">
-                        <div className="bg-blue-600 h-2.5 rounded-full" style={{ width: `${progress}%` }}></div>
-                    </div>
+    return (
+        <div className={goal.archived ? 'opacity-60' : ''}>
+            <div className="flex justify-between items-baseline mb-1">
+                <span className="font-semibold">{goal.name}{goal.archived && <span className="text-xs text-gray-500"> (archived)</span>}</span>
+                <span className="text-sm text-gray-600">{fmt(progress.saved)} / {fmt(goal.targetAmount)} ({Math.round(progress.percent)}%)</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2.5">
+                <div className={`${GOAL_BAR_COLORS[progress.status]} h-2.5 rounded-full`} style={{ width: `${progress.percent}%` }}></div>
+            </div>
+            <div className="text-sm text-gray-600 mt-2 space-y-1">
+                {progress.status === 'reached' && <p className="text-green-600 font-medium">Target reached.</p>}
+                {progress.status === 'noData' && <p>No contributions yet.</p>}
+                {progress.status !== 'reached' && progress.status !== 'noData' && (
+                    <p>
+                        Averaging {fmt(progress.averageMonthly)} a month over the last {averagedMonths} month(s)
+                        {progress.projectedMonth ? `; at that pace it's reached in ${formatMonthLabel(progress.projectedMonth)}.` : ', too little to project a completion date.'}
+                    </p>
+                )}
+                {goal.deadline && progress.status === 'onTrack' && <p className="text-blue-600">On track for the {goal.deadline} deadline.</p>}
+                {goal.deadline && (progress.status === 'behind' || progress.status === 'noData') && (
+                    <p className="text-yellow-700">Needs {fmt(progress.requiredMonthly)} a month to make the {goal.deadline} deadline.</p>
                 )}
             </div>
-            <div className="border-t pt-8">
-                 <h2 className="text-2xl font-bold mb-4 text-red-600">Danger Zone</h2>
-                 <p className="text-gray-600 mb-6">This will permanently delete all transaction data from the database. This action cannot be undone.</p>
-                 <button onClick={handleWipeData} disabled={isWiping} className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-md transition disabled:opacity-50 disabled:cursor-not-allowed">
-                    {isWiping ? 'Wiping Data...' : 'Wipe All Transactions'}
-                 </button>
+            <div className="flex space-x-4 mt-2 text-sm">
+                <button onClick={() => setShowDetails(v => !v)} className="text-blue-600 hover:underline">{showDetails ? 'Hide contributions' : `Contributions (${entries.length})`}</button>
+                {canManage && <button onClick={onArchive} disabled={busy} className="text-gray-600 hover:text-gray-800">{goal.archived ? 'Unarchive' : 'Archive'}</button>}
             </div>
+            {showDetails && (
+                <div className="mt-3 pl-4 border-l-2 border-gray-200 space-y-3">
+                    {progress.trend.length > 1 && (
+                        <div style={{ width: '100%', height: 150 }}>
+                            <ResponsiveContainer>
+                                <BarChart data={progress.trend.slice(-12)}>
+                                    <XAxis dataKey="month" tickFormatter={formatMonthLabel} tick={{ fontSize: 10 }} />
+                                    <YAxis hide />
+                                    <Tooltip formatter={fmt} labelFormatter={formatMonthLabel} />
+                                    <Bar dataKey="amount" name="Saved" fill="#3b82f6" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    )}
+                    {entries.length === 0 && <p className="text-sm text-gray-500">Nothing saved towards this goal yet.</p>}
+                    {entries.map(entry => (
+                        <div key={entry.id} className="flex justify-between items-center text-sm">
+                            <span><span className="text-gray-500">{entry.date}</span> · {entry.label}{!entry.manual && <span className="text-xs text-gray-400"> (transaction)</span>}</span>
+                            <span className="flex items-center space-x-3">
+                                <span className="font-mono">{entry.amount}</span>
+                                {canManage && entry.manual && <button onClick={() => onRemoveContribution(entry.id)} disabled={busy} className="text-gray-400 hover:text-red-600"><TrashIcon/></button>}
+                            </span>
+                        </div>
+                    ))}
+                    {canManage && !goal.archived && (
+                        <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end pt-2">
+                            <input type="number" step="0.01" placeholder={`Amount (${goal.currency})`} value={contribution.amount} onChange={e => setContribution(prev => ({ ...prev, amount: e.target.value }))} required className="px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm" />
+                            <input type="date" value={contribution.date} onChange={e => setContribution(prev => ({ ...prev, date: e.target.value }))} required className="px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm" />
+                            <input type="text" placeholder="Note" value={contribution.note} onChange={e => setContribution(prev => ({ ...prev, note: e.target.value }))} className="px-2 py-1 border-gray-300 rounded-md shadow-sm text-sm" />
+                            <button type="submit" disabled={busy} className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-4 rounded-md transition disabled:opacity-50">Add</button>
+                        </form>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
 
-function RecurringPage({ expenses, onAdd, onDelete, onPostRecurring, allTransactions }) {
+function RecurringPage({ expenses, canManage, onAdd, onDelete, onPostRecurring, allTransactions, categories, currencies, baseCurrency }) {
+    const today = dateToLocalISO(new Date());
+    const dueCount = expenses.reduce((n, exp) => n + dueOccurrences(exp, today).length, 0);
     return (
         <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
-            <div className="md:col-span-1">
-                <RecurringItemForm onSubmit={onAdd} allTransactions={allTransactions} />
-            </div>
-            <div className="md:col-span-2">
+            {canManage && (
+                <div className="md:col-span-1">
+                    <RecurringItemForm onSubmit={onAdd} allTransactions={allTransactions} categories={categories} currencies={currencies} baseCurrency={baseCurrency} />
+                </div>
+            )}
+            <div className={canManage ? 'md:col-span-2' : 'md:col-span-3'}>
                 <div className="bg-white p-6 rounded-lg shadow-md">
                     <div className="flex justify-between items-center mb-4">
-                        <h2 className="text-2xl font-bold">Recurring Monthly Items</h2>
-                        <button onClick={onPostRecurring} className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-md transition">Add for this Month</button>
+                        <h2 className="text-2xl font-bold">Recurring Items</h2>
+                        {canManage && <button onClick={onPostRecurring} className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-md transition">{dueCount > 0 ? `Post ${dueCount} Due` : 'Post Due Items'}</button>}
                     </div>
                     <div className="space-y-3">
                         {expenses.length === 0 && <p className="text-center text-gray-500 py-8">No recurring items defined yet.</p>}
@@ -1157,11 +3797,15 @@ function RecurringPage({ expenses, onAdd, onDelete, onPostRecurring, allTransact
                             <div key={exp.id} className="flex justify-between items-center p-3 rounded-lg hover:bg-gray-50 border">
                                 <div>
                                     <p className="font-semibold">{exp.description}</p>
-                                    <p className="text-sm text-gray-500">{exp.category}</p>
+                                    <p className="text-sm text-gray-500">{exp.category} · {describeSchedule(exp)}</p>
+                                    <p className="text-xs text-gray-400">
+                                        {exp.lastPostedDate ? `Last posted ${exp.lastPostedDate}` : 'Not posted yet'}
+                                        {(() => { const next = nextOccurrence(exp, today); return next ? ` · Next ${next}` : ' · Schedule ended'; })()}
+                                    </p>
                                 </div>
                                 <div className="flex items-center space-x-4">
-                                     <p className={`font-mono ${exp.type === 'Income' ? 'text-green-500' : 'text-red-500'}`}>{CURRENCY_SYMBOLS[exp.originalCurrency] || ''}{exp.originalAmount.toLocaleString()}</p>
-                                     <button onClick={() => onDelete(exp.id, 'recurring')} className="text-gray-400 hover:text-red-600"><TrashIcon /></button>
+                                     <p className={`font-mono ${exp.type === 'Income' ? 'text-green-500' : 'text-red-500'}`}>{formatMoney(exp.originalAmount, exp.originalCurrency)}</p>
+                                     {canManage && <button onClick={() => onDelete(exp.id, 'recurring')} className="text-gray-400 hover:text-red-600"><TrashIcon /></button>}
                                 </div>
                             </div>
                         ))}
@@ -1172,15 +3816,20 @@ function RecurringPage({ expenses, onAdd, onDelete, onPostRecurring, allTransact
     );
 }
 
-function RecurringItemForm({ onSubmit, allTransactions }) {
+function RecurringItemForm({ onSubmit, allTransactions, categories, currencies, baseCurrency }) {
     const [type, setType] = useState('Expense');
     const [description, setDescription] = useState('');
     const [amount, setAmount] = useState('');
-    const [currency, setCurrency] = useState('USD');
-    const [category, setCategory] = useState(EXPENSE_CATEGORIES[0]);
+    const [currency, setCurrency] = useState(baseCurrency);
+    const [category, setCategory] = useState('');
+    const [frequency, setFrequency] = useState('monthly');
+    const [monthInterval, setMonthInterval] = useState('2');
+    const [dayOfMonth, setDayOfMonth] = useState('1');
+    const [startDate, setStartDate] = useState(() => dateToLocalISO(new Date()));
+    const [endDate, setEndDate] = useState('');
 
     const sortedCategories = useMemo(() => {
-        const baseCategories = type === 'Expense' ? EXPENSE_CATEGORIES : INCOME_CATEGORIES;
+        const baseCategories = activeCategoryNames(categories, type);
         const relevantTransactions = allTransactions.filter(t => t.type === type);
         
         const counts = relevantTransactions.reduce((acc, t) => {
@@ -1195,7 +3844,7 @@ function RecurringItemForm({ onSubmit, allTransactions }) {
         const rest = baseCategories.filter(c => !top5.includes(c)).sort();
         
         return [...top5, ...rest];
-    }, [allTransactions, type]);
+    }, [allTransactions, type, categories]);
 
      useEffect(() => {
         setCategory(sortedCategories[0]);
@@ -1203,8 +3852,9 @@ function RecurringItemForm({ onSubmit, allTransactions }) {
 
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (!description || !amount) return;
-        onSubmit({ type, description, originalAmount: amount, originalCurrency: currency, category });
+        if (!description || !amount || !startDate) return;
+        if (endDate && endDate < startDate) return;
+        onSubmit({ type, description, originalAmount: amount, originalCurrency: currency, category, frequency, interval: frequency === 'everyNMonths' ? monthInterval : 1, dayOfMonth, startDate, endDate });
         setDescription('');
         setAmount('');
     };
@@ -1220,25 +3870,59 @@ function RecurringItemForm({ onSubmit, allTransactions }) {
                 <div className="grid grid-cols-2 gap-4">
                     <div>
                         <label className="block text-sm font-medium text-gray-700">Amount</label>
-                        <input type="number" value={amount} onChange={e => setAmount(e.target.value)} step="0.01" required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                        <input type="number" value={amount} onChange={e => setAmount(e.target.value)} step={amountStep(currency)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                     </div>
                     <div>
                         <label className="block text-sm font-medium text-gray-700">Currency</label>
                         <select value={currency} onChange={e => setCurrency(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
-                            <option>USD</option> <option>EUR</option> <option>GBP</option> <option>HUF</option>
+                            <CurrencyOptions currencies={currencies} current={currency} />
                         </select>
                     </div>
                 </div>
                  <div>
                     <label className="block text-sm font-medium text-gray-700">Category</label>
                     <select value={category} onChange={e => setCategory(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
-                        {sortedCategories.map(c => <option key={c}>{c}</option>)}
+                        {sortedCategories.map(c => <option key={c} value={c}>{categoryLabel(categories, c)}</option>)}
                     </select>
                 </div>
                 <div>
                     <label className="block text-sm font-medium text-gray-700">Description</label>
                     <input type="text" value={description} onChange={e => setDescription(e.target.value)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                 </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Repeats</label>
+                        <select value={frequency} onChange={e => setFrequency(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                            {Object.entries(FREQUENCIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </div>
+                    {frequency === 'weekly' ? (
+                        <div className="flex items-end pb-2 text-sm text-gray-500">
+                            On {new Date(startDate + 'T00:00:00').toLocaleString('default', { weekday: 'long' })}s
+                        </div>
+                    ) : (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Day of month</label>
+                            <input type="number" min="1" max="31" value={dayOfMonth} onChange={e => setDayOfMonth(e.target.value)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                        </div>
+                    )}
+                </div>
+                {frequency === 'everyNMonths' && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Every how many months</label>
+                        <input type="number" min="1" max="60" value={monthInterval} onChange={e => setMonthInterval(e.target.value)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                    </div>
+                )}
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Starts</label>
+                        <input type="date" value={startDate} onChange={e => setStartDate(e.target.value)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Ends (optional)</label>
+                        <input type="date" value={endDate} min={startDate} onChange={e => setEndDate(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                    </div>
+                </div>
                 <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition">Add Recurring Item</button>
             </form>
         </div>
@@ -1246,42 +3930,304 @@ function RecurringItemForm({ onSubmit, allTransactions }) {
 }
 
 
-function TransactionForm({ onSubmit, allTransactions, categoryUsage }) {
+// Category/amount lines of a split transaction. Amounts stay strings while typing; the
+// remaining amount shows how far the lines are from the transaction's total.
+function SplitLinesEditor({ lines, onChange, total, currency, categoryNames, categories }) {
+    const assigned = lines.reduce((acc, line) => acc + Math.round((parseFloat(line.amount) || 0) * 100), 0);
+    const remaining = (Math.round((parseFloat(total) || 0) * 100) - assigned) / 100;
+    const updateLine = (index, changes) => onChange(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+
+    return (
+        <div className="space-y-2">
+            {lines.map((line, i) => (
+                <div key={i} className="flex gap-2 items-center">
+                    <select value={line.category} onChange={e => updateLine(i, { category: e.target.value })} className="flex-1 px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                        {(categoryNames.includes(line.category) ? categoryNames : [...categoryNames, line.category]).map(c => <option key={c} value={c}>{categoryLabel(categories, c)}</option>)}
+                    </select>
+                    <input type="number" value={line.amount} onChange={e => updateLine(i, { amount: e.target.value })} step={amountStep(currency)} min="0" placeholder="Amount" className="w-32 px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                    <button type="button" onClick={() => onChange(lines.filter((_, idx) => idx !== i))} disabled={lines.length <= MIN_SPLIT_LINES} className="text-gray-400 hover:text-red-600 disabled:opacity-30" aria-label="Remove line"><TrashIcon/></button>
+                </div>
+            ))}
+            <div className="flex justify-between items-center text-sm">
+                <button type="button" onClick={() => onChange([...lines, { category: categoryNames[0], amount: remaining > 0 ? String(remaining) : '' }])} className="text-blue-600 hover:underline">+ Add line</button>
+                <span className={remaining === 0 ? 'text-green-600' : 'text-red-600'}>
+                    {remaining === 0 ? 'Fully assigned' : `${remaining > 0 ? 'Unassigned' : 'Over by'}: ${formatMoney(Math.abs(remaining), currency)}`}
+                </span>
+            </div>
+        </div>
+    );
+}
+
+// Chips for the chosen tags plus a text box with autocomplete from the family's other tags.
+// Enter or comma adds the typed tag, Backspace in the empty box removes the last one.
+function TagInput({ id, tags, onChange, knownTags = [] }) {
+    const [input, setInput] = useState('');
+    const [focused, setFocused] = useState(false);
+    const suggestions = useMemo(() => suggestTags(knownTags, input, tags), [knownTags, input, tags]);
+
+    const commit = (value) => {
+        onChange(addTags(tags, ...value.split(',')));
+        setInput('');
+    };
+
+    const handleKeyDown = (e) => {
+        if ((e.key === 'Enter' || e.key === ',') && input.trim()) {
+            e.preventDefault();
+            commit(input);
+        } else if (e.key === ',') {
+            e.preventDefault();
+        } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+            onChange(tags.slice(0, -1));
+        }
+    };
+
+    return (
+        <div className="relative">
+            <div className="mt-1 flex flex-wrap items-center gap-1 px-2 py-1 border border-gray-300 rounded-md shadow-sm bg-white">
+                {tags.map(tag => (
+                    <span key={tag} className="flex items-center px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800">
+                        #{tag}
+                        <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} className="ml-1 font-bold" aria-label={`Remove ${tag}`}>×</button>
+                    </span>
+                ))}
+                <input
+                    id={id}
+                    type="text"
+                    value={input}
+                    onChange={e => setInput(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onFocus={() => setFocused(true)}
+                    onBlur={() => { setFocused(false); if (input.trim()) commit(input); }}
+                    placeholder={tags.length === 0 ? 'e.g. vacation-2026, reimbursable' : ''}
+                    className="flex-1 min-w-[8rem] py-1 text-sm outline-none"
+                />
+            </div>
+            {focused && suggestions.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+                    {suggestions.map(tag => (
+                        <li key={tag}>
+                            {/* mousedown so the pick lands before the input's blur */}
+                            <button type="button" onMouseDown={e => { e.preventDefault(); commit(tag); }} className="w-full text-left px-3 py-1 text-sm hover:bg-gray-100">#{tag}</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// Photos and PDFs picked in a form, uploaded when it is saved
+function AttachmentPicker({ files, onChange, onError }) {
+    const inputRef = useRef(null);
+
+    const handlePick = (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = '';
+        const accepted = [];
+        picked.forEach(file => {
+            try {
+                validateAttachmentFile(file);
+                accepted.push(file);
+            } catch (err) { onError(err.message); }
+        });
+        if (accepted.length > 0) onChange([...files, ...accepted]);
+    };
+
+    return (
+        <div>
+            <input ref={inputRef} type="file" accept={ATTACHMENT_ACCEPT} multiple onChange={handlePick} className="hidden" />
+            <button type="button" onClick={() => inputRef.current.click()} className="text-sm text-blue-600 hover:underline">Attach receipt or document</button>
+            {files.length > 0 && (
+                <ul className="mt-1 space-y-1">
+                    {files.map((file, i) => (
+                        <li key={`${file.name}-${i}`} className="flex justify-between items-center text-sm text-gray-600">
+                            <span className="truncate">{file.name} <span className="text-gray-400">({Math.ceil(file.size / 1024)} KB)</span></span>
+                            <button type="button" onClick={() => onChange(files.filter((_, j) => j !== i))} className="ml-2 text-gray-400 hover:text-red-600" aria-label={`Remove ${file.name}`}>X</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function AttachmentThumbnail({ storage, attachment, onOpen }) {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        if (!storage || !attachment.thumbPath) return undefined;
+        let cancelled = false;
+        attachmentUrl(storage, attachment.thumbPath)
+            .then(found => { if (!cancelled) setUrl(found); })
+            .catch(e => console.warn('[Attachments] preview unavailable', e));
+        return () => { cancelled = true; };
+    }, [storage, attachment.thumbPath]);
+
+    return (
+        <button type="button" onClick={onOpen} title={attachment.name} className="w-10 h-10 rounded border bg-gray-50 overflow-hidden flex items-center justify-center text-xs font-semibold text-gray-500 hover:border-blue-400">
+            {url ? <img src={url} alt={attachment.name} className="w-full h-full object-cover" /> : isImageAttachment(attachment) ? 'IMG' : 'PDF'}
+        </button>
+    );
+}
+
+// Previews of a transaction's attachments; onRemove, when given, adds a remove button to each
+function AttachmentThumbnails({ storage, attachments, onOpen, onRemove }) {
+    return (
+        <span className="flex flex-wrap gap-1 mt-1">
+            {attachments.map((attachment, i) => (
+                <span key={attachment.id} className="relative">
+                    <AttachmentThumbnail storage={storage} attachment={attachment} onOpen={() => onOpen(i)} />
+                    {onRemove && <button type="button" onClick={() => onRemove(attachment)} className="absolute -top-1 -right-1 w-4 h-4 rounded-full bg-white border text-xs leading-none text-gray-500 hover:text-red-600" aria-label={`Remove ${attachment.name}`}>×</button>}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+// Full-size view of one attachment at a time: images inline, PDFs in the browser's viewer
+function AttachmentViewer({ storage, attachments, index, onIndexChange, onClose }) {
+    const attachment = attachments[index];
+    const [url, setUrl] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setUrl(null);
+        setError('');
+        attachmentUrl(storage, attachment.path)
+            .then(found => { if (!cancelled) setUrl(found); })
+            .catch(e => { if (!cancelled) setError(`Could not load ${attachment.name}: ${e.message}`); });
+        return () => { cancelled = true; };
+    }, [storage, attachment]);
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white rounded-lg shadow-2xl w-full md:w-2/3 max-h-full flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center p-3 border-b">
+                    <span className="font-semibold truncate">{attachment.name}</span>
+                    <div className="flex items-center space-x-4 text-sm">
+                        {url && <a href={url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">Open</a>}
+                        <button onClick={onClose} className="text-gray-500 hover:text-gray-800 font-bold" aria-label="Close">X</button>
+                    </div>
+                </div>
+                <div className="flex-1 overflow-auto flex items-center justify-center p-3 min-h-[50vh]">
+                    {error && <p className="text-red-500">{error}</p>}
+                    {!error && !url && <p className="text-gray-500">Loading…</p>}
+                    {url && (isImageAttachment(attachment)
+                        ? <img src={url} alt={attachment.name} className="max-w-full max-h-[70vh] object-contain" />
+                        : <iframe src={url} title={attachment.name} className="w-full h-[70vh]" />)}
+                </div>
+                {attachments.length > 1 && (
+                    <div className="flex justify-between items-center p-3 border-t text-sm">
+                        <button onClick={() => onIndexChange(index - 1)} disabled={index === 0} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Previous</button>
+                        <span className="text-gray-500">{index + 1} of {attachments.length}</span>
+                        <button onClick={() => onIndexChange(index + 1)} disabled={index === attachments.length - 1} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Next</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function TransactionForm({ onSubmit, allTransactions, categories, categoryUsage, knownTags, currencies, baseCurrency, accounts = [], goals = [], rules = [], findDuplicate }) {
     const [type, setType] = useState('Expense');
     const [amount, setAmount] = useState('');
-    const [currency, setCurrency] = useState(localStorage.getItem('lastUsedCurrency') || 'USD');
-    const [category, setCategory] = useState(EXPENSE_CATEGORIES[0]);
+    const [currency, setCurrency] = useState(localStorage.getItem('lastUsedCurrency') || baseCurrency);
+    const [category, setCategory] = useState('');
+    // Until the category is picked by hand, a matching rule may replace the preselected one
+    const [categoryTouched, setCategoryTouched] = useState(false);
     const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
     const [description, setDescription] = useState('');
+    const [tags, setTags] = useState([]);
+    const [splitLines, setSplitLines] = useState(null); // null while the transaction isn't split
+    const [accountId, setAccountId] = useState(localStorage.getItem('lastUsedAccount') || '');
+    const activeAccounts = accounts.filter(a => !a.archived);
+    // The remembered account may have been archived since
+    const selectedAccountId = activeAccounts.some(a => a.id === accountId) ? accountId : '';
+    const [goalId, setGoalId] = useState('');
+    const activeGoals = goals.filter(g => !g.archived);
     const [formError, setFormError] = useState('');
+    // A saved transaction this one looks like a copy of; saving then needs a second click
+    const [duplicateOf, setDuplicateOf] = useState(null);
+    const [checkingDuplicate, setCheckingDuplicate] = useState(false);
+    const [files, setFiles] = useState([]);
+
+    useEffect(() => {
+        setDuplicateOf(null);
+    }, [type, amount, currency, date, description]);
 
     const sortedCategories = useMemo(() => {
-        const baseCategories = type === 'Expense' ? EXPENSE_CATEGORIES : INCOME_CATEGORIES;
+        const baseCategories = activeCategoryNames(categories, type);
         const counts = (categoryUsage && categoryUsage[type]) || {};
         const ranked = baseCategories.map(c => ({ c, n: counts[c] || 0 }))
             .sort((a, b) => b.n - a.n);
         const top5 = ranked.slice(0, 5).map(r => r.c);
         const rest = baseCategories.filter(c => !top5.includes(c)).sort();
         return [...top5, ...rest];
-    }, [type, categoryUsage]);
+    }, [type, categories, categoryUsage]);
 
     useEffect(() => {
         setCategory(sortedCategories[0]);
+        setCategoryTouched(false);
     }, [type, sortedCategories]);
 
+    // Lines hold categories of one type, so switching type starts over unsplit
+    useEffect(() => {
+        setSplitLines(null);
+        setGoalId('');
+    }, [type]);
+
+    const startSplit = () => setSplitLines([
+        { category, amount: amount },
+        { category: sortedCategories.find(c => c !== category) || category, amount: '' },
+    ]);
+
     const handleCurrencyChange = (e) => {
         const newCurrency = e.target.value;
         setCurrency(newCurrency);
         localStorage.setItem('lastUsedCurrency', newCurrency);
     };
 
-    const handleSubmit = (e) => {
+    // Picking an account switches to its currency
+    const handleAccountChange = (e) => {
+        const account = activeAccounts.find(a => a.id === e.target.value);
+        setAccountId(e.target.value);
+        localStorage.setItem('lastUsedAccount', e.target.value);
+        if (account) {
+            setCurrency(account.currency);
+            localStorage.setItem('lastUsedCurrency', account.currency);
+        }
+    };
+
+    const entered = { type, originalAmount: parseFloat(amount) || 0, originalCurrency: currency, category, transactionDate: date, description, tags, ...(splitLines ? splitFields(splitLines) : {}), ...(selectedAccountId ? { accountId: selectedAccountId } : {}), ...(goalId ? { goalId } : {}) };
+    // What the rules will change once submitted (addTransaction applies them)
+    const ruleOutcome = evaluateRules(rules, entered, { keepCategory: categoryTouched, categories });
+
+    const submit = () => {
+        onSubmit(entered, { keepCategory: categoryTouched, files });
+        setAmount('');
+        setDescription('');
+        setTags([]);
+        setSplitLines(null);
+        setGoalId('');
+        setCategoryTouched(false);
+        setDuplicateOf(null);
+        setFiles([]);
+    };
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
         if (!amount || !date) { setFormError('Please fill out amount and date.'); return; }
+        const splitError = splitLines && validateSplits(amount, splitLines);
+        if (splitError) { setFormError(splitError); return; }
         setFormError('');
-        onSubmit({ type, originalAmount: parseFloat(amount), originalCurrency: currency, category, transactionDate: date, description });
-        setAmount('');
-        setDescription('');
+        if (findDuplicate) {
+            setCheckingDuplicate(true);
+            const duplicate = await findDuplicate({ ...entered, ...ruleOutcome.changes });
+            setCheckingDuplicate(false);
+            if (duplicate) { setDuplicateOf(duplicate); return; }
+        }
+        submit();
     };
 
     return (
@@ -1295,65 +4241,131 @@ function TransactionForm({ onSubmit, allTransactions, categoryUsage }) {
                 <div className="grid grid-cols-2 gap-4">
                     <div>
                         <label htmlFor="amount" className="block text-sm font-medium text-gray-700">Amount</label>
-                        <input type="number" id="amount" value={amount} onChange={e => setAmount(e.target.value)} step="0.01" required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                        <input type="number" id="amount" value={amount} onChange={e => setAmount(e.target.value)} step={amountStep(currency)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                     </div>
                     <div>
                         <label htmlFor="currency" className="block text-sm font-medium text-gray-700">Currency</label>
                         <select id="currency" value={currency} onChange={handleCurrencyChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
-                            <option>USD</option> <option>EUR</option> <option>GBP</option> <option>HUF</option>
+                            <CurrencyOptions currencies={currencies} current={currency} />
                         </select>
                     </div>
                 </div>
                 <div className="grid grid-cols-2 gap-4">
                     <div>
-                        <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
-                        <select id="category" value={category} onChange={e => setCategory(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
-                            {sortedCategories.map(c => <option key={c}>{c}</option>)}
-                        </select>
+                        <div className="flex justify-between items-baseline">
+                            <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+                            <button type="button" onClick={() => (splitLines ? setSplitLines(null) : startSplit())} className="text-xs text-blue-600 hover:underline">{splitLines ? 'Single category' : 'Split'}</button>
+                        </div>
+                        {splitLines
+                            ? <p className="mt-1 px-3 py-2 text-sm text-gray-500">Split across {splitLines.length} lines below</p>
+                            : <select id="category" value={category} onChange={e => { setCategory(e.target.value); setCategoryTouched(true); }} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                                {sortedCategories.map(c => <option key={c} value={c}>{categoryLabel(categories, c)}</option>)}
+                            </select>}
                     </div>
                     <div>
                         <label htmlFor="date" className="block text-sm font-medium text-gray-700">Date</label>
                         <input type="date" id="date" value={date} onChange={e => setDate(e.target.value)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                     </div>
                 </div>
+                {activeAccounts.length > 0 && (
+                    <div>
+                        <label htmlFor="account" className="block text-sm font-medium text-gray-700">Account</label>
+                        <select id="account" value={selectedAccountId} onChange={handleAccountChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                            <option value="">No account</option>
+                            {activeAccounts.map(a => <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>)}
+                        </select>
+                    </div>
+                )}
+                {type === 'Expense' && activeGoals.length > 0 && (
+                    <div>
+                        <label htmlFor="goal" className="block text-sm font-medium text-gray-700">Savings goal</label>
+                        <select id="goal" value={goalId} onChange={e => setGoalId(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                            <option value="">Not a contribution</option>
+                            {activeGoals.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                        </select>
+                    </div>
+                )}
+                {splitLines && <SplitLinesEditor lines={splitLines} onChange={setSplitLines} total={amount} currency={currency} categoryNames={sortedCategories} categories={categories} />}
                 <div>
                     <label htmlFor="description" className="block text-sm font-medium text-gray-700">Comments</label>
                     <input type="text" id="description" value={description} onChange={e => setDescription(e.target.value)} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                 </div>
+                <div>
+                    <label htmlFor="tags" className="block text-sm font-medium text-gray-700">Tags</label>
+                    <TagInput id="tags" tags={tags} onChange={setTags} knownTags={knownTags} />
+                </div>
+                <AttachmentPicker files={files} onChange={setFiles} onError={setFormError} />
+                {ruleOutcome.ruleNames.length > 0 && (
+                    <p className="text-sm text-blue-700">
+                        {ruleOutcome.ruleNames.join(', ')} will set
+                        {ruleOutcome.changes.category && ` category ${ruleOutcome.changes.category}`}
+                        {ruleOutcome.changes.description && ` description "${ruleOutcome.changes.description}"`}
+                        {ruleOutcome.changes.tags && ` tags ${ruleOutcome.changes.tags.map(tag => `#${tag}`).join(' ')}`}
+                    </p>
+                )}
                 {formError && <p className="text-red-500 text-sm">{formError}</p>}
-                <button type="submit" className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition duration-300">Add Transaction</button>
+                {duplicateOf && (
+                    <div className="bg-yellow-50 border border-yellow-300 rounded-md p-3 text-sm text-yellow-800 space-y-2">
+                        <p>
+                            {duplicateOf.match === 'exact' ? 'This is already saved' : 'This looks like one already saved'}:{' '}
+                            {duplicateOf.transaction.transactionDate}, {formatMoney(Number(duplicateOf.transaction.originalAmount) || 0, duplicateOf.transaction.originalCurrency)}
+                            {duplicateOf.transaction.description ? `, "${duplicateOf.transaction.description}"` : ''}.
+                        </p>
+                        <div className="flex gap-2">
+                            <button type="button" onClick={submit} className="px-3 py-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded-md">Save anyway</button>
+                            <button type="button" onClick={() => setDuplicateOf(null)} className="px-3 py-1 bg-gray-200 text-gray-800 rounded-md">Don't save</button>
+                        </div>
+                    </div>
+                )}
+                <button type="submit" disabled={checkingDuplicate || !!duplicateOf} className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md transition duration-300 disabled:opacity-50">{checkingDuplicate ? 'Checking…' : 'Add Transaction'}</button>
             </form>
         </div>
     );
 }
 
-function EditModal({ transaction, onSave, onCancel, allTransactions = [], categoryUsage }) {
+function EditModal({ transaction, onSave, onCancel, allTransactions = [], categories, categoryUsage, knownTags, currencies, accounts = [], goals = [], storage, onViewAttachments }) {
     const [formData, setFormData] = useState({
         ...transaction,
+        tags: transactionTags(transaction),
+        attachments: transactionAttachments(transaction),
+        accountId: transaction.accountId || '',
+        goalId: transaction.goalId || '',
         transactionDate: typeof transaction.transactionDate === 'string'
             ? transaction.transactionDate
             : (transaction.transactionDate && transaction.transactionDate.toISOString)
                 ? transaction.transactionDate.toISOString().split('T')[0]
                 : ''
     });
+    const [splitLines, setSplitLines] = useState(isSplit(transaction) ? transaction.splits.map(line => ({ category: line.category, amount: String(line.amount) })) : null);
+    const [formError, setFormError] = useState('');
+    const [files, setFiles] = useState([]);
+    const [removedAttachments, setRemovedAttachments] = useState([]);
 
+    const removeAttachment = (attachment) => {
+        setFormData(prev => ({ ...prev, attachments: prev.attachments.filter(a => a.id !== attachment.id) }));
+        setRemovedAttachments(prev => [...prev, attachment]);
+    };
+
+    // Switching type resets a category of the other type; archived or unlisted categories the
+    // transaction already has are kept
     useEffect(() => {
-        const categories = formData.type === 'Expense' ? EXPENSE_CATEGORIES : INCOME_CATEGORIES;
-        if (!categories.includes(formData.category)) {
-            setFormData(prev => ({ ...prev, category: categories[0] }));
+        const current = findCategory(categories, formData.category);
+        if (current && current.type !== formData.type) {
+            setFormData(prev => ({ ...prev, category: activeCategoryNames(categories, formData.type)[0] }));
         }
-    }, [formData.type, formData.category]);
+    }, [formData.type, formData.category, categories]);
 
     // Build frequency-based ordering (top 5 then alphabetical rest)
     const sortedCategories = useMemo(() => {
-        const baseCategories = formData.type === 'Expense' ? EXPENSE_CATEGORIES : INCOME_CATEGORIES;
+        const baseCategories = activeCategoryNames(categories, formData.type);
         const counts = (categoryUsage && categoryUsage[formData.type]) || {};
         const ranked = baseCategories.map(c => ({ c, n: counts[c] || 0 }))
             .sort((a, b) => b.n - a.n);
         const top5 = ranked.slice(0, 5).map(r => r.c);
         const rest = baseCategories.filter(c => !top5.includes(c)).sort();
-        return [...top5, ...rest];
-    }, [formData.type, categoryUsage]);
+        const current = baseCategories.includes(formData.category) || !formData.category ? [] : [formData.category];
+        return [...top5, ...rest, ...current];
+    }, [formData.type, formData.category, categories, categoryUsage]);
 
     const handleChange = (e) => {
         const { name, value } = e.target;
@@ -1361,12 +4373,22 @@ function EditModal({ transaction, onSave, onCancel, allTransactions = [], catego
     };
     
     const handleTypeChange = (newType) => {
+        if (newType !== formData.type) setSplitLines(null);
         setFormData(prev => ({ ...prev, type: newType }));
     };
 
+    const startSplit = () => setSplitLines([
+        { category: formData.category, amount: String(formData.originalAmount) },
+        { category: sortedCategories.find(c => c !== formData.category) || formData.category, amount: '' },
+    ]);
+
     const handleSubmit = (e) => {
         e.preventDefault();
-        onSave(formData);
+        const splitError = splitLines && validateSplits(formData.originalAmount, splitLines);
+        if (splitError) { setFormError(splitError); return; }
+        // Unsplitting clears the stored lines
+        // Only expenses can be goal contributions
+        onSave({ ...formData, accountId: formData.accountId || null, goalId: (formData.type === 'Expense' && formData.goalId) || null, ...(splitLines ? splitFields(splitLines) : isSplit(transaction) ? splitFields([]) : {}) }, { files, removedAttachments });
     };
 
     return (
@@ -1381,31 +4403,66 @@ function EditModal({ transaction, onSave, onCancel, allTransactions = [], catego
                     <div className="grid grid-cols-2 gap-4">
                         <div>
                             <label className="block text-sm font-medium text-gray-700">Amount</label>
-                            <input type="number" name="originalAmount" value={formData.originalAmount} onChange={handleChange} step="0.01" required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
+                            <input type="number" name="originalAmount" value={formData.originalAmount} onChange={handleChange} step={amountStep(formData.originalCurrency)} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                         </div>
                         <div>
                             <label className="block text-sm font-medium text-gray-700">Currency</label>
                             <select name="originalCurrency" value={formData.originalCurrency} onChange={handleChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
-                                <option>USD</option> <option>EUR</option> <option>GBP</option> <option>HUF</option>
+                                <CurrencyOptions currencies={currencies} current={formData.originalCurrency} />
                             </select>
                         </div>
                     </div>
                     <div className="grid grid-cols-2 gap-4">
                         <div>
-                            <label className="block text-sm font-medium text-gray-700">Category</label>
-                            <select name="category" value={formData.category} onChange={handleChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
-                                {sortedCategories.map(c => <option key={c}>{c}</option>)}
-                            </select>
+                            <div className="flex justify-between items-baseline">
+                                <label className="block text-sm font-medium text-gray-700">Category</label>
+                                <button type="button" onClick={() => (splitLines ? setSplitLines(null) : startSplit())} className="text-xs text-blue-600 hover:underline">{splitLines ? 'Single category' : 'Split'}</button>
+                            </div>
+                            {splitLines
+                                ? <p className="mt-1 px-3 py-2 text-sm text-gray-500">Split across {splitLines.length} lines below</p>
+                                : <select name="category" value={formData.category} onChange={handleChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                                    {sortedCategories.map(c => <option key={c} value={c}>{categoryLabel(categories, c)}</option>)}
+                                </select>}
                         </div>
                         <div>
                             <label className="block text-sm font-medium text-gray-700">Date</label>
                             <input type="date" name="transactionDate" value={formData.transactionDate} onChange={handleChange} required className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                         </div>
                     </div>
+                    {(accounts.length > 0 || formData.accountId) && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Account</label>
+                            <select name="accountId" value={formData.accountId} onChange={handleChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                                <option value="">No account</option>
+                                {accounts.filter(a => !a.archived || a.id === formData.accountId).map(a => <option key={a.id} value={a.id}>{a.name} ({a.currency})</option>)}
+                            </select>
+                        </div>
+                    )}
+                    {formData.type === 'Expense' && (goals.length > 0 || formData.goalId) && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Savings goal</label>
+                            <select name="goalId" value={formData.goalId} onChange={handleChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm">
+                                <option value="">Not a contribution</option>
+                                {goals.filter(g => !g.archived || g.id === formData.goalId).map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    {splitLines && <SplitLinesEditor lines={splitLines} onChange={setSplitLines} total={formData.originalAmount} currency={formData.originalCurrency} categoryNames={sortedCategories} categories={categories} />}
                     <div>
                         <label className="block text-sm font-medium text-gray-700">Comments</label>
                         <input type="text" name="description" value={formData.description} onChange={handleChange} className="mt-1 block w-full px-3 py-2 border-gray-300 rounded-md shadow-sm" />
                     </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Tags</label>
+                        <TagInput tags={formData.tags} onChange={tags => setFormData(prev => ({ ...prev, tags }))} knownTags={knownTags} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Attachments</label>
+                        {formData.attachments.length > 0 && <AttachmentThumbnails storage={storage} attachments={formData.attachments} onOpen={index => onViewAttachments(formData.attachments, index)} onRemove={removeAttachment} />}
+                        <AttachmentPicker files={files} onChange={setFiles} onError={setFormError} />
+                        {removedAttachments.length > 0 && <p className="text-xs text-gray-500 mt-1">{removedAttachments.length} attachment(s) will be deleted when you save.</p>}
+                    </div>
+                    {formError && <p className="text-red-500 text-sm">{formError}</p>}
                     <div className="flex justify-end space-x-4 pt-4">
                         <button type="button" onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded">Cancel</button>
                         <button type="submit" className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded">Save Changes</button>
@@ -1417,14 +4474,16 @@ function EditModal({ transaction, onSave, onCancel, allTransactions = [], catego
 }
 
 
-function SummaryReport({ summary, currency, onCurrencyChange }) {
-    const formatCurrency = (value) => `${CURRENCY_SYMBOLS[currency] || ''}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+// Totals from the monthly summaries hold one sum per month, so "transaction date" rates are
+// each month's closing rate there (monthRateDate) and the option says so.
+function SummaryReport({ summary, currency, currencies, onCurrencyChange, rateMode, onRateModeChange, fromSummaries }) {
+    const formatCurrency = (value) => formatMoney(value, currency);
     return (
         <div className="p-4">
             <div className="flex justify-between items-center mb-4">
                 <h2 className="text-2xl font-bold">Summary</h2>
                  <select value={currency} onChange={e => onCurrencyChange(e.target.value)} className="px-3 py-1 border-gray-300 rounded-md shadow-sm">
-                    <option>USD</option> <option>EUR</option> <option>GBP</option> <option>HUF</option>
+                    <CurrencyOptions currencies={currencies} current={currency} />
                 </select>
             </div>
             <div className="space-y-3">
@@ -1433,11 +4492,21 @@ function SummaryReport({ summary, currency, onCurrencyChange }) {
                 <hr/>
                 <div className="flex justify-between items-center text-lg"><span className="font-bold">Net Balance:</span><span className={`font-bold ${summary.netBalance >= 0 ? 'text-blue-600' : 'text-red-600'}`}>{formatCurrency(summary.netBalance)}</span></div>
             </div>
+            <div className="flex justify-between items-center mt-4 text-sm">
+                <span className="text-gray-500">Convert using</span>
+                <select value={rateMode} onChange={e => onRateModeChange(e.target.value)} className="px-2 py-1 border-gray-300 rounded-md shadow-sm">
+                    <option value="transactionDate">{fromSummaries ? 'Rate at month end' : 'Rate at transaction date'}</option>
+                    <option value="today">Today's rate</option>
+                </select>
+            </div>
+            {fromSummaries && rateMode === 'transactionDate' && (
+                <p className="text-xs text-gray-500 mt-2">Amounts in other currencies use each month's closing rate.</p>
+            )}
         </div>
     );
 }
 
-function CategoryChart({ data, currency }) {
+function CategoryChart({ data, categories, currency }) {
     return (
         <div>
             <h2 className="text-2xl font-bold mb-4">Expense Breakdown</h2>
@@ -1446,9 +4515,9 @@ function CategoryChart({ data, currency }) {
                     <ResponsiveContainer>
                         <PieChart>
                             <Pie data={data} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={100} fill="#8884d8">
-                                {data.map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}
+                                {data.map((entry, index) => <Cell key={`cell-${index}`} fill={categoryColor(categories, entry.name)} />)}
                             </Pie>
-                            <Tooltip formatter={(value) => `${CURRENCY_SYMBOLS[currency] || ''}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`} />
+                            <Tooltip formatter={(value) => formatMoney(value, currency)} />
                             <Legend />
                         </PieChart>
                     </ResponsiveContainer>
@@ -1458,6 +4527,34 @@ function CategoryChart({ data, currency }) {
     );
 }
 
+// Horizontal bars rather than a pie: a transaction counts towards each of its tags, so the
+// values overlap and don't form parts of a whole
+function TagChart({ data, currency, isPartial }) {
+    const formatCurrency = (value) => formatMoney(value, currency);
+    return (
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold mb-1">Expenses by Tag</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Transactions with several tags count towards each of them.
+                {isPartial && ' Only loaded months are included.'}
+            </p>
+            <div style={{ width: '100%', height: Math.max(120, data.length * 36) }}>
+                {data.length > 0 ? (
+                    <ResponsiveContainer>
+                        <BarChart data={data} layout="vertical" margin={{ left: 20 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis type="number" tickFormatter={formatCurrency} />
+                            <YAxis type="category" dataKey="name" width={120} tickFormatter={name => `#${name}`} />
+                            <Tooltip formatter={formatCurrency} labelFormatter={name => `#${name}`} />
+                            <Bar dataKey="value" name="Expense" fill="#6366f1" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                ) : <p className="text-center text-gray-500 pt-8">No tagged expenses for the selected filters.</p>}
+            </div>
+        </div>
+    );
+}
+
 function TrendChartComponent({ data, currency }) {
     const formatXAxis = (tickItem) => {
         return new Date(tickItem + '-02').toLocaleString('default', { month: 'short', year: 'numeric' });
@@ -1473,7 +4570,7 @@ function TrendChartComponent({ data, currency }) {
                             <CartesianGrid strokeDasharray="3 3" />
                             <XAxis dataKey="month" tickFormatter={formatXAxis} />
                             <YAxis />
-                            <Tooltip formatter={(value) => `${CURRENCY_SYMBOLS[currency] || ''}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`} />
+                            <Tooltip formatter={(value) => formatMoney(value, currency)} />
                             <Legend />
                             <Bar dataKey="expense" fill="#ef4444" name="Expenses" />
                             <Bar dataKey="income" fill="#22c55e" name="Income" />
@@ -1486,10 +4583,11 @@ function TrendChartComponent({ data, currency }) {
 }
 
 
-function TransactionList({ transactions, onDelete, onEdit, displayCurrency, latestRates, onNextPage, onPrevPage, currentPage, totalPages, sortConfig, setSortConfig, descriptionFilter, setDescriptionFilter }) {
-    const conversionRate = latestRates ? latestRates[displayCurrency] || 1 : 1;
-    const formatCurrency = (value) => `${CURRENCY_SYMBOLS[displayCurrency] || ''}${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+function TransactionList({ transactions, onDelete, onEdit, canDelete, accounts = [], goals = [], storage, onViewAttachments, pendingIds = new Set(), displayCurrency, getDisplayAmount, family, onNextPage, onPrevPage, currentPage, totalPages, sortConfig, setSortConfig, descriptionFilter, setDescriptionFilter }) {
+    const formatCurrency = (value) => formatMoney(value, displayCurrency);
     
+    const showMembers = !!(family && family.members && Object.keys(family.members).length > 1);
+
     const requestSort = (key) => {
         let direction = 'asc';
         if (sortConfig.key === key && sortConfig.direction === 'asc') {
@@ -1504,10 +4602,11 @@ function TransactionList({ transactions, onDelete, onEdit, displayCurrency, late
                 <h2 className="text-2xl font-bold">Transaction History</h2>
                 <input 
                     type="text" 
-                    placeholder="Search descriptions..."
+                    placeholder='Search, e.g. amount>20000 category:Groceries "tesco"'
+                    title='Words match descriptions, categories, tags and accounts. Also: "exact phrase", amount>20000 (or >=, <, <=, amount:4500), category:Name, tag:name, type:expense, date:2026-03, date>=2026-01-15'
                     value={descriptionFilter}
                     onChange={(e) => setDescriptionFilter(e.target.value)}
-                    className="p-2 border border-gray-300 rounded-md"
+                    className="p-2 border border-gray-300 rounded-md w-full max-w-md ml-4"
                 />
             </div>
             <div className="overflow-x-auto">
@@ -1524,25 +4623,48 @@ function TransactionList({ transactions, onDelete, onEdit, displayCurrency, late
                     <tbody>
                         {transactions.map(t => {
                             const isExpense = t.type === 'Expense';
-                            let displayAmount;
-                            if (t.originalCurrency === displayCurrency) {
-                                displayAmount = t.originalAmount;
-                            } else {
-                                displayAmount = t.amountInBaseCurrency * conversionRate;
-                            }
+                            const transfer = isTransfer(t);
+                            const displayAmount = getDisplayAmount(t);
                             
                             return (
                                 <tr key={t.id} className="bg-white border-b hover:bg-gray-50">
-                                    <td className="px-4 py-3">{t.transactionDate}</td>
-                                    <td className={`px-4 py-3 text-right font-semibold font-mono ${isExpense ? 'text-red-500' : 'text-green-500'}`}>
-                                        {isExpense ? '-' : '+'}{formatCurrency(displayAmount)}
+                                    <td className="px-4 py-3">
+                                        {t.transactionDate}
+                                        {pendingIds.has(t.id) && <span className="block text-xs text-yellow-600" title="Saved on this device, not yet on the server">Pending sync</span>}
+                                    </td>
+                                    <td className={`px-4 py-3 text-right font-semibold font-mono ${transfer ? 'text-gray-500' : isExpense ? 'text-red-500' : 'text-green-500'}`}>
+                                        {transfer ? '' : isExpense ? '-' : '+'}{formatCurrency(displayAmount)}
+                                    </td>
+                                    <td className="px-4 py-3">
+                                        {transfer ? (
+                                            <>
+                                                <span className="font-medium">Transfer</span>
+                                                <span className="block text-xs text-gray-400">{accountName(accounts, t.accountId)} → {accountName(accounts, t.toAccountId)}</span>
+                                            </>
+                                        ) : isSplit(t) ? (
+                                            <>
+                                                <span className="font-medium">Split</span>
+                                                {t.splits.map((line, i) => <span key={i} className="block text-xs text-gray-400">{line.category} · {formatMoney(line.amount, t.originalCurrency)}</span>)}
+                                            </>
+                                        ) : t.category}
+                                        {!transfer && t.accountId && <span className="block text-xs text-gray-400">{accountName(accounts, t.accountId)}</span>}
+                                        {t.goalId && <span className="block text-xs text-blue-500">Saved towards {(goals.find(g => g.id === t.goalId) || { name: 'a goal' }).name}</span>}
+                                    </td>
+                                    <td className="px-4 py-3 font-medium text-gray-900">
+                                        {t.description || '-'}
+                                        {transactionTags(t).length > 0 && (
+                                            <span className="flex flex-wrap gap-1 mt-1">
+                                                {transactionTags(t).map(tag => <span key={tag} className="px-2 py-0.5 text-xs font-normal rounded-full bg-indigo-100 text-indigo-800">#{tag}</span>)}
+                                            </span>
+                                        )}
+                                        {transactionAttachments(t).length > 0 && <AttachmentThumbnails storage={storage} attachments={transactionAttachments(t)} onOpen={index => onViewAttachments(t, index)} />}
+                                        {showMembers && t.createdBy && <span className="block text-xs font-normal text-gray-400">{memberLabel(family, t.createdBy)}</span>}
                                     </td>
-                                    <td className="px-4 py-3">{t.category}</td>
-                                    <td className="px-4 py-3 font-medium text-gray-900">{t.description || '-'}</td>
                                     <td className="px-4 py-3 text-right">
                                         <div className="flex justify-end space-x-3">
-                                            <button onClick={() => onEdit(t)} className="text-gray-400 hover:text-blue-600"><PencilIcon/></button>
-                                            <button onClick={() => onDelete(t.id, 'transaction')} className="text-gray-400 hover:text-red-600"><TrashIcon/></button>
+                                            {/* Transfers aren't edited in place; delete and record them again */}
+                                            {onEdit && !transfer && <button onClick={() => onEdit(t)} className="text-gray-400 hover:text-blue-600"><PencilIcon/></button>}
+                                            {canDelete(t) && <button onClick={() => onDelete(t.id, 'transaction')} className="text-gray-400 hover:text-red-600"><TrashIcon/></button>}
                                         </div>
                                     </td>
                                 </tr>
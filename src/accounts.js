@@ -0,0 +1,97 @@
+// --- Accounts ---
+// Where money sits: bank accounts, cards, cash. Family-scoped at
+// artifacts/{appId}/families/{familyId}/accounts/{id}:
+//   { name, currency, openingBalance, archived, createdAt }
+// Transactions point at one with `accountId` (optional; older ones have none). A transfer is a
+// transaction of type 'Transfer' that is neither income nor expense:
+//   { type: 'Transfer', accountId, toAccountId, originalAmount, originalCurrency, amountInBaseCurrency,
+//     toAmount, toCurrency, toAmountInBaseCurrency, transactionDate, description }
+// The amount leaves accountId in its currency and toAmount arrives in toAccountId's, so
+// transfers between currencies keep what the bank actually booked on both sides.
+//
+// Balances come from per-month net flows (see accountMovements, summarised into
+// monthlySummaries), so they cover the whole history without loading every transaction.
+import { collection, doc, addDoc, updateDoc, onSnapshot } from 'firebase/firestore';
+import { convertFromBase } from './exchangeRates';
+
+export const TRANSFER_TYPE = 'Transfer';
+
+export const isTransfer = (t) => t.type === TRANSFER_TYPE;
+
+const accountsRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/accounts`);
+
+export const subscribeAccounts = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(accountsRef(db, appId, familyId), snap => onChange(
+        snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name))
+    ), onError);
+
+const validateAccount = (accounts, { name, currency, openingBalance }, ignoreId = null) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Enter an account name.');
+    if (accounts.some(a => a.id !== ignoreId && a.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`An account named "${trimmed}" already exists.`);
+    }
+    if (!currency) throw new Error('Pick the account currency.');
+    const balance = parseFloat(openingBalance || 0);
+    if (Number.isNaN(balance)) throw new Error('Opening balance must be a number.');
+    return { name: trimmed, currency, openingBalance: balance };
+};
+
+export const createAccount = async (db, appId, familyId, accounts, data) => {
+    const account = validateAccount(accounts, data);
+    const ref = await addDoc(accountsRef(db, appId, familyId), { ...account, archived: false, createdAt: Date.now() });
+    return ref.id;
+};
+
+// The currency stays fixed once transactions use the account; only name, opening balance and
+// the archived flag change
+export const updateAccount = async (db, appId, familyId, accounts, account, changes) => {
+    const next = { ...account, ...changes };
+    const { name, openingBalance } = validateAccount(accounts, next, account.id);
+    await updateDoc(doc(accountsRef(db, appId, familyId), account.id), { name, openingBalance, archived: !!next.archived });
+};
+
+// Signed effect of a transaction on each account it touches:
+//   [{ accountId, currency, amount, base }]   amount in `currency`, base in the base currency
+export const accountMovements = (t) => {
+    const amount = Number(t.originalAmount) || 0;
+    const base = Number(t.amountInBaseCurrency) || 0;
+    const currency = t.originalCurrency || 'USD';
+    if (isTransfer(t)) {
+        return [
+            t.accountId && { accountId: t.accountId, currency, amount: -amount, base: -base },
+            t.toAccountId && { accountId: t.toAccountId, currency: t.toCurrency || currency, amount: Number(t.toAmount) || 0, base: Number(t.toAmountInBaseCurrency) || 0 },
+        ].filter(Boolean);
+    }
+    if (!t.accountId) return [];
+    const sign = t.type === 'Income' ? 1 : -1;
+    return [{ accountId: t.accountId, currency, amount: sign * amount, base: sign * base }];
+};
+
+// A summary bucket { [currency]: { amount, base } } in the account's currency: its own currency
+// exactly, anything else converted from base
+const flowAmount = (bucket, currency, rates) => Object.entries(bucket || {}).reduce(
+    (sum, [cur, { amount, base }]) => sum + (cur === currency ? amount : convertFromBase(base, currency, rates)), 0);
+
+// Month-end balances [{ month, balance }] from monthly summaries (stored ones, or summaryDelta of
+// loaded transactions), starting from the opening balance
+export const balanceHistory = (account, summaries, rates) => {
+    let balance = Number(account.openingBalance) || 0;
+    return summaries
+        .filter(s => s.accounts && s.accounts[account.id])
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(s => {
+            balance += flowAmount(s.accounts[account.id], account.currency, rates);
+            return { month: s.month, balance };
+        });
+};
+
+export const currentBalance = (account, summaries, rates) => {
+    const history = balanceHistory(account, summaries, rates);
+    return history.length > 0 ? history[history.length - 1].balance : Number(account.openingBalance) || 0;
+};
+
+export const accountName = (accounts, id) => {
+    const account = accounts.find(a => a.id === id);
+    return account ? account.name : 'Unknown account';
+};
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+// storage.rules and the attachment helpers against the Storage and Firestore emulators:
+// npm run test:emulator. Skipped by plain npm test.
+import { webcrypto } from 'crypto';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteObject, getMetadata, listAll, ref, uploadBytes } from 'firebase/storage';
+import { MAX_ATTACHMENT_BYTES, deleteAttachmentFiles, uploadAttachments } from './attachments';
+import { FAMILY_ID, describeWithStorage, familyDocPath, initializeEmulatorEnv, seedFamily, transaction } from './emulatorTestSetup';
+
+const APP_ID = 'attachments-test';
+const filesPath = (transactionId) => `${familyDocPath(APP_ID)}/attachments/${transactionId}`;
+const PDF = { contentType: 'application/pdf' };
+// Uploads must name their uploader, as attachments.js does
+const uploadedBy = (uid, metadata = PDF) => ({ ...metadata, customMetadata: { uploadedBy: uid } });
+
+// Stands in for a browser File: uploadBytes takes the bytes, attachments.js reads name/type/size
+const fakeFile = (name, type, size = 16) => Object.assign(new Uint8Array(size), { name, type, size });
+
+describeWithStorage('storage.rules', () => {
+    let env;
+    const as = (uid) => env.authenticatedContext(uid).storage();
+    const fileRef = (storage, transactionId, name = 'receipt') => ref(storage, `${filesPath(transactionId)}/${name}`);
+
+    const seedFile = (transactionId, name = 'receipt', uid = 'owner') => env.withSecurityRulesDisabled(context =>
+        uploadBytes(fileRef(context.storage(), transactionId, name), new Uint8Array(16), uploadedBy(uid)));
+
+    const storedFiles = (transactionId) => env.withSecurityRulesDisabled(async context =>
+        (await listAll(ref(context.storage(), filesPath(transactionId)))).items.map(item => item.name));
+
+    beforeAll(async () => {
+        env = await initializeEmulatorEnv({ storage: true });
+        // newAttachmentId uses window.crypto
+        global.window = { crypto: webcrypto };
+    });
+
+    beforeEach(async () => {
+        await env.clearStorage();
+        await seedFamily(env, APP_ID, { 'by-owner': transaction('owner'), 'by-editor': transaction('editor') });
+    });
+
+    afterAll(async () => {
+        delete global.window;
+        await env.cleanup();
+    });
+
+    it('lets members read files, and no one else', async () => {
+        await seedFile('by-owner');
+        for (const uid of ['owner', 'editor', 'viewer']) await assertSucceeds(getMetadata(fileRef(as(uid), 'by-owner')));
+        await assertFails(getMetadata(fileRef(as('stranger'), 'by-owner')));
+        await assertFails(getMetadata(fileRef(env.unauthenticatedContext().storage(), 'by-owner')));
+    });
+
+    it('lets owners and editors upload photos and PDFs up to the size limit', async () => {
+        await assertSucceeds(uploadBytes(fileRef(as('owner'), 'by-owner'), new Uint8Array(16), uploadedBy('owner')));
+        await assertSucceeds(uploadBytes(fileRef(as('editor'), 'by-editor'), new Uint8Array(16), uploadedBy('editor', { contentType: 'image/jpeg' })));
+        await assertFails(uploadBytes(fileRef(as('viewer'), 'by-owner', 'viewer'), new Uint8Array(16), uploadedBy('viewer')));
+        await assertFails(uploadBytes(fileRef(as('stranger'), 'by-owner', 'stranger'), new Uint8Array(16), uploadedBy('stranger')));
+        await assertFails(uploadBytes(fileRef(as('editor'), 'by-editor', 'notes'), new Uint8Array(16), uploadedBy('editor', { contentType: 'text/plain' })));
+        await assertFails(uploadBytes(fileRef(as('editor'), 'by-editor', 'huge'), new Uint8Array(MAX_ATTACHMENT_BYTES + 1), uploadedBy('editor')));
+        await assertFails(uploadBytes(fileRef(as('editor'), 'by-editor', 'unsigned'), new Uint8Array(16), PDF));
+        await assertFails(uploadBytes(fileRef(as('editor'), 'by-editor', 'forged'), new Uint8Array(16), uploadedBy('owner')));
+    });
+
+    it('never lets a file be overwritten', async () => {
+        await seedFile('by-owner');
+        await seedFile('by-editor', 'receipt', 'editor');
+        await assertFails(uploadBytes(fileRef(as('editor'), 'by-owner'), new Uint8Array(16), uploadedBy('editor')));
+        await assertFails(uploadBytes(fileRef(as('editor'), 'by-editor'), new Uint8Array(16), uploadedBy('editor')));
+    });
+
+    it('lets editors delete the files of transactions they created only', async () => {
+        await seedFile('by-owner');
+        await seedFile('by-editor');
+        await assertFails(deleteObject(fileRef(as('editor'), 'by-owner')));
+        await assertFails(deleteObject(fileRef(as('viewer'), 'by-editor')));
+        await assertSucceeds(deleteObject(fileRef(as('editor'), 'by-editor')));
+    });
+
+    it('lets the owner delete any files', async () => {
+        await seedFile('by-editor');
+        await assertSucceeds(deleteObject(fileRef(as('owner'), 'by-editor')));
+    });
+
+    it('leaves the files of a transaction that doesn\'t exist to the owner and their uploader', async () => {
+        await seedFile('never-saved', 'by-owner', 'owner');
+        await seedFile('never-saved', 'by-editor', 'editor');
+        await assertFails(deleteObject(fileRef(as('editor'), 'never-saved', 'by-owner')));
+        await assertFails(deleteObject(fileRef(as('viewer'), 'never-saved', 'by-editor')));
+        await assertSucceeds(deleteObject(fileRef(as('editor'), 'never-saved', 'by-editor')));
+        await assertSucceeds(deleteObject(fileRef(as('owner'), 'never-saved', 'by-owner')));
+    });
+
+    describe('uploadAttachments and deleteAttachmentFiles', () => {
+        it('upload files for the transaction and delete them again', async () => {
+            const [attachment] = await uploadAttachments(as('editor'), APP_ID, FAMILY_ID, 'by-editor', [fakeFile('receipt.pdf', 'application/pdf')], 'editor');
+            expect(attachment).toMatchObject({ name: 'receipt.pdf', contentType: 'application/pdf', size: 16, thumbPath: null, uploadedBy: 'editor' });
+            expect(attachment.path).toBe(`${filesPath('by-editor')}/${attachment.id}`);
+            expect(await storedFiles('by-editor')).toEqual([attachment.id]);
+
+            await deleteAttachmentFiles(as('editor'), [attachment]);
+            expect(await storedFiles('by-editor')).toEqual([]);
+            // Already gone is fine
+            await expect(deleteAttachmentFiles(as('editor'), [attachment])).resolves.toBeUndefined();
+        });
+
+        it('remove the files already uploaded when a later one fails', async () => {
+            const files = [fakeFile('receipt.pdf', 'application/pdf'), fakeFile('notes.txt', 'text/plain')];
+            await expect(uploadAttachments(as('editor'), APP_ID, FAMILY_ID, 'by-editor', files, 'editor')).rejects.toThrow('"notes.txt" is not a photo or PDF.');
+            expect(await storedFiles('by-editor')).toEqual([]);
+            // Also before the transaction is saved, as when adding one
+            await expect(uploadAttachments(as('editor'), APP_ID, FAMILY_ID, 'not-saved-yet', files, 'editor')).rejects.toThrow('"notes.txt" is not a photo or PDF.');
+            expect(await storedFiles('not-saved-yet')).toEqual([]);
+        });
+
+        it('are held to the rules', async () => {
+            const files = [fakeFile('receipt.pdf', 'application/pdf')];
+            await expect(uploadAttachments(as('viewer'), APP_ID, FAMILY_ID, 'by-owner', files, 'viewer')).rejects.toMatchObject({ code: 'storage/unauthorized' });
+
+            const [attachment] = await uploadAttachments(as('owner'), APP_ID, FAMILY_ID, 'by-owner', files, 'owner');
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            // A refused delete is logged, not thrown, and the file stays
+            await deleteAttachmentFiles(as('editor'), [attachment]);
+            expect(warn).toHaveBeenCalledWith(`[Attachments] could not delete ${attachment.path}`, expect.objectContaining({ code: 'storage/unauthorized' }));
+            warn.mockRestore();
+            expect(await storedFiles('by-owner')).toEqual([attachment.id]);
+        });
+    });
+});
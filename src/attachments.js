@@ -0,0 +1,133 @@
+// --- Attachments ---
+// Receipts and documents on transactions, kept in Firebase Storage at
+//   artifacts/{appId}/families/{familyId}/attachments/{transactionId}/{attachmentId}
+// with a small JPEG preview at .../{attachmentId}-thumb for images. The transaction lists them:
+//   attachments: [{ id, name, contentType, size, path, thumbPath, uploadedAt, uploadedBy }]
+// Photos are downscaled in the browser before upload; PDFs and images the browser can't decode
+// (e.g. HEIC) are stored as they are. Files stay while the transaction is in the trash and are
+// removed when it is purged (deleteAttachmentFiles), before the document itself. Access is
+// checked by storage.rules; each file records its uploader for it.
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+// Matches the limit in storage.rules
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGE_SIDE = 2000;
+const THUMB_SIDE = 240;
+const JPEG_QUALITY = 0.85;
+
+export const isImageAttachment = (attachment) => (attachment.contentType || '').startsWith('image/');
+
+export const transactionAttachments = (t) => (Array.isArray(t && t.attachments) ? t.attachments : []);
+
+const attachmentsPath = (appId, familyId, transactionId) => `artifacts/${appId}/families/${familyId}/attachments/${transactionId}`;
+
+const newAttachmentId = () => {
+    const bytes = new Uint8Array(6);
+    window.crypto.getRandomValues(bytes);
+    return `${Date.now().toString(36)}-${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Throws with a message for the form when `file` can't be attached
+export const validateAttachmentFile = (file) => {
+    if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+        throw new Error(`"${file.name}" is not a photo or PDF.`);
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        throw new Error(`"${file.name}" is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`);
+    }
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`Could not read "${file.name}" as an image.`)); };
+    img.src = url;
+});
+
+// A JPEG of `img` whose longer side is at most maxSide (never upscaled)
+const drawScaled = (img, maxSide) => new Promise((resolve, reject) => {
+    const scale = Math.min(1, maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; receipts photographed on white look right on white
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image.'))), 'image/jpeg', JPEG_QUALITY);
+});
+
+// { blob, thumb } to upload: the file downscaled to MAX_IMAGE_SIDE (kept as is when that
+// wouldn't make it smaller) and a THUMB_SIDE preview. thumb is null for PDFs and undecodable images.
+export const prepareAttachment = async (file) => {
+    if (!file.type.startsWith('image/')) return { blob: file, thumb: null };
+    let img;
+    try {
+        img = await loadImage(file);
+    } catch (e) {
+        return { blob: file, thumb: null };
+    }
+    const scaled = await drawScaled(img, MAX_IMAGE_SIDE);
+    const thumb = await drawScaled(img, THUMB_SIDE);
+    return { blob: scaled.size < file.size ? scaled : file, thumb };
+};
+
+// Uploads one file for the transaction and resolves to its entry for `attachments`
+export const uploadAttachment = async (storage, appId, familyId, transactionId, file, uid) => {
+    validateAttachmentFile(file);
+    const { blob, thumb } = await prepareAttachment(file);
+    const id = newAttachmentId();
+    const path = `${attachmentsPath(appId, familyId, transactionId)}/${id}`;
+    const contentType = blob.type || file.type;
+    // Downscaled photos become JPEGs; the name follows so downloads open correctly
+    const name = contentType === file.type ? file.name : `${file.name.replace(/\.[^.]+$/, '')}.jpg`;
+    await uploadBytes(ref(storage, path), blob, { contentType, customMetadata: { name, uploadedBy: uid } });
+    let thumbPath = null;
+    if (thumb) {
+        thumbPath = `${path}-thumb`;
+        await uploadBytes(ref(storage, thumbPath), thumb, { contentType: 'image/jpeg', customMetadata: { uploadedBy: uid } });
+    }
+    return { id, name, contentType, size: blob.size, path, thumbPath, uploadedAt: Date.now(), uploadedBy: uid };
+};
+
+// Uploads all files; if one fails, the ones already uploaded are deleted again
+export const uploadAttachments = async (storage, appId, familyId, transactionId, files, uid) => {
+    const uploaded = [];
+    try {
+        for (const file of files) uploaded.push(await uploadAttachment(storage, appId, familyId, transactionId, file, uid));
+    } catch (e) {
+        await deleteAttachmentFiles(storage, uploaded);
+        throw e;
+    }
+    return uploaded;
+};
+
+// Download URLs by path, fetched once per session
+const urlCache = new Map();
+
+export const attachmentUrl = (storage, path) => {
+    if (!urlCache.has(path)) {
+        const pending = getDownloadURL(ref(storage, path));
+        // A failed lookup (e.g. offline) is retried next time
+        pending.catch(() => urlCache.delete(path));
+        urlCache.set(path, pending);
+    }
+    return urlCache.get(path);
+};
+
+// Deletes the files (and previews) of the given attachments. Files that are already gone are
+// fine; other failures are logged rather than thrown, since the transaction no longer lists them.
+export const deleteAttachmentFiles = async (storage, attachments) => {
+    const paths = attachments.flatMap(a => [a.path, a.thumbPath]).filter(Boolean);
+    await Promise.all(paths.map(async (path) => {
+        urlCache.delete(path);
+        try {
+            await deleteObject(ref(storage, path));
+        } catch (e) {
+            if (e.code !== 'storage/object-not-found') console.warn(`[Attachments] could not delete ${path}`, e);
+        }
+    }));
+};
@@ -0,0 +1,261 @@
+// --- Backup & Restore ---
+// A backup is one JSON file holding every document of a family's data collections:
+//   { format: BACKUP_FORMAT, schemaVersion, exportedAt, familyId, settings: { baseCurrency },
+//     collections: { transactions: [...], recurring: [...], budgets: [...], accounts: [...], goals: [...],
+//       goalContributions: [...], categories: [...], rules: [...], importPresets: [...] } }
+// Every document keeps its Firestore id in `id`, and Timestamps are written as
+// { __timestamp: true, seconds, nanoseconds } so they come back as Timestamps.
+//
+// Older files are upgraded step by step on restore (see UPGRADES):
+//   1 - the Reports page JSON export (top-level arrays, no schemaVersion). Also carries the
+//       transactionDate fixups: dates stored as Timestamps (which migrateTransactionDates.js
+//       fixes in place) or full ISO strings become 'YYYY-MM-DD'.
+//   2 - current format
+import { collection, doc, getDocs, writeBatch, Timestamp } from 'firebase/firestore';
+import { RATES_BASE_CURRENCY } from './exchangeRates';
+import { isSplit, validateSplits } from './splits';
+import { isTransfer } from './accounts';
+
+export const BACKUP_FORMAT = 'family-finance-backup';
+export const BACKUP_SCHEMA_VERSION = 2;
+// Collections added later (accounts, goals, categories, ...) are simply absent from older backups
+export const BACKUP_COLLECTIONS = ['transactions', 'recurring', 'budgets', 'accounts', 'goals', 'goalContributions', 'categories', 'rules', 'importPresets'];
+
+const BATCH_LIMIT = 500;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+const localDateString = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Timestamp);
+
+// --- Timestamp encoding ---
+const encodeValue = (value) => {
+    if (value instanceof Timestamp) return { __timestamp: true, seconds: value.seconds, nanoseconds: value.nanoseconds };
+    if (Array.isArray(value)) return value.map(encodeValue);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+    return value;
+};
+
+const decodeValue = (value) => {
+    if (isPlainObject(value) && value.__timestamp) return new Timestamp(value.seconds, value.nanoseconds || 0);
+    if (Array.isArray(value)) return value.map(decodeValue);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]));
+    return value;
+};
+
+// Serialized Timestamps from before the tagged encoding: the client SDK's toJSON shape
+// ({ seconds, nanoseconds }) and the Admin SDK's ({ _seconds, _nanoseconds }).
+const untaggedTimestampSeconds = (v) => {
+    if (!isPlainObject(v)) return null;
+    if (typeof v.seconds === 'number' && typeof v.nanoseconds === 'number') return v.seconds;
+    if (typeof v._seconds === 'number' && typeof v._nanoseconds === 'number') return v._seconds;
+    return null;
+};
+
+// As in migrateTransactionDates.js, Timestamps become their local calendar date; longer ISO
+// strings keep their date part.
+export const toDateString = (value) => {
+    if (typeof value === 'string') return DATE_RE.test(value) ? value : (value.match(/^\d{4}-\d{2}-\d{2}/) || [value])[0];
+    const seconds = untaggedTimestampSeconds(value);
+    if (seconds !== null) return localDateString(new Date(seconds * 1000));
+    if (typeof value === 'number') return localDateString(new Date(value));
+    return value;
+};
+
+// --- Version upgrades ---
+const tagTimestamps = (item) => Object.fromEntries(Object.entries(item).map(([k, v]) => {
+    const seconds = untaggedTimestampSeconds(v);
+    return [k, seconds === null ? v : { __timestamp: true, seconds, nanoseconds: v.nanoseconds ?? v._nanoseconds ?? 0 }];
+}));
+
+const UPGRADES = {
+    // 1 -> 2: wrap the collections, fix transaction dates and tag serialized Timestamps
+    1: (data) => ({
+        format: BACKUP_FORMAT,
+        schemaVersion: 2,
+        exportedAt: data.exportedAt || null,
+        familyId: data.familyId || null,
+        settings: { baseCurrency: RATES_BASE_CURRENCY },
+        collections: {
+            transactions: (data.transactions || []).map(t => tagTimestamps({ ...t, transactionDate: toDateString(t.transactionDate) })),
+            recurring: (data.recurring || []).map(tagTimestamps),
+            budgets: (data.budgets || []).map(tagTimestamps),
+        },
+    }),
+};
+
+// Parse and upgrade a backup file's text. Throws with a readable message when the file
+// can't be used at all, e.g. its amounts are in another base currency than the family's;
+// per-document problems are reported by planRestore instead.
+export const parseBackup = (text, familyBaseCurrency = RATES_BASE_CURRENCY) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (Array.isArray(data)) data = { transactions: data };
+    if (!isPlainObject(data)) throw new Error('The file does not look like a backup.');
+
+    let version = data.format === BACKUP_FORMAT ? data.schemaVersion : 1;
+    if (version === 1 && !Array.isArray(data.transactions) && !Array.isArray(data.recurring)) {
+        throw new Error('The file does not look like a backup.');
+    }
+    if (typeof version !== 'number' || version > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`This backup was made by a newer version of the app (schema ${data.schemaVersion}).`);
+    }
+    const upgradedFrom = version;
+    while (version < BACKUP_SCHEMA_VERSION) {
+        data = UPGRADES[version](data);
+        version = data.schemaVersion;
+    }
+
+    const baseCurrency = data.settings && data.settings.baseCurrency;
+    if (baseCurrency && baseCurrency !== familyBaseCurrency) {
+        throw new Error(`This backup uses ${baseCurrency} as its base currency; this family uses ${familyBaseCurrency}. Change the base currency on the Family page first.`);
+    }
+    BACKUP_COLLECTIONS.forEach(name => {
+        const docs = data.collections && data.collections[name];
+        if (docs !== undefined && !Array.isArray(docs)) throw new Error(`"${name}" in the backup is not a list.`);
+    });
+    return { ...data, upgradedFrom };
+};
+
+// --- Creating a backup ---
+export const createBackup = async (db, appId, familyId, baseCurrency = RATES_BASE_CURRENCY) => {
+    const collections = {};
+    for (const name of BACKUP_COLLECTIONS) {
+        const snap = await getDocs(collection(db, `artifacts/${appId}/families/${familyId}/${name}`));
+        collections[name] = snap.docs.map(d => encodeValue({ ...d.data(), id: d.id }));
+    }
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        familyId,
+        settings: { baseCurrency },
+        collections,
+    }, null, 2);
+};
+
+// --- Restoring ---
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const VALIDATORS = {
+    transactions: (t) => {
+        if (!['Income', 'Expense', 'Transfer'].includes(t.type)) return `unknown type "${t.type}"`;
+        if (!isNumber(t.originalAmount)) return 'amount is not a number';
+        if (!isNumber(t.amountInBaseCurrency)) return 'base currency amount is not a number';
+        if (typeof t.originalCurrency !== 'string') return 'currency is missing';
+        if (typeof t.transactionDate !== 'string' || !DATE_RE.test(t.transactionDate)) return `invalid date "${t.transactionDate}"`;
+        if (isSplit(t)) return validateSplits(t.originalAmount, t.splits);
+        if (isTransfer(t)) {
+            if (typeof t.accountId !== 'string' || typeof t.toAccountId !== 'string') return 'transfer accounts are missing';
+            if (!isNumber(t.toAmount)) return 'received amount is not a number';
+        }
+        return null;
+    },
+    recurring: (r) => {
+        if (!['Income', 'Expense'].includes(r.type)) return `unknown type "${r.type}"`;
+        if (!isNumber(r.originalAmount)) return 'amount is not a number';
+        return null;
+    },
+    budgets: (b) => {
+        if (typeof b.category !== 'string' || !b.category) return 'category is missing';
+        if (!isNumber(b.monthlyLimit)) return 'limit is not a number';
+        return null;
+    },
+    accounts: (a) => {
+        if (typeof a.name !== 'string' || !a.name) return 'name is missing';
+        if (typeof a.currency !== 'string') return 'currency is missing';
+        if (!isNumber(a.openingBalance)) return 'opening balance is not a number';
+        return null;
+    },
+    goals: (g) => {
+        if (typeof g.name !== 'string' || !g.name) return 'name is missing';
+        if (!isNumber(g.targetAmount)) return 'target is not a number';
+        if (typeof g.currency !== 'string') return 'currency is missing';
+        return null;
+    },
+    goalContributions: (c) => {
+        if (typeof c.goalId !== 'string') return 'goal is missing';
+        if (!isNumber(c.amount)) return 'amount is not a number';
+        if (typeof c.date !== 'string' || !DATE_RE.test(c.date)) return `invalid date "${c.date}"`;
+        return null;
+    },
+    categories: (c) => {
+        if (typeof c.name !== 'string' || !c.name) return 'name is missing';
+        if (!['Income', 'Expense'].includes(c.type)) return `unknown type "${c.type}"`;
+        if (c.parentId != null && typeof c.parentId !== 'string') return 'parent is not an id';
+        return null;
+    },
+    rules: (r) => {
+        if (typeof r.name !== 'string' || !r.name) return 'name is missing';
+        if (!isNumber(r.priority)) return 'priority is not a number';
+        if (!Array.isArray(r.conditions) || r.conditions.length === 0) return 'conditions are missing';
+        if (!isPlainObject(r.actions)) return 'actions are missing';
+        return null;
+    },
+    importPresets: (p) => {
+        if (typeof p.name !== 'string' || !p.name) return 'name is missing';
+        if (typeof p.format !== 'string' || !p.format) return 'format is missing';
+        if (p.csv != null && !isPlainObject(p.csv)) return 'CSV settings are not an object';
+        return null;
+    },
+};
+
+// Doc ids currently stored for each backup collection: { transactions: Set, ... }
+export const fetchExistingIds = async (db, appId, familyId) => {
+    const ids = {};
+    for (const name of BACKUP_COLLECTIONS) {
+        const snap = await getDocs(collection(db, `artifacts/${appId}/families/${familyId}/${name}`));
+        ids[name] = new Set(snap.docs.map(d => d.id));
+    }
+    return ids;
+};
+
+// What a restore would do, per collection and by document id:
+//   { transactions: { add: [doc], overwrite: [doc], skip: [{ id, reason }] }, ... }
+// Existing documents are overwritten only when `overwriteExisting` is set.
+export const planRestore = (backup, existingIds, { overwriteExisting = false } = {}) => {
+    const plan = {};
+    BACKUP_COLLECTIONS.forEach(name => {
+        const entry = { add: [], overwrite: [], skip: [] };
+        const seen = new Set();
+        ((backup.collections && backup.collections[name]) || []).forEach((item, i) => {
+            const id = isPlainObject(item) && typeof item.id === 'string' ? item.id.trim() : '';
+            if (!id || id.includes('/')) { entry.skip.push({ id: `#${i + 1}`, reason: 'missing or invalid id' }); return; }
+            if (seen.has(id)) { entry.skip.push({ id, reason: 'duplicate id in backup' }); return; }
+            seen.add(id);
+            const problem = VALIDATORS[name](item);
+            if (problem) { entry.skip.push({ id, reason: problem }); return; }
+            if (!existingIds[name] || !existingIds[name].has(id)) entry.add.push(item);
+            else if (overwriteExisting) entry.overwrite.push(item);
+            else entry.skip.push({ id, reason: 'already exists' });
+        });
+        plan[name] = entry;
+    });
+    return plan;
+};
+
+export const restoreWriteCount = (plan) =>
+    BACKUP_COLLECTIONS.reduce((sum, name) => sum + plan[name].add.length + plan[name].overwrite.length, 0);
+
+// Writes the plan's adds and overwrites in writeBatch chunks, reporting (written, total).
+export const applyRestore = async (db, appId, familyId, plan, onProgress) => {
+    const writes = [];
+    BACKUP_COLLECTIONS.forEach(name => {
+        [...plan[name].add, ...plan[name].overwrite].forEach(item => writes.push({ name, item }));
+    });
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_LIMIT).forEach(({ name, item }) => {
+            const { id, ...data } = decodeValue(item);
+            batch.set(doc(db, `artifacts/${appId}/families/${familyId}/${name}`, id.trim()), data);
+        });
+        await batch.commit();
+        if (onProgress) onProgress(Math.min(i + BATCH_LIMIT, writes.length), writes.length);
+    }
+    return writes.length;
+};
@@ -0,0 +1,86 @@
+// --- Base Currency ---
+// The currency a family's amountInBaseCurrency values (and the monthly summaries' `base` totals)
+// are kept in: family.baseCurrency, USD for families from before the setting. Rate tables stay
+// USD-based and are re-based on the fly (rebaseRates in exchangeRates.js). Every transaction
+// records the base it was converted to, so changing the setting goes:
+//   1. setFamilyBaseCurrency: family { baseCurrency, rebasePending: true }; new writes use it at once
+//   2. rebaseTransactions: every transaction in another base gets amountInBaseCurrency and
+//      exchangeRateToBase (and a transfer's toAmountInBaseCurrency) recomputed with the table of
+//      the day it was converted on
+//   3. the monthly summaries are rebuilt and finishRebase clears rebasePending
+// Step 2 skips transactions already done, so an interrupted change is finished by running it again.
+// Transactions whose day has no rate for their currency are left as they are and reported; the
+// change stays pending until their rates are backfilled and it is run again.
+import { collection, doc, getDocs, updateDoc, writeBatch, query, orderBy, limit, startAfter, documentId } from 'firebase/firestore';
+import { RATES_BASE_CURRENCY, rebaseRates, rateFor } from './exchangeRates';
+import { docToTransaction } from './transactionQueries';
+import { isTransfer } from './accounts';
+
+const BATCH_LIMIT = 500;
+
+const familyDoc = (db, appId, familyId) => doc(db, `artifacts/${appId}/families/${familyId}`);
+
+export const familyBaseCurrency = (family) => (family && family.baseCurrency) || RATES_BASE_CURRENCY;
+
+// Transactions written before the field existed were converted to USD
+export const transactionBaseCurrency = (t) => t.baseCurrency || RATES_BASE_CURRENCY;
+
+// The fields to update so `t` is in baseCurrency, given the USD-based table of its rate date
+export const rebaseTransaction = (t, baseCurrency, usdRates) => {
+    const rates = rebaseRates(usdRates, baseCurrency);
+    if (!rates) throw new Error(`The rates for ${t.exchangeRateDate || t.transactionDate} have no ${baseCurrency}.`);
+    const date = t.exchangeRateDate || t.transactionDate;
+    const rate = rateFor(rates, t.originalCurrency, date);
+    const changes = { baseCurrency, exchangeRateToBase: rate, amountInBaseCurrency: (Number(t.originalAmount) || 0) / rate };
+    if (isTransfer(t) && t.toCurrency) changes.toAmountInBaseCurrency = (Number(t.toAmount) || 0) / rateFor(rates, t.toCurrency, date);
+    return changes;
+};
+
+export const setFamilyBaseCurrency = (db, appId, familyId, baseCurrency) =>
+    updateDoc(familyDoc(db, appId, familyId), { baseCurrency, rebasePending: true });
+
+export const finishRebase = (db, appId, familyId) => updateDoc(familyDoc(db, appId, familyId), { rebasePending: false });
+
+// Re-bases every transaction (trashed ones too, they may be restored) not yet in baseCurrency.
+// getUsdRates(date) resolves to the USD-based table for a day. Resolves to how many were changed,
+// or rejects listing the ones that could not be re-based once all the others are done.
+export const rebaseTransactions = async (db, appId, familyId, baseCurrency, getUsdRates, onProgress) => {
+    const ref = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+    let cursor = null;
+    let scanned = 0;
+    let changed = 0;
+    const failed = [];
+    while (true) {
+        const q = cursor
+            ? query(ref, orderBy(documentId()), startAfter(cursor), limit(BATCH_LIMIT))
+            : query(ref, orderBy(documentId()), limit(BATCH_LIMIT));
+        const snap = await getDocs(q);
+        const pending = snap.docs.map(docToTransaction).filter(t => transactionBaseCurrency(t) !== baseCurrency);
+        if (pending.length > 0) {
+            const rateDate = (t) => t.exchangeRateDate || t.transactionDate;
+            const dates = Array.from(new Set(pending.map(rateDate)));
+            const tables = Object.fromEntries(await Promise.all(dates.map(async date => [date, await getUsdRates(date)])));
+            const batch = writeBatch(db);
+            let writes = 0;
+            pending.forEach(t => {
+                try {
+                    batch.update(doc(ref, t.id), rebaseTransaction(t, baseCurrency, tables[rateDate(t)]));
+                    writes++;
+                } catch (e) {
+                    failed.push(e.message);
+                }
+            });
+            if (writes > 0) await batch.commit();
+            changed += writes;
+        }
+        scanned += snap.size;
+        if (onProgress) onProgress(scanned, changed);
+        if (snap.size < BATCH_LIMIT) break;
+        cursor = snap.docs[snap.docs.length - 1];
+    }
+    if (failed.length > 0) {
+        const reasons = Array.from(new Set(failed));
+        throw new Error(`${failed.length} transaction(s) were not re-based. ${reasons.slice(0, 5).join(' ')}${reasons.length > 5 ? ' …' : ''}`);
+    }
+    return changed;
+};
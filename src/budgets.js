@@ -0,0 +1,81 @@
+// --- Budget Helpers ---
+// Budgets live at artifacts/{appId}/families/{familyId}/budgets/{category}:
+//   { category, monthlyLimit, currency, rollover, startMonth: 'YYYY-MM', updatedAt }
+// A budget applies to every month from startMonth on. With rollover enabled, whatever
+// was left unspent in earlier months is added to the current month's limit.
+import { transactionLines } from './splits';
+import { isGoalContribution } from './goals';
+
+export const BUDGET_WARNING_RATIO = 0.8;
+
+const nextYearMonth = (ym) => {
+    const [y, m] = ym.split('-').map(Number);
+    return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+};
+
+// Sum of expenses per category for one month, converted with `convert(t, currency)`.
+// Split transactions count each line towards its own category; goal contributions are savings
+// rather than spending and don't count.
+const spendingByCategory = (transactions, month, currency, convert) => transactions.reduce((acc, t) => {
+    if (t.type !== 'Expense' || isGoalContribution(t) || !t.transactionDate || t.transactionDate.slice(0, 7) !== month) return acc;
+    const amount = convert(t, currency);
+    transactionLines(t).forEach(line => { acc[line.category] = (acc[line.category] || 0) + amount * line.share; });
+    return acc;
+}, {});
+
+// Unspent amount carried into `month`. Months before startMonth don't count and overspending
+// never produces a negative carry.
+const carriedInto = (budget, month, transactions, convert) => {
+    if (!budget.rollover || !budget.startMonth) return 0;
+    let carry = 0;
+    for (let m = budget.startMonth; m < month; m = nextYearMonth(m)) {
+        const spent = spendingByCategory(transactions, m, budget.currency, convert)[budget.category] || 0;
+        carry = Math.max(0, budget.monthlyLimit + carry - spent);
+    }
+    return carry;
+};
+
+const levelFor = (spent, available) => {
+    if (available <= 0) return spent > 0 ? 'over' : 'ok';
+    if (spent > available) return 'over';
+    if (spent >= available * BUDGET_WARNING_RATIO) return 'warning';
+    return 'ok';
+};
+
+// First month computeBudgetStatus needs transactions from: rollover budgets need every month
+// since they started, plain ones only `month`
+export const budgetHistoryStart = (budgets, month) => budgets
+    .filter(b => b.rollover && b.startMonth && b.startMonth < month)
+    .reduce((min, b) => (b.startMonth < min ? b.startMonth : min), month);
+
+// Progress of every budget for `month`. `transactions` must cover startMonth..month for
+// rollover budgets; otherwise only `month` is needed.
+export const computeBudgetStatus = (budgets, transactions, month, convert) => budgets
+    .filter(b => !b.startMonth || b.startMonth <= month)
+    .map(b => {
+        const spent = spendingByCategory(transactions, month, b.currency, convert)[b.category] || 0;
+        const carried = carriedInto(b, month, transactions, convert);
+        const available = b.monthlyLimit + carried;
+        return {
+            category: b.category,
+            currency: b.currency,
+            limit: b.monthlyLimit,
+            carried,
+            available,
+            spent,
+            remaining: available - spent,
+            percent: available > 0 ? (spent / available) * 100 : 0,
+            level: levelFor(spent, available),
+        };
+    })
+    .sort((a, b) => b.percent - a.percent);
+
+// Which alert (if any) a change from `before` to `after` spending triggers: 'over' when it
+// passes 100% of the available amount, 'warning' when it passes 80%.
+export const budgetThresholdCrossed = (before, after, available) => {
+    if (available <= 0) return null;
+    if (before <= available && after > available) return 'over';
+    const warnAt = available * BUDGET_WARNING_RATIO;
+    if (before < warnAt && after >= warnAt) return 'warning';
+    return null;
+};
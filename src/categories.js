@@ -0,0 +1,185 @@
+// --- Categories ---
+// Family-scoped categories at artifacts/{appId}/families/{familyId}/categories/{id}:
+//   { name, type: 'Income'|'Expense', parentId: id|null, icon: emoji|'', color: '#rrggbb',
+//     archived: bool, createdAt }
+// Transactions, recurring items, budgets (doc id) and monthly summaries refer to categories by
+// name, so renaming or merging rewrites those references. Archived categories stay valid on
+// existing data but are no longer offered for new entries.
+// Until a family customises anything the collection is empty and the defaults below apply;
+// the first change writes them out.
+import { collection, doc, getDoc, getDocs, onSnapshot, query, where, limit, writeBatch } from 'firebase/firestore';
+import { renameSplitCategory } from './splits';
+
+export const DEFAULT_INCOME_CATEGORIES = ["Salary", "Extra income"];
+export const DEFAULT_EXPENSE_CATEGORIES = ["Accommodation", "Beauty", "Bills", "Business", "Car", "Charity", "Clothing", "Education", "Entertainment", "Food and drinks", "Gifts", "Groceries", "Healthcare", "Hobbies", "Home", "Kids", "Other", "Savings", "Shopping", "Sport and Hobbies", "Transport", "Travel", "Utilities", "Work"];
+
+export const CATEGORY_COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#da70d6', '#ffc0cb', '#3cb371', '#ffa500', '#6a5acd', '#FF5733', '#C70039', '#900C3F', '#581845'];
+
+const BATCH_LIMIT = 500;
+
+// Stable fallback color: the same name always gets the same palette entry
+export const colorForName = (name) => {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+    return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+};
+
+const slug = (type, name) => `${type}-${name}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const defaultCategories = () => [
+    ...DEFAULT_INCOME_CATEGORIES.map(name => ({ name, type: 'Income' })),
+    ...DEFAULT_EXPENSE_CATEGORIES.map(name => ({ name, type: 'Expense' })),
+].map(c => ({ ...c, id: slug(c.type, c.name), parentId: null, icon: '', color: colorForName(c.name), archived: false, isDefault: true }));
+
+// Stored categories, or the defaults for a family that hasn't customised anything yet
+export const effectiveCategories = (stored) => (stored && stored.length > 0 ? stored : defaultCategories());
+
+// Names offered for new entries of one type: parents first, each followed by its subcategories
+export const activeCategoryNames = (categories, type) => orderedCategories(categories.filter(c => c.type === type && !c.archived)).map(c => c.name);
+
+// Parents sorted by name, each followed by its own children sorted by name
+export const orderedCategories = (categories) => {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const ids = new Set(categories.map(c => c.id));
+    const roots = categories.filter(c => !c.parentId || !ids.has(c.parentId)).sort(byName);
+    return roots.flatMap(root => [root, ...categories.filter(c => c.parentId === root.id).sort(byName)]);
+};
+
+export const findCategory = (categories, name) => categories.find(c => c.name === name) || null;
+
+export const categoryColor = (categories, name) => {
+    const category = findCategory(categories, name);
+    return (category && category.color) || colorForName(name || '');
+};
+
+// Label for selects and chips: icon, and an indent marker for subcategories
+export const categoryLabel = (categories, name) => {
+    const category = findCategory(categories, name);
+    if (!category) return name;
+    return `${category.parentId ? '↳ ' : ''}${category.icon ? `${category.icon} ` : ''}${name}`;
+};
+
+// A category and all its subcategories, by name (used by filters)
+export const withSubcategories = (categories, name) => {
+    const category = findCategory(categories, name);
+    if (!category) return [name];
+    return [name, ...categories.filter(c => c.parentId === category.id).map(c => c.name)];
+};
+
+// --- Firestore ---
+const categoriesRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/categories`);
+const familyCollection = (db, appId, familyId, name) => collection(db, `artifacts/${appId}/families/${familyId}/${name}`);
+
+export const subscribeCategories = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(categoriesRef(db, appId, familyId), snap => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() }))), onError);
+
+// Writes the defaults out so they can be edited. No-op once the family has categories.
+const ensureSeeded = async (db, appId, familyId) => {
+    const existing = await getDocs(query(categoriesRef(db, appId, familyId), limit(1)));
+    if (!existing.empty) return;
+    const batch = writeBatch(db);
+    defaultCategories().forEach(({ id, isDefault: _isDefault, ...data }) => {
+        batch.set(doc(categoriesRef(db, appId, familyId), id), { ...data, createdAt: Date.now() });
+    });
+    await batch.commit();
+};
+
+const validateName = (categories, name, ignoreId = null) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Enter a category name.');
+    // Budgets use the name as their document id
+    if (trimmed.includes('/')) throw new Error('Category names cannot contain "/".');
+    if (categories.some(c => c.id !== ignoreId && c.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`A category named "${trimmed}" already exists.`);
+    }
+    return trimmed;
+};
+
+export const createCategory = async (db, appId, familyId, categories, { name, type, parentId = null, icon = '', color = '' }) => {
+    const trimmed = validateName(categories, name);
+    await ensureSeeded(db, appId, familyId);
+    const ref = doc(categoriesRef(db, appId, familyId));
+    const batch = writeBatch(db);
+    batch.set(ref, { name: trimmed, type, parentId: parentId || null, icon, color: color || colorForName(trimmed), archived: false, createdAt: Date.now() });
+    await batch.commit();
+    return ref.id;
+};
+
+// Icon, color, parent and archived flag; names change through renameCategory
+export const updateCategory = async (db, appId, familyId, id, changes) => {
+    await ensureSeeded(db, appId, familyId);
+    const batch = writeBatch(db);
+    batch.update(doc(categoriesRef(db, appId, familyId), id), changes);
+    await batch.commit();
+};
+
+// Point every transaction and recurring item using `from` at `to`, 500 docs per batch.
+// Split transactions are found through splitCategories and have their lines rewritten too.
+// Trashed documents are included so a later restore still finds a valid category.
+const rewriteReferences = async (db, appId, familyId, from, to, uid, onProgress) => {
+    let rewritten = 0;
+    const passes = [
+        { name: 'transactions', where: where('category', '==', from), changes: () => ({ category: to, updatedBy: uid }) },
+        { name: 'transactions', where: where('splitCategories', 'array-contains', from), changes: (data) => ({ ...renameSplitCategory(data, from, to), updatedBy: uid }) },
+        { name: 'recurring', where: where('category', '==', from), changes: () => ({ category: to }) },
+    ];
+    for (const pass of passes) {
+        const ref = familyCollection(db, appId, familyId, pass.name);
+        while (true) {
+            const snap = await getDocs(query(ref, pass.where, limit(BATCH_LIMIT)));
+            if (snap.empty) break;
+            const batch = writeBatch(db);
+            snap.docs.forEach(d => batch.update(d.ref, pass.changes(d.data())));
+            await batch.commit();
+            rewritten += snap.size;
+            if (onProgress) onProgress(rewritten);
+        }
+    }
+    return rewritten;
+};
+
+// Budgets are keyed by category name. A moved budget keeps its settings unless the target
+// already has one, in which case the target's wins.
+const moveBudget = async (db, appId, familyId, from, to) => {
+    const budgets = familyCollection(db, appId, familyId, 'budgets');
+    const source = await getDoc(doc(budgets, from));
+    if (!source.exists()) return;
+    const target = await getDoc(doc(budgets, to));
+    const batch = writeBatch(db);
+    if (!target.exists()) batch.set(doc(budgets, to), { ...source.data(), category: to });
+    batch.delete(source.ref);
+    await batch.commit();
+};
+
+// Returns the number of rewritten documents.
+export const renameCategory = async (db, appId, familyId, categories, category, newName, uid, onProgress) => {
+    const trimmed = validateName(categories, newName, category.id);
+    if (trimmed === category.name) return 0;
+    await ensureSeeded(db, appId, familyId);
+    const batch = writeBatch(db);
+    batch.update(doc(categoriesRef(db, appId, familyId), category.id), { name: trimmed });
+    await batch.commit();
+    const rewritten = await rewriteReferences(db, appId, familyId, category.name, trimmed, uid, onProgress);
+    await moveBudget(db, appId, familyId, category.name, trimmed);
+    return rewritten;
+};
+
+// Folds `source` into `target`: references and subcategories move over and source is deleted.
+// Subcategories stay one level deep, so source's children join target's own level when
+// target is itself a subcategory.
+export const mergeCategories = async (db, appId, familyId, categories, source, target, uid, onProgress) => {
+    if (source.id === target.id) throw new Error('Pick a different category to merge into.');
+    if (source.type !== target.type) throw new Error('Income and expense categories cannot be merged.');
+    await ensureSeeded(db, appId, familyId);
+    const rewritten = await rewriteReferences(db, appId, familyId, source.name, target.name, uid, onProgress);
+    await moveBudget(db, appId, familyId, source.name, target.name);
+    const targetParentId = target.parentId === source.id ? null : (target.parentId || null);
+    const batch = writeBatch(db);
+    categories.filter(c => c.parentId === source.id && c.id !== target.id).forEach(c => {
+        batch.update(doc(categoriesRef(db, appId, familyId), c.id), { parentId: targetParentId || target.id });
+    });
+    if (target.parentId === source.id) batch.update(doc(categoriesRef(db, appId, familyId), target.id), { parentId: null });
+    batch.delete(doc(categoriesRef(db, appId, familyId), source.id));
+    await batch.commit();
+    return rewritten;
+};
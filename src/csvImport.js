@@ -0,0 +1,230 @@
+// --- CSV Import Helpers ---
+// Pure parsing/mapping logic for the Import page. Nothing here touches Firestore;
+// ImportPage only writes the rows that come back from buildImportRows without errors.
+import { parseTags } from './tags';
+import { currencyDecimals } from './currencies';
+
+export const IMPORT_FIELDS = [
+    { key: 'transactionDate', label: 'Date', required: true },
+    { key: 'originalAmount', label: 'Amount', required: true },
+    { key: 'category', label: 'Category', required: false },
+    { key: 'description', label: 'Description', required: false },
+    { key: 'type', label: 'Type (Income/Expense)', required: false },
+    { key: 'originalCurrency', label: 'Currency', required: false },
+    { key: 'tags', label: 'Tags (comma separated)', required: false },
+];
+
+export const DATE_FORMATS = {
+    YMD: 'YYYY-MM-DD',
+    DMY: 'DD/MM/YYYY',
+    MDY: 'MM/DD/YYYY',
+};
+
+// How the amount column encodes direction:
+//  - absolute: amounts are positive; type comes from the type column or the category
+//  - negativeIsExpense: bank-style signed amounts (debits negative)
+//  - negativeIsIncome: card-style signed amounts (purchases positive, refunds negative)
+export const AMOUNT_SIGN_MODES = {
+    absolute: 'Absolute amounts (type from column/category)',
+    negativeIsExpense: 'Negative = Expense, positive = Income',
+    negativeIsIncome: 'Positive = Expense, negative = Income',
+};
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+// Count delimiter occurrences on the first record only, ignoring quoted sections.
+export const detectDelimiter = (text) => {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+        else if (!inQuotes && counts[ch] !== undefined) counts[ch]++;
+    }
+    return CANDIDATE_DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+// RFC 4180-style parser: quoted fields, doubled quotes, embedded delimiters/newlines,
+// CRLF or LF line endings and a leading UTF-8 BOM. Fully blank lines are dropped.
+export const parseCsv = (text, delimiter) => {
+    let input = text || '';
+    if (input.charCodeAt(0) === 0xFEFF) input = input.slice(1);
+    const sep = delimiter || detectDelimiter(input);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => { row.push(field); field = ''; };
+    const endRow = () => {
+        endField();
+        if (!(row.length === 1 && row[0].trim() === '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (input[i + 1] === '"') { field += '"'; i++; }
+                else inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === sep) {
+            endField();
+        } else if (ch === '\r') {
+            if (input[i + 1] === '\n') i++;
+            endRow();
+        } else if (ch === '\n') {
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return { rows, delimiter: sep };
+};
+
+// Pick a column for each field by header name so the common layouts need no manual mapping.
+const HEADER_ALIASES = {
+    transactionDate: ['transactiondate', 'date', 'datum', 'dátum', 'booking date', 'value date'],
+    originalAmount: ['originalamount', 'amount', 'összeg', 'osszeg', 'value', 'sum'],
+    category: ['category', 'kategória', 'kategoria'],
+    description: ['description', 'comment', 'comments', 'memo', 'note', 'megjegyzés', 'közlemény'],
+    type: ['type', 'típus', 'tipus'],
+    originalCurrency: ['originalcurrency', 'currency', 'deviza', 'pénznem'],
+    tags: ['tags', 'tag', 'labels', 'címkék', 'cimkek'],
+};
+
+export const guessColumnMapping = (headers) => {
+    const normalized = headers.map(h => (h || '').trim().toLowerCase());
+    const mapping = {};
+    IMPORT_FIELDS.forEach(({ key }) => {
+        const idx = normalized.findIndex(h => HEADER_ALIASES[key].includes(h));
+        mapping[key] = idx >= 0 ? idx : '';
+    });
+    return mapping;
+};
+
+// Accepts "1234.5", "-1 234,50", "1,234.50", "1.234,50", "(120.00)" and currency suffixes like "Ft".
+// A lone "12.500" is 12.5 unless `currency` has no minor unit (HUF, JPY), where it can only be 12500.
+export const parseAmount = (raw, currency) => {
+    if (raw === undefined || raw === null) return NaN;
+    let s = String(raw).trim();
+    if (!s) return NaN;
+    let negative = false;
+    if (/^\(.*\)$/.test(s)) { negative = true; s = s.slice(1, -1); }
+    s = s.replace(/[^\d.,+-]/g, '');
+    if (s.startsWith('-')) { negative = !negative; s = s.slice(1); }
+    else if (s.startsWith('+')) s = s.slice(1);
+    if (/[+-]/.test(s)) return NaN;
+
+    const lastComma = s.lastIndexOf(',');
+    const lastDot = s.lastIndexOf('.');
+    if (lastComma >= 0 && lastDot >= 0) {
+        // Whichever separator comes last is the decimal separator
+        s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+    } else if (lastComma >= 0) {
+        // "1,234" with exactly three trailing digits repeated is a thousands group; otherwise decimal
+        s = /^\d{1,3}(,\d{3})+$/.test(s) ? s.replace(/,/g, '') : s.replace(',', '.');
+    } else if (/^\d{1,3}(\.\d{3})+$/.test(s)
+        && (s.indexOf('.') !== lastDot || (currency && currencyDecimals(currency) === 0))) {
+        // "1.234.567" is always thousands groups; "12.500" only when the currency has no decimals
+        s = s.replace(/\./g, '');
+    }
+    if (!/^\d+(\.\d+)?$/.test(s) && !/^\d*\.\d+$/.test(s)) return NaN;
+    const n = parseFloat(s);
+    return negative ? -n : n;
+};
+
+// Returns a canonical YYYY-MM-DD string or null. Separators may be '-', '/', '.' or spaces.
+export const parseDateValue = (raw, format = 'YMD') => {
+    if (!raw) return null;
+    const s = String(raw).trim();
+    const parts = s.split(/[-/.\s]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    let y; let m; let d;
+    // A leading 4-digit year always wins so ISO dates work regardless of the chosen format
+    if (/^\d{4}$/.test(parts[0])) [y, m, d] = parts;
+    else if (format === 'MDY') [m, d, y] = parts;
+    else [d, m, y] = parts;
+    if (!/^\d{4}$/.test(y) || !/^\d{1,2}$/.test(m) || !/^\d{1,2}/.test(d)) return null;
+    const yy = parseInt(y, 10);
+    const mm = parseInt(m, 10);
+    const dd = parseInt(d, 10);
+    const check = new Date(yy, mm - 1, dd);
+    if (check.getFullYear() !== yy || check.getMonth() !== mm - 1 || check.getDate() !== dd) return null;
+    return `${yy}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
+};
+
+const normalizeType = (raw) => {
+    const s = (raw || '').trim().toLowerCase();
+    if (['income', 'in', 'credit', 'bevétel', 'bevetel'].includes(s)) return 'Income';
+    if (['expense', 'out', 'debit', 'kiadás', 'kiadas'].includes(s)) return 'Expense';
+    return null;
+};
+
+// Turn parsed CSV rows into candidate transactions plus per-row validation errors.
+// options: { hasHeader, dateFormat, amountSign, defaultCurrency, knownCurrencies, incomeCategories }
+export const buildImportRows = (rows, mapping, options = {}) => {
+    const {
+        hasHeader = true,
+        dateFormat = 'YMD',
+        amountSign = 'absolute',
+        defaultCurrency = 'HUF',
+        knownCurrencies = null,
+        incomeCategories = [],
+    } = options;
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const cell = (values, key) => {
+        const idx = mapping[key];
+        if (idx === '' || idx === undefined || idx === null) return '';
+        return (values[idx] ?? '').trim();
+    };
+
+    return dataRows.map((values, i) => {
+        const errors = [];
+        const rowNumber = i + 1 + (hasHeader ? 1 : 0);
+
+        const transactionDate = parseDateValue(cell(values, 'transactionDate'), dateFormat);
+        if (!transactionDate) errors.push(`Invalid date "${cell(values, 'transactionDate')}"`);
+
+        const currency = (cell(values, 'originalCurrency') || defaultCurrency).toUpperCase();
+        if (knownCurrencies && !knownCurrencies.includes(currency)) errors.push(`Unknown currency "${currency}"`);
+
+        const signedAmount = parseAmount(cell(values, 'originalAmount'), currency);
+        if (isNaN(signedAmount)) errors.push(`Invalid amount "${cell(values, 'originalAmount')}"`);
+        else if (signedAmount === 0) errors.push('Amount is zero');
+
+        const category = cell(values, 'category') || 'Other';
+        const rawType = cell(values, 'type');
+
+        let type;
+        if (amountSign === 'negativeIsExpense') type = signedAmount < 0 ? 'Expense' : 'Income';
+        else if (amountSign === 'negativeIsIncome') type = signedAmount < 0 ? 'Income' : 'Expense';
+        else if (rawType) {
+            type = normalizeType(rawType);
+            if (!type) errors.push(`Unknown type "${rawType}"`);
+        } else type = incomeCategories.includes(category) ? 'Income' : 'Expense';
+
+        return {
+            rowNumber,
+            errors,
+            transaction: errors.length ? null : {
+                type,
+                originalAmount: Math.abs(signedAmount),
+                originalCurrency: currency,
+                category,
+                transactionDate,
+                description: cell(values, 'description'),
+                tags: parseTags(cell(values, 'tags')),
+            },
+        };
+    });
+};
@@ -0,0 +1,99 @@
+import { parseCsv, parseAmount, parseDateValue, buildImportRows } from './csvImport';
+
+describe('parseCsv', () => {
+    it('detects the delimiter from the first record', () => {
+        expect(parseCsv('date;amount\n2026-03-01;12,50').delimiter).toBe(';');
+        expect(parseCsv('date\tamount\n2026-03-01\t12.50').delimiter).toBe('\t');
+        expect(parseCsv('"a;b",c\n1,2').delimiter).toBe(',');
+    });
+
+    it('handles quotes, doubled quotes and embedded delimiters and newlines', () => {
+        const { rows } = parseCsv('date,description\n2026-03-01,"Milk, eggs"\n2026-03-02,"Said ""hi""\nto Bob"');
+        expect(rows).toEqual([
+            ['date', 'description'],
+            ['2026-03-01', 'Milk, eggs'],
+            ['2026-03-02', 'Said "hi"\nto Bob'],
+        ]);
+    });
+
+    it('strips a BOM, accepts CRLF and drops blank lines', () => {
+        const { rows } = parseCsv('\uFEFFdate,amount\r\n\r\n2026-03-01,5\r\n');
+        expect(rows).toEqual([['date', 'amount'], ['2026-03-01', '5']]);
+    });
+
+    it('uses the given delimiter over the detected one', () => {
+        expect(parseCsv('a,b;c', ';').rows).toEqual([['a,b', 'c']]);
+    });
+});
+
+describe('parseAmount', () => {
+    it.each([
+        ['1234.5', 1234.5],
+        ['-1 234,50', -1234.5],
+        ['1,234.50', 1234.5],
+        ['1.234,50', 1234.5],
+        ['1,234', 1234],
+        ['12,5', 12.5],
+        ['(120.00)', -120],
+        ['+42', 42],
+        ['3 500 Ft', 3500],
+        ['1.234.567', 1234567],
+        ['.5', 0.5],
+    ])('parses %p as %p', (raw, expected) => {
+        expect(parseAmount(raw)).toBe(expected);
+    });
+
+    it('reads a lone dot before three digits as thousands only for currencies without decimals', () => {
+        expect(parseAmount('12.500', 'HUF')).toBe(12500);
+        expect(parseAmount('12.500', 'JPY')).toBe(12500);
+        expect(parseAmount('-1.250', 'HUF')).toBe(-1250);
+        expect(parseAmount('12.500', 'USD')).toBe(12.5);
+        expect(parseAmount('12.500', 'KWD')).toBe(12.5);
+        expect(parseAmount('12.500')).toBe(12.5);
+        expect(parseAmount('12.50', 'HUF')).toBe(12.5);
+    });
+
+    it.each([undefined, null, '', 'abc', '1-2', '1.2.3', '--5'])('rejects %p', (raw) => {
+        expect(parseAmount(raw)).toBeNaN();
+    });
+});
+
+describe('parseDateValue', () => {
+    it('reads ISO dates whatever the format', () => {
+        expect(parseDateValue('2026-03-14', 'DMY')).toBe('2026-03-14');
+        expect(parseDateValue('2026.3.4.', 'MDY')).toBe('2026-03-04');
+    });
+
+    it('follows the chosen day/month order', () => {
+        expect(parseDateValue('03/04/2026', 'DMY')).toBe('2026-04-03');
+        expect(parseDateValue('03/04/2026', 'MDY')).toBe('2026-03-04');
+        expect(parseDateValue('14 03 2026', 'DMY')).toBe('2026-03-14');
+    });
+
+    it('rejects impossible and incomplete dates', () => {
+        expect(parseDateValue('2026-02-30')).toBeNull();
+        expect(parseDateValue('13/14/2026', 'MDY')).toBeNull();
+        expect(parseDateValue('03/2026', 'DMY')).toBeNull();
+        expect(parseDateValue('03/04/26', 'DMY')).toBeNull();
+        expect(parseDateValue('')).toBeNull();
+    });
+});
+
+describe('buildImportRows', () => {
+    const mapping = { transactionDate: 0, originalAmount: 1, originalCurrency: 2, category: '', description: '', type: '', tags: '' };
+
+    it('parses amounts with the row currency', () => {
+        const rows = [['date', 'amount', 'currency'], ['2026-03-01', '-12.500', 'HUF'], ['2026-03-01', '-12.500', 'EUR']];
+        const [huf, eur] = buildImportRows(rows, mapping, { amountSign: 'negativeIsExpense' });
+        expect(huf.transaction).toMatchObject({ type: 'Expense', originalAmount: 12500, originalCurrency: 'HUF' });
+        expect(eur.transaction).toMatchObject({ type: 'Expense', originalAmount: 12.5, originalCurrency: 'EUR' });
+    });
+
+    it('reports invalid rows with their line numbers', () => {
+        const rows = [['date', 'amount', 'currency'], ['nope', '0', 'XXX']];
+        const [row] = buildImportRows(rows, mapping, { knownCurrencies: ['HUF'] });
+        expect(row.rowNumber).toBe(2);
+        expect(row.transaction).toBeNull();
+        expect(row.errors).toEqual(['Invalid date "nope"', 'Unknown currency "XXX"', 'Amount is zero']);
+    });
+});
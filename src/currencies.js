@@ -0,0 +1,64 @@
+// --- Currencies ---
+// Any ISO 4217 code the rate table knows can be picked; there is no fixed list. Symbols and
+// decimal places come from Intl.NumberFormat, so JPY shows no decimals and CHF its code.
+// DECIMAL_OVERRIDES corrects the few where ISO 4217 lists minor units nobody uses.
+
+// Offered before the first rate table has loaded
+const FALLBACK_CURRENCIES = ['EUR', 'GBP', 'HUF', 'USD'];
+
+// HUF officially has two decimals, but the fillér was withdrawn in 1999
+const DECIMAL_OVERRIDES = { HUF: 0 };
+
+export const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+// Intl throws for malformed codes; those fall back to plain numbers with the code appended
+const formatters = new Map();
+const formatterFor = (currency, decimals) => {
+    const key = `${currency}|${decimals}`;
+    if (!formatters.has(key)) {
+        let formatter = null;
+        try {
+            formatter = new Intl.NumberFormat('en-US', {
+                style: 'currency', currency, currencyDisplay: 'narrowSymbol',
+                minimumFractionDigits: decimals, maximumFractionDigits: decimals,
+            });
+        } catch (e) {
+            formatter = null;
+        }
+        formatters.set(key, formatter);
+    }
+    return formatters.get(key);
+};
+
+export const currencyDecimals = (currency) => {
+    if (currency in DECIMAL_OVERRIDES) return DECIMAL_OVERRIDES[currency];
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (e) {
+        return 2;
+    }
+};
+
+// formatMoney(1234.5, 'USD') -> '$1,234.50', formatMoney(1234.5, 'HUF') -> 'Ft 1,235'.
+// options.decimals overrides the currency's own (e.g. 0 for whole-unit budget figures).
+export const formatMoney = (value, currency, { decimals = currencyDecimals(currency) } = {}) => {
+    const formatter = formatterFor(currency, decimals);
+    const amount = Number(value) || 0;
+    if (formatter) return formatter.format(amount);
+    return `${amount.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })} ${currency || ''}`.trim();
+};
+
+export const roundMoney = (value, currency) => {
+    const factor = 10 ** currencyDecimals(currency);
+    return Math.round(value * factor) / factor;
+};
+
+// The `step` of an amount input: 0.01 for USD, 1 for HUF
+export const amountStep = (currency) => String(1 / 10 ** currencyDecimals(currency));
+
+// Codes to offer in pickers: every currency in the rate table plus `extra` (the base currency,
+// values already in use), sorted
+export const currencyList = (rates, extra = []) => {
+    const codes = new Set([...(rates ? Object.keys(rates) : FALLBACK_CURRENCIES), ...extra]);
+    return Array.from(codes).filter(isCurrencyCode).sort();
+};
@@ -0,0 +1,165 @@
+// --- Duplicate Detection ---
+// Spots a transaction entered twice: a statement imported again, or a manual entry for
+// something that was imported as well. Two transactions are duplicates when they have
+//   - the same type, currency and amount (to the cent),
+//   - dates at most DUPLICATE_WINDOW_DAYS apart (banks book card payments a few days later), and
+//   - similar descriptions: at least half the words of the shorter one shared, or either empty.
+// The match is 'exact' when the fingerprints (date, amount, currency, normalized description)
+// agree, 'likely' otherwise. Bank references (externalId, see statementParsers.js) settle it
+// either way when both sides have one.
+import { collection, doc, getDocs, writeBatch, deleteField } from 'firebase/firestore';
+import { tokenize } from './search';
+import { isDeleted } from './trash';
+import { addTags, transactionTags } from './tags';
+import { docToTransaction } from './transactionQueries';
+import { transactionAttachments } from './attachments';
+
+export const DUPLICATE_WINDOW_DAYS = 3;
+const DESCRIPTION_OVERLAP = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words without the numbers: card numbers and references differ between exports
+const descriptionWords = (text) => tokenize(text).filter(word => !/^\d+$/.test(word));
+
+export const normalizeDescription = (text) => descriptionWords(text).join(' ');
+
+const cents = (t) => Math.round((Number(t.originalAmount) || 0) * 100);
+
+const currencyOf = (t) => (t.originalCurrency || '').toUpperCase();
+
+export const fingerprint = (t) => [t.transactionDate, cents(t), currencyOf(t), normalizeDescription(t.description)].join('|');
+
+const dayNumber = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+
+const shiftDate = (date, days) => new Date((dayNumber(date) + days) * DAY_MS).toISOString().slice(0, 10);
+
+const similarDescriptions = (a, b) => {
+    const wordsA = new Set(descriptionWords(a));
+    const wordsB = new Set(descriptionWords(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return true;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / Math.min(wordsA.size, wordsB.size) >= DESCRIPTION_OVERLAP;
+};
+
+// 'exact', 'likely' or null
+export const duplicateMatch = (a, b) => {
+    if (a.type !== b.type || cents(a) !== cents(b) || currencyOf(a) !== currencyOf(b)) return null;
+    if (a.externalId && b.externalId) return a.externalId === b.externalId ? 'exact' : null;
+    if (Math.abs(dayNumber(a.transactionDate) - dayNumber(b.transactionDate)) > DUPLICATE_WINDOW_DAYS) return null;
+    if (fingerprint(a) === fingerprint(b)) return 'exact';
+    return similarDescriptions(a.description, b.description) ? 'likely' : null;
+};
+
+// The transactionDate range to load so every possible duplicate of these dates is included
+export const duplicateSearchRange = (dates) => {
+    const sorted = [...dates].sort();
+    return { from: shiftDate(sorted[0], -DUPLICATE_WINDOW_DAYS), to: shiftDate(sorted[sorted.length - 1], DUPLICATE_WINDOW_DAYS) };
+};
+
+// Pairs candidates with existing transactions one to one, exact matches first, so a statement
+// with two identical coffees on one day only flags as many as were there before.
+// Returns { transaction, match } or null per candidate (null candidates stay null).
+export const matchDuplicates = (candidates, existing) => {
+    const byAmount = new Map();
+    existing.filter(t => !isDeleted(t)).forEach(t => {
+        if (!byAmount.has(cents(t))) byAmount.set(cents(t), []);
+        byAmount.get(cents(t)).push(t);
+    });
+    const results = candidates.map(() => null);
+    const used = new Set();
+    ['exact', 'likely'].forEach(level => candidates.forEach((candidate, i) => {
+        if (!candidate || results[i]) return;
+        const found = (byAmount.get(cents(candidate)) || []).find(t => !used.has(t.id) && duplicateMatch(candidate, t) === level);
+        if (!found) return;
+        used.add(found.id);
+        results[i] = { transaction: found, match: level };
+    }));
+    return results;
+};
+
+const createdOrder = (a, b) => (a.createdAt || 0) - (b.createdAt || 0) || a.id.localeCompare(b.id);
+
+// Sets of live transactions that look like one entered several times, each oldest first:
+// [{ transactions, match }], where match is 'exact' when every member shares a fingerprint
+export const findDuplicateGroups = (transactions) => {
+    const buckets = new Map();
+    transactions.filter(t => !isDeleted(t)).forEach(t => {
+        const key = `${currencyOf(t)}|${cents(t)}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(t);
+    });
+    const groups = [];
+    buckets.forEach(bucket => {
+        bucket.sort((a, b) => a.transactionDate.localeCompare(b.transactionDate));
+        // Union-find over matching pairs; dates are sorted, so stop looking past the window
+        const parent = bucket.map((_, i) => i);
+        const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+        bucket.forEach((a, i) => {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const b = bucket[j];
+                if (dayNumber(b.transactionDate) - dayNumber(a.transactionDate) > DUPLICATE_WINDOW_DAYS && !(a.externalId && b.externalId)) break;
+                if (duplicateMatch(a, b)) parent[root(j)] = root(i);
+            }
+        });
+        const byRoot = new Map();
+        bucket.forEach((t, i) => {
+            if (!byRoot.has(root(i))) byRoot.set(root(i), []);
+            byRoot.get(root(i)).push(t);
+        });
+        byRoot.forEach(members => {
+            if (members.length < 2) return;
+            members.sort(createdOrder);
+            const exact = members.every(t => fingerprint(t) === fingerprint(members[0]));
+            groups.push({ transactions: members, match: exact ? 'exact' : 'likely' });
+        });
+    });
+    return groups.sort((a, b) => b.transactions[0].transactionDate.localeCompare(a.transactions[0].transactionDate));
+};
+
+export const fetchDuplicateGroups = async (db, appId, familyId) => {
+    const snap = await getDocs(collection(db, `artifacts/${appId}/families/${familyId}/transactions`));
+    return findDuplicateGroups(snap.docs.map(docToTransaction));
+};
+
+// The fields of the kept transaction a merge may change
+const MERGED_FIELDS = ['tags', 'attachments', 'description', 'accountId', 'goalId', 'externalId'];
+
+const transactionsRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+
+// Keeps `keep` and moves `others` to the trash under one deleteBatchId. `keep` gains the others'
+// tags and attachments (their files are left where they are, and the others stop listing them so
+// purging those doesn't delete them) and whatever it lacks of description, account, goal and bank
+// reference. Resolves to { deleteBatchId, kept }; unmergeDuplicates undoes it.
+export const mergeDuplicates = async (db, appId, familyId, keep, others, uid) => {
+    const ref = transactionsRef(db, appId, familyId);
+    const merged = { tags: addTags(transactionTags(keep), ...others.flatMap(transactionTags)) };
+    const movedAttachments = others.flatMap(transactionAttachments);
+    if (movedAttachments.length > 0) merged.attachments = [...transactionAttachments(keep), ...movedAttachments];
+    ['description', 'accountId', 'goalId', 'externalId'].forEach(field => {
+        const source = !keep[field] && others.find(t => t[field]);
+        if (source) merged[field] = source[field];
+    });
+    const deleteBatchId = `merge-${Date.now()}`;
+    const batch = writeBatch(db);
+    batch.update(doc(ref, keep.id), { ...merged, updatedBy: uid, updatedAt: Date.now() });
+    others.forEach(t => batch.update(doc(ref, t.id), {
+        deletedAt: Date.now(), deletedBy: uid, deleteBatchId,
+        ...(transactionAttachments(t).length > 0 ? { attachments: [] } : {}),
+    }));
+    await batch.commit();
+    return { deleteBatchId, kept: { ...keep, ...merged } };
+};
+
+// Undoes mergeDuplicates, given the same `keep` and `others` as they were before the merge: keep
+// gets its own fields back and the others leave the trash with their attachments.
+export const unmergeDuplicates = async (db, appId, familyId, keep, others, uid) => {
+    const ref = transactionsRef(db, appId, familyId);
+    const restored = Object.fromEntries(MERGED_FIELDS.map(field => [field, keep[field] === undefined ? deleteField() : keep[field]]));
+    const batch = writeBatch(db);
+    batch.update(doc(ref, keep.id), { ...restored, updatedBy: uid, updatedAt: Date.now() });
+    others.forEach(t => batch.update(doc(ref, t.id), {
+        deletedAt: null, deletedBy: null, deleteBatchId: null,
+        ...(transactionAttachments(t).length > 0 ? { attachments: transactionAttachments(t) } : {}),
+    }));
+    await batch.commit();
+};
@@ -0,0 +1,50 @@
+// Shared fixtures for the *.emulator.test.js suites (npm run test:emulator).
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// The suites are skipped by plain npm test, where no emulator is running
+export const describeWithFirestore = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+export const describeWithStorage = process.env.FIREBASE_STORAGE_EMULATOR_HOST ? describe : describe.skip;
+
+export const FAMILY_ID = 'family-1';
+export const familyDocPath = (appId) => `artifacts/${appId}/families/${FAMILY_ID}`;
+
+export const FAMILY = {
+    name: 'Test family',
+    ownerUid: 'owner',
+    createdAt: 0,
+    members: {
+        owner: { email: 'owner@example.com', role: 'owner', joinedAt: 0 },
+        editor: { email: 'editor@example.com', role: 'editor', joinedAt: 0 },
+        viewer: { email: 'viewer@example.com', role: 'viewer', joinedAt: 0 },
+    },
+};
+
+export const transaction = (createdBy, changes = {}) => ({
+    type: 'Expense', originalAmount: 10, originalCurrency: 'EUR', amountInBaseCurrency: 10.8,
+    category: 'Groceries', transactionDate: '2026-03-01', createdBy,
+    ...changes,
+});
+
+const readRules = (file) => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+// Loads firestore.rules, and storage.rules too when the suite needs Storage
+export const initializeEmulatorEnv = ({ storage = false } = {}) => initializeTestEnvironment({
+    projectId: 'demo-family-finance',
+    firestore: { rules: readRules('firestore.rules') },
+    ...(storage ? { storage: { rules: readRules('storage.rules') } } : {}),
+});
+
+// Empties Firestore and writes FAMILY plus the given transactions, keyed by id
+export const seedFamily = async (env, appId, transactions = {}) => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, familyDocPath(appId)), FAMILY);
+        for (const [id, data] of Object.entries(transactions)) {
+            await setDoc(doc(db, `${familyDocPath(appId)}/transactions/${id}`), data);
+        }
+    });
+};
@@ -0,0 +1,210 @@
+// --- Exchange Rate History ---
+// Daily USD-based rate tables stored at artifacts/{appId}/rates/{YYYY-MM-DD}:
+//   { date, base: 'USD', rates: { EUR: 0.92, HUF: 365.1, ... }, provider, fetchedAt }
+// Transactions are converted with the table for their own transactionDate so a
+// backdated expense is not valued at today's rate. Tables stay USD-based whatever a family's
+// base currency is (baseCurrency.js); rebaseRates turns one into { CODE: units per 1 base }.
+import { collection, doc, getDoc, getDocs, setDoc, query, where, orderBy, limit } from 'firebase/firestore';
+
+export const RATES_BASE_CURRENCY = 'USD';
+
+const ratesCollectionPath = (appId) => `artifacts/${appId}/rates`;
+
+// A rate provider is { name, fetchRates(date) } where fetchRates resolves to
+// { date, rates }: a USD-based { CODE: rate } table and the YYYY-MM-DD day it is actually for,
+// which is earlier than the one asked for when the provider has nothing newer.
+
+export const createExchangeRateApiProvider = (apiKey) => ({
+    name: 'exchangerate-api',
+    fetchRates: async (date) => {
+        const today = new Date().toISOString().split('T')[0];
+        const [y, m, d] = date.split('-').map(Number);
+        const url = date >= today
+            ? `https://v6.exchangerate-api.com/v6/${apiKey}/latest/${RATES_BASE_CURRENCY}`
+            : `https://v6.exchangerate-api.com/v6/${apiKey}/history/${RATES_BASE_CURRENCY}/${y}/${m}/${d}`;
+        const response = await fetch(url);
+        const data = await response.json();
+        if (data.result !== 'success') throw new Error(data['error-type'] || 'API Error');
+        // `latest` is updated once a day; until then it still holds the previous day's table
+        const sourceDate = date >= today ? new Date(data.time_last_update_unix * 1000).toISOString().split('T')[0] : date;
+        return { date: sourceDate, rates: data.conversion_rates };
+    },
+});
+
+// Serves rates from a { 'YYYY-MM-DD': { CODE: rate } } table, using the closest earlier
+// date when the exact day is missing. `source` may be the table or an async loader for it.
+export const createFixtureProvider = (source) => {
+    let tablePromise = null;
+    const loadTable = () => {
+        if (!tablePromise) {
+            tablePromise = Promise.resolve(typeof source === 'function' ? source() : source)
+                .then(mod => (mod && mod.default) || mod);
+        }
+        return tablePromise;
+    };
+    return {
+        name: 'fixture',
+        fetchRates: async (date) => {
+            const table = await loadTable();
+            const candidates = Object.keys(table).filter(d => d <= date).sort();
+            if (candidates.length === 0) throw new Error(`No fixture rates on or before ${date}`);
+            const sourceDate = candidates[candidates.length - 1];
+            return { date: sourceDate, rates: table[sourceDate] };
+        },
+    };
+};
+
+// Today's table is also kept in localStorage as { date, rates }, so amounts still convert
+// when the app starts offline
+const LATEST_RATES_CACHE_KEY = 'exchangeRatesCache';
+
+export const readCachedLatestRates = () => {
+    try {
+        const cached = localStorage.getItem(LATEST_RATES_CACHE_KEY);
+        return cached ? JSON.parse(cached) : null;
+    } catch {
+        return null;
+    }
+};
+
+export const writeCachedLatestRates = (date, rates) => localStorage.setItem(LATEST_RATES_CACHE_KEY, JSON.stringify({ date, rates }));
+
+// Session cache of resolved tables: date -> Promise<{ date, rates }>. Only tables for exactly
+// that day are kept; a fallback to an earlier day is looked up again next time.
+const rateCache = new Map();
+
+// Only call with a table for exactly `date`: stored days are never overwritten (firestore.rules)
+export const saveRates = async (db, appId, date, rates, providerName) => {
+    const entry = { date, base: RATES_BASE_CURRENCY, rates, provider: providerName, fetchedAt: Date.now() };
+    await setDoc(doc(db, ratesCollectionPath(appId), date), entry);
+    rateCache.set(date, Promise.resolve({ date, rates }));
+    return entry;
+};
+
+// Latest stored table on or before `date`, or null when the history doesn't reach back that far.
+const findNearestStoredRates = async (db, appId, date) => {
+    const q = query(collection(db, ratesCollectionPath(appId)), where('date', '<=', date), orderBy('date', 'desc'), limit(1));
+    const snap = await getDocs(q);
+    if (snap.empty) return null;
+    const data = snap.docs[0].data();
+    return { date: data.date, rates: data.rates };
+};
+
+// Resolve the rate table for a transaction date. Order: session cache, stored day,
+// provider (storing the result when it is for that exact day), then the nearest earlier stored day.
+// Resolves to { date, rates } where `date` is the day the table actually belongs to.
+export const getRatesForDate = (db, appId, date, provider) => {
+    if (rateCache.has(date)) return rateCache.get(date);
+    const pending = (async () => {
+        const snap = await getDoc(doc(db, ratesCollectionPath(appId), date));
+        if (snap.exists()) return { date, rates: snap.data().rates };
+        if (provider) {
+            let fetched = null;
+            try {
+                fetched = await provider.fetchRates(date);
+            } catch (e) {
+                console.warn(`[Rates] provider ${provider.name} failed for ${date}:`, e.message);
+            }
+            if (fetched && fetched.date === date) {
+                // Another member may have stored the day in the meantime; theirs is as good
+                await saveRates(db, appId, date, fetched.rates, provider.name)
+                    .catch(e => console.warn(`[Rates] could not store ${date}:`, e.message));
+                return fetched;
+            }
+            if (fetched) return fetched;
+        }
+        const nearest = await findNearestStoredRates(db, appId, date);
+        if (nearest) return nearest;
+        throw new Error(`No exchange rates available for ${date}`);
+    })();
+    rateCache.set(date, pending);
+    // Neither failures nor another day's table stay cached under `date`; a later call may
+    // find the exact day once the history is backfilled
+    pending.then(entry => { if (entry.date !== date) rateCache.delete(date); }, () => rateCache.delete(date));
+    return pending;
+};
+
+// Read-only lookup for reports: resolves many dates at once without calling the provider.
+// Returns { 'YYYY-MM-DD': rates } for every date that could be resolved from storage.
+export const getStoredRatesForDates = async (db, appId, dates) => {
+    const result = {};
+    await Promise.all(dates.map(async (date) => {
+        try {
+            const entry = rateCache.has(date)
+                ? await rateCache.get(date)
+                : await getRatesForDate(db, appId, date, null);
+            result[date] = entry.rates;
+        } catch {
+            // Leave unresolved; callers fall back to today's rates
+        }
+    }));
+    return result;
+};
+
+const addDays = (dateStr, days) => {
+    const d = new Date(dateStr + 'T00:00:00');
+    d.setDate(d.getDate() + days);
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${y}-${m}-${dd}`;
+};
+
+// Fill every missing day in [fromDate, toDate] from the provider. Existing days are left alone;
+// days the provider has no table of their own for (it answers with an earlier one) count as failed.
+export const backfillRates = async (db, appId, provider, fromDate, toDate, onProgress) => {
+    const dates = [];
+    for (let d = fromDate; d <= toDate; d = addDays(d, 1)) dates.push(d);
+    let fetched = 0;
+    let skipped = 0;
+    const failed = [];
+    for (let i = 0; i < dates.length; i++) {
+        const date = dates[i];
+        const snap = await getDoc(doc(db, ratesCollectionPath(appId), date));
+        if (snap.exists()) {
+            skipped++;
+        } else {
+            try {
+                const result = await provider.fetchRates(date);
+                if (result.date !== date) throw new Error(`${provider.name} has no rates for ${date}`);
+                await saveRates(db, appId, date, result.rates, provider.name);
+                fetched++;
+            } catch (e) {
+                failed.push(date);
+            }
+        }
+        if (onProgress) onProgress(Math.round((i + 1) / dates.length * 100));
+    }
+    return { fetched, skipped, failed };
+};
+
+// The same table relative to `baseCurrency`, so rates[baseCurrency] is 1. Tables are reused
+// across renders, so each re-based copy is kept alongside its source.
+const rebasedTables = new WeakMap();
+
+export const rebaseRates = (rates, baseCurrency) => {
+    if (!rates || baseCurrency === RATES_BASE_CURRENCY) return rates;
+    const divisor = rates[baseCurrency];
+    // Without a rate for the base nothing converts; treat it like a missing table
+    if (!divisor) return null;
+    if (!rebasedTables.has(rates)) rebasedTables.set(rates, {});
+    const byBase = rebasedTables.get(rates);
+    if (!byBase[baseCurrency]) {
+        const rebased = Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code, rate / divisor]));
+        rebased[RATES_BASE_CURRENCY] = 1 / divisor;
+        byBase[baseCurrency] = rebased;
+    }
+    return byBase[baseCurrency];
+};
+
+// The rate of `currency` in the table resolved for `date`. Stored conversions must not fall back
+// to 1:1: the made-up rate would be saved next to an exchangeRateDate that makes it look real.
+export const rateFor = (rates, currency, date) => {
+    const rate = rates && rates[currency];
+    if (!rate) throw new Error(`No ${currency} exchange rate for ${date}.`);
+    return rate;
+};
+
+// Convert an amount in the base currency into `currency` using a table re-based on it (1 when
+// unknown). Only for displayed totals; anything stored uses rateFor.
+export const convertFromBase = (amountInBase, currency, rates) => amountInBase * ((rates && rates[currency]) || 1);
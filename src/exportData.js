@@ -0,0 +1,93 @@
+// --- Data Export ---
+// Builds the files offered on the Reports page from whatever the report currently shows.
+// The CSV uses the importer's own header names (see HEADER_ALIASES in csvImport.js) so an
+// export can be imported again without touching the column mapping.
+import { buildXlsx, XLSX_MIME } from './xlsx';
+import { formatTags } from './tags';
+import { transactionLines } from './splits';
+
+export const EXPORT_FORMATS = {
+    csv: 'CSV (transactions)',
+    json: 'JSON (full backup)',
+    xlsx: 'Excel workbook (report)',
+};
+
+const csvEscape = (value) => {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Rows shared by the CSV and the workbook's Transactions sheet. The first seven columns are the
+// importer's fields; the converted amount and member columns are informational. A split
+// transaction becomes one row per line so category totals add up in a spreadsheet too.
+const transactionRows = (transactions, { currency, convert, memberName }) => [
+    ['Date', 'Amount', 'Currency', 'Type', 'Category', 'Description', 'Tags', `Amount in ${currency}`, 'Member'],
+    ...transactions.flatMap(t => transactionLines(t).map(line => [
+        t.transactionDate,
+        line.amount,
+        t.originalCurrency,
+        t.type,
+        line.category,
+        t.description || '',
+        formatTags(t.tags),
+        round2(convert(t) * line.share),
+        memberName(t.createdBy),
+    ])),
+];
+
+// options: { currency, convert: (t) => amount in currency, memberName: (uid) => label }
+// Leading BOM so Excel reads the file as UTF-8; parseCsv strips it again on import
+export const buildTransactionsCsv = (transactions, options) => '\uFEFF' + toCsv(transactionRows(transactions, options));
+
+// Everything needed to recreate the data: transactions keep every stored field (ids, rates,
+// attribution) and recurring items/budgets are included whole.
+export const buildJsonExport = ({ familyId, filters, transactions, recurringItems, budgets }) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    familyId,
+    filters,
+    transactions,
+    recurring: recurringItems,
+    budgets,
+}, null, 2);
+
+// Three sheets: the transactions, expense totals per category and the monthly trend, all in
+// the report's display currency.
+export const buildReportWorkbook = (transactions, report, options) => buildXlsx([
+    { name: 'Transactions', rows: transactionRows(transactions, options) },
+    {
+        name: 'Category totals',
+        rows: [
+            ['Category', `Expense (${options.currency})`],
+            ...report.expenseChartData.map(c => [c.name, round2(c.value)]),
+        ],
+    },
+    {
+        name: 'Monthly trend',
+        rows: [
+            ['Month', `Income (${options.currency})`, `Expense (${options.currency})`, `Net (${options.currency})`],
+            ...report.trendChartData.map(m => [m.month, round2(m.income), round2(m.expense), round2(m.income - m.expense)]),
+        ],
+    },
+]);
+
+export const EXPORT_MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json',
+    xlsx: XLSX_MIME,
+};
+
+// Hands a generated file to the browser as a download.
+export const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
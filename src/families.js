@@ -0,0 +1,149 @@
+// --- Families & Membership ---
+// Layout under artifacts/{appId}:
+//   users/{uid}          { email, familyId, updatedAt }                       user profile
+//   families/{familyId}  { name, ownerUid, createdAt, members: { uid: { email, role, joinedAt, inviteCode? } },
+//                          baseCurrency?, rebasePending? }                  see baseCurrency.js
+//   invites/{code}       { familyId, familyName, email|null, role, createdBy, createdAt, expiresAt, usedBy|null }
+// Family data (transactions, recurring, budgets, ...) stays under families/{familyId}/...
+import { collection, doc, getDocs, setDoc, updateDoc, deleteDoc, deleteField, onSnapshot, query, where, runTransaction } from 'firebase/firestore';
+
+export const INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Roles are enforced in firestore.rules as well; keep the two in sync.
+//   owner  - everything, including wiping data, restoring backups, managing members and family settings
+//   editor - add/edit transactions, delete their own, import, manage recurring items, budgets, categories, accounts and goals
+//   viewer - read-only
+export const ROLES = {
+    owner: 'Owner',
+    editor: 'Editor',
+    viewer: 'Viewer',
+};
+
+const ROLE_PERMISSIONS = {
+    owner: ['writeTransactions', 'deleteAnyTransaction', 'import', 'wipe', 'restore', 'manageRecurring', 'manageBudgets', 'manageCategories', 'manageAccounts', 'manageGoals', 'manageRules', 'manageMembers', 'manageSettings'],
+    editor: ['writeTransactions', 'import', 'manageRecurring', 'manageBudgets', 'manageCategories', 'manageAccounts', 'manageGoals', 'manageRules'],
+    viewer: [],
+};
+
+// Members added before roles existed have no role field and keep editor rights.
+export const memberRole = (family, uid) => {
+    if (!family || !uid) return null;
+    if (family.ownerUid === uid) return 'owner';
+    const member = family.members && family.members[uid];
+    if (!member) return null;
+    return member.role || 'editor';
+};
+
+export const can = (role, permission) => !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Editors may only delete what they created; owners may delete anything.
+export const canDeleteTransaction = (role, uid, transaction) =>
+    can(role, 'deleteAnyTransaction') || (can(role, 'writeTransactions') && transaction.createdBy === uid);
+
+// No 0/O/1/I so codes survive being read out over the phone
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const userProfilePath = (appId, uid) => `artifacts/${appId}/users/${uid}`;
+const familyDocPath = (appId, familyId) => `artifacts/${appId}/families/${familyId}`;
+const invitesPath = (appId) => `artifacts/${appId}/invites`;
+
+export const generateInviteCode = (length = 8) => {
+    const bytes = new Uint8Array(length);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('');
+};
+
+export const subscribeUserProfile = (db, appId, uid, onChange, onError) =>
+    onSnapshot(doc(db, userProfilePath(appId, uid)), snap => onChange(snap.exists() ? snap.data() : null), onError);
+
+export const subscribeFamily = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(doc(db, familyDocPath(appId, familyId)), snap => onChange(snap.exists() ? { id: snap.id, ...snap.data() } : null), onError);
+
+// Creates a family owned by `user` and points the user's profile at it.
+// Pass `familyId` to adopt an existing namespace (e.g. the pre-families shared data).
+export const createFamily = async (db, appId, user, name, familyId = null) => {
+    const familyRef = familyId ? doc(db, familyDocPath(appId, familyId)) : doc(collection(db, `artifacts/${appId}/families`));
+    await runTransaction(db, async (tx) => {
+        const existing = await tx.get(familyRef);
+        if (existing.exists()) throw new Error('That family already exists. Ask a member for an invite code.');
+        tx.set(familyRef, {
+            name: name.trim() || 'My Family',
+            ownerUid: user.uid,
+            createdAt: Date.now(),
+            members: { [user.uid]: { email: user.email, role: 'owner', joinedAt: Date.now() } },
+        });
+        tx.set(doc(db, userProfilePath(appId, user.uid)), { email: user.email, familyId: familyRef.id, updatedAt: Date.now() }, { merge: true });
+    });
+    return familyRef.id;
+};
+
+// Single-use invite. With an email it also shows up for that user on the setup screen.
+export const createInvite = async (db, appId, family, user, email = '', role = 'editor') => {
+    if (!ROLES[role] || role === 'owner') throw new Error('Invites can only grant the editor or viewer role.');
+    const code = generateInviteCode();
+    const invite = {
+        familyId: family.id,
+        familyName: family.name,
+        email: email.trim().toLowerCase() || null,
+        role,
+        createdBy: user.uid,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + INVITE_TTL_MS,
+        usedBy: null,
+    };
+    await setDoc(doc(db, invitesPath(appId), code), invite);
+    return { code, ...invite };
+};
+
+export const revokeInvite = (db, appId, code) => deleteDoc(doc(db, invitesPath(appId), code));
+
+export const listFamilyInvites = async (db, appId, familyId) => {
+    const snap = await getDocs(query(collection(db, invitesPath(appId)), where('familyId', '==', familyId)));
+    return snap.docs.map(d => ({ code: d.id, ...d.data() })).filter(i => !i.usedBy);
+};
+
+export const listInvitesForEmail = async (db, appId, email) => {
+    if (!email) return [];
+    const snap = await getDocs(query(collection(db, invitesPath(appId)), where('email', '==', email.toLowerCase())));
+    return snap.docs.map(d => ({ code: d.id, ...d.data() })).filter(i => !i.usedBy && i.expiresAt > Date.now());
+};
+
+// Redeem an invite: adds the user to the family's members and sets their profile, atomically.
+export const acceptInvite = async (db, appId, user, rawCode) => {
+    const code = (rawCode || '').trim().toUpperCase();
+    if (!code) throw new Error('Enter an invite code.');
+    const inviteRef = doc(db, invitesPath(appId), code);
+    return runTransaction(db, async (tx) => {
+        const inviteSnap = await tx.get(inviteRef);
+        if (!inviteSnap.exists()) throw new Error('Invite code not found.');
+        const invite = inviteSnap.data();
+        if (invite.usedBy) throw new Error('This invite has already been used.');
+        if (invite.expiresAt < Date.now()) throw new Error('This invite has expired.');
+        if (invite.email && invite.email !== (user.email || '').toLowerCase()) throw new Error('This invite was sent to a different email address.');
+
+        const familyRef = doc(db, familyDocPath(appId, invite.familyId));
+        // The rules check the member entry against the invite it names
+        tx.update(familyRef, { [`members.${user.uid}`]: { email: user.email, role: invite.role || 'editor', joinedAt: Date.now(), inviteCode: code } });
+        tx.update(inviteRef, { usedBy: user.uid, usedAt: Date.now() });
+        tx.set(doc(db, userProfilePath(appId, user.uid)), { email: user.email, familyId: invite.familyId, updatedAt: Date.now() }, { merge: true });
+        return invite.familyId;
+    });
+};
+
+export const updateMemberRole = (db, appId, familyId, uid, role) => {
+    if (!ROLES[role] || role === 'owner') throw new Error('Members can only be made editors or viewers.');
+    return updateDoc(doc(db, familyDocPath(appId, familyId)), { [`members.${uid}.role`]: role });
+};
+
+// Removing a member only drops them from the family doc; their profile still names the family
+// but every read is denied from then on, and the app sends them back to the setup screen.
+export const removeMember = (db, appId, familyId, uid) =>
+    updateDoc(doc(db, familyDocPath(appId, familyId)), { [`members.${uid}`]: deleteField() });
+
+// Short label for a member uid, falling back to a truncated uid for people who left.
+export const memberLabel = (family, uid) => {
+    if (!uid) return '';
+    const member = family && family.members && family.members[uid];
+    if (member && member.email) return member.email.split('@')[0];
+    return uid.slice(0, 6);
+};
@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+// firestore.rules against the Firestore emulator: npm run test:emulator. Skipped by plain npm test.
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { acceptInvite } from './families';
+import { FAMILY, FAMILY_ID, describeWithFirestore, familyDocPath, initializeEmulatorEnv, seedFamily, transaction } from './emulatorTestSetup';
+
+const APP_ID = 'rules-test';
+const familyPath = familyDocPath(APP_ID);
+const transactionPath = (id) => `${familyPath}/transactions/${id}`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invite = (changes = {}) => ({
+    familyId: FAMILY_ID, familyName: FAMILY.name, email: 'newbie@example.com', role: 'viewer',
+    createdBy: 'owner', createdAt: Date.now(), expiresAt: Date.now() + DAY_MS, usedBy: null,
+    ...changes,
+});
+
+describeWithFirestore('firestore.rules', () => {
+    let env;
+    const as = (uid, token) => env.authenticatedContext(uid, token).firestore();
+
+    beforeAll(async () => {
+        env = await initializeEmulatorEnv();
+    });
+
+    beforeEach(() => seedFamily(env, APP_ID, { 'by-owner': transaction('owner'), 'by-editor': transaction('editor') }));
+
+    afterAll(() => env.cleanup());
+
+    describe('family document', () => {
+        it('is readable by members only', async () => {
+            for (const uid of ['owner', 'editor', 'viewer']) await assertSucceeds(getDoc(doc(as(uid), familyPath)));
+            await assertFails(getDoc(doc(as('stranger'), familyPath)));
+            await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), familyPath)));
+        });
+
+        it('lets anyone signed in check that a family id is free', async () => {
+            await assertSucceeds(getDoc(doc(as('stranger'), `artifacts/${APP_ID}/families/unused`)));
+        });
+
+        it('is updated by the owner only, who keeps ownership', async () => {
+            await assertSucceeds(updateDoc(doc(as('owner'), familyPath), { name: 'Renamed' }));
+            await assertFails(updateDoc(doc(as('owner'), familyPath), { ownerUid: 'editor' }));
+            for (const uid of ['editor', 'viewer', 'stranger']) await assertFails(updateDoc(doc(as(uid), familyPath), { name: 'Mine now' }));
+        });
+
+        it('can be created with yourself as the sole owner', async () => {
+            const mine = { ...FAMILY, ownerUid: 'stranger', members: { stranger: { email: 's@example.com', role: 'owner', joinedAt: 0 } } };
+            await assertSucceeds(setDoc(doc(as('stranger'), `artifacts/${APP_ID}/families/new-family`), mine));
+            await assertFails(setDoc(doc(as('stranger'), `artifacts/${APP_ID}/families/other-family`), { ...mine, ownerUid: 'owner' }));
+        });
+
+        it('is never deleted', async () => {
+            await assertFails(deleteDoc(doc(as('owner'), familyPath)));
+        });
+    });
+
+    describe('transactions', () => {
+        it('are created by owners and editors in their own name', async () => {
+            await assertSucceeds(setDoc(doc(as('editor'), transactionPath('new')), transaction('editor')));
+            await assertFails(setDoc(doc(as('editor'), transactionPath('forged')), transaction('owner')));
+            await assertFails(setDoc(doc(as('viewer'), transactionPath('viewer')), transaction('viewer')));
+            await assertFails(setDoc(doc(as('stranger'), transactionPath('stranger')), transaction('stranger')));
+        });
+
+        it('are deleted by the owner, or by the editor who created them', async () => {
+            await assertSucceeds(deleteDoc(doc(as('editor'), transactionPath('by-editor'))));
+            await assertFails(deleteDoc(doc(as('editor'), transactionPath('by-owner'))));
+            await assertFails(deleteDoc(doc(as('viewer'), transactionPath('by-owner'))));
+            await assertFails(deleteDoc(doc(as('stranger'), transactionPath('by-owner'))));
+            await assertSucceeds(deleteDoc(doc(as('owner'), transactionPath('by-owner'))));
+        });
+
+        it('follow the delete rule when moved to the trash, but not for other edits', async () => {
+            const trash = { deletedAt: Date.now(), deletedBy: 'editor' };
+            await assertFails(updateDoc(doc(as('editor'), transactionPath('by-owner')), trash));
+            await assertSucceeds(updateDoc(doc(as('editor'), transactionPath('by-owner')), { description: 'Edited' }));
+            await assertSucceeds(updateDoc(doc(as('editor'), transactionPath('by-editor')), trash));
+            await assertFails(updateDoc(doc(as('viewer'), transactionPath('by-editor')), { description: 'Edited' }));
+        });
+
+        it('keep their author unless the owner changes it', async () => {
+            await assertFails(updateDoc(doc(as('editor'), transactionPath('by-owner')), { createdBy: 'editor' }));
+            await assertFails(updateDoc(doc(as('editor'), transactionPath('by-owner')), { createdBy: 'editor', deletedAt: Date.now(), deletedBy: 'editor' }));
+            await assertFails(updateDoc(doc(as('editor'), transactionPath('by-editor')), { createdBy: 'owner' }));
+            await assertSucceeds(updateDoc(doc(as('owner'), transactionPath('by-editor')), { createdBy: 'owner' }));
+        });
+
+        it("can't be claimed and then deleted by an editor", async () => {
+            await assertFails(updateDoc(doc(as('editor'), transactionPath('by-owner')), { createdBy: 'editor' }));
+            await assertFails(deleteDoc(doc(as('editor'), transactionPath('by-owner'))));
+            expect((await env.withSecurityRulesDisabled(async context =>
+                (await getDoc(doc(context.firestore(), transactionPath('by-owner')))).data())).createdBy).toBe('owner');
+        });
+
+        it('are readable by members only', async () => {
+            await assertSucceeds(getDoc(doc(as('viewer'), transactionPath('by-owner'))));
+            await assertFails(getDoc(doc(as('stranger'), transactionPath('by-owner'))));
+        });
+    });
+
+    describe('joining with an invite', () => {
+        const seedInvite = (code, changes) => env.withSecurityRulesDisabled(context =>
+            setDoc(doc(context.firestore(), `artifacts/${APP_ID}/invites/${code}`), invite(changes)));
+        // The token keeps the case the user signed up with; invites store it lowercased
+        const newbie = { uid: 'newbie', email: 'Newbie@Example.com' };
+        const newbieDb = () => as(newbie.uid, { email: newbie.email });
+
+        it('adds the invitee with the invite\'s role', async () => {
+            await seedInvite('JOIN1');
+            await assertSucceeds(acceptInvite(newbieDb(), APP_ID, newbie, 'JOIN1'));
+            const family = await getDoc(doc(newbieDb(), familyPath));
+            expect(family.data().members.newbie.role).toBe('viewer');
+        });
+
+        it('lists invites sent to the user\'s email whatever its case', async () => {
+            await seedInvite('JOIN1');
+            const invitesRef = collection(newbieDb(), `artifacts/${APP_ID}/invites`);
+            await assertSucceeds(getDocs(query(invitesRef, where('email', '==', 'newbie@example.com'))));
+            await assertFails(getDocs(query(invitesRef, where('email', '==', 'editor@example.com'))));
+        });
+
+        it('refuses a used, expired or someone else\'s invite', async () => {
+            await seedInvite('USED', { usedBy: 'someone' });
+            await seedInvite('EXPIRED', { expiresAt: Date.now() - DAY_MS });
+            await seedInvite('OTHER', { email: 'other@example.com' });
+            // Straight writes, since acceptInvite would refuse these before the rules see them
+            for (const code of ['USED', 'EXPIRED', 'OTHER']) {
+                await assertFails(updateDoc(doc(newbieDb(), `artifacts/${APP_ID}/invites/${code}`), { usedBy: 'newbie', usedAt: Date.now() }));
+            }
+        });
+
+        it('refuses joining without redeeming an invite, or with another role', async () => {
+            await seedInvite('JOIN1');
+            const db = newbieDb();
+            const member = (role) => ({ 'members.newbie': { email: newbie.email, role, joinedAt: Date.now(), inviteCode: 'JOIN1' } });
+            await assertFails(updateDoc(doc(db, familyPath), member('viewer')));
+            const promoted = writeBatch(db);
+            promoted.update(doc(db, familyPath), member('editor'));
+            promoted.update(doc(db, `artifacts/${APP_ID}/invites/JOIN1`), { usedBy: 'newbie', usedAt: Date.now() });
+            await assertFails(promoted.commit());
+        });
+    });
+
+    describe('rate history', () => {
+        const ratesPath = `artifacts/${APP_ID}/rates/2026-03-01`;
+        const table = { date: '2026-03-01', base: 'USD', rates: { EUR: 0.92 }, provider: 'fixture', fetchedAt: 0 };
+
+        it('is readable by anyone signed in', async () => {
+            await assertSucceeds(getDoc(doc(as('stranger'), ratesPath)));
+            await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), ratesPath)));
+        });
+
+        it('takes a day\'s table once and never changes it', async () => {
+            await assertFails(setDoc(doc(as('stranger'), ratesPath), { ...table, date: '2026-03-02' }));
+            await assertSucceeds(setDoc(doc(as('stranger'), ratesPath), table));
+            await assertFails(setDoc(doc(as('owner'), ratesPath), { ...table, rates: { EUR: 1 } }));
+            await assertFails(updateDoc(doc(as('owner'), ratesPath), { 'rates.EUR': 1 }));
+            await assertFails(deleteDoc(doc(as('owner'), ratesPath)));
+        });
+    });
+});
@@ -0,0 +1,114 @@
+// --- Savings Goals ---
+// Family-scoped at artifacts/{appId}/families/{familyId}/goals/{id}:
+//   { name, targetAmount, currency, deadline: 'YYYY-MM-DD'|null, archived, createdAt }
+// Money goes towards a goal in two ways:
+//   - an expense with `goalId` set (e.g. the monthly standing order into the savings account).
+//     It is money set aside, not spending, so reports, summaries and budgets leave it out.
+//   - a manual contribution in goalContributions/{id}: { goalId, amount, date, note, createdBy, createdAt },
+//     amount in the goal's currency, for savings that never show up as a transaction.
+import { collection, doc, addDoc, updateDoc, deleteDoc, onSnapshot, query, where } from 'firebase/firestore';
+import { isDeleted } from './trash';
+
+// Months of contributions the projection averages over
+export const PROJECTION_MONTHS = 6;
+
+export const isGoalContribution = (t) => !!t.goalId;
+
+const goalsRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/goals`);
+const contributionsRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/goalContributions`);
+
+export const subscribeGoals = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(goalsRef(db, appId, familyId), snap => onChange(
+        snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name))
+    ), onError);
+
+export const subscribeContributions = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(contributionsRef(db, appId, familyId), snap => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() }))), onError);
+
+// Every transaction linked to a goal, wherever it is in the history
+export const subscribeGoalTransactions = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(
+        query(collection(db, `artifacts/${appId}/families/${familyId}/transactions`), where('goalId', '!=', null)),
+        snap => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })).filter(t => !isDeleted(t))),
+        onError
+    );
+
+const validateGoal = ({ name, targetAmount, currency, deadline }) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Enter a goal name.');
+    const target = parseFloat(targetAmount);
+    if (!(target > 0)) throw new Error('The target amount must be above zero.');
+    if (!currency) throw new Error('Pick the goal currency.');
+    return { name: trimmed, targetAmount: target, currency, deadline: deadline || null };
+};
+
+export const createGoal = async (db, appId, familyId, data) => {
+    const ref = await addDoc(goalsRef(db, appId, familyId), { ...validateGoal(data), archived: false, createdAt: Date.now() });
+    return ref.id;
+};
+
+export const updateGoal = (db, appId, familyId, goal, changes) => {
+    const { name, targetAmount, deadline } = validateGoal({ ...goal, ...changes });
+    return updateDoc(doc(goalsRef(db, appId, familyId), goal.id), { name, targetAmount, deadline, archived: !!(changes.archived ?? goal.archived) });
+};
+
+export const addContribution = (db, appId, familyId, uid, { goalId, amount, date, note }) => {
+    const value = parseFloat(amount);
+    if (!(value > 0)) throw new Error('The contribution must be above zero.');
+    if (!date) throw new Error('Pick a date.');
+    return addDoc(contributionsRef(db, appId, familyId), { goalId, amount: value, date, note: note || '', createdBy: uid, createdAt: Date.now() });
+};
+
+export const removeContribution = (db, appId, familyId, id) => deleteDoc(doc(contributionsRef(db, appId, familyId), id));
+
+const addMonths = (ym, count) => {
+    const [y, m] = ym.split('-').map(Number);
+    const index = y * 12 + (m - 1) + count;
+    return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+const monthsBetween = (from, to) => {
+    const [fy, fm] = from.split('-').map(Number);
+    const [ty, tm] = to.split('-').map(Number);
+    return (ty - fy) * 12 + (tm - fm);
+};
+
+// Everything known about a goal's progress, in the goal's currency:
+//   { saved, remaining, percent, trend: [{ month, amount, total }], averageMonthly,
+//     projectedMonth, requiredMonthly, status: 'reached'|'onTrack'|'behind'|'noDeadline'|'noData' }
+// The projection assumes the average of the last PROJECTION_MONTHS months (empty months
+// included) carries on; requiredMonthly is what the deadline would need from now on.
+// `convert(t, currency)` converts a linked transaction; `today` is 'YYYY-MM-DD'.
+export const goalProgress = (goal, contributions, linkedTransactions, convert, today) => {
+    const entries = [
+        ...contributions.filter(c => c.goalId === goal.id).map(c => ({ month: c.date.slice(0, 7), amount: Number(c.amount) || 0 })),
+        ...linkedTransactions.filter(t => t.goalId === goal.id).map(t => ({ month: t.transactionDate.slice(0, 7), amount: convert(t, goal.currency) })),
+    ];
+    const saved = entries.reduce((sum, e) => sum + e.amount, 0);
+    const remaining = Math.max(0, goal.targetAmount - saved);
+    const percent = goal.targetAmount > 0 ? Math.min(100, (saved / goal.targetAmount) * 100) : 0;
+    const currentMonth = today.slice(0, 7);
+
+    const byMonth = entries.reduce((acc, e) => { acc[e.month] = (acc[e.month] || 0) + e.amount; return acc; }, {});
+    const trend = [];
+    const firstMonth = Object.keys(byMonth).sort()[0];
+    let total = 0;
+    for (let m = firstMonth; m && m <= currentMonth; m = addMonths(m, 1)) {
+        total += byMonth[m] || 0;
+        trend.push({ month: m, amount: byMonth[m] || 0, total });
+    }
+
+    const recent = trend.slice(-PROJECTION_MONTHS);
+    const averageMonthly = recent.length > 0 ? recent.reduce((sum, e) => sum + e.amount, 0) / recent.length : 0;
+    const projectedMonth = remaining > 0 && averageMonthly > 0 ? addMonths(currentMonth, Math.ceil(remaining / averageMonthly)) : null;
+    const deadlineMonth = goal.deadline ? goal.deadline.slice(0, 7) : null;
+    const requiredMonthly = deadlineMonth && remaining > 0 ? remaining / Math.max(1, monthsBetween(currentMonth, deadlineMonth)) : null;
+
+    let status;
+    if (remaining === 0) status = 'reached';
+    else if (trend.length === 0) status = 'noData';
+    else if (!deadlineMonth) status = 'noDeadline';
+    else status = projectedMonth && projectedMonth <= deadlineMonth ? 'onTrack' : 'behind';
+
+    return { saved, remaining, percent, trend, averageMonthly, projectedMonth, requiredMonthly, status };
+};
@@ -0,0 +1,40 @@
+// --- Import Presets ---
+// Saved Import page settings per bank, so a monthly statement needs no setup. Family-scoped at
+// artifacts/{appId}/families/{familyId}/importPresets/{id}:
+//   { name, format, accountId, defaultCurrency, dateFormat,
+//     csv: { delimiter, hasHeader, amountSign, mapping } | null, updatedAt }
+// format is a STATEMENT_PARSERS key or 'csv'; only CSV presets keep the column settings.
+import { collection, doc, addDoc, setDoc, deleteDoc, onSnapshot } from 'firebase/firestore';
+import { STATEMENT_PARSERS } from './statementParsers';
+
+const presetsRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/importPresets`);
+
+export const subscribeImportPresets = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(presetsRef(db, appId, familyId), snap => onChange(
+        snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => a.name.localeCompare(b.name))
+    ), onError);
+
+// Saving under an existing name replaces that preset. Resolves to the preset id.
+export const saveImportPreset = async (db, appId, familyId, presets, { name, format, accountId, defaultCurrency, dateFormat, csv }) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Enter a name for the preset, e.g. the bank.');
+    if (format !== 'csv' && !STATEMENT_PARSERS[format]) throw new Error(`Unknown statement format "${format}".`);
+    const preset = {
+        name: trimmed,
+        format,
+        accountId: accountId || '',
+        defaultCurrency,
+        dateFormat,
+        csv: format === 'csv' ? csv : null,
+        updatedAt: Date.now(),
+    };
+    const existing = presets.find(p => p.name.toLowerCase() === trimmed.toLowerCase());
+    if (existing) {
+        await setDoc(doc(presetsRef(db, appId, familyId), existing.id), preset);
+        return existing.id;
+    }
+    const ref = await addDoc(presetsRef(db, appId, familyId), preset);
+    return ref.id;
+};
+
+export const deleteImportPreset = (db, appId, familyId, id) => deleteDoc(doc(presetsRef(db, appId, familyId), id));
@@ -1,16 +1,11 @@
 // migrateTransactionDates.js
-const { initializeApp, applicationDefault } = require('firebase-admin/app');
-const { getFirestore, Timestamp } = require('firebase-admin/firestore');
-const admin = require('firebase-admin');
-
-// TODO: Replace with your Firebase project config or use applicationDefault()
-admin.initializeApp({
-  credential: applicationDefault(),
-  // databaseURL: "https://<YOUR_PROJECT_ID>.firebaseio.com"
-});
-
-const db = getFirestore();
+// Rewrites transactionDate values still stored as Firestore Timestamps to 'YYYY-MM-DD' strings,
+// in place. Restoring a version 1 backup does the same fixups on the file (backup.js), but data
+// that never went through a backup still needs this.
+//
+//   node src/migrateTransactionDates.js [appId] [familyId]
 const admin = require('firebase-admin');
+const { Timestamp } = require('firebase-admin/firestore');
 const serviceAccount = require('./serviceAccountKey.json');
 
 admin.initializeApp({
@@ -19,8 +14,11 @@ admin.initializeApp({
 
 const db = admin.firestore();
 
+const appId = process.argv[2] || 'family-finance-tracker-v1';
+const familyId = process.argv[3] || 'shared-family-data';
+
 async function migrateTransactionDates() {
-  const collectionPath = 'artifacts/family-finance-tracker-v1/families/shared-family-data/transactions';
+  const collectionPath = `artifacts/${appId}/families/${familyId}/transactions`;
   const snapshot = await db.collection(collectionPath).get();
   let updated = 0;
 
@@ -45,4 +43,4 @@ async function migrateTransactionDates() {
   console.log(`Migration complete. Updated ${updated} documents.`);
 }
 
-migrateTransactionDates().catch(console.error);
\ No newline at end of file
+migrateTransactionDates().catch(console.error);
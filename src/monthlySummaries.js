@@ -0,0 +1,165 @@
+// --- Monthly Summaries ---
+// Pre-aggregated totals so Reports can cover any range without downloading every transaction.
+// artifacts/{appId}/families/{familyId}/monthlySummaries/{YYYY-MM}:
+//   { month, count,
+//     income:  { [currency]: { amount, base } },
+//     expense: { [currency]: { amount, base } },
+//     categories: { [category]: { count, income: {...}, expense: {...} } },
+//     accounts:   { [accountId]: { [currency]: { amount, base } } } }
+// `amount` sums the original amounts and `base` the same transactions in the base currency,
+// so amounts already in the display currency stay exact and only the rest is converted.
+// Split transactions add each line to its own category; `count` there counts lines.
+// `accounts` holds each account's signed net flow for the month, transfers included; transfers
+// and goal contributions appear nowhere else in a summary.
+//
+// families/{familyId}/meta/monthlySummaries { builtAt } records the first full build. Until it
+// exists writes leave the summaries alone (they would only be partial) and Reports fall back
+// to the loaded transactions. Trashed transactions are never counted.
+import { collection, doc, getDocs, onSnapshot, query, orderBy, limit, startAfter, writeBatch, increment, documentId } from 'firebase/firestore';
+import { isDeleted } from './trash';
+import { convertFromBase } from './exchangeRates';
+import { transactionLines } from './splits';
+import { accountMovements, isTransfer } from './accounts';
+import { isGoalContribution } from './goals';
+import { docToTransaction } from './transactionQueries';
+
+const BATCH_LIMIT = 500;
+
+const summariesRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/monthlySummaries`);
+const metaRef = (db, appId, familyId) => doc(db, `artifacts/${appId}/families/${familyId}/meta`, 'monthlySummaries');
+
+const addToBucket = (bucket, currency, amount, base) => {
+    const entry = bucket[currency] || (bucket[currency] = { amount: 0, base: 0 });
+    entry.amount += amount;
+    entry.base += base;
+};
+
+// Per-month changes for transactions being added and removed (an edit is both).
+export const summaryDelta = (added = [], removed = []) => {
+    const months = {};
+    const apply = (t, sign) => {
+        if (!t || isDeleted(t) || !t.transactionDate || !['Income', 'Expense', 'Transfer'].includes(t.type)) return;
+        const month = t.transactionDate.slice(0, 7);
+        const summary = months[month] || (months[month] = { count: 0, income: {}, expense: {}, categories: {}, accounts: {} });
+        accountMovements(t).forEach(m => {
+            addToBucket(summary.accounts[m.accountId] || (summary.accounts[m.accountId] = {}), m.currency, sign * m.amount, sign * m.base);
+        });
+        if (isTransfer(t) || isGoalContribution(t)) return;
+        const kind = t.type === 'Income' ? 'income' : 'expense';
+        const currency = t.originalCurrency || 'USD';
+        const amount = sign * (Number(t.originalAmount) || 0);
+        const base = sign * (Number(t.amountInBaseCurrency) || 0);
+        summary.count += sign;
+        addToBucket(summary[kind], currency, amount, base);
+        transactionLines(t).forEach(line => {
+            const category = line.category || 'Other';
+            const cat = summary.categories[category] || (summary.categories[category] = { count: 0, income: {}, expense: {} });
+            cat.count += sign;
+            addToBucket(cat[kind], currency, amount * line.share, base * line.share);
+        });
+    };
+    added.forEach(t => apply(t, 1));
+    removed.forEach(t => apply(t, -1));
+    return months;
+};
+
+// Replace every number with a server-side increment so concurrent writers don't clobber each other
+const asIncrements = (value) => (typeof value === 'number'
+    ? increment(value)
+    : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, asIncrements(v)])));
+
+// Apply added/removed transactions to the stored summaries in one batch.
+export const updateMonthlySummaries = async (db, appId, familyId, added = [], removed = []) => {
+    const delta = summaryDelta(added, removed);
+    const months = Object.keys(delta);
+    if (months.length === 0) return;
+    const batch = writeBatch(db);
+    months.forEach(month => {
+        batch.set(doc(summariesRef(db, appId, familyId), month), { month, ...asIncrements(delta[month]) }, { merge: true });
+    });
+    await batch.commit();
+};
+
+// Recompute every summary from the transactions themselves. Also the fix for any drift.
+export const rebuildMonthlySummaries = async (db, appId, familyId, onProgress) => {
+    const ref = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+    const transactions = [];
+    let cursor = null;
+    while (true) {
+        const q = cursor
+            ? query(ref, orderBy(documentId()), startAfter(cursor), limit(BATCH_LIMIT))
+            : query(ref, orderBy(documentId()), limit(BATCH_LIMIT));
+        const snap = await getDocs(q);
+        snap.docs.forEach(d => transactions.push(docToTransaction(d)));
+        if (onProgress) onProgress(transactions.length);
+        if (snap.size < BATCH_LIMIT) break;
+        cursor = snap.docs[snap.docs.length - 1];
+    }
+
+    const summaries = summaryDelta(transactions);
+    const existing = await getDocs(summariesRef(db, appId, familyId));
+    const writes = [
+        ...Object.entries(summaries).map(([month, data]) => (batch) => batch.set(doc(summariesRef(db, appId, familyId), month), { month, ...data })),
+        ...existing.docs.filter(d => !summaries[d.id]).map(d => (batch) => batch.delete(d.ref)),
+        (batch) => batch.set(metaRef(db, appId, familyId), { builtAt: Date.now() }),
+    ];
+    for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return Object.keys(summaries).length;
+};
+
+export const subscribeSummariesMeta = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(metaRef(db, appId, familyId), snap => onChange(snap.exists() ? snap.data() : null), onError);
+
+// One doc per month, so even a decade of history is a small listener
+export const subscribeMonthlySummaries = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(summariesRef(db, appId, familyId), snap => onChange(snap.docs.map(d => d.data())), onError);
+
+// Date whose rates stand in for a whole month when converting at "transaction date" rates:
+// the month's last day, or today for the current month. Summaries only keep monthly sums, so
+// this differs from converting each transaction at its own day's rate (Reports labels it so).
+export const monthRateDate = (month, today) => {
+    const [y, m] = month.split('-').map(Number);
+    const last = `${month}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}`;
+    return last < today ? last : today;
+};
+
+const bucketAmount = (bucket, currency, rates) => Object.entries(bucket || {}).reduce(
+    (sum, [cur, { amount, base }]) => sum + (cur === currency ? amount : convertFromBase(base, currency, rates)), 0);
+
+// Same shape as the in-memory report: { totalExpense, totalIncome, netBalance, expenseChartData, trendChartData }.
+// options: { months: [] = all, categories: [] = all, currency, ratesForMonth: (month) => rates }
+export const buildSummaryReport = (summaries, { months = [], categories = [], currency, ratesForMonth }) => {
+    let totalExpense = 0;
+    let totalIncome = 0;
+    const expenseByCategory = {};
+    const trendChartData = [];
+
+    summaries
+        .filter(s => s.count > 0 && (months.length === 0 || months.includes(s.month)))
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .forEach(s => {
+            const rates = ratesForMonth(s.month);
+            let income = 0;
+            let expense = 0;
+            Object.entries(s.categories || {}).forEach(([category, c]) => {
+                if (categories.length > 0 && !categories.includes(category)) return;
+                const catExpense = bucketAmount(c.expense, currency, rates);
+                income += bucketAmount(c.income, currency, rates);
+                expense += catExpense;
+                if (catExpense) expenseByCategory[category] = (expenseByCategory[category] || 0) + catExpense;
+            });
+            totalIncome += income;
+            totalExpense += expense;
+            if (income || expense) trendChartData.push({ month: s.month, expense, income });
+        });
+
+    const expenseChartData = Object.entries(expenseByCategory)
+        .map(([name, value]) => ({ name, value }))
+        .filter(c => c.value > 0.005)
+        .sort((a, b) => b.value - a.value);
+    return { totalExpense, totalIncome, netBalance: totalIncome - totalExpense, expenseChartData, trendChartData };
+};
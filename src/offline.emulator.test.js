@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+// queueWrite against the Firestore emulator: npm run test:emulator. Skipped by plain npm test.
+import { collection, disableNetwork, doc, enableNetwork, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { queueWrite, subscribePendingWrites } from './offline';
+import { softDelete } from './trash';
+import { FAMILY_ID, describeWithFirestore, familyDocPath, initializeEmulatorEnv, seedFamily, transaction } from './emulatorTestSetup';
+
+const APP_ID = 'offline-test';
+const transactionsPath = `${familyDocPath(APP_ID)}/transactions`;
+
+// isOnline() reads navigator.onLine, as in the browser
+const setBrowserOnline = (onLine) => Object.defineProperty(global, 'navigator', { value: { onLine }, configurable: true });
+
+describeWithFirestore('queueWrite', () => {
+    let env;
+    let pendingKeys = [];
+    let unsubscribe;
+
+    // Resolves once nothing is waiting for the server any more
+    const allAcknowledged = () => new Promise(resolve => {
+        const stop = subscribePendingWrites(keys => {
+            if (keys.length > 0) return;
+            // The callback runs once during subscribe, before `stop` is assigned
+            setTimeout(() => stop());
+            resolve();
+        });
+    });
+
+    const serverCopy = (id) => env.withSecurityRulesDisabled(async context => {
+        const snap = await getDoc(doc(context.firestore(), transactionsPath, id));
+        return snap.exists() ? snap.data() : null;
+    });
+
+    beforeAll(async () => {
+        env = await initializeEmulatorEnv();
+        unsubscribe = subscribePendingWrites(keys => { pendingKeys = keys; });
+    });
+
+    beforeEach(() => seedFamily(env, APP_ID, {
+        'to-edit': transaction('owner', { description: 'Before' }),
+        'to-trash': transaction('owner', { description: 'Trash me' }),
+    }));
+
+    afterEach(() => setBrowserOnline(true));
+
+    afterAll(async () => {
+        unsubscribe();
+        await env.cleanup();
+    });
+
+    it('queues an add, an edit and a soft delete offline and sends them once back online', async () => {
+        const db = env.authenticatedContext('owner').firestore();
+        const ref = collection(db, transactionsPath);
+        await disableNetwork(db);
+        setBrowserOnline(false);
+
+        const added = doc(ref);
+        const results = await Promise.all([
+            queueWrite(setDoc(added, transaction('owner', { description: 'Added offline' })), added.id),
+            queueWrite(updateDoc(doc(ref, 'to-edit'), { description: 'Edited offline' }), 'to-edit'),
+            queueWrite(softDelete(db, APP_ID, FAMILY_ID, 'transactions', 'to-trash', 'owner'), 'to-trash'),
+        ]);
+        expect(results).toEqual([{ queued: true }, { queued: true }, { queued: true }]);
+        expect([...pendingKeys].sort()).toEqual([added.id, 'to-edit', 'to-trash'].sort());
+        expect(await serverCopy(added.id)).toBeNull();
+
+        const acknowledged = allAcknowledged();
+        setBrowserOnline(true);
+        await enableNetwork(db);
+        await acknowledged;
+
+        expect(pendingKeys).toEqual([]);
+        expect(await serverCopy(added.id)).toMatchObject({ description: 'Added offline', createdBy: 'owner' });
+        expect(await serverCopy('to-edit')).toMatchObject({ description: 'Edited offline' });
+        expect((await serverCopy('to-trash')).deletedAt).toBeGreaterThan(0);
+    });
+
+    it('reports a queued write the server refuses to onLateError', async () => {
+        const db = env.authenticatedContext('editor').firestore();
+        await disableNetwork(db);
+        setBrowserOnline(false);
+
+        let lateError = null;
+        // Editors may only trash their own transactions
+        const result = await queueWrite(softDelete(db, APP_ID, FAMILY_ID, 'transactions', 'to-trash', 'editor'), 'to-trash', e => { lateError = e; });
+        expect(result).toEqual({ queued: true });
+
+        const acknowledged = allAcknowledged();
+        setBrowserOnline(true);
+        await enableNetwork(db);
+        await acknowledged;
+
+        expect(lateError).not.toBeNull();
+        expect(lateError.code).toBe('permission-denied');
+        expect((await serverCopy('to-trash')).deletedAt).toBeUndefined();
+    });
+});
@@ -0,0 +1,75 @@
+// --- Offline Support ---
+// Firestore runs with a persistent (IndexedDB) cache, so data already seen stays readable
+// without a connection and writes made offline wait in its local queue until the connection
+// returns; snapshot listeners see them straight away. The catch is that a write's promise only
+// settles once the server acknowledges it, so awaiting it offline leaves the form hanging.
+// Writes the user waits on go through queueWrite instead, which also tracks what is still
+// unacknowledged for the sync indicators.
+import { initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+
+// How long to wait for the server before treating a write as queued
+export const QUEUE_AFTER_MS = 3000;
+
+// Falls back to the default memory cache when the instance already exists (hot reload)
+export const createFirestore = (app) => {
+    try {
+        return initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    } catch (e) {
+        console.warn('[Offline] persistent cache unavailable', e);
+        return getFirestore(app);
+    }
+};
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Calls onChange(online) now and whenever the browser's connectivity changes
+export const subscribeConnectivity = (onChange) => {
+    const update = () => onChange(isOnline());
+    update();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+        window.removeEventListener('online', update);
+        window.removeEventListener('offline', update);
+    };
+};
+
+// Keys (document ids) of writes the server hasn't acknowledged yet, with a count per key
+const pending = new Map();
+const listeners = new Set();
+const notify = () => {
+    const keys = Array.from(pending.keys());
+    listeners.forEach(fn => fn(keys));
+};
+
+export const subscribePendingWrites = (onChange) => {
+    listeners.add(onChange);
+    onChange(Array.from(pending.keys()));
+    return () => listeners.delete(onChange);
+};
+
+// Resolves { queued: false } once the server has the write, or { queued: true } as soon as it
+// is safely in the local queue: immediately when offline, after QUEUE_AFTER_MS on a connection
+// that doesn't answer. A failure before then rejects as usual; one after (e.g. the rules
+// refusing it on reconnect) goes to onLateError since nobody is awaiting any more.
+export const queueWrite = (write, key, onLateError) => {
+    pending.set(key, (pending.get(key) || 0) + 1);
+    notify();
+    let queued = false;
+    let timer = null;
+    const settled = write.finally(() => {
+        clearTimeout(timer);
+        const count = pending.get(key) - 1;
+        if (count > 0) pending.set(key, count); else pending.delete(key);
+        notify();
+    });
+    settled.catch(e => {
+        if (!queued) return;
+        console.warn(`[Offline] queued write ${key} failed`, e);
+        if (onLateError) onLateError(e);
+    });
+    const queuedAfter = new Promise(resolve => {
+        timer = setTimeout(() => { queued = true; resolve({ queued: true }); }, isOnline() ? QUEUE_AFTER_MS : 0);
+    });
+    return Promise.race([settled.then(() => ({ queued: false })), queuedAfter]);
+};
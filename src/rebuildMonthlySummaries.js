@@ -0,0 +1,98 @@
+// rebuildMonthlySummaries.js
+// Recomputes artifacts/{appId}/families/{familyId}/monthlySummaries from the transactions with
+// the Admin SDK, e.g. after bulk edits in the console or to seed a large family's summaries.
+// The aggregation mirrors summaryDelta in monthlySummaries.js; keep the two in sync.
+//
+//   node src/rebuildMonthlySummaries.js [appId] [familyId]
+const admin = require('firebase-admin');
+const serviceAccount = require('./serviceAccountKey.json');
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+const appId = process.argv[2] || 'family-finance-tracker-v1';
+const familyId = process.argv[3] || 'shared-family-data';
+
+function addToBucket(bucket, currency, amount, base) {
+  const entry = bucket[currency] || (bucket[currency] = { amount: 0, base: 0 });
+  entry.amount += amount;
+  entry.base += base;
+}
+
+// Same as transactionLines in splits.js: split transactions count each line in its own category
+function linesOf(t) {
+  if (!Array.isArray(t.splits) || t.splits.length === 0) return [{ category: t.category, share: 1 }];
+  const total = Number(t.originalAmount) || 0;
+  return t.splits.map(line => ({ category: line.category, share: total ? line.amount / total : 0 }));
+}
+
+// Same as accountMovements in accounts.js: each account's signed flow, transfers on both sides
+function movementsOf(t) {
+  const amount = Number(t.originalAmount) || 0;
+  const base = Number(t.amountInBaseCurrency) || 0;
+  const currency = t.originalCurrency || 'USD';
+  if (t.type === 'Transfer') {
+    return [
+      t.accountId && { accountId: t.accountId, currency, amount: -amount, base: -base },
+      t.toAccountId && { accountId: t.toAccountId, currency: t.toCurrency || currency, amount: Number(t.toAmount) || 0, base: Number(t.toAmountInBaseCurrency) || 0 },
+    ].filter(Boolean);
+  }
+  if (!t.accountId) return [];
+  const sign = t.type === 'Income' ? 1 : -1;
+  return [{ accountId: t.accountId, currency, amount: sign * amount, base: sign * base }];
+}
+
+// Older documents may still hold a Timestamp date; summarise them by their local calendar month
+function monthOf(transactionDate) {
+  if (typeof transactionDate === 'string') return transactionDate.slice(0, 7);
+  const jsDate = transactionDate.toDate();
+  return `${jsDate.getFullYear()}-${String(jsDate.getMonth() + 1).padStart(2, '0')}`;
+}
+
+async function rebuildMonthlySummaries() {
+  const familyPath = `artifacts/${appId}/families/${familyId}`;
+  const snapshot = await db.collection(`${familyPath}/transactions`).get();
+  const months = {};
+
+  for (const doc of snapshot.docs) {
+    const t = doc.data();
+    if (t.deletedAt || !t.transactionDate || !['Income', 'Expense', 'Transfer'].includes(t.type)) continue;
+
+    const month = monthOf(t.transactionDate);
+    const summary = months[month] || (months[month] = { month, count: 0, income: {}, expense: {}, categories: {}, accounts: {} });
+    for (const m of movementsOf(t)) {
+      addToBucket(summary.accounts[m.accountId] || (summary.accounts[m.accountId] = {}), m.currency, m.amount, m.base);
+    }
+    // Transfers and goal contributions only move money between accounts
+    if (t.type === 'Transfer' || t.goalId) continue;
+
+    const kind = t.type === 'Income' ? 'income' : 'expense';
+    const currency = t.originalCurrency || 'USD';
+    const amount = Number(t.originalAmount) || 0;
+    const base = Number(t.amountInBaseCurrency) || 0;
+
+    summary.count++;
+    addToBucket(summary[kind], currency, amount, base);
+    for (const line of linesOf(t)) {
+      const category = line.category || 'Other';
+      const cat = summary.categories[category] || (summary.categories[category] = { count: 0, income: {}, expense: {} });
+      cat.count++;
+      addToBucket(cat[kind], currency, amount * line.share, base * line.share);
+    }
+  }
+
+  const summariesRef = db.collection(`${familyPath}/monthlySummaries`);
+  const existing = await summariesRef.get();
+  const writer = db.bulkWriter();
+  Object.values(months).forEach(summary => writer.set(summariesRef.doc(summary.month), summary));
+  existing.docs.filter(doc => !months[doc.id]).forEach(doc => writer.delete(doc.ref));
+  writer.set(db.doc(`${familyPath}/meta/monthlySummaries`), { builtAt: Date.now() });
+  await writer.close();
+
+  console.log(`Rebuilt ${Object.keys(months).length} monthly summaries from ${snapshot.size} transactions.`);
+}
+
+rebuildMonthlySummaries().catch(console.error);
@@ -0,0 +1,110 @@
+// --- Recurrence Schedules ---
+// Recurring items carry a schedule:
+//   { frequency, interval, dayOfMonth, startDate: 'YYYY-MM-DD', endDate?: 'YYYY-MM-DD', lastPostedDate? }
+// Posted transactions reference their item with { recurringId, occurrenceDate } so a
+// catch-up run can tell exactly which occurrences already exist.
+
+export const FREQUENCIES = {
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    yearly: 'Yearly',
+    everyNMonths: 'Every N months',
+};
+
+// Upper bound per item and run so a bad start date can't generate thousands of writes
+export const MAX_OCCURRENCES_PER_RUN = 500;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toISO = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const parseISO = (s) => new Date(s + 'T00:00:00');
+const daysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+const monthStep = (item) => {
+    switch (item.frequency) {
+        case 'quarterly': return 3;
+        case 'yearly': return 12;
+        case 'everyNMonths': return Math.max(1, parseInt(item.interval, 10) || 1);
+        default: return 1;
+    }
+};
+
+// Items created before schedules existed only had type/description/amount/currency/category.
+// They behave like "monthly on the 1st, starting this month", which matches the old
+// "Add for this Month" button.
+export const normalizeSchedule = (item, today) => {
+    if (item.frequency && item.startDate) return item;
+    return {
+        ...item,
+        frequency: 'monthly',
+        interval: 1,
+        dayOfMonth: 1,
+        startDate: `${today.slice(0, 7)}-01`,
+        legacySchedule: true,
+    };
+};
+
+// All occurrence dates in (after, until], clamped to the item's start/end dates.
+export const occurrencesBetween = (item, after, until) => {
+    const start = item.startDate;
+    const last = item.endDate && item.endDate < until ? item.endDate : until;
+    const dates = [];
+    if (!start || start > last) return dates;
+
+    if (item.frequency === 'weekly') {
+        for (let d = parseISO(start); dates.length < MAX_OCCURRENCES_PER_RUN; d.setDate(d.getDate() + 7)) {
+            const iso = toISO(d);
+            if (iso > last) break;
+            if (!after || iso > after) dates.push(iso);
+        }
+        return dates;
+    }
+
+    const step = monthStep(item);
+    const startDate = parseISO(start);
+    const day = parseInt(item.dayOfMonth, 10) || startDate.getDate();
+    for (let k = 0; dates.length < MAX_OCCURRENCES_PER_RUN; k += step) {
+        const year = startDate.getFullYear() + Math.floor((startDate.getMonth() + k) / 12);
+        const monthIndex = (startDate.getMonth() + k) % 12;
+        const iso = `${year}-${pad(monthIndex + 1)}-${pad(Math.min(day, daysInMonth(year, monthIndex)))}`;
+        if (iso > last) break;
+        // Day N of the start month may fall before startDate itself
+        if (iso < start) continue;
+        if (!after || iso > after) dates.push(iso);
+    }
+    return dates;
+};
+
+// Occurrences that should exist by `today` but haven't been posted since lastPostedDate.
+export const dueOccurrences = (item, today) => {
+    const scheduled = normalizeSchedule(item, today);
+    return occurrencesBetween(scheduled, scheduled.lastPostedDate || null, today);
+};
+
+// First occurrence strictly after `today`, or null once the schedule has ended.
+export const nextOccurrence = (item, today) => {
+    const scheduled = normalizeSchedule(item, today);
+    const horizon = `${parseInt(today.slice(0, 4), 10) + 2}${today.slice(4)}`;
+    const upcoming = occurrencesBetween(scheduled, today, horizon);
+    return upcoming.length ? upcoming[0] : null;
+};
+
+const ordinal = (n) => {
+    const s = ['th', 'st', 'nd', 'rd'];
+    const v = n % 100;
+    return n + (s[(v - 20) % 10] || s[v] || s[0]);
+};
+
+// Short human-readable description, e.g. "Monthly on the 5th" or "Every 2 months on the 1st".
+export const describeSchedule = (item) => {
+    if (!item.frequency) return 'Monthly (legacy)';
+    if (item.frequency === 'weekly') {
+        const weekday = item.startDate ? parseISO(item.startDate).toLocaleString('default', { weekday: 'long' }) : '';
+        return `Weekly${weekday ? ` on ${weekday}` : ''}`;
+    }
+    const day = parseInt(item.dayOfMonth, 10) || (item.startDate ? parseISO(item.startDate).getDate() : 1);
+    const prefix = item.frequency === 'everyNMonths'
+        ? `Every ${monthStep(item)} months`
+        : FREQUENCIES[item.frequency];
+    return `${prefix} on the ${ordinal(day)}`;
+};
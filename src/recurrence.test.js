@@ -0,0 +1,112 @@
+import { MAX_OCCURRENCES_PER_RUN, occurrencesBetween, dueOccurrences, nextOccurrence, normalizeSchedule, describeSchedule } from './recurrence';
+
+const monthly = (changes = {}) => ({ frequency: 'monthly', interval: 1, dayOfMonth: 1, startDate: '2026-01-01', ...changes });
+
+describe('occurrencesBetween', () => {
+    it('clamps the day to the end of shorter months', () => {
+        expect(occurrencesBetween(monthly({ dayOfMonth: 31, startDate: '2026-01-31' }), null, '2026-05-15'))
+            .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+        expect(occurrencesBetween(monthly({ dayOfMonth: 31, startDate: '2028-01-31' }), null, '2028-03-01'))
+            .toEqual(['2028-01-31', '2028-02-29']);
+    });
+
+    it('rolls over into the next year', () => {
+        expect(occurrencesBetween(monthly({ dayOfMonth: 30, startDate: '2025-11-30' }), null, '2026-03-01'))
+            .toEqual(['2025-11-30', '2025-12-30', '2026-01-30', '2026-02-28']);
+    });
+
+    it('skips a day of the start month that falls before the start date', () => {
+        expect(occurrencesBetween(monthly({ dayOfMonth: 5, startDate: '2026-01-20' }), null, '2026-03-31'))
+            .toEqual(['2026-02-05', '2026-03-05']);
+    });
+
+    it('falls back to the start date\'s day when no day of month is set', () => {
+        expect(occurrencesBetween(monthly({ dayOfMonth: null, startDate: '2026-01-12' }), null, '2026-03-31'))
+            .toEqual(['2026-01-12', '2026-02-12', '2026-03-12']);
+    });
+
+    it('steps weekly from the start date', () => {
+        expect(occurrencesBetween({ frequency: 'weekly', startDate: '2026-03-02' }, null, '2026-03-23'))
+            .toEqual(['2026-03-02', '2026-03-09', '2026-03-16', '2026-03-23']);
+        // Across the end of March daylight saving change
+        expect(occurrencesBetween({ frequency: 'weekly', startDate: '2026-03-23' }, null, '2026-04-06'))
+            .toEqual(['2026-03-23', '2026-03-30', '2026-04-06']);
+    });
+
+    it('steps quarterly, yearly and every N months', () => {
+        expect(occurrencesBetween(monthly({ frequency: 'quarterly' }), null, '2026-12-31'))
+            .toEqual(['2026-01-01', '2026-04-01', '2026-07-01', '2026-10-01']);
+        expect(occurrencesBetween(monthly({ frequency: 'yearly', dayOfMonth: null, startDate: '2024-02-29' }), null, '2026-06-01'))
+            .toEqual(['2024-02-29', '2025-02-28', '2026-02-28']);
+        expect(occurrencesBetween(monthly({ frequency: 'everyNMonths', interval: 2, dayOfMonth: 15, startDate: '2026-01-10' }), null, '2026-07-31'))
+            .toEqual(['2026-01-15', '2026-03-15', '2026-05-15', '2026-07-15']);
+        // A missing or invalid interval counts as every month
+        expect(occurrencesBetween(monthly({ frequency: 'everyNMonths', interval: '' }), null, '2026-03-01'))
+            .toEqual(['2026-01-01', '2026-02-01', '2026-03-01']);
+    });
+
+    it('stops at the end date', () => {
+        expect(occurrencesBetween(monthly({ endDate: '2026-03-15' }), null, '2026-06-01'))
+            .toEqual(['2026-01-01', '2026-02-01', '2026-03-01']);
+        expect(occurrencesBetween({ frequency: 'weekly', startDate: '2026-03-02', endDate: '2026-03-10' }, null, '2026-04-01'))
+            .toEqual(['2026-03-02', '2026-03-09']);
+    });
+
+    it('only returns dates after `after`', () => {
+        expect(occurrencesBetween(monthly(), '2026-02-01', '2026-04-30')).toEqual(['2026-03-01', '2026-04-01']);
+        expect(occurrencesBetween({ frequency: 'weekly', startDate: '2026-03-02' }, '2026-03-09', '2026-03-23'))
+            .toEqual(['2026-03-16', '2026-03-23']);
+    });
+
+    it('returns nothing before the start date or without one', () => {
+        expect(occurrencesBetween(monthly({ startDate: '2026-06-01' }), null, '2026-05-31')).toEqual([]);
+        expect(occurrencesBetween(monthly({ startDate: null }), null, '2026-05-31')).toEqual([]);
+    });
+
+    it('caps a run at MAX_OCCURRENCES_PER_RUN', () => {
+        expect(occurrencesBetween({ frequency: 'weekly', startDate: '2000-01-03' }, null, '2026-01-01')).toHaveLength(MAX_OCCURRENCES_PER_RUN);
+        expect(occurrencesBetween(monthly({ startDate: '1900-01-01' }), null, '2026-01-01')).toHaveLength(MAX_OCCURRENCES_PER_RUN);
+    });
+});
+
+describe('dueOccurrences', () => {
+    const rent = monthly({ dayOfMonth: 10, startDate: '2026-01-10' });
+
+    it('catches up on every occurrence up to today', () => {
+        expect(dueOccurrences(rent, '2026-03-09')).toEqual(['2026-01-10', '2026-02-10']);
+        expect(dueOccurrences(rent, '2026-03-10')).toEqual(['2026-01-10', '2026-02-10', '2026-03-10']);
+    });
+
+    it('resumes after lastPostedDate', () => {
+        expect(dueOccurrences({ ...rent, lastPostedDate: '2026-02-10' }, '2026-04-09')).toEqual(['2026-03-10']);
+        expect(dueOccurrences({ ...rent, lastPostedDate: '2026-03-10' }, '2026-04-09')).toEqual([]);
+    });
+
+    it('treats items without a schedule as monthly on the 1st from this month', () => {
+        const legacy = { type: 'Expense', description: 'Rent', originalAmount: 500, originalCurrency: 'EUR', category: 'Housing' };
+        expect(dueOccurrences(legacy, '2026-05-17')).toEqual(['2026-05-01']);
+        expect(dueOccurrences({ ...legacy, lastPostedDate: '2026-05-01' }, '2026-05-17')).toEqual([]);
+        expect(normalizeSchedule(legacy, '2026-05-17')).toMatchObject({ frequency: 'monthly', dayOfMonth: 1, startDate: '2026-05-01', legacySchedule: true });
+    });
+});
+
+describe('nextOccurrence', () => {
+    it('is the first occurrence after today, or null once the schedule has ended', () => {
+        const rent = monthly({ dayOfMonth: 10, startDate: '2026-01-10' });
+        expect(nextOccurrence(rent, '2026-04-09')).toBe('2026-04-10');
+        expect(nextOccurrence(rent, '2026-04-10')).toBe('2026-05-10');
+        expect(nextOccurrence({ ...rent, endDate: '2026-04-30' }, '2026-04-10')).toBeNull();
+    });
+});
+
+describe('describeSchedule', () => {
+    it.each([
+        ['Monthly on the 5th', monthly({ dayOfMonth: 5 })],
+        ['Monthly on the 22nd', monthly({ dayOfMonth: 22 })],
+        ['Quarterly on the 11th', monthly({ frequency: 'quarterly', dayOfMonth: 11 })],
+        ['Every 2 months on the 1st', monthly({ frequency: 'everyNMonths', interval: 2 })],
+        ['Monthly (legacy)', { type: 'Expense' }],
+    ])('%s', (expected, item) => {
+        expect(describeSchedule(item)).toBe(expected);
+    });
+});
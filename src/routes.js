@@ -0,0 +1,64 @@
+// --- Routes ---
+// Every page has its own path so reloads and shared links land where they were. A single
+// transaction opens in the edit dialog at /transactions/:id, over whichever page linked to it
+// (carried in the location state as `from`; the Reports page on a fresh load).
+// The Reports query string carries its filters:
+//   /reports?months=2026-09&months=2026-10&categories=Groceries&type=Expense&q=market&sort=transactionDate:desc&currency=EUR
+// Repeated keys rather than comma lists, since category names may contain commas.
+import { matchPath, generatePath } from 'react-router-dom';
+
+export const PAGE_PATHS = {
+    dashboard: '/',
+    reports: '/reports',
+    budgets: '/budgets',
+    recurring: '/recurring',
+    accounts: '/accounts',
+    goals: '/goals',
+    import: '/import',
+    trash: '/trash',
+    categories: '/categories',
+    rules: '/rules',
+    family: '/family',
+};
+
+export const TRANSACTION_PATH = '/transactions/:id';
+
+export const transactionPath = (id) => generatePath(TRANSACTION_PATH, { id });
+
+// { page, transactionId } for a pathname; page is null for paths the app doesn't know
+export const parseRoute = (pathname) => {
+    const match = matchPath(TRANSACTION_PATH, pathname);
+    if (match) return { page: null, transactionId: match.params.id };
+    const page = Object.keys(PAGE_PATHS).find(key => matchPath(PAGE_PATHS[key], pathname));
+    return { page: page || null, transactionId: null };
+};
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Always includes sort and currency so a reports URL states its whole view; an empty query
+// string means "nothing specified" and leaves the defaults alone
+export const reportFiltersToSearch = ({ selectedMonths, selectedCategories, selectedType, descriptionFilter, sortConfig, displayCurrency }) => {
+    const params = new URLSearchParams();
+    selectedMonths.forEach(month => params.append('months', month));
+    selectedCategories.forEach(category => params.append('categories', category));
+    if (selectedType) params.set('type', selectedType);
+    if (descriptionFilter) params.set('q', descriptionFilter);
+    params.set('sort', `${sortConfig.key}:${sortConfig.direction}`);
+    params.set('currency', displayCurrency);
+    return `?${params.toString()}`;
+};
+
+// Filters present in a query string; absent ones are left out so callers keep their state
+export const reportFiltersFromSearch = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = {
+        selectedMonths: params.getAll('months').filter(month => /^\d{4}-\d{2}$/.test(month)),
+        selectedCategories: params.getAll('categories'),
+        selectedType: params.get('type') || '',
+        descriptionFilter: params.get('q') || '',
+    };
+    const [key, direction] = (params.get('sort') || '').split(':');
+    if (key && SORT_DIRECTIONS.includes(direction)) filters.sortConfig = { key, direction };
+    if (params.get('currency')) filters.displayCurrency = params.get('currency');
+    return filters;
+};
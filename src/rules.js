@@ -0,0 +1,211 @@
+// --- Categorization Rules ---
+// Family-defined rules that fill in category, tags and description, e.g.
+//   description contains "MOL"                          -> category Car
+//   amount between 10000 and 30000, currency is HUF     -> category Bills, tag utilities
+// Stored at artifacts/{appId}/families/{familyId}/rules/{id}:
+//   { name, priority, enabled, conditions: [{ field, op, value, value2 }],
+//     actions: { category, tags: [], description }, createdAt }
+// A rule matches when all of its conditions do. Rules run in priority order (1 first): the first
+// matching rule that sets a category or description decides it, and tags from every matching
+// rule are added. Conditions always see the transaction as it came in, not earlier rules' edits.
+// They run on new transactions (addTransaction), on import rows, and on demand over the
+// existing history (fetchRuleChanges + applyRuleChanges). Transfers are never touched, and
+// neither is the category of a split transaction.
+import { collection, doc, addDoc, updateDoc, deleteDoc, getDocs, onSnapshot, writeBatch } from 'firebase/firestore';
+import { normalizeText } from './search';
+import { isSplit } from './splits';
+import { addTags, parseTags, transactionTags } from './tags';
+import { isTransfer, accountName } from './accounts';
+import { isDeleted } from './trash';
+import { findCategory } from './categories';
+import { docToTransaction } from './transactionQueries';
+
+const BATCH_LIMIT = 500;
+
+export const RULE_OPERATORS = {
+    contains: 'contains',
+    startsWith: 'starts with',
+    equals: 'is',
+    matches: 'matches pattern',
+    between: 'is between',
+    gt: 'is more than',
+    lt: 'is less than',
+};
+
+// Which operators each field takes. Amounts are in the transaction's own currency, so pair
+// amount conditions with a currency one when the family books in several.
+export const RULE_FIELDS = {
+    description: { label: 'Description', ops: ['contains', 'startsWith', 'equals', 'matches'] },
+    amount: { label: 'Amount', ops: ['between', 'gt', 'lt', 'equals'] },
+    currency: { label: 'Currency', ops: ['equals'] },
+    type: { label: 'Type', ops: ['equals'] },
+    account: { label: 'Account', ops: ['equals'] },
+};
+
+const rulesRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/rules`);
+
+const byPriority = (a, b) => a.priority - b.priority || a.name.localeCompare(b.name);
+
+export const subscribeRules = (db, appId, familyId, onChange, onError) =>
+    onSnapshot(rulesRef(db, appId, familyId), snap => onChange(
+        snap.docs.map(d => ({ id: d.id, ...d.data() })).sort(byPriority)
+    ), onError);
+
+const toNumber = (raw) => parseFloat(String(raw).replace(',', '.'));
+
+const validateCondition = ({ field, op, value, value2 }) => {
+    const spec = RULE_FIELDS[field];
+    if (!spec || !spec.ops.includes(op)) throw new Error('Pick a field and a comparison for every condition.');
+    const text = String(value ?? '').trim();
+    if (!text) throw new Error(`Enter a value for the ${spec.label.toLowerCase()} condition.`);
+    if (field === 'amount') {
+        const low = toNumber(text);
+        if (Number.isNaN(low)) throw new Error('Amounts in conditions must be numbers.');
+        if (op !== 'between') return { field, op, value: low };
+        const high = toNumber(value2);
+        if (Number.isNaN(high)) throw new Error('Enter both ends of the amount range.');
+        return { field, op, value: Math.min(low, high), value2: Math.max(low, high) };
+    }
+    if (op === 'matches') {
+        try { new RegExp(text, 'i'); } catch (e) { throw new Error(`"${text}" is not a valid pattern: ${e.message}`); }
+    }
+    return { field, op, value: field === 'currency' ? text.toUpperCase() : text };
+};
+
+const validateRule = (categories, { name, conditions, actions }) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Give the rule a name.');
+    if (!conditions || conditions.length === 0) throw new Error('Add at least one condition.');
+    const category = (actions.category || '').trim();
+    if (category && !findCategory(categories, category)) throw new Error(`There is no category named "${category}".`);
+    const tags = Array.isArray(actions.tags) ? addTags([], ...actions.tags) : parseTags(actions.tags);
+    const description = (actions.description || '').trim();
+    if (!category && tags.length === 0 && !description) throw new Error('Set a category, tags or a description.');
+    return { name: trimmed, conditions: conditions.map(validateCondition), actions: { category, tags, description } };
+};
+
+// New rules go last
+export const createRule = async (db, appId, familyId, rules, categories, data) => {
+    const rule = validateRule(categories, data);
+    const priority = rules.reduce((max, r) => Math.max(max, r.priority), 0) + 1;
+    const ref = await addDoc(rulesRef(db, appId, familyId), { ...rule, priority, enabled: true, createdAt: Date.now() });
+    return ref.id;
+};
+
+export const updateRule = (db, appId, familyId, categories, rule, changes) =>
+    updateDoc(doc(rulesRef(db, appId, familyId), rule.id), validateRule(categories, { ...rule, ...changes }));
+
+export const setRuleEnabled = (db, appId, familyId, rule, enabled) =>
+    updateDoc(doc(rulesRef(db, appId, familyId), rule.id), { enabled });
+
+export const deleteRule = (db, appId, familyId, rule) => deleteDoc(doc(rulesRef(db, appId, familyId), rule.id));
+
+// Swaps priorities with the neighbour above (-1) or below (+1); renumbers 1..n on the way so
+// ties left by deletions don't stick
+export const moveRule = async (db, appId, familyId, rules, rule, step) => {
+    const ordered = [...rules].sort(byPriority);
+    const from = ordered.findIndex(r => r.id === rule.id);
+    const to = from + step;
+    if (from < 0 || to < 0 || to >= ordered.length) return;
+    [ordered[from], ordered[to]] = [ordered[to], ordered[from]];
+    const batch = writeBatch(db);
+    ordered.forEach((r, i) => {
+        if (r.priority !== i + 1) batch.update(doc(rulesRef(db, appId, familyId), r.id), { priority: i + 1 });
+    });
+    await batch.commit();
+};
+
+// --- Matching ---
+const matchesText = (actual, op, expected) => {
+    if (op === 'matches') return new RegExp(expected, 'i').test(actual || '');
+    const a = normalizeText(actual);
+    const b = normalizeText(expected);
+    if (op === 'contains') return a.includes(b);
+    if (op === 'startsWith') return a.startsWith(b);
+    return a === b;
+};
+
+const matchesAmount = (amount, { op, value, value2 }) => {
+    if (op === 'between') return amount >= value && amount <= value2;
+    if (op === 'gt') return amount > value;
+    if (op === 'lt') return amount < value;
+    return Math.abs(amount - value) < 0.005;
+};
+
+const matchesCondition = (t, condition) => {
+    switch (condition.field) {
+    case 'description': return matchesText(t.description, condition.op, condition.value);
+    case 'amount': return matchesAmount(Number(t.originalAmount) || 0, condition);
+    case 'currency': return (t.originalCurrency || '').toUpperCase() === condition.value;
+    case 'type': return t.type === condition.value;
+    case 'account': return (t.accountId || '') === condition.value;
+    default: return false;
+    }
+};
+
+export const matchesRule = (rule, t) => rule.conditions.every(condition => matchesCondition(t, condition));
+
+// What the enabled rules would change on `t`: { changes: { category?, tags?, description? }, ruleNames }.
+// options.keepCategory leaves the category alone (it was picked by hand); with
+// options.categories, a rule's category only applies to transactions of that category's type.
+export const evaluateRules = (rules, t, { keepCategory = false, categories = null } = {}) => {
+    const changes = {};
+    const ruleNames = [];
+    if (isTransfer(t)) return { changes, ruleNames };
+    const decided = new Set();
+    let tags = transactionTags(t);
+    [...rules].sort(byPriority).forEach(rule => {
+        if (!rule.enabled || !matchesRule(rule, t)) return;
+        const { category, tags: ruleTags, description } = rule.actions;
+        let changed = false;
+        const categoryFits = !categories || (findCategory(categories, category) || {}).type === t.type;
+        if (category && !decided.has('category') && !keepCategory && !isSplit(t) && categoryFits) {
+            decided.add('category');
+            if (category !== t.category) { changes.category = category; changed = true; }
+        }
+        if (description && !decided.has('description')) {
+            decided.add('description');
+            if (description !== t.description) { changes.description = description; changed = true; }
+        }
+        const withTags = addTags(tags, ...(ruleTags || []));
+        if (withTags.length !== tags.length) { tags = withTags; changes.tags = tags; changed = true; }
+        if (changed) ruleNames.push(rule.name);
+    });
+    return { changes, ruleNames };
+};
+
+export const applyRules = (rules, t, options) => ({ ...t, ...evaluateRules(rules, t, options).changes });
+
+// --- Existing transactions ---
+// Every live transaction the rules would change: [{ transaction, changes, ruleNames }]
+export const fetchRuleChanges = async (db, appId, familyId, rules, options) => {
+    const snap = await getDocs(collection(db, `artifacts/${appId}/families/${familyId}/transactions`));
+    return snap.docs
+        .map(docToTransaction)
+        .filter(t => !isDeleted(t))
+        .map(t => ({ transaction: t, ...evaluateRules(rules, t, options) }))
+        .filter(entry => entry.ruleNames.length > 0)
+        .sort((a, b) => b.transaction.transactionDate.localeCompare(a.transaction.transactionDate));
+};
+
+// Writes the changes of the given fetchRuleChanges entries; resolves to how many were updated
+export const applyRuleChanges = async (db, appId, familyId, entries, uid, onProgress) => {
+    const ref = collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+    let written = 0;
+    for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        entries.slice(i, i + BATCH_LIMIT).forEach(({ transaction, changes }) => {
+            batch.update(doc(ref, transaction.id), { ...changes, updatedBy: uid, updatedAt: Date.now() });
+        });
+        await batch.commit();
+        written = Math.min(i + BATCH_LIMIT, entries.length);
+        if (onProgress) onProgress(written);
+    }
+    return written;
+};
+
+// "Description contains MOL", "Amount is between 10000 and 30000"
+export const describeCondition = ({ field, op, value, value2 }, accounts = []) => {
+    const shown = field === 'account' ? accountName(accounts, value) : value;
+    return `${RULE_FIELDS[field].label} ${RULE_OPERATORS[op]} ${shown}${op === 'between' ? ` and ${value2}` : ''}`;
+};
@@ -0,0 +1,193 @@
+// --- Transaction Search ---
+// A client-side index over the family's entire transaction history, kept live by one listener
+// on the transactions collection while the Reports search is in use. Matching ignores case and
+// accents, so "kavezo" finds "Kávézó" and "orszag" finds "ország".
+// Query syntax; every part must match:
+//   tesco               a word in the description, category, tags or account, by prefix ("tes" finds "Tesco")
+//   "tesco extra"       an exact phrase in the description
+//   4500                also matches that exact amount
+//   amount>20000        amount comparisons: > >= < <= = (or amount:20000), in the transaction's own currency
+//   category:Groceries  category or split line; quote names with spaces: category:"Food and drinks"
+//   tag:vacation        type:expense        date:2026-03        date>=2026-01-15
+import { collection, onSnapshot } from 'firebase/firestore';
+import { isDeleted } from './trash';
+import { transactionLines } from './splits';
+import { transactionTags } from './tags';
+import { docToTransaction } from './transactionQueries';
+
+export const normalizeText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+export const tokenize = (text) => normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+const parseNumber = (raw) => {
+    const value = parseFloat(String(raw).replace(',', '.'));
+    return Number.isNaN(value) ? null : value;
+};
+
+const FIELD_RE = /^(amount|category|tag|type|date)(>=|<=|>|<|=|:)(.*)$/i;
+
+// Splits on whitespace, keeping "quoted parts" (also after field:) together
+const splitQuery = (text) => String(text || '').match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+// { terms, phrases, amounts: [{ op, value }], categories, tags, types, dates: [{ op, value }] }
+export const parseSearchQuery = (text) => {
+    const parsed = { terms: [], phrases: [], amounts: [], categories: [], tags: [], types: [], dates: [] };
+    splitQuery(text).forEach(part => {
+        const field = part.match(FIELD_RE);
+        if (field && field[3]) {
+            const [, name, op, raw] = field;
+            const value = unquote(raw);
+            switch (name.toLowerCase()) {
+            case 'amount': {
+                const number = parseNumber(value);
+                if (number !== null) parsed.amounts.push({ op: op === ':' ? '=' : op, value: number });
+                return;
+            }
+            case 'date':
+                parsed.dates.push({ op: op === ':' ? '=' : op, value });
+                return;
+            case 'category':
+                parsed.categories.push(normalizeText(value));
+                return;
+            case 'tag':
+                parsed.tags.push(normalizeText(value));
+                return;
+            default:
+                parsed.types.push(normalizeText(value));
+                return;
+            }
+        }
+        if (part.startsWith('"')) {
+            const phrase = normalizeText(unquote(part)).trim();
+            if (phrase) parsed.phrases.push(phrase);
+            return;
+        }
+        parsed.terms.push(...tokenize(part));
+    });
+    return parsed;
+};
+
+export const isEmptyQuery = (parsed) => Object.values(parsed).every(list => list.length === 0);
+
+const compare = (a, op, b) => {
+    switch (op) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return a === b;
+    }
+};
+
+// Dates compare as strings; date:2026-03 (or =) matches the whole month
+const matchesDate = (date, { op, value }) => (op === '=' ? date.startsWith(value) : compare(date, op, value));
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const amountOf = (t) => Number(t.originalAmount) || 0;
+
+// Words a transaction can be found by; `accountNames` maps account ids to names
+const transactionTokens = (t, accountNames) => new Set([
+    ...tokenize(t.description),
+    ...transactionLines(t).flatMap(line => tokenize(line.category)),
+    ...transactionTags(t).flatMap(tokenize),
+    ...tokenize(accountNames[t.accountId]),
+]);
+
+export const createSearchIndex = () => {
+    const docs = new Map();
+    const tokenIds = new Map();
+    const docTokens = new Map();
+    let accountNames = {};
+
+    const remove = (id) => {
+        (docTokens.get(id) || []).forEach(token => {
+            const ids = tokenIds.get(token);
+            ids.delete(id);
+            if (ids.size === 0) tokenIds.delete(token);
+        });
+        docTokens.delete(id);
+        docs.delete(id);
+    };
+
+    const put = (t) => {
+        remove(t.id);
+        if (isDeleted(t)) return;
+        const tokens = transactionTokens(t, accountNames);
+        tokens.forEach(token => {
+            if (!tokenIds.has(token)) tokenIds.set(token, new Set());
+            tokenIds.get(token).add(t.id);
+        });
+        docTokens.set(t.id, tokens);
+        docs.set(t.id, t);
+    };
+
+    // Ids with a token starting with `term`, plus exact amount matches for numbers
+    const idsForTerm = (term) => {
+        const ids = new Set();
+        tokenIds.forEach((tokenSet, token) => {
+            if (token.startsWith(term)) tokenSet.forEach(id => ids.add(id));
+        });
+        const number = /^\d+$/.test(term) ? Number(term) : null;
+        if (number !== null) docs.forEach((t, id) => { if (sameAmount(amountOf(t), number)) ids.add(id); });
+        return ids;
+    };
+
+    const matchesFields = (t, parsed) => {
+        if (parsed.phrases.some(phrase => !normalizeText(t.description).includes(phrase))) return false;
+        if (parsed.amounts.some(({ op, value }) => (op === '=' ? !sameAmount(amountOf(t), value) : !compare(amountOf(t), op, value)))) return false;
+        if (parsed.dates.some(condition => !matchesDate(t.transactionDate || '', condition))) return false;
+        if (parsed.types.length > 0 && !parsed.types.includes(normalizeText(t.type))) return false;
+        if (parsed.categories.length > 0) {
+            const names = transactionLines(t).map(line => normalizeText(line.category));
+            if (!parsed.categories.some(name => names.includes(name))) return false;
+        }
+        if (parsed.tags.length > 0) {
+            const tags = transactionTags(t).map(normalizeText);
+            if (!parsed.tags.every(tag => tags.includes(tag))) return false;
+        }
+        return true;
+    };
+
+    // Transactions matching a parsed query, in no particular order
+    const search = (parsed) => {
+        let ids = null;
+        for (const term of parsed.terms) {
+            const found = idsForTerm(term);
+            ids = ids ? new Set([...ids].filter(id => found.has(id))) : found;
+            if (ids.size === 0) return [];
+        }
+        const candidates = ids ? [...ids].map(id => docs.get(id)) : [...docs.values()];
+        return candidates.filter(t => matchesFields(t, parsed));
+    };
+
+    return {
+        put,
+        remove,
+        search,
+        get size() { return docs.size; },
+        // Account names are searchable too; re-index when they change
+        setAccountNames: (names) => {
+            accountNames = names;
+            [...docs.values()].forEach(put);
+        },
+    };
+};
+
+// Keeps an index of every transaction up to date. onChange(index) runs after each snapshot;
+// the same index object is passed each time, so callers track changes by call.
+export const subscribeSearchIndex = (db, appId, familyId, onChange, onError) => {
+    const index = createSearchIndex();
+    return onSnapshot(collection(db, `artifacts/${appId}/families/${familyId}/transactions`), snap => {
+        snap.docChanges().forEach(change => {
+            if (change.type === 'removed') index.remove(change.doc.id);
+            else index.put(docToTransaction(change.doc));
+        });
+        onChange(index);
+    }, onError);
+};
@@ -0,0 +1,39 @@
+/* eslint-disable no-restricted-globals */
+// --- Service Worker ---
+// react-scripts builds this with Workbox's InjectManifest: self.__WB_MANIFEST becomes the list
+// of build assets, which are precached so the app shell loads without a connection. Firestore
+// keeps its own offline cache (see offline.js), so only the shell and static files live here.
+// A new build installs alongside the running one and waits; the page asks it to take over
+// (SKIP_WAITING) once the user accepts the update prompt.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html, except for real files (anything with an extension) and
+// reserved paths such as Firebase's /__/auth handler
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate'
+        && !url.pathname.startsWith('/_')
+        && !url.pathname.match(fileExtensionRegexp),
+    createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Icons and other public/ files that aren't part of the build manifest
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+    new StaleWhileRevalidate({
+        cacheName: 'images',
+        plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+    })
+);
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,58 @@
+// --- Service Worker Registration ---
+// Registers src/service-worker.js in production builds only; in development it would cache
+// stale bundles. When a new build has installed and is waiting, update subscribers get an
+// apply() that activates it and reloads the page once it controls it.
+
+let waitingWorker = null;
+const listeners = new Set();
+
+const notify = () => {
+    if (!waitingWorker) return;
+    const apply = () => {
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    listeners.forEach(fn => fn(apply));
+};
+
+// Calls onUpdate(apply) when a new version is ready, including one found before subscribing
+export const subscribeToUpdates = (onUpdate) => {
+    listeners.add(onUpdate);
+    if (waitingWorker) notify();
+    return () => listeners.delete(onUpdate);
+};
+
+const watchForUpdate = (registration) => {
+    // A worker already waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        waitingWorker = registration.waiting;
+        notify();
+    }
+    registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.addEventListener('statechange', () => {
+            // With no controller this is the first install, not an update
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                waitingWorker = installing;
+                notify();
+            }
+        });
+    });
+};
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    // The worker can only control pages under its own origin
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .then(registration => {
+                watchForUpdate(registration);
+                // Long-lived tabs (an installed app can stay open for days) check hourly
+                setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+            })
+            .catch(e => console.warn('[SW] registration failed', e));
+    });
+};
@@ -0,0 +1,54 @@
+// --- Split Transactions ---
+// One receipt spread over several categories. A split transaction keeps its single total
+// (originalAmount / amountInBaseCurrency) and adds:
+//   splits: [{ category, amount }]  lines in the transaction's own currency, summing to the total
+//   splitCategories: [name]         the lines' categories, so renames can find them with array-contains
+//   category                        the largest line's category, for anything that only knows one
+// Reports, summaries and budgets go through transactionLines() so each line counts in its own
+// category; a plain transaction is a single line.
+
+export const MIN_SPLIT_LINES = 2;
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+
+export const isSplit = (t) => Array.isArray(t.splits) && t.splits.length > 0;
+
+// [{ category, amount, share }] where share is the line's fraction of the total, so converted
+// amounts can be apportioned without converting each line separately
+export const transactionLines = (t) => {
+    if (!isSplit(t)) return [{ category: t.category, amount: t.originalAmount, share: 1 }];
+    const total = Number(t.originalAmount) || 0;
+    return t.splits.map(line => ({ category: line.category, amount: line.amount, share: total ? line.amount / total : 0 }));
+};
+
+export const hasCategory = (t, names) => transactionLines(t).some(line => names.includes(line.category));
+
+// Error message for lines that can't be saved, or null. Amounts may still be form strings.
+export const validateSplits = (total, lines) => {
+    if (lines.length < MIN_SPLIT_LINES) return `Add at least ${MIN_SPLIT_LINES} lines to split a transaction.`;
+    if (lines.some(line => !line.category)) return 'Pick a category for every line.';
+    if (lines.some(line => !(parseFloat(line.amount) > 0))) return 'Every line needs an amount above zero.';
+    const sum = lines.reduce((acc, line) => acc + toCents(line.amount), 0);
+    if (sum !== toCents(total)) return `The lines add up to ${(sum / 100).toFixed(2)}, not ${(toCents(total) / 100).toFixed(2)}.`;
+    return null;
+};
+
+// Fields to store for the given lines; no lines clears a previous split
+export const splitFields = (lines) => {
+    if (lines.length === 0) return { splits: [], splitCategories: [] };
+    const splits = lines.map(line => ({ category: line.category, amount: toCents(line.amount) / 100 }));
+    const largest = splits.reduce((a, b) => (b.amount > a.amount ? b : a));
+    return { splits, splitCategories: Array.from(new Set(splits.map(line => line.category))), category: largest.category };
+};
+
+// Changes that move a split transaction's `from` lines to `to` (category renames and merges).
+// A document with splitCategories but no splits (half-written, or from an old backup) gets its
+// stale splitCategories cleared.
+export const renameSplitCategory = (t, from, to) => {
+    const splits = (Array.isArray(t.splits) ? t.splits : []).map(line => (line.category === from ? { ...line, category: to } : line));
+    return {
+        splits,
+        splitCategories: Array.from(new Set(splits.map(line => line.category))),
+        ...(t.category === from ? { category: to } : {}),
+    };
+};
@@ -0,0 +1,247 @@
+// --- Bank Statement Parsers ---
+// Turn the statement files banks export into import rows, in the same shape buildImportRows
+// returns for CSV files: [{ rowNumber, errors, transaction }]. Every entry carries its own sign
+// and currency, so debits become Expense and credits Income without guessing from categories.
+//   ofx      OFX 1.x (SGML) and 2.x (XML), also Quicken's .qfx
+//   qif      Quicken Interchange Format; it has no currency, so rows get the default one
+//   camt053  ISO 20022 BankToCustomerStatement (camt.053.001.02 and later versions)
+// A format is { label, extensions, detect(text), parse(text, options) -> [entry] } in
+// STATEMENT_PARSERS, where entry is { transactionDate, amount (signed), currency, description,
+// category, externalId, rawDate, rawAmount }. CSV isn't listed: it goes through the column mapping.
+// externalId is the bank's own reference (OFX FITID, camt AcctSvcrRef, QIF check number).
+// Like csvImport.js, nothing here touches Firestore. src/fixtures/statements has a sample file
+// per format.
+import { parseAmount, parseDateValue } from './csvImport';
+
+// --- Shared helpers ---
+const decodeEntities = (text) => text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const clean = (text) => decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+
+// Bodies and opening tags of every <name>...</name> element, namespace prefixes ignored.
+// Enough for statement files, which don't nest an element inside one of the same name.
+const xmlElements = (xml, name) => {
+    const re = new RegExp(`<(?:[\\w.-]+:)?${name}(\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>`, 'g');
+    return [...xml.matchAll(re)].map(m => ({ attributes: m[1] || '', body: m[2] }));
+};
+
+// Text of the first element along a path of descendant names, or ''
+const xmlText = (xml, ...path) => {
+    let current = xml;
+    for (const name of path) {
+        const [found] = xmlElements(current, name);
+        if (!found) return '';
+        current = found.body;
+    }
+    return clean(current);
+};
+
+const joinText = (...parts) => {
+    const unique = [];
+    parts.map(clean).filter(Boolean).forEach(part => { if (!unique.includes(part)) unique.push(part); });
+    return unique.join(' - ');
+};
+
+// --- OFX ---
+// SGML OFX leaves leaf elements unclosed (<TRNAMT>-12.50), XML OFX closes them; reading a leaf
+// up to the next tag or line break covers both
+const ofxValue = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? clean(match[1]) : '';
+};
+
+const ofxBlocks = (text, name) => [...text.matchAll(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'gi'))].map(m => m[1]);
+
+const parseOfx = (text) => {
+    // Bank and credit card statements; each states its currency once in CURDEF
+    const statements = [...ofxBlocks(text, 'STMTRS'), ...ofxBlocks(text, 'CCSTMTRS')];
+    return statements.flatMap(statement => {
+        const statementCurrency = ofxValue(statement, 'CURDEF');
+        return ofxBlocks(statement, 'STMTTRN').map(block => {
+            // A CURRENCY aggregate means TRNAMT is in that currency; ORIGCURRENCY is only informational
+            const [foreign] = ofxBlocks(block, 'CURRENCY');
+            const posted = ofxValue(block, 'DTPOSTED');
+            return {
+                transactionDate: /^\d{8}/.test(posted) ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : null,
+                rawDate: posted,
+                amount: parseAmount(ofxValue(block, 'TRNAMT')),
+                rawAmount: ofxValue(block, 'TRNAMT'),
+                currency: (foreign && ofxValue(foreign, 'CURSYM')) || statementCurrency,
+                description: joinText(ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')),
+                externalId: ofxValue(block, 'FITID'),
+            };
+        });
+    });
+};
+
+// --- QIF ---
+// Only account registers hold transactions; category lists, memorized payees, investment
+// accounts and the like are skipped
+const QIF_REGISTER_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+// Quicken writes two-digit years, with an apostrophe for 2000 onwards: 3/14'26, 03/14/26
+const qifDate = (raw, dateFormat) => {
+    const parts = String(raw).trim().replace(/'\s*/, '/').split(/[-/.\s]+/).filter(Boolean);
+    if (parts.length !== 3) return null;
+    const yearIndex = /^\d{4}$/.test(parts[0]) ? 0 : 2;
+    if (parts[yearIndex].length === 2) {
+        const yy = parseInt(parts[yearIndex], 10);
+        parts[yearIndex] = String(yy < 70 ? 2000 + yy : 1900 + yy);
+    }
+    return parseDateValue(parts.join('-'), dateFormat);
+};
+
+const parseQif = (text, { dateFormat = 'MDY' }) => {
+    const entries = [];
+    let inRegister = false;
+    let record = {};
+    const finish = () => {
+        if (inRegister && Object.keys(record).length > 0) {
+            // "[Savings]" in the category field is a transfer to another account, not a category
+            const category = (record.L || '').split('/')[0];
+            entries.push({
+                transactionDate: qifDate(record.D || '', dateFormat),
+                rawDate: record.D || '',
+                amount: parseAmount(record.T || record.U),
+                rawAmount: record.T || record.U || '',
+                currency: null,
+                description: joinText(record.P, record.M),
+                category: /^\[.*\]$/.test(category) ? '' : category.trim(),
+                externalId: record.N || '',
+            });
+        }
+        record = {};
+    };
+    text.split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        if (line.startsWith('!')) {
+            finish();
+            const header = line.slice(1).trim().toLowerCase();
+            if (header.startsWith('type:')) inRegister = QIF_REGISTER_TYPES.includes(header.slice(5).trim());
+            else if (!header.startsWith('option')) inRegister = false;
+            return;
+        }
+        if (line.startsWith('^')) { finish(); return; }
+        // Split lines (S, E, $) repeat per split; the transaction keeps its own total and category
+        const code = line[0];
+        if (!'SE$'.includes(code) && !(code in record)) record[code] = line.slice(1).trim();
+    });
+    finish();
+    return entries;
+};
+
+// --- camt.053 ---
+// Booked entries only; pending ones are still subject to change
+const CAMT_SKIPPED_STATUSES = ['PDNG', 'INFO'];
+
+// An amount element with its Ccy attribute: { raw, value, currency }
+const camtAmount = (xml) => {
+    const [element] = xmlElements(xml, 'Amt');
+    if (!element) return { raw: '', value: NaN, currency: '' };
+    const currency = element.attributes.match(/Ccy="([^"]+)"/);
+    return { raw: clean(element.body), value: parseAmount(clean(element.body)), currency: currency ? currency[1] : '' };
+};
+
+const parseCamt053 = (text) => xmlElements(text, 'Stmt').flatMap(({ body: statement }) => {
+    const statementCurrency = xmlText(statement, 'Acct', 'Ccy');
+    return xmlElements(statement, 'Ntry').flatMap(({ body: entry }) => {
+        // The entry's own fields, without the transaction details that repeat some of their names
+        const head = entry.replace(/<(?:[\w.-]+:)?NtryDtls[\s\S]*<\/(?:[\w.-]+:)?NtryDtls>/, '');
+        const status = xmlText(head, 'Sts', 'Cd') || xmlText(head, 'Sts');
+        if (CAMT_SKIPPED_STATUSES.includes(status)) return [];
+        const booked = xmlText(head, 'BookgDt', 'Dt') || xmlText(head, 'BookgDt', 'DtTm') || xmlText(head, 'ValDt', 'Dt') || xmlText(head, 'ValDt', 'DtTm');
+        const entryDebit = xmlText(head, 'CdtDbtInd') === 'DBIT';
+        const details = xmlElements(entry, 'TxDtls').map(d => d.body);
+        // A batch booking lists its parts in TxDtls with their own amounts; import those separately
+        const parts = details.length > 1 && details.every(d => xmlText(d, 'AmtDtls'))
+            ? details.map(d => ({
+                amount: camtAmount(xmlText(d, 'AmtDtls', 'TxAmt') ? xmlElements(d, 'TxAmt')[0].body : xmlElements(d, 'AmtDtls')[0].body),
+                debit: xmlText(d, 'CdtDbtInd') ? xmlText(d, 'CdtDbtInd') === 'DBIT' : entryDebit,
+                details: d,
+            }))
+            : [{ amount: camtAmount(head), debit: entryDebit, details: details[0] || '' }];
+        return parts.map(({ amount, debit, details: part }) => {
+            // The other party: who was paid on a debit, who paid on a credit
+            const counterparty = debit ? xmlText(part, 'RltdPties', 'Cdtr', 'Nm') : xmlText(part, 'RltdPties', 'Dbtr', 'Nm');
+            const remittance = xmlElements(part, 'Ustrd').map(u => u.body).join(' ');
+            return {
+                transactionDate: /^\d{4}-\d{2}-\d{2}/.test(booked) ? booked.slice(0, 10) : null,
+                rawDate: booked,
+                amount: debit ? -Math.abs(amount.value) : Math.abs(amount.value),
+                rawAmount: amount.raw,
+                currency: amount.currency || statementCurrency,
+                description: joinText(counterparty, remittance) || xmlText(head, 'AddtlNtryInf'),
+                externalId: xmlText(part, 'Refs', 'AcctSvcrRef') || xmlText(head, 'AcctSvcrRef') || xmlText(head, 'NtryRef'),
+            };
+        });
+    });
+});
+
+// --- Registry ---
+export const STATEMENT_PARSERS = {
+    ofx: {
+        label: 'OFX / QFX',
+        extensions: ['.ofx', '.qfx'],
+        detect: (text) => /OFXHEADER|<OFX>/i.test(text.slice(0, 2000)),
+        parse: parseOfx,
+    },
+    qif: {
+        label: 'QIF',
+        extensions: ['.qif'],
+        detect: (text) => /^\s*!(Type|Account|Option)/i.test(text),
+        parse: parseQif,
+    },
+    camt053: {
+        label: 'ISO 20022 camt.053',
+        extensions: ['.xml'],
+        detect: (text) => /camt\.053|BkToCstmrStmt/.test(text.slice(0, 4000)),
+        parse: parseCamt053,
+    },
+};
+
+// The parser a file needs, by content first and then extension; null means CSV
+export const detectStatementFormat = (text, fileName = '') => {
+    const input = (text || '').replace(/^\uFEFF/, '');
+    const byContent = Object.keys(STATEMENT_PARSERS).find(key => STATEMENT_PARSERS[key].detect(input));
+    if (byContent) return byContent;
+    const name = fileName.toLowerCase();
+    return Object.keys(STATEMENT_PARSERS).find(key => STATEMENT_PARSERS[key].extensions.some(ext => name.endsWith(ext))) || null;
+};
+
+// Import rows for a statement file. options: { dateFormat, defaultCurrency, knownCurrencies }
+// (dateFormat only matters for QIF; the other formats use fixed date layouts)
+export const parseStatement = (format, text, options = {}) => {
+    const { defaultCurrency = 'HUF', knownCurrencies = null } = options;
+    const parser = STATEMENT_PARSERS[format];
+    if (!parser) throw new Error(`Unknown statement format "${format}"`);
+    return parser.parse((text || '').replace(/^\uFEFF/, ''), options).map((entry, i) => {
+        const errors = [];
+        if (!entry.transactionDate) errors.push(`Invalid date "${entry.rawDate}"`);
+        if (Number.isNaN(entry.amount)) errors.push(`Invalid amount "${entry.rawAmount}"`);
+        else if (entry.amount === 0) errors.push('Amount is zero');
+        const currency = (entry.currency || defaultCurrency).toUpperCase();
+        if (knownCurrencies && !knownCurrencies.includes(currency)) errors.push(`Unknown currency "${currency}"`);
+        return {
+            rowNumber: i + 1,
+            errors,
+            transaction: errors.length ? null : {
+                type: entry.amount < 0 ? 'Expense' : 'Income',
+                originalAmount: Math.abs(entry.amount),
+                originalCurrency: currency,
+                category: entry.category || 'Other',
+                transactionDate: entry.transactionDate,
+                description: entry.description,
+                tags: [],
+                ...(entry.externalId ? { externalId: entry.externalId } : {}),
+            },
+        };
+    });
+};
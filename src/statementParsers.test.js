@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import { detectStatementFormat, parseStatement } from './statementParsers';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'statements', name), 'utf8');
+
+// The transactions of every row, failing on rows with errors
+const transactionsOf = (rows) => rows.map(row => {
+    expect(row.errors).toEqual([]);
+    return row.transaction;
+});
+
+describe('detectStatementFormat', () => {
+    it.each([
+        ['ofx-sgml.ofx', 'ofx'],
+        ['ofx-xml.qfx', 'ofx'],
+        ['quicken.qif', 'qif'],
+        ['camt053.xml', 'camt053'],
+    ])('recognises %s by its content', (name, format) => {
+        expect(detectStatementFormat(fixture(name))).toBe(format);
+    });
+
+    it('falls back to the extension, and to CSV', () => {
+        expect(detectStatementFormat('garbled', 'export.QFX')).toBe('ofx');
+        expect(detectStatementFormat('date,amount\n2026-03-01,5', 'export.csv')).toBeNull();
+    });
+});
+
+describe('parseStatement', () => {
+    it('reads OFX 1.x (SGML) with the statement currency and a foreign one', () => {
+        const [rewe, salary, coffee] = transactionsOf(parseStatement('ofx', fixture('ofx-sgml.ofx')));
+        expect(rewe).toMatchObject({
+            type: 'Expense', originalAmount: 42.17, originalCurrency: 'EUR', transactionDate: '2026-03-02',
+            description: 'REWE Markt Berlin - Card payment 4711', externalId: '202603020001',
+        });
+        expect(salary).toMatchObject({ type: 'Income', originalAmount: 2450, originalCurrency: 'EUR', transactionDate: '2026-03-05', externalId: '202603050001' });
+        expect(coffee).toMatchObject({
+            type: 'Expense', originalAmount: 18.9, originalCurrency: 'GBP', transactionDate: '2026-03-10',
+            description: 'Coffee & Co London', externalId: '202603100001',
+        });
+    });
+
+    it('reads OFX 2.x (XML) credit card statements', () => {
+        const rows = transactionsOf(parseStatement('ofx', fixture('ofx-xml.qfx')));
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({ type: 'Expense', originalAmount: 64.3, originalCurrency: 'USD', transactionDate: '2026-03-12', externalId: '2026031224692160001' });
+        expect(rows[1]).toMatchObject({
+            type: 'Income', originalAmount: 15, originalCurrency: 'USD', transactionDate: '2026-03-18',
+            description: 'REFUND AMAZON MKTPLACE - Order 113-5551234',
+        });
+    });
+
+    it('reads QIF registers in the default currency and skips transfer categories', () => {
+        const rows = transactionsOf(parseStatement('qif', fixture('quicken.qif'), { defaultCurrency: 'GBP' }));
+        // The category list before the register holds no transactions
+        expect(rows).toHaveLength(4);
+        const [tesco, salary, transfer, split] = rows;
+        expect(tesco).toMatchObject({ type: 'Expense', originalAmount: 42.17, originalCurrency: 'GBP', transactionDate: '2026-03-02', category: 'Groceries', description: 'Tesco Extra - Weekly shop' });
+        expect(salary).toMatchObject({ type: 'Income', originalAmount: 2450, category: 'Salary', transactionDate: '2026-03-05' });
+        expect(transfer).toMatchObject({ type: 'Expense', originalAmount: 500, category: 'Other' });
+        // A split keeps its own total and category; the check number is the bank reference
+        expect(split).toMatchObject({ originalAmount: 120, category: 'Groceries', transactionDate: '2026-03-12', externalId: '1042' });
+        expect(tesco.externalId).toBeUndefined();
+    });
+
+    it('reads QIF dates in the chosen day/month order', () => {
+        const [first] = transactionsOf(parseStatement('qif', fixture('quicken.qif'), { dateFormat: 'DMY' }));
+        expect(first.transactionDate).toBe('2026-02-03');
+    });
+
+    it('reads camt.053 booked entries and splits batch bookings into their parts', () => {
+        const rows = transactionsOf(parseStatement('camt053', fixture('camt053.xml')));
+        // The pending entry is left out
+        expect(rows).toHaveLength(4);
+        const [spar, wage, power, internet] = rows;
+        expect(spar).toMatchObject({
+            type: 'Expense', originalAmount: 23990, originalCurrency: 'HUF', transactionDate: '2026-03-03',
+            description: 'SPAR Magyarország Kft. - Bevásárlás & háztartás', externalId: 'HB260303000123',
+        });
+        expect(wage).toMatchObject({ type: 'Income', originalAmount: 845000, description: 'Példa Zrt. - Munkabér 2026/03', externalId: 'HB260310000456' });
+        expect(power).toMatchObject({ type: 'Expense', originalAmount: 18500, transactionDate: '2026-03-15', description: 'ELMŰ Nyrt. - Áramszámla március', externalId: 'HB260315000001' });
+        expect(internet).toMatchObject({ type: 'Expense', originalAmount: 13000, transactionDate: '2026-03-15', description: 'Telekom Nyrt. - Internet március', externalId: 'HB260315000002' });
+    });
+
+    it('reports currencies the family does not know', () => {
+        const rows = parseStatement('ofx', fixture('ofx-sgml.ofx'), { knownCurrencies: ['EUR'] });
+        expect(rows[2].transaction).toBeNull();
+        expect(rows[2].errors).toEqual(['Unknown currency "GBP"']);
+    });
+});
@@ -0,0 +1,70 @@
+// --- Tags ---
+// Free-form labels stored on a transaction as `tags: string[]`, e.g. "vacation-2026",
+// "kid:Anna", "reimbursable". Unlike the category a transaction can have any number of them,
+// so they track spending that cuts across categories. Tags keep the case they were first
+// typed in but compare case-insensitively; spaces become dashes so a tag is always one word.
+import { isGoalContribution } from './goals';
+
+export const MAX_TAG_LENGTH = 40;
+
+export const normalizeTag = (raw) => String(raw || '')
+    .trim()
+    .replace(/[\s,]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Adds tags, skipping empty ones and any already present (case-insensitive)
+export const addTags = (tags, ...raw) => raw.reduce((acc, value) => {
+    const tag = normalizeTag(value);
+    return tag && !acc.some(t => sameTag(t, tag)) ? [...acc, tag] : acc;
+}, tags || []);
+
+// "a, b c" -> ['a', 'b-c']: commas separate tags in typed and imported text
+export const parseTags = (text) => addTags([], ...String(text || '').split(/[,;]/));
+
+export const formatTags = (tags) => (tags || []).join(', ');
+
+export const transactionTags = (t) => (Array.isArray(t.tags) ? t.tags : []);
+
+// Every tag in use with how often, most used first: [{ tag, count }]
+export const tagCounts = (transactions) => {
+    const counts = new Map();
+    transactions.forEach(t => transactionTags(t).forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }));
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// Autocomplete: known tags containing the typed text and not already chosen, prefix matches first
+export const suggestTags = (known, input, chosen = [], max = 8) => {
+    const needle = normalizeTag(input).toLowerCase();
+    return known
+        .filter(tag => !chosen.some(c => sameTag(c, tag)) && tag.toLowerCase().includes(needle))
+        .sort((a, b) => Number(!a.toLowerCase().startsWith(needle)) - Number(!b.toLowerCase().startsWith(needle)))
+        .slice(0, max);
+};
+
+// Filter: a transaction matches when it carries any of the selected tags
+export const hasAnyTag = (t, selected) => {
+    const lower = selected.map(s => s.toLowerCase());
+    return transactionTags(t).some(tag => lower.includes(tag.toLowerCase()));
+};
+
+// Expense per tag for the tag chart. A transaction with several tags counts towards each,
+// so the slices can add up to more than the total expense. Goal contributions are savings, not
+// spending, and are left out as in the category chart.
+export const expenseByTag = (transactions, getAmount) => {
+    const totals = new Map();
+    transactions.filter(t => t.type === 'Expense' && !isGoalContribution(t)).forEach(t => transactionTags(t).forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = totals.get(key) || { name: tag, value: 0 };
+        entry.value += getAmount(t);
+        totals.set(key, entry);
+    }));
+    return Array.from(totals.values()).filter(e => e.value > 0.005).sort((a, b) => b.value - a.value);
+};
@@ -0,0 +1,152 @@
+// --- Transaction Queries ---
+// Turns the Reports filters into Firestore queries so only matching transactions are read:
+//   months     -> transactionDate ranges, one per run of consecutive months
+//   categories -> category in [...], plus splitCategories array-contains-any [...] for split
+//                 transactions whose other lines match
+//   type       -> type == ...
+// Each combination is its own query; the pager merges them in transactionDate order and pages
+// through all of them with one cursor each. The composite indexes these need are declared in
+// firestore.indexes.json.
+// Only transactionDate can be ordered on server-side: Firestore requires a range filter's
+// field to come first in the ordering, so other sort keys apply to the loaded rows.
+import { collection, getDocs, query, where, orderBy, limit, startAfter } from 'firebase/firestore';
+import { isDeleted } from './trash';
+
+// Values per `in` / `array-contains-any` clause
+const IN_LIMIT = 10;
+
+const transactionsRef = (db, appId, familyId) => collection(db, `artifacts/${appId}/families/${familyId}/transactions`);
+
+// Older documents may still hold a Timestamp or Date (read as a local calendar day, like
+// coerceTransactionDate in App.js); everything else uses 'YYYY-MM-DD' strings
+const toDateString = (raw) => {
+    if (!raw) return '';
+    if (typeof raw === 'string') return raw.slice(0, 10);
+    const date = typeof raw.toDate === 'function' ? raw.toDate() : new Date(raw);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+export const docToTransaction = (d) => {
+    const data = d.data();
+    const { id: _ignored, ...rest } = data;
+    return { ...rest, transactionDate: toDateString(data.transactionDate), id: d.id };
+};
+
+const nextMonth = (ym) => {
+    const [y, m] = ym.split('-').map(Number);
+    return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+};
+
+// ['2026-01', '2026-02', '2026-05'] -> [{ from: '2026-01-01', to: '2026-02-31' }, { from: '2026-05-01', to: '2026-05-31' }]
+export const monthRanges = (months) => {
+    const sorted = Array.from(new Set(months)).sort();
+    const ranges = [];
+    sorted.forEach(month => {
+        const last = ranges[ranges.length - 1];
+        if (last && nextMonth(last.lastMonth) === month) last.lastMonth = month;
+        else ranges.push({ firstMonth: month, lastMonth: month });
+    });
+    return ranges.map(({ firstMonth, lastMonth }) => ({ from: `${firstMonth}-01`, to: `${lastMonth}-31` }));
+};
+
+const chunk = (values, size) => {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+    return chunks;
+};
+
+// One query per (date range x category clause); no filters at all is a single query
+export const buildTransactionQueries = (db, appId, familyId, { months = [], categories = [], type = '', direction = 'desc' }) => {
+    const ranges = months.length > 0
+        ? monthRanges(months).map(r => [where('transactionDate', '>=', r.from), where('transactionDate', '<=', r.to)])
+        : [[]];
+    const categoryClauses = categories.length > 0
+        ? chunk(categories, IN_LIMIT).flatMap(names => [[where('category', 'in', names)], [where('splitCategories', 'array-contains-any', names)]])
+        : [[]];
+    const typeClause = type ? [where('type', '==', type)] : [];
+    return ranges.flatMap(range => categoryClauses.map(clause => query(
+        transactionsRef(db, appId, familyId),
+        ...typeClause,
+        ...clause,
+        ...range,
+        orderBy('transactionDate', direction)
+    )));
+};
+
+// Transactions with transactionDate in [fromDate, toDate] (inclusive YYYY-MM-DD strings)
+export const fetchTransactionsInRange = async (db, appId, familyId, fromDate, toDate) => {
+    const q = query(transactionsRef(db, appId, familyId), where('transactionDate', '>=', fromDate), where('transactionDate', '<=', toDate), orderBy('transactionDate', 'desc'));
+    const snap = await getDocs(q);
+    return snap.docs.map(docToTransaction).filter(t => !isDeleted(t));
+};
+
+// Pages through everything matching `filters`, in transactionDate order (`filters.direction`).
+// loadPage(isVisible) reads until it has `pageSize` transactions that aren't trashed and pass
+// isVisible (the filters Firestore can't apply, e.g. description), or the queries run out, and
+// resolves to { transactions, done, boundary }. `transactions` includes the trashed and hidden
+// rows it read along the way; `boundary` is the last transactionDate reached, so everything
+// on the near side of it has been loaded. Calls run one after another.
+export const createTransactionPager = (db, appId, familyId, filters, pageSize) => {
+    const desc = filters.direction !== 'asc';
+    const sources = buildTransactionQueries(db, appId, familyId, filters).map(q => ({ query: q, buffer: [], cursor: null, exhausted: false }));
+    const seen = new Set();
+    const loaded = [];
+    let boundary = null;
+    let done = false;
+
+    // Firestore breaks transactionDate ties by document id, in the same direction
+    const comesFirst = (a, b) => {
+        if (a.transactionDate !== b.transactionDate) return desc ? a.transactionDate > b.transactionDate : a.transactionDate < b.transactionDate;
+        return desc ? a.id > b.id : a.id < b.id;
+    };
+
+    const fill = async (source) => {
+        if (source.buffer.length > 0 || source.exhausted) return;
+        const q = source.cursor ? query(source.query, startAfter(source.cursor), limit(pageSize)) : query(source.query, limit(pageSize));
+        const snap = await getDocs(q);
+        source.buffer = snap.docs.map(docToTransaction);
+        if (snap.size > 0) source.cursor = snap.docs[snap.docs.length - 1];
+        if (snap.size < pageSize) source.exhausted = true;
+    };
+
+    const next = async (isVisible) => {
+        const transactions = [];
+        let visible = 0;
+        while (visible < pageSize) {
+            await Promise.all(sources.map(fill));
+            const ready = sources.filter(s => s.buffer.length > 0);
+            if (ready.length === 0) { done = true; break; }
+            const source = ready.reduce((a, b) => (comesFirst(b.buffer[0], a.buffer[0]) ? b : a));
+            const t = source.buffer.shift();
+            boundary = t.transactionDate;
+            // A split transaction can match both its category and its splitCategories query
+            if (seen.has(t.id)) continue;
+            seen.add(t.id);
+            transactions.push(t);
+            loaded.push(t);
+            if (!isDeleted(t) && isVisible(t)) visible++;
+        }
+        if (sources.every(s => s.exhausted && s.buffer.length === 0)) done = true;
+        return { transactions, done, boundary };
+    };
+
+    let chain = Promise.resolve();
+    return {
+        filters,
+        // Everything read so far, across pages
+        loaded,
+        loadPage: (isVisible = () => true) => {
+            // A failed page doesn't block the next attempt
+            chain = chain.catch(() => {}).then(() => next(isVisible));
+            return chain;
+        },
+    };
+};
+
+// Whether a loaded transaction lies within what a pager has reached: past the boundary there
+// may be matching transactions it hasn't read yet
+export const withinReach = (t, { boundary, done, direction }) => {
+    if (done) return true;
+    if (boundary === null) return false;
+    return direction === 'asc' ? t.transactionDate <= boundary : t.transactionDate >= boundary;
+};
@@ -0,0 +1,80 @@
+// --- Soft Delete & Trash ---
+// Deleting a transaction or recurring item only stamps it with
+//   { deletedAt: ms, deletedBy: uid, deleteBatchId?: string }
+// and every view hides stamped docs. The Trash page restores them or purges them for good;
+// anything older than TRASH_RETENTION_DAYS is purged automatically when the Trash is opened.
+import { collection, doc, getDocs, updateDoc, query, where, orderBy, limit, startAfter, writeBatch, documentId } from 'firebase/firestore';
+
+export const TRASH_RETENTION_DAYS = 30;
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const BATCH_LIMIT = 500;
+
+export const TRASH_COLLECTIONS = ['transactions', 'recurring'];
+
+export const isDeleted = (item) => !!(item && item.deletedAt);
+
+export const purgeDueAt = (item) => item.deletedAt + RETENTION_MS;
+
+export const isPastRetention = (item, now = Date.now()) => purgeDueAt(item) <= now;
+
+const familyCollection = (db, appId, familyId, name) => collection(db, `artifacts/${appId}/families/${familyId}/${name}`);
+
+export const softDelete = (db, appId, familyId, collectionName, id, uid) =>
+    updateDoc(doc(familyCollection(db, appId, familyId, collectionName), id), { deletedAt: Date.now(), deletedBy: uid });
+
+export const restore = (db, appId, familyId, collectionName, id) =>
+    updateDoc(doc(familyCollection(db, appId, familyId, collectionName), id), { deletedAt: null, deletedBy: null, deleteBatchId: null });
+
+// Soft-delete every live doc in a collection, tagged with one batch id so the whole
+// operation can be undone together. Pages by document id since nothing is actually removed.
+// Resolves to { deleteBatchId, count, docs } where docs are the snapshots from before the delete.
+export const softDeleteAll = async (db, appId, familyId, collectionName, uid, onProgress) => {
+    const ref = familyCollection(db, appId, familyId, collectionName);
+    const deleteBatchId = `wipe-${Date.now()}`;
+    const deletedAt = Date.now();
+    let cursor = null;
+    const trashed = [];
+    while (true) {
+        const q = cursor
+            ? query(ref, orderBy(documentId()), startAfter(cursor), limit(BATCH_LIMIT))
+            : query(ref, orderBy(documentId()), limit(BATCH_LIMIT));
+        const snap = await getDocs(q);
+        if (snap.empty) break;
+        const batch = writeBatch(db);
+        const live = snap.docs.filter(d => !isDeleted(d.data()));
+        live.forEach(d => batch.update(d.ref, { deletedAt, deletedBy: uid, deleteBatchId }));
+        if (live.length > 0) await batch.commit();
+        trashed.push(...live);
+        if (onProgress) onProgress(trashed.length);
+        cursor = snap.docs[snap.docs.length - 1];
+        if (snap.size < BATCH_LIMIT) break;
+    }
+    return { deleteBatchId, count: trashed.length, docs: trashed };
+};
+
+export const restoreDeleteBatch = async (db, appId, familyId, collectionName, deleteBatchId) => {
+    const snap = await getDocs(query(familyCollection(db, appId, familyId, collectionName), where('deleteBatchId', '==', deleteBatchId)));
+    for (let i = 0; i < snap.docs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        snap.docs.slice(i, i + BATCH_LIMIT).forEach(d => batch.update(d.ref, { deletedAt: null, deletedBy: null, deleteBatchId: null }));
+        await batch.commit();
+    }
+    return snap.size;
+};
+
+// Everything currently in the trash for one collection, most recently deleted first.
+export const listTrash = async (db, appId, familyId, collectionName) => {
+    const q = query(familyCollection(db, appId, familyId, collectionName), where('deletedAt', '>', 0), orderBy('deletedAt', 'desc'));
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ ...d.data(), id: d.id, collectionName }));
+};
+
+// Permanently remove trashed docs: [{ id, collectionName }]
+export const purge = async (db, appId, familyId, items) => {
+    for (let i = 0; i < items.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        items.slice(i, i + BATCH_LIMIT).forEach(item => batch.delete(doc(familyCollection(db, appId, familyId, item.collectionName), item.id)));
+        await batch.commit();
+    }
+    return items.length;
+};
@@ -0,0 +1,132 @@
+// --- Minimal XLSX Writer ---
+// Just enough SpreadsheetML to hand a few sheets of plain values to Excel/Numbers/LibreOffice:
+// numbers become numeric cells, everything else an inline string. The parts are packed in an
+// uncompressed ("stored") zip, so no compression library is needed.
+//   buildXlsx([{ name: 'Transactions', rows: [['Date', 'Amount'], ['2024-01-31', 12.5]] }]) -> Uint8Array
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+// Excel rejects names over 31 characters, containing []:*?/\ or repeated within a workbook
+const safeSheetNames = (sheets) => {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+        const base = (String(sheet.name || '').replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+        used.add(name.toLowerCase());
+        return name;
+    });
+};
+
+const cellXml = (value, ref) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+    const body = rows.map((row, r) => {
+        const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${body}</sheetData></worksheet>`;
+};
+
+const workbookParts = (sheets) => {
+    const names = safeSheetNames(sheets);
+    const parts = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+            + '</Relationships>',
+    };
+    sheets.forEach((sheet, i) => { parts[`xl/worksheets/sheet${i + 1}.xml`] = sheetXml(sheet.rows || []); });
+    return parts;
+};
+
+// --- Stored zip ---
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const zipStored = (files) => {
+    const encoder = new TextEncoder();
+    const entries = Object.entries(files).map(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        return { nameBytes, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+    const u16 = (v) => { view.setUint16(pos, v, true); pos += 2; };
+    const u32 = (v) => { view.setUint32(pos, v, true); pos += 4; };
+    const bytes = (b) => { out.set(b, pos); pos += b.length; };
+
+    // Fixed DOS timestamp (1980-01-01); the date inside the archive doesn't matter here
+    const header = (e) => { u16(20); u16(0x0800); u16(0); u16(0); u16(0x21); u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.nameBytes.length); u16(0); };
+
+    entries.forEach(e => {
+        e.offset = pos;
+        u32(0x04034b50); header(e); bytes(e.nameBytes); bytes(e.data);
+    });
+    const centralStart = pos;
+    entries.forEach(e => {
+        u32(0x02014b50); u16(20); header(e); u16(0); u16(0); u16(0); u32(0); u32(e.offset); bytes(e.nameBytes);
+    });
+    const centralLength = pos - centralStart;
+    u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length); u32(centralLength); u32(centralStart); u16(0);
+    return out;
+};
+
+export const buildXlsx = (sheets) => zipStored(workbookParts(sheets));